@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS atlas_verification_results (
     skipped INT DEFAULT 0,
     all_documents JSON DEFAULT NULL,
     verified_documents JSON DEFAULT NULL,
+    consistency JSON DEFAULT NULL,
     start_time DATETIME DEFAULT NULL,
     end_time DATETIME DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -44,3 +45,39 @@ CREATE TABLE IF NOT EXISTS atlas_verification_runs (
     UNIQUE KEY idx_run_id (run_id),
     INDEX idx_status (status)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Exact and perceptual fingerprints of verified documents (Atlas and v1) for reused-document detection
+CREATE TABLE IF NOT EXISTS document_fingerprints (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    scope VARCHAR(100) NOT NULL,
+    owner_ref VARCHAR(255) DEFAULT NULL,
+    document_ref VARCHAR(255) NOT NULL,
+    document_label VARCHAR(255) DEFAULT NULL,
+    person_name VARCHAR(255) DEFAULT NULL,
+    document_number VARCHAR(100) DEFAULT NULL,
+    sha256 CHAR(64) NOT NULL,
+    phash BIGINT UNSIGNED DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY idx_scope_document (scope, document_ref),
+    INDEX idx_scope_sha (scope, sha256)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Tokens, latency and estimated cost of each AI document verification
+CREATE TABLE IF NOT EXISTS atlas_ai_usage (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    appln_id VARCHAR(100) NOT NULL,
+    document_type_id VARCHAR(100) DEFAULT NULL,
+    document_label VARCHAR(255) DEFAULT NULL,
+    provider VARCHAR(50) DEFAULT NULL,
+    model VARCHAR(100) DEFAULT NULL,
+    input_tokens INT DEFAULT 0,
+    output_tokens INT DEFAULT 0,
+    latency_ms INT DEFAULT NULL,
+    cost_usd DECIMAL(12,6) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_appln (appln_id),
+    INDEX idx_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -1,6 +1,8 @@
 -- =====================================================
 -- AI Document Verification Platform - V1 Schema
 -- =====================================================
+-- Fresh installs. Databases created from an earlier version of this file are
+-- brought up to date with v1_upgrade.sql.
 
 -- =====================================================
 -- 1. Users (API clients)
@@ -12,6 +14,9 @@ CREATE TABLE IF NOT EXISTS v1_users (
     password VARCHAR(255) NOT NULL,
     role ENUM('admin', 'user') DEFAULT 'user',
     is_active TINYINT(1) DEFAULT 1,
+    monthly_budget_usd DECIMAL(10,2) NULL COMMENT 'Estimated AI spend allowed per calendar month; NULL = unlimited',
+    plan_id BIGINT NULL COMMENT 'v1_plans row; NULL = the default plan',
+    ip_allowlist JSON NULL COMMENT 'CIDR ranges all of the user''s API keys are limited to; NULL = any address',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
@@ -22,15 +27,33 @@ CREATE TABLE IF NOT EXISTS v1_users (
 CREATE TABLE IF NOT EXISTS v1_api_keys (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     user_id BIGINT NOT NULL,
-    api_key VARCHAR(255) UNIQUE NOT NULL,
+    credential_type ENUM('api_key', 'oauth_client') DEFAULT 'api_key' COMMENT 'oauth_client: the hashed secret is a client secret for /v1/oauth/token',
+    client_id VARCHAR(40) NULL COMMENT 'Public OAuth client identifier (oauth_client only)',
+    key_prefix VARCHAR(20) NOT NULL COMMENT 'First characters of the key, shown in lists and used for lookup',
+    key_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of key_salt + key; the key itself is never stored',
+    key_salt CHAR(32) NOT NULL,
+    previous_key_hash CHAR(64) NULL COMMENT 'oauth_client: secret replaced by the last rotation, accepted until previous_secret_expires_at',
+    previous_key_salt CHAR(32) NULL,
+    previous_secret_expires_at TIMESTAMP NULL,
+    scopes JSON NULL COMMENT 'verify:write, results:read, webhooks:manage, document_types:manage; NULL = all',
+    ip_allowlist JSON NULL COMMENT 'CIDR ranges this key may be used from (on top of the user''s list); NULL = any address',
     name VARCHAR(255) DEFAULT 'Default',
     rate_limit INT DEFAULT 1000 COMMENT 'requests per hour',
     burst_limit INT DEFAULT 50 COMMENT 'requests per minute',
     status ENUM('active', 'revoked', 'expired') DEFAULT 'active',
     last_used_at TIMESTAMP NULL,
     expires_at TIMESTAMP NULL,
+    rotated_from_id BIGINT NULL COMMENT 'Key this one replaced',
+    replaced_by_id BIGINT NULL COMMENT 'Successor issued by a rotation; this key expires after the overlap',
+    rotated_at TIMESTAMP NULL,
+    expiry_notified_at TIMESTAMP NULL COMMENT 'When the owner was warned about the upcoming expiry',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    FOREIGN KEY (rotated_from_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL,
+    FOREIGN KEY (replaced_by_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL,
+    UNIQUE KEY unique_v1_api_keys_client_id (client_id),
+    INDEX idx_v1_api_keys_prefix (key_prefix),
+    INDEX idx_v1_api_keys_expiry (status, expires_at)
 );
 
 -- =====================================================
@@ -43,7 +66,12 @@ CREATE TABLE IF NOT EXISTS v1_document_master (
     allowed_formats JSON DEFAULT '["jpg","png","pdf"]',
     max_size_mb INT DEFAULT 5,
     required_fields JSON COMMENT 'Fields AI should extract',
-    validation_rules JSON COMMENT 'Regex or rule sets for validation',
+    validation_rules JSON COMMENT 'Field regexes plus optional "rules" list in the rule DSL (see RuleDslService)',
+    ai_provider VARCHAR(50) NULL COMMENT 'openai | anthropic | mock; NULL = AI_PROVIDER_OVERRIDES / V1_AI_PROVIDER',
+    page_rules JSON NULL COMMENT 'PDF pages to analyse, e.g. {"pages": "all", "max_pages": 3}; NULL = built-in default',
+    review_bands JSON NULL COMMENT 'Human review zone, e.g. {"confidence": [50, 80], "risk": [0.2, 0.7]}; NULL = decide automatically',
+    cache_results TINYINT(1) DEFAULT 0 COMMENT 'Reuse AI results for identical files (see v1_result_cache)',
+    version INT DEFAULT 1 COMMENT 'Bumped on every change; part of the result cache key',
     is_active TINYINT(1) DEFAULT 1,
     user_id BIGINT NULL COMMENT 'NULL = global/admin type, set = user-specific type',
     created_by BIGINT NULL,
@@ -62,25 +90,30 @@ CREATE TABLE IF NOT EXISTS v1_verification_requests (
     system_reference_id VARCHAR(50) UNIQUE NOT NULL,
     client_reference_id VARCHAR(255) NULL,
     user_id BIGINT NOT NULL,
+    api_key_id BIGINT NULL COMMENT 'Key the request was submitted with',
     document_type VARCHAR(100) NOT NULL,
     file_url TEXT NOT NULL,
     metadata JSON NULL,
-    status ENUM('accepted', 'processing', 'verified', 'rejected', 'failed') DEFAULT 'accepted',
+    status ENUM('accepted', 'processing', 'needs_review', 'verified', 'rejected', 'failed') DEFAULT 'accepted',
     confidence DECIMAL(5,2) NULL,
     risk_score DECIMAL(5,4) NULL,
     extracted_data JSON NULL,
     ai_response JSON NULL COMMENT 'Full AI response for debugging',
     issues JSON NULL COMMENT 'List of issues found',
+    processing_token VARCHAR(64) NULL COMMENT 'Queue lease (job id:attempt) allowed to write results',
     processed_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_key_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL
 );
 
 -- Index for fast status lookups
 CREATE INDEX idx_v1_vr_status ON v1_verification_requests(status);
 CREATE INDEX idx_v1_vr_user ON v1_verification_requests(user_id);
 CREATE INDEX idx_v1_vr_sysref ON v1_verification_requests(system_reference_id);
+CREATE INDEX idx_v1_vr_client_ref ON v1_verification_requests(user_id, client_reference_id);
+CREATE INDEX idx_v1_vr_user_created ON v1_verification_requests(user_id, created_at);
 
 -- =====================================================
 -- 5. Webhooks
@@ -91,9 +124,14 @@ CREATE TABLE IF NOT EXISTS v1_webhooks (
     url TEXT NOT NULL,
     secret VARCHAR(255) NOT NULL COMMENT 'For signing webhook payloads',
     events JSON DEFAULT '["document.verified","document.rejected","document.failed"]',
+    payload_options JSON NULL COMMENT 'Extra payload sections, e.g. {"extracted_data": true, "issues": true, "fraud_indicators": true, "wrong_document": true}',
     is_active TINYINT(1) DEFAULT 1,
     last_triggered_at TIMESTAMP NULL,
-    failure_count INT DEFAULT 0,
+    failure_count INT DEFAULT 0 COMMENT 'Consecutive failed delivery attempts',
+    disabled_at TIMESTAMP NULL COMMENT 'Set when auto-disabled after too many failures',
+    disabled_reason VARCHAR(255) NULL,
+    previous_secret VARCHAR(255) NULL COMMENT 'Secret replaced by the last rotation; still signs deliveries until it expires',
+    previous_secret_expires_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE
@@ -104,23 +142,30 @@ CREATE TABLE IF NOT EXISTS v1_webhooks (
 -- =====================================================
 CREATE TABLE IF NOT EXISTS v1_webhook_deliveries (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
-    webhook_id BIGINT NOT NULL,
-    verification_request_id BIGINT NOT NULL,
+    webhook_id BIGINT NULL COMMENT 'NULL for deliveries to a bulk job callback_url',
+    bulk_job_id BIGINT NULL COMMENT 'Set for deliveries to a bulk job callback_url',
+    verification_request_id BIGINT NULL COMMENT 'NULL for test pings and bulk events',
     event VARCHAR(100) NOT NULL,
     payload JSON NOT NULL,
     response_status INT NULL,
     response_body TEXT NULL,
-    status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+    latency_ms INT NULL COMMENT 'Duration of the last attempt',
+    status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending' COMMENT 'pending = awaiting first attempt or a scheduled retry',
     attempts INT DEFAULT 0,
-    next_retry_at TIMESTAMP NULL,
+    next_retry_at TIMESTAMP NULL COMMENT 'When the retry worker picks it up again; pushed forward while an attempt is in flight',
+    last_attempt_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (webhook_id) REFERENCES v1_webhooks(id) ON DELETE CASCADE,
-    FOREIGN KEY (verification_request_id) REFERENCES v1_verification_requests(id) ON DELETE CASCADE
+    FOREIGN KEY (verification_request_id) REFERENCES v1_verification_requests(id) ON DELETE CASCADE,
+    INDEX idx_v1_webhook_retry (status, next_retry_at),
+    INDEX idx_v1_webhook_history (webhook_id, created_at)
 );
 
 -- =====================================================
 -- 7. Rate Limit Tracking
 -- =====================================================
+-- Accepted requests per API key and minute, written in batches by RateLimitService
+-- (for usage reporting; limits themselves are enforced in memory or in section 17)
 CREATE TABLE IF NOT EXISTS v1_rate_limit_log (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     api_key_id BIGINT NOT NULL,
@@ -143,7 +188,8 @@ CREATE TABLE IF NOT EXISTS v1_bulk_jobs (
     rejected INT NOT NULL DEFAULT 0,
     failed INT NOT NULL DEFAULT 0,
     status ENUM('queued', 'processing', 'completed', 'partial', 'failed') DEFAULT 'queued',
-    callback_url TEXT NULL COMMENT 'Optional URL to POST final summary',
+    callback_url TEXT NULL COMMENT 'Optional URL that receives bulk.progress and bulk.completed events',
+    callback_secret VARCHAR(255) NULL COMMENT 'Signs callback_url deliveries; returned once on submission',
     metadata JSON NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     completed_at TIMESTAMP NULL,
@@ -166,6 +212,10 @@ CREATE TABLE IF NOT EXISTS v1_bulk_job_items (
     UNIQUE KEY unique_bulk_item (bulk_job_id, verification_request_id)
 );
 
+-- Bulk callback deliveries share the webhook delivery log (declared here, after v1_bulk_jobs)
+ALTER TABLE v1_webhook_deliveries
+    ADD CONSTRAINT fk_v1_delivery_bulk_job FOREIGN KEY (bulk_job_id) REFERENCES v1_bulk_jobs(id) ON DELETE CASCADE;
+
 -- =====================================================
 -- 9. Audit Log
 -- =====================================================
@@ -182,22 +232,224 @@ CREATE TABLE IF NOT EXISTS v1_audit_log (
 );
 
 -- =====================================================
--- 9. Seed Data
+-- 10. Job Queue (durable, shared across app nodes)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_type VARCHAR(100) NOT NULL,
+    payload JSON NULL,
+    status ENUM('queued', 'running', 'completed', 'dead') DEFAULT 'queued',
+    dedupe_key VARCHAR(191) NULL COMMENT 'Set while queued/running, cleared when finished',
+    priority INT NOT NULL DEFAULT 0,
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Job is invisible to workers until this time',
+    locked_by VARCHAR(255) NULL COMMENT 'Worker currently holding the lease',
+    locked_at TIMESTAMP NULL,
+    lease_expires_at TIMESTAMP NULL,
+    heartbeat_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_active_job (dedupe_key)
+);
+
+CREATE INDEX idx_v1_jobs_claim ON v1_jobs(status, run_at, priority);
+CREATE INDEX idx_v1_jobs_lease ON v1_jobs(status, lease_expires_at);
+
+-- Per-attempt history for each job
+CREATE TABLE IF NOT EXISTS v1_job_attempts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id BIGINT NOT NULL,
+    attempt INT NOT NULL,
+    worker_id VARCHAR(255) NULL,
+    status ENUM('running', 'succeeded', 'failed', 'lease_expired') DEFAULT 'running',
+    error TEXT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    FOREIGN KEY (job_id) REFERENCES v1_jobs(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_job_attempt (job_id, attempt)
+);
+
+-- =====================================================
+-- 11. Human Review Queue (requests in needs_review)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_review_tasks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    verification_request_id BIGINT NOT NULL,
+    status ENUM('pending', 'claimed', 'decided', 'cancelled') DEFAULT 'pending',
+    reasons JSON NULL COMMENT 'Why the result was sent for review',
+    assigned_to BIGINT NULL COMMENT 'Reviewer holding the claim',
+    claimed_at TIMESTAMP NULL,
+    claim_expires_at TIMESTAMP NULL COMMENT 'Claim returns to the queue after this time',
+    decision ENUM('verified', 'rejected') NULL,
+    decision_reason TEXT NULL,
+    decided_by BIGINT NULL,
+    decided_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (verification_request_id) REFERENCES v1_verification_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (assigned_to) REFERENCES v1_users(id) ON DELETE SET NULL,
+    FOREIGN KEY (decided_by) REFERENCES v1_users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_v1_review_queue ON v1_review_tasks(status, created_at);
+CREATE INDEX idx_v1_review_request ON v1_review_tasks(verification_request_id);
+
+-- =====================================================
+-- 12. User Notifications (e.g. a webhook was auto-disabled)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_notifications (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSON NULL,
+    is_read TINYINT(1) DEFAULT 0,
+    emailed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    INDEX idx_v1_notifications_user (user_id, is_read, created_at)
+);
+
+-- =====================================================
+-- 13. Idempotency Keys (replay of POST /v1/verify, /instant and /bulk)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_idempotency_keys (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    api_key_id BIGINT NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of route, body and uploaded file',
+    status ENUM('processing', 'completed') DEFAULT 'processing',
+    response_status INT NULL,
+    response_body JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (api_key_id) REFERENCES v1_api_keys(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_v1_idempotency (api_key_id, idempotency_key),
+    INDEX idx_v1_idempotency_expiry (expires_at)
+);
+
+-- =====================================================
+-- 14. Result Cache (AI results reused for resubmitted identical files)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_result_cache (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    cache_key CHAR(64) NOT NULL COMMENT 'SHA-256 of user, file hash, document type, document version and prompt version',
+    user_id BIGINT NOT NULL,
+    document_type VARCHAR(100) NOT NULL,
+    file_sha256 CHAR(64) NOT NULL,
+    document_version INT NOT NULL,
+    prompt_version VARCHAR(50) NOT NULL,
+    ai_result JSON NOT NULL,
+    source_reference_id VARCHAR(50) NULL COMMENT 'Request whose AI call produced the result',
+    hit_count INT DEFAULT 0,
+    last_hit_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_v1_result_cache (cache_key),
+    INDEX idx_v1_result_cache_expiry (expires_at)
+);
+
+-- =====================================================
+-- 15. AI Usage (tokens, latency and estimated cost of every model call)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_ai_usage (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    api_key_id BIGINT NULL,
+    verification_request_id BIGINT NULL,
+    document_type VARCHAR(100) NULL,
+    provider VARCHAR(50) NULL,
+    model VARCHAR(100) NULL,
+    input_tokens INT DEFAULT 0,
+    output_tokens INT DEFAULT 0,
+    latency_ms INT NULL,
+    cost_usd DECIMAL(12,6) NULL COMMENT 'Estimate from AI_MODEL_PRICING; NULL = model has no price',
+    cached TINYINT(1) DEFAULT 0 COMMENT 'Result reused from v1_result_cache (no model call)',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_key_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL,
+    FOREIGN KEY (verification_request_id) REFERENCES v1_verification_requests(id) ON DELETE SET NULL,
+    INDEX idx_v1_ai_usage_user (user_id, created_at),
+    INDEX idx_v1_ai_usage_request (verification_request_id)
+);
+
+-- =====================================================
+-- 16. Plans (admin-managed quotas and feature access, assigned to users)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_plans (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    monthly_document_quota INT NULL COMMENT 'Documents submitted per calendar month across all keys; NULL = unlimited',
+    allowed_document_types JSON NULL COMMENT 'Array of document type codes; NULL = all types',
+    instant_access TINYINT(1) DEFAULT 1 COMMENT 'May use POST /v1/verify/instant',
+    max_bulk_size INT DEFAULT 50 COMMENT 'Documents per POST /v1/verify/bulk',
+    rate_limit INT DEFAULT 1000 COMMENT 'Highest requests per hour for any key of the user',
+    burst_limit INT DEFAULT 50 COMMENT 'Highest requests per minute for any key of the user',
+    is_default TINYINT(1) DEFAULT 0 COMMENT 'Applies to users without a plan_id',
+    is_active TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Users reference their plan (declared here, after v1_plans)
+ALTER TABLE v1_users
+    ADD CONSTRAINT fk_v1_user_plan FOREIGN KEY (plan_id) REFERENCES v1_plans(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- 17. Shared Rate Limit Counters (only used with V1_RATE_LIMIT_STORE=mysql)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_rate_limit_counters (
+    bucket_key VARCHAR(191) NOT NULL COMMENT 'Limiter key and window length, e.g. key:12|60000 or ip:login:203.0.113.5|900000',
+    window_start BIGINT NOT NULL COMMENT 'Bucket start, ms since epoch',
+    count INT NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL COMMENT 'No longer needed for the sliding window after this',
+    PRIMARY KEY (bucket_key, window_start),
+    INDEX idx_v1_rl_counters_expires (expires_at)
+);
+
+-- =====================================================
+-- 18. Plan Usage (documents counted against monthly_document_quota)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_plan_usage (
+    user_id BIGINT NOT NULL,
+    period CHAR(7) NOT NULL COMMENT 'Calendar month, YYYY-MM',
+    used INT NOT NULL DEFAULT 0 COMMENT 'Documents reserved by accepted submissions',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, period),
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE
+);
+
+-- =====================================================
+-- 19. Seed Data
 -- =====================================================
 
 -- Default admin user (password: admin123)
 INSERT INTO v1_users (name, email, password, role) VALUES
 ('Platform Admin', 'admin@verify.com', '$2b$10$defaulthashedpassword', 'admin');
 
+-- Default plans (users without a plan get 'free')
+INSERT INTO v1_plans (code, name, description, monthly_document_quota, allowed_document_types, instant_access, max_bulk_size, rate_limit, burst_limit, is_default) VALUES
+('free', 'Free', 'Evaluation tier', 100, NULL, 1, 10, 1000, 50, 1),
+('pro', 'Pro', 'Production workloads', 10000, NULL, 1, 50, 5000, 100, 0),
+('enterprise', 'Enterprise', 'Unlimited documents, custom limits', NULL, NULL, 1, 50, 20000, 300, 0);
+
 -- Default document types
 INSERT INTO v1_document_master (name, code, allowed_formats, max_size_mb, required_fields, validation_rules) VALUES
 ('Aadhaar Card', 'aadhaar', '["jpg","png","pdf"]', 5, '["name","dob","id_number"]', '{"id_number": "^[0-9]{4}\\\\s?[0-9]{4}\\\\s?[0-9]{4}$"}'),
 ('PAN Card', 'pan', '["jpg","png","pdf"]', 5, '["name","pan_number","dob"]', '{"pan_number": "^[A-Z]{5}[0-9]{4}[A-Z]$"}'),
-('Passport', 'passport', '["jpg","png","pdf"]', 10, '["name","passport_number","dob","expiry_date","nationality"]', '{"passport_number": "^[A-Z][0-9]{7}$"}'),
+('Passport', 'passport', '["jpg","png","pdf"]', 10, '["name","passport_number","dob","expiry_date","nationality"]', '{"passport_number": "^[A-Z][0-9]{7}$", "rules": [{"id": "validity_period", "check": "expiry_date <= issue_date + 10y", "message": "Passport validity exceeds 10 years from issue date"}]}'),
 ('Driving License', 'driving_license', '["jpg","png","pdf"]', 5, '["name","license_number","dob","expiry_date"]', NULL),
 ('Voter ID', 'voter_id', '["jpg","png","pdf"]', 5, '["name","voter_id_number","dob"]', NULL),
 ('Bank Statement', 'bank_statement', '["pdf"]', 10, '["account_holder_name","account_number","bank_name"]', NULL),
 ('Utility Bill', 'utility_bill', '["jpg","png","pdf"]', 5, '["name","address","bill_date"]', NULL),
-('10th Marksheet', 'marksheet_10', '["jpg","png","pdf"]', 5, '["name","roll_number","percentage","board","exam_class","exam_name"]', '{"exam_class": "^.*(10|[Xx]|tenth|ssc|sslc|matriculation|secondary).*$"}'),
-('12th Marksheet', 'marksheet_12', '["jpg","png","pdf"]', 5, '["name","roll_number","percentage","board","exam_class","exam_name"]', '{"exam_class": "^.*(12|[Xx][Ii][Ii]|twelfth|hsc|higher|intermediate|senior|plus.two).*$"}'),
-('Graduation Certificate', 'graduation_cert', '["jpg","png","pdf"]', 5, '["name","degree","university","year_of_passing"]', NULL);
+('10th Marksheet', 'marksheet_10', '["jpg","png","pdf"]', 5, '["name","roll_number","percentage","board","exam_class","exam_name"]', '{"exam_class": "^.*(10|[Xx]|tenth|ssc|sslc|matriculation|secondary).*$", "rules": [{"id": "percentage_range", "field": "percentage", "min": 0, "max": 100}]}'),
+('12th Marksheet', 'marksheet_12', '["jpg","png","pdf"]', 5, '["name","roll_number","percentage","board","exam_class","exam_name"]', '{"exam_class": "^.*(12|[Xx][Ii][Ii]|twelfth|hsc|higher|intermediate|senior|plus.two).*$", "rules": [{"id": "percentage_range", "field": "percentage", "min": 0, "max": 100}]}'),
+('Graduation Certificate', 'graduation_cert', '["jpg","png","pdf"]', 5, '["name","degree","university","year_of_passing"]', NULL),
+('GST Registration Certificate', 'gst_certificate', '["jpg","png","pdf"]', 5, '["legal_name","trade_name","gstin","registration_date"]', '{"gstin": "^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$"}');
@@ -0,0 +1,326 @@
+-- =====================================================
+-- AI Document Verification Platform - V1 Upgrade
+-- =====================================================
+-- Brings a database created from the original v1 schema (plaintext api_key column,
+-- no job queue) up to date with v1_schema.sql. Run it once, instead of v1_schema.sql:
+--   mysql -u root -p <database> < database/v1_upgrade.sql
+-- Fresh installs only need v1_schema.sql.
+
+-- =====================================================
+-- 1. Users
+-- =====================================================
+ALTER TABLE v1_users
+    ADD COLUMN monthly_budget_usd DECIMAL(10,2) NULL COMMENT 'Estimated AI spend allowed per calendar month; NULL = unlimited' AFTER is_active,
+    ADD COLUMN plan_id BIGINT NULL COMMENT 'v1_plans row; NULL = the default plan' AFTER monthly_budget_usd,
+    ADD COLUMN ip_allowlist JSON NULL COMMENT 'CIDR ranges all of the user''s API keys are limited to; NULL = any address' AFTER plan_id;
+
+-- =====================================================
+-- 2. API Keys (plaintext keys are hashed in place)
+-- =====================================================
+-- Existing keys keep working with all scopes. MySQL applies SET left to right,
+-- so key_hash uses the new salt.
+ALTER TABLE v1_api_keys
+    ADD COLUMN credential_type ENUM('api_key', 'oauth_client') DEFAULT 'api_key' COMMENT 'oauth_client: the hashed secret is a client secret for /v1/oauth/token' AFTER user_id,
+    ADD COLUMN client_id VARCHAR(40) NULL COMMENT 'Public OAuth client identifier (oauth_client only)' AFTER credential_type,
+    ADD COLUMN key_prefix VARCHAR(20) NULL AFTER client_id,
+    ADD COLUMN key_hash CHAR(64) NULL AFTER key_prefix,
+    ADD COLUMN key_salt CHAR(32) NULL AFTER key_hash,
+    ADD COLUMN previous_key_hash CHAR(64) NULL COMMENT 'oauth_client: secret replaced by the last rotation, accepted until previous_secret_expires_at' AFTER key_salt,
+    ADD COLUMN previous_key_salt CHAR(32) NULL AFTER previous_key_hash,
+    ADD COLUMN previous_secret_expires_at TIMESTAMP NULL AFTER previous_key_salt,
+    ADD COLUMN scopes JSON NULL COMMENT 'verify:write, results:read, webhooks:manage, document_types:manage; NULL = all' AFTER key_salt,
+    ADD COLUMN ip_allowlist JSON NULL COMMENT 'CIDR ranges this key may be used from (on top of the user''s list); NULL = any address' AFTER scopes,
+    ADD COLUMN rotated_from_id BIGINT NULL COMMENT 'Key this one replaced' AFTER expires_at,
+    ADD COLUMN replaced_by_id BIGINT NULL COMMENT 'Successor issued by a rotation; this key expires after the overlap' AFTER rotated_from_id,
+    ADD COLUMN rotated_at TIMESTAMP NULL AFTER replaced_by_id,
+    ADD COLUMN expiry_notified_at TIMESTAMP NULL COMMENT 'When the owner was warned about the upcoming expiry' AFTER rotated_at,
+    ADD FOREIGN KEY (rotated_from_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL,
+    ADD FOREIGN KEY (replaced_by_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL,
+    ADD UNIQUE KEY unique_v1_api_keys_client_id (client_id),
+    ADD INDEX idx_v1_api_keys_prefix (key_prefix),
+    ADD INDEX idx_v1_api_keys_expiry (status, expires_at);
+
+UPDATE v1_api_keys SET key_prefix = LEFT(api_key, 11), key_salt = LOWER(HEX(RANDOM_BYTES(16))),
+    key_hash = SHA2(CONCAT(key_salt, api_key), 256);
+
+ALTER TABLE v1_api_keys
+    DROP COLUMN api_key,
+    MODIFY key_prefix VARCHAR(20) NOT NULL COMMENT 'First characters of the key, shown in lists and used for lookup',
+    MODIFY key_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of key_salt + key; the key itself is never stored',
+    MODIFY key_salt CHAR(32) NOT NULL;
+
+-- =====================================================
+-- 3. Document Master
+-- =====================================================
+ALTER TABLE v1_document_master
+    MODIFY validation_rules JSON COMMENT 'Field regexes plus optional "rules" list in the rule DSL (see RuleDslService)',
+    ADD COLUMN ai_provider VARCHAR(50) NULL COMMENT 'openai | anthropic | mock; NULL = AI_PROVIDER_OVERRIDES / V1_AI_PROVIDER' AFTER validation_rules,
+    ADD COLUMN page_rules JSON NULL COMMENT 'PDF pages to analyse, e.g. {"pages": "all", "max_pages": 3}; NULL = built-in default' AFTER ai_provider,
+    ADD COLUMN review_bands JSON NULL COMMENT 'Human review zone, e.g. {"confidence": [50, 80], "risk": [0.2, 0.7]}; NULL = decide automatically' AFTER page_rules,
+    ADD COLUMN cache_results TINYINT(1) DEFAULT 0 COMMENT 'Reuse AI results for identical files (see v1_result_cache)' AFTER review_bands,
+    ADD COLUMN version INT DEFAULT 1 COMMENT 'Bumped on every change; part of the result cache key' AFTER cache_results;
+
+-- =====================================================
+-- 4. Verification Requests
+-- =====================================================
+ALTER TABLE v1_verification_requests
+    ADD COLUMN api_key_id BIGINT NULL COMMENT 'Key the request was submitted with' AFTER user_id,
+    MODIFY status ENUM('accepted', 'processing', 'needs_review', 'verified', 'rejected', 'failed') DEFAULT 'accepted',
+    ADD COLUMN processing_token VARCHAR(64) NULL COMMENT 'Queue lease (job id:attempt) allowed to write results' AFTER issues,
+    ADD FOREIGN KEY (api_key_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_v1_vr_client_ref ON v1_verification_requests(user_id, client_reference_id);
+CREATE INDEX idx_v1_vr_user_created ON v1_verification_requests(user_id, created_at);
+
+-- =====================================================
+-- 5. Webhooks
+-- =====================================================
+ALTER TABLE v1_webhooks
+    ADD COLUMN payload_options JSON NULL COMMENT 'Extra payload sections, e.g. {"extracted_data": true, "issues": true, "fraud_indicators": true, "wrong_document": true}' AFTER events,
+    MODIFY failure_count INT DEFAULT 0 COMMENT 'Consecutive failed delivery attempts',
+    ADD COLUMN disabled_at TIMESTAMP NULL COMMENT 'Set when auto-disabled after too many failures' AFTER failure_count,
+    ADD COLUMN disabled_reason VARCHAR(255) NULL AFTER disabled_at,
+    ADD COLUMN previous_secret VARCHAR(255) NULL COMMENT 'Secret replaced by the last rotation; still signs deliveries until it expires' AFTER disabled_reason,
+    ADD COLUMN previous_secret_expires_at TIMESTAMP NULL AFTER previous_secret;
+
+-- =====================================================
+-- 6. Webhook Delivery Log
+-- =====================================================
+ALTER TABLE v1_webhook_deliveries
+    MODIFY webhook_id BIGINT NULL COMMENT 'NULL for deliveries to a bulk job callback_url',
+    ADD COLUMN bulk_job_id BIGINT NULL COMMENT 'Set for deliveries to a bulk job callback_url' AFTER webhook_id,
+    MODIFY verification_request_id BIGINT NULL COMMENT 'NULL for test pings and bulk events',
+    ADD COLUMN latency_ms INT NULL COMMENT 'Duration of the last attempt' AFTER response_body,
+    MODIFY status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending' COMMENT 'pending = awaiting first attempt or a scheduled retry',
+    MODIFY next_retry_at TIMESTAMP NULL COMMENT 'When the retry worker picks it up again; pushed forward while an attempt is in flight',
+    ADD COLUMN last_attempt_at TIMESTAMP NULL AFTER next_retry_at,
+    ADD CONSTRAINT fk_v1_delivery_bulk_job FOREIGN KEY (bulk_job_id) REFERENCES v1_bulk_jobs(id) ON DELETE CASCADE,
+    ADD INDEX idx_v1_webhook_retry (status, next_retry_at),
+    ADD INDEX idx_v1_webhook_history (webhook_id, created_at);
+
+-- =====================================================
+-- 8. Bulk Verification Jobs
+-- =====================================================
+ALTER TABLE v1_bulk_jobs
+    MODIFY callback_url TEXT NULL COMMENT 'Optional URL that receives bulk.progress and bulk.completed events',
+    ADD COLUMN callback_secret VARCHAR(255) NULL COMMENT 'Signs callback_url deliveries; returned once on submission' AFTER callback_url;
+
+-- =====================================================
+-- 10. Job Queue
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_type VARCHAR(100) NOT NULL,
+    payload JSON NULL,
+    status ENUM('queued', 'running', 'completed', 'dead') DEFAULT 'queued',
+    dedupe_key VARCHAR(191) NULL COMMENT 'Set while queued/running, cleared when finished',
+    priority INT NOT NULL DEFAULT 0,
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP COMMENT 'Job is invisible to workers until this time',
+    locked_by VARCHAR(255) NULL COMMENT 'Worker currently holding the lease',
+    locked_at TIMESTAMP NULL,
+    lease_expires_at TIMESTAMP NULL,
+    heartbeat_at TIMESTAMP NULL,
+    last_error TEXT NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_active_job (dedupe_key)
+);
+
+CREATE INDEX idx_v1_jobs_claim ON v1_jobs(status, run_at, priority);
+CREATE INDEX idx_v1_jobs_lease ON v1_jobs(status, lease_expires_at);
+
+CREATE TABLE IF NOT EXISTS v1_job_attempts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id BIGINT NOT NULL,
+    attempt INT NOT NULL,
+    worker_id VARCHAR(255) NULL,
+    status ENUM('running', 'succeeded', 'failed', 'lease_expired') DEFAULT 'running',
+    error TEXT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    FOREIGN KEY (job_id) REFERENCES v1_jobs(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_job_attempt (job_id, attempt)
+);
+
+-- =====================================================
+-- 11. Human Review Queue
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_review_tasks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    verification_request_id BIGINT NOT NULL,
+    status ENUM('pending', 'claimed', 'decided', 'cancelled') DEFAULT 'pending',
+    reasons JSON NULL COMMENT 'Why the result was sent for review',
+    assigned_to BIGINT NULL COMMENT 'Reviewer holding the claim',
+    claimed_at TIMESTAMP NULL,
+    claim_expires_at TIMESTAMP NULL COMMENT 'Claim returns to the queue after this time',
+    decision ENUM('verified', 'rejected') NULL,
+    decision_reason TEXT NULL,
+    decided_by BIGINT NULL,
+    decided_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (verification_request_id) REFERENCES v1_verification_requests(id) ON DELETE CASCADE,
+    FOREIGN KEY (assigned_to) REFERENCES v1_users(id) ON DELETE SET NULL,
+    FOREIGN KEY (decided_by) REFERENCES v1_users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_v1_review_queue ON v1_review_tasks(status, created_at);
+CREATE INDEX idx_v1_review_request ON v1_review_tasks(verification_request_id);
+
+-- =====================================================
+-- 12. User Notifications
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_notifications (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSON NULL,
+    is_read TINYINT(1) DEFAULT 0,
+    emailed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    INDEX idx_v1_notifications_user (user_id, is_read, created_at)
+);
+
+-- =====================================================
+-- 13. Idempotency Keys
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_idempotency_keys (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    api_key_id BIGINT NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of route, body and uploaded file',
+    status ENUM('processing', 'completed') DEFAULT 'processing',
+    response_status INT NULL,
+    response_body JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (api_key_id) REFERENCES v1_api_keys(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_v1_idempotency (api_key_id, idempotency_key),
+    INDEX idx_v1_idempotency_expiry (expires_at)
+);
+
+-- =====================================================
+-- 14. Result Cache
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_result_cache (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    cache_key CHAR(64) NOT NULL COMMENT 'SHA-256 of user, file hash, document type, document version and prompt version',
+    user_id BIGINT NOT NULL,
+    document_type VARCHAR(100) NOT NULL,
+    file_sha256 CHAR(64) NOT NULL,
+    document_version INT NOT NULL,
+    prompt_version VARCHAR(50) NOT NULL,
+    ai_result JSON NOT NULL,
+    source_reference_id VARCHAR(50) NULL COMMENT 'Request whose AI call produced the result',
+    hit_count INT DEFAULT 0,
+    last_hit_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_v1_result_cache (cache_key),
+    INDEX idx_v1_result_cache_expiry (expires_at)
+);
+
+-- =====================================================
+-- 15. AI Usage
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_ai_usage (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    api_key_id BIGINT NULL,
+    verification_request_id BIGINT NULL,
+    document_type VARCHAR(100) NULL,
+    provider VARCHAR(50) NULL,
+    model VARCHAR(100) NULL,
+    input_tokens INT DEFAULT 0,
+    output_tokens INT DEFAULT 0,
+    latency_ms INT NULL,
+    cost_usd DECIMAL(12,6) NULL COMMENT 'Estimate from AI_MODEL_PRICING; NULL = model has no price',
+    cached TINYINT(1) DEFAULT 0 COMMENT 'Result reused from v1_result_cache (no model call)',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_key_id) REFERENCES v1_api_keys(id) ON DELETE SET NULL,
+    FOREIGN KEY (verification_request_id) REFERENCES v1_verification_requests(id) ON DELETE SET NULL,
+    INDEX idx_v1_ai_usage_user (user_id, created_at),
+    INDEX idx_v1_ai_usage_request (verification_request_id)
+);
+
+-- =====================================================
+-- 16. Plans
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_plans (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    monthly_document_quota INT NULL COMMENT 'Documents submitted per calendar month across all keys; NULL = unlimited',
+    allowed_document_types JSON NULL COMMENT 'Array of document type codes; NULL = all types',
+    instant_access TINYINT(1) DEFAULT 1 COMMENT 'May use POST /v1/verify/instant',
+    max_bulk_size INT DEFAULT 50 COMMENT 'Documents per POST /v1/verify/bulk',
+    rate_limit INT DEFAULT 1000 COMMENT 'Highest requests per hour for any key of the user',
+    burst_limit INT DEFAULT 50 COMMENT 'Highest requests per minute for any key of the user',
+    is_default TINYINT(1) DEFAULT 0 COMMENT 'Applies to users without a plan_id',
+    is_active TINYINT(1) DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE v1_users
+    ADD CONSTRAINT fk_v1_user_plan FOREIGN KEY (plan_id) REFERENCES v1_plans(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- 17. Shared Rate Limit Counters
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_rate_limit_counters (
+    bucket_key VARCHAR(191) NOT NULL COMMENT 'Limiter key and window length, e.g. key:12|60000 or ip:login:203.0.113.5|900000',
+    window_start BIGINT NOT NULL COMMENT 'Bucket start, ms since epoch',
+    count INT NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL COMMENT 'No longer needed for the sliding window after this',
+    PRIMARY KEY (bucket_key, window_start),
+    INDEX idx_v1_rl_counters_expires (expires_at)
+);
+
+-- =====================================================
+-- 18. Plan Usage
+-- =====================================================
+CREATE TABLE IF NOT EXISTS v1_plan_usage (
+    user_id BIGINT NOT NULL,
+    period CHAR(7) NOT NULL COMMENT 'Calendar month, YYYY-MM',
+    used INT NOT NULL DEFAULT 0 COMMENT 'Documents reserved by accepted submissions',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, period),
+    FOREIGN KEY (user_id) REFERENCES v1_users(id) ON DELETE CASCADE
+);
+
+-- =====================================================
+-- 19. Seed Data
+-- =====================================================
+
+-- Default plans (users without a plan get 'free')
+INSERT INTO v1_plans (code, name, description, monthly_document_quota, allowed_document_types, instant_access, max_bulk_size, rate_limit, burst_limit, is_default) VALUES
+('free', 'Free', 'Evaluation tier', 100, NULL, 1, 10, 1000, 50, 1),
+('pro', 'Pro', 'Production workloads', 10000, NULL, 1, 50, 5000, 100, 0),
+('enterprise', 'Enterprise', 'Unlimited documents, custom limits', NULL, NULL, 1, 50, 20000, 300, 0);
+
+-- Rule DSL checks on the built-in types (left alone if an admin already added rules)
+UPDATE v1_document_master
+SET validation_rules = JSON_SET(COALESCE(validation_rules, JSON_OBJECT()), '$.rules',
+    CAST('[{"id": "validity_period", "check": "expiry_date <= issue_date + 10y", "message": "Passport validity exceeds 10 years from issue date"}]' AS JSON))
+WHERE code = 'passport' AND user_id IS NULL AND JSON_EXTRACT(validation_rules, '$.rules') IS NULL;
+
+UPDATE v1_document_master
+SET validation_rules = JSON_SET(COALESCE(validation_rules, JSON_OBJECT()), '$.rules',
+    CAST('[{"id": "percentage_range", "field": "percentage", "min": 0, "max": 100}]' AS JSON))
+WHERE code IN ('marksheet_10', 'marksheet_12') AND user_id IS NULL AND JSON_EXTRACT(validation_rules, '$.rules') IS NULL;
+
+-- Document types added since the original schema
+INSERT INTO v1_document_master (name, code, allowed_formats, max_size_mb, required_fields, validation_rules)
+SELECT 'GST Registration Certificate', 'gst_certificate', '["jpg","png","pdf"]', 5, '["legal_name","trade_name","gstin","registration_date"]', '{"gstin": "^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$"}'
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM v1_document_master WHERE code = 'gst_certificate' AND user_id IS NULL);
@@ -1,7 +1,39 @@
 const V1ApiKeyModel = require('../../models/v1/V1ApiKeyModel');
+const V1PlanModel = require('../../models/v1/V1PlanModel');
+const V1AuditModel = require('../../models/v1/V1AuditModel');
+const IpAllowlistService = require('../../services/v1/IpAllowlistService');
+const RateLimitService = require('../../services/v1/RateLimitService');
+const OAuthTokenService = require('../../services/v1/OAuthTokenService');
+
+// A misconfigured client retries constantly: audit each key/address pair at most once a minute
+const IP_DENIAL_AUDIT_INTERVAL_MS = 60 * 1000;
+const recentIpDenials = new Map();
+
+function auditIpDenial(keyData, ip, list) {
+    const now = Date.now();
+    const cacheKey = `${keyData.id}|${ip}`;
+    if (now - (recentIpDenials.get(cacheKey) || 0) < IP_DENIAL_AUDIT_INTERVAL_MS) return;
+    if (recentIpDenials.size >= 1000) {
+        for (const [k, at] of recentIpDenials) {
+            if (now - at >= IP_DENIAL_AUDIT_INTERVAL_MS) recentIpDenials.delete(k);
+        }
+    }
+    recentIpDenials.set(cacheKey, now);
+
+    V1AuditModel.log({
+        userId: keyData.user_id,
+        action: 'api_key.ip_denied',
+        resourceType: 'api_key',
+        resourceId: String(keyData.id),
+        details: { key_prefix: keyData.key_prefix, key_name: keyData.name, ip, list },
+        ipAddress: ip
+    }).catch(err => console.error('[ApiKeyAuth] IP denial audit failed:', err.message));
+}
 
 /**
- * Authenticate requests using API key from Bearer token.
+ * Authenticate requests using an API key or an OAuth access token (client-credentials
+ * grant) from the Bearer token. Both go through the same expiry, IP allowlist, plan,
+ * rate limit and scope handling; a token's limits are those of its OAuth client.
  * Attaches user info + API key info to req.apiUser
  */
 const apiKeyAuth = async (req, res, next) => {
@@ -10,7 +42,7 @@ const apiKeyAuth = async (req, res, next) => {
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
             return res.status(401).json({
                 error: 'Unauthorized',
-                message: 'Missing or invalid Authorization header. Use: Bearer {api_key}'
+                message: 'Missing or invalid Authorization header. Use: Bearer {api_key or access_token}'
             });
         }
 
@@ -22,19 +54,39 @@ const apiKeyAuth = async (req, res, next) => {
             });
         }
 
-        const keyData = await V1ApiKeyModel.findByKey(apiKey);
-        if (!keyData) {
-            return res.status(401).json({
-                error: 'Unauthorized',
-                message: 'Invalid or revoked API key'
-            });
+        let keyData;
+        let tokenScopes = null;
+        if (OAuthTokenService.isAccessToken(apiKey)) {
+            const claims = OAuthTokenService.verify(apiKey);
+            if (!claims) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Invalid or expired access token. Request a new one from POST /v1/oauth/token'
+                });
+            }
+            keyData = await V1ApiKeyModel.findActiveClientById(claims.clientKeyId);
+            if (!keyData) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'OAuth client has been revoked'
+                });
+            }
+            tokenScopes = claims.scopes;
+        } else {
+            keyData = await V1ApiKeyModel.findByKey(apiKey);
+            if (!keyData) {
+                return res.status(401).json({
+                    error: 'Unauthorized',
+                    message: 'Invalid or revoked API key'
+                });
+            }
         }
 
         // Check if key is expired
         if (keyData.expires_at && new Date(keyData.expires_at) < new Date()) {
             return res.status(401).json({
                 error: 'Unauthorized',
-                message: 'API key has expired'
+                message: tokenScopes ? 'OAuth client has expired' : 'API key has expired'
             });
         }
 
@@ -46,26 +98,44 @@ const apiKeyAuth = async (req, res, next) => {
             });
         }
 
+        // Both the user's and the key's IP allowlists must admit the caller (req.ip honours trust proxy)
+        const deniedBy = !IpAllowlistService.isAllowed(req.ip, keyData.user_ip_allowlist) ? 'user'
+            : !IpAllowlistService.isAllowed(req.ip, keyData.ip_allowlist) ? 'key'
+            : null;
+        if (deniedBy) {
+            auditIpDenial(keyData, req.ip, deniedBy);
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Requests from ${req.ip} are not allowed by the ${deniedBy === 'key' ? 'API key' : 'account'} IP allowlist`
+            });
+        }
+
+        // The user's plan caps the limits of every key, including keys created before a downgrade
+        const plan = await V1PlanModel.findForUser(keyData.user_id);
+
         // Check rate limits
-        const rateLimitResult = await V1ApiKeyModel.checkRateLimit(
+        const rateLimitResult = await RateLimitService.consumeApiKey(
             keyData.id,
-            keyData.rate_limit,
-            keyData.burst_limit
+            plan ? Math.min(keyData.rate_limit, plan.rate_limit) : keyData.rate_limit,
+            plan ? Math.min(keyData.burst_limit, plan.burst_limit) : keyData.burst_limit
         );
 
+        RateLimitService.setHeaders(res, rateLimitResult);
+        res.set('X-RateLimit-Remaining', rateLimitResult.hourly_remaining);
+        res.set('X-RateLimit-Burst-Remaining', rateLimitResult.burst_remaining);
+
         if (!rateLimitResult.allowed) {
+            const retryAfter = Math.ceil(rateLimitResult.retryAfterMs / 1000);
             return res.status(429).json({
                 error: 'Rate limit exceeded',
                 message: rateLimitResult.reason,
                 limit: rateLimitResult.limit,
-                remaining: rateLimitResult.remaining,
-                reset: rateLimitResult.reset
+                remaining: 0,
+                reset: new Date(Date.now() + retryAfter * 1000).toISOString(),
+                retry_after_seconds: retryAfter
             });
         }
 
-        // Update last used
-        V1ApiKeyModel.updateLastUsed(keyData.id).catch(() => {});
-
         // Attach user info to request
         req.apiUser = {
             userId: keyData.user_id,
@@ -73,16 +143,22 @@ const apiKeyAuth = async (req, res, next) => {
             name: keyData.user_name,
             email: keyData.user_email,
             role: keyData.user_role,
+            monthlyBudgetUsd: keyData.user_monthly_budget_usd != null ? parseFloat(keyData.user_monthly_budget_usd) : null,
+            plan,
+            keyPrefix: keyData.key_prefix,
+            authMethod: tokenScopes ? 'oauth' : 'api_key',
+            clientId: keyData.client_id || null,
+            // null for keys created before scopes existed: they keep full access. A token keeps
+            // only the scopes it was granted that its client still has.
+            scopes: tokenScopes
+                ? tokenScopes.filter(scope => !keyData.scopes || keyData.scopes.includes(scope))
+                : keyData.scopes || null,
             rateLimit: {
                 hourly_remaining: rateLimitResult.hourly_remaining,
                 burst_remaining: rateLimitResult.burst_remaining
             }
         };
 
-        // Add rate limit headers
-        res.set('X-RateLimit-Remaining', rateLimitResult.hourly_remaining);
-        res.set('X-RateLimit-Burst-Remaining', rateLimitResult.burst_remaining);
-
         next();
     } catch (error) {
         console.error('API Key Auth Error:', error);
@@ -106,4 +182,19 @@ const requireApiAdmin = (req, res, next) => {
     next();
 };
 
-module.exports = { apiKeyAuth, requireApiAdmin };
+/**
+ * Require a scope on the API key (after apiKeyAuth)
+ */
+const requireScope = (scope) => (req, res, next) => {
+    const scopes = req.apiUser && req.apiUser.scopes;
+    if (scopes && !scopes.includes(scope)) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `This API key does not have the '${scope}' scope`,
+            required_scope: scope
+        });
+    }
+    next();
+};
+
+module.exports = { apiKeyAuth, requireApiAdmin, requireScope, auditIpDenial };
@@ -0,0 +1,29 @@
+const V1AiUsageModel = require('../../models/v1/V1AiUsageModel');
+
+/**
+ * Reject new submissions once the user's estimated AI spend for the current calendar
+ * month has reached their monthly_budget_usd (after apiKeyAuth). Users without a
+ * budget are not limited. Requests already accepted still finish processing.
+ */
+const enforceBudget = async (req, res, next) => {
+    const budget = req.apiUser.monthlyBudgetUsd;
+    if (budget === null || budget === undefined) return next();
+
+    try {
+        const spent = await V1AiUsageModel.getMonthToDateCost(req.apiUser.userId);
+        if (spent >= budget) {
+            return res.status(402).json({
+                error: 'Budget exceeded',
+                message: `Monthly AI budget of $${budget.toFixed(2)} reached ($${spent.toFixed(2)} spent this month). New submissions are accepted again next month or when an admin raises the budget.`,
+                budget_usd: budget,
+                spent_usd: Math.round(spent * 100) / 100
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('[Budget] Check error:', error.message);
+        return res.status(500).json({ error: 'Internal server error', message: 'Failed to check AI budget' });
+    }
+};
+
+module.exports = { enforceBudget };
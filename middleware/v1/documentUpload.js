@@ -0,0 +1,54 @@
+const express = require('express');
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.V1_UPLOAD_MAX_MB) || 20) * 1024 * 1024;
+
+// Only the verify upload routes accept bodies this large; server.js leaves them to this parser
+const largeJsonParser = express.json({ limit: process.env.JSON_BODY_LIMIT || '30mb' });
+
+// Keep uploads in memory; FileStorageService persists them once validated
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+/**
+ * Parse the body of a v1 verify upload route: multipart requests with an
+ * optional "file" field, or JSON with the larger JSON_BODY_LIMIT (inline
+ * file_base64). Multipart text fields arrive as strings, so a JSON
+ * "metadata" field is parsed here, with or without a file.
+ */
+const documentUpload = (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+        return largeJsonParser(req, res, (err) => {
+            if (err) {
+                const message = err.type === 'entity.too.large'
+                    ? 'Request body too large. Upload large documents as multipart/form-data.'
+                    : 'Request body is not valid JSON';
+                return res.status(400).json({ error: 'Bad request', message });
+            }
+            next();
+        });
+    }
+
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `File too large. Maximum upload size is ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)}MB.`
+                : err.message;
+            return res.status(400).json({ error: 'Bad request', message });
+        }
+
+        if (typeof req.body.metadata === 'string') {
+            try {
+                req.body.metadata = JSON.parse(req.body.metadata);
+            } catch {
+                return res.status(400).json({ error: 'Bad request', message: 'metadata must be a valid JSON object' });
+            }
+        }
+
+        next();
+    });
+};
+
+module.exports = { documentUpload };
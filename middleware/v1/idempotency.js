@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const V1IdempotencyModel = require('../../models/v1/V1IdempotencyModel');
+
+const TTL_HOURS = parseInt(process.env.V1_IDEMPOTENCY_TTL_HOURS) || 24;
+// A reservation older than this is assumed abandoned (longer than any instant verification)
+const STALE_MINUTES = 15;
+const MAX_KEY_LENGTH = 255;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurge = 0;
+
+/**
+ * Fingerprint of what the client asked for: route, body and any uploaded file
+ */
+function requestHash(req) {
+    return crypto.createHash('sha256').update(JSON.stringify({
+        route: req.baseUrl + req.path,
+        body: req.body || {},
+        file: req.file ? crypto.createHash('sha256').update(req.file.buffer).digest('hex') : null
+    })).digest('hex');
+}
+
+/**
+ * Honour an optional Idempotency-Key header on v1 submission routes (after apiKeyAuth
+ * and documentUpload). Keys are scoped per API key and kept for TTL_HOURS:
+ * - first use runs the handler and stores a 2xx response (other responses free the key)
+ * - a repeat with the same request replays the stored response with Idempotent-Replayed: true
+ * - a repeat with a different request, or while the first is still running, gets 409
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+        return res.status(400).json({
+            error: 'Bad request',
+            message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters without spaces`
+        });
+    }
+
+    let reservation;
+    try {
+        if (Date.now() - lastPurge > PURGE_INTERVAL_MS) {
+            lastPurge = Date.now();
+            V1IdempotencyModel.purgeExpired().catch(err => {
+                console.error('[Idempotency] Purge error:', err.message);
+            });
+        }
+
+        reservation = await V1IdempotencyModel.reserve({
+            apiKeyId: req.apiUser.apiKeyId,
+            key,
+            requestHash: requestHash(req),
+            ttlHours: TTL_HOURS,
+            staleMinutes: STALE_MINUTES
+        });
+    } catch (error) {
+        console.error('[Idempotency] Reserve error:', error.message);
+        return res.status(500).json({ error: 'Internal server error', message: 'Failed to check Idempotency-Key' });
+    }
+
+    if (reservation.state === 'replay') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(reservation.record.response_status).json(reservation.record.response_body);
+    }
+    if (reservation.state === 'mismatch') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'This Idempotency-Key was already used with a different request'
+        });
+    }
+    if (reservation.state === 'in_progress') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: 'A request with this Idempotency-Key is still being processed. Retry shortly.'
+        });
+    }
+
+    // Store the handler's response before it is sent, so a retry that races the
+    // response still finds it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const status = res.statusCode;
+        const settle = status >= 200 && status < 300
+            ? V1IdempotencyModel.complete(reservation.id, status, body)
+            : V1IdempotencyModel.release(reservation.id);
+        settle
+            .catch(err => console.error('[Idempotency] Store error:', err.message))
+            .finally(() => originalJson(body));
+        return res;
+    };
+    next();
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,99 @@
+const V1PlanModel = require('../../models/v1/V1PlanModel');
+
+// Applies when no plan exists at all (no default plan configured)
+const DEFAULT_MAX_BULK_SIZE = 50;
+
+function nextMonthStart() {
+    const reset = new Date();
+    reset.setDate(1);
+    reset.setHours(0, 0, 0, 0);
+    reset.setMonth(reset.getMonth() + 1);
+    return reset;
+}
+
+/**
+ * Enforce the user's plan on a submission route (after apiKeyAuth, which loads the plan):
+ * - instant: the plan must include instant verification
+ * - bulk: documents come from body.documents and are capped at max_bulk_size
+ * - every document_type must be in allowed_document_types (when set)
+ * - the submission must fit in what is left of monthly_document_quota; the quota is
+ *   shared by all of the user's keys and reported in X-Quota-* headers. Documents are
+ *   reserved up front and given back when the route does not accept the submission.
+ */
+const enforcePlan = ({ instant = false, bulk = false } = {}) => async (req, res, next) => {
+    const plan = req.apiUser.plan;
+    const documents = bulk
+        ? (Array.isArray(req.body.documents) ? req.body.documents : [])
+        : [req.body];
+
+    if (bulk) {
+        const maxBulkSize = plan ? plan.max_bulk_size : DEFAULT_MAX_BULK_SIZE;
+        if (documents.length > maxBulkSize) {
+            return res.status(400).json({
+                error: 'Bad request',
+                message: `Maximum ${maxBulkSize} documents per bulk request${plan ? ` on the ${plan.name} plan` : ''}`
+            });
+        }
+    }
+
+    if (!plan) return next();
+
+    if (instant && !plan.instant_access) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `Instant verification is not included in the ${plan.name} plan. Use POST /v1/verify instead.`
+        });
+    }
+
+    if (Array.isArray(plan.allowed_document_types)) {
+        const allowed = plan.allowed_document_types.map(code => String(code).toLowerCase());
+        const denied = [...new Set(documents
+            .map(doc => doc && doc.document_type)
+            .filter(code => code && !allowed.includes(String(code).toLowerCase())))];
+        if (denied.length > 0) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Document type${denied.length > 1 ? 's' : ''} ${denied.map(code => `'${code}'`).join(', ')} not included in the ${plan.name} plan`,
+                allowed_document_types: plan.allowed_document_types
+            });
+        }
+    }
+
+    if (plan.monthly_document_quota === null) return next();
+
+    try {
+        const quota = plan.monthly_document_quota;
+        const requested = Math.max(documents.length, 1);
+        const { reserved, used, period } = await V1PlanModel.reserveQuota(req.apiUser.userId, requested, quota);
+        const reset = nextMonthStart().toISOString();
+
+        res.set('X-Quota-Limit', quota);
+        res.set('X-Quota-Reset', reset);
+
+        if (!reserved) {
+            res.set('X-Quota-Remaining', Math.max(0, quota - used));
+            return res.status(429).json({
+                error: 'Quota exceeded',
+                message: `Monthly quota of ${quota} documents on the ${plan.name} plan ${used >= quota ? 'reached' : `leaves room for ${quota - used} more`}. Resets at ${reset}.`,
+                quota,
+                used,
+                requested,
+                reset
+            });
+        }
+
+        res.on('finish', () => {
+            if (res.statusCode < 400) return;
+            V1PlanModel.releaseQuota(req.apiUser.userId, period, requested)
+                .catch(err => console.error('[Plan] Quota release error:', err.message));
+        });
+
+        res.set('X-Quota-Remaining', Math.max(0, quota - used));
+        next();
+    } catch (error) {
+        console.error('[Plan] Quota check error:', error.message);
+        return res.status(500).json({ error: 'Internal server error', message: 'Failed to check plan quota' });
+    }
+};
+
+module.exports = { enforcePlan };
@@ -1,51 +1,67 @@
+const net = require('net');
+const RateLimitService = require('../../services/v1/RateLimitService');
+
 /**
- * In-memory rate limiter for general endpoints (non-API-key routes like login/register).
+ * Limiter key for a client address. An IPv6 subscriber is usually given a whole /64,
+ * so IPv6 clients are counted per /64 prefix rather than per address.
+ */
+function clientKey(ip) {
+    if (!ip) return 'unknown';
+    const address = ip.split('%')[0];
+    if (!net.isIPv6(address)) return address;
+
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return mapped[1];
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    // An embedded IPv4 tail fills two groups
+    const tailSize = tailGroups.length + (tailGroups.some(g => g.includes('.')) ? 1 : 0);
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailSize)).fill('0'), ...tailGroups];
+
+    return `${groups.slice(0, 4).map(g => parseInt(g, 16).toString(16)).join(':')}::/64`;
+}
+
+/**
+ * IP-based rate limiter for general endpoints (non-API-key routes like login/register).
  * For API-key-authenticated routes, rate limiting is handled in apiKeyAuth middleware.
+ * Each limiter counts separately (by name) in a sliding window shared with the API key
+ * limits' store, so limits hold across nodes when the mysql store is configured.
+ * Clients are keyed by IPv4 address or IPv6 /64 (see clientKey).
  */
-const rateLimitStore = new Map();
-
-// Clean up old entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [key, data] of rateLimitStore) {
-        if (now - data.windowStart > 3600000) {
-            rateLimitStore.delete(key);
-        }
-    }
-}, 300000);
-
-function createRateLimiter({ windowMs = 60000, maxRequests = 30, message = 'Too many requests' } = {}) {
-    return (req, res, next) => {
-        const key = req.ip || req.connection.remoteAddress || 'unknown';
-        const now = Date.now();
-
-        let record = rateLimitStore.get(key);
-        if (!record || now - record.windowStart > windowMs) {
-            record = { windowStart: now, count: 0 };
-            rateLimitStore.set(key, record);
-        }
+function createRateLimiter({ name, windowMs = 60000, maxRequests = 30, message = 'Too many requests' } = {}) {
+    const prefix = `ip:${name || `${windowMs}:${maxRequests}`}:`;
 
-        record.count++;
+    return async (req, res, next) => {
+        const key = clientKey(req.ip || req.connection.remoteAddress);
 
-        if (record.count > maxRequests) {
-            const retryAfter = Math.ceil((record.windowStart + windowMs - now) / 1000);
-            res.set('Retry-After', retryAfter);
+        let result;
+        try {
+            result = await RateLimitService.consume(prefix + key, maxRequests, windowMs);
+        } catch (error) {
+            // Never lock everyone out because the store is unavailable
+            console.error('[RateLimiter] Store error:', error.message);
+            return next();
+        }
+
+        RateLimitService.setHeaders(res, result);
+        if (!result.allowed) {
             return res.status(429).json({
                 error: 'Rate limit exceeded',
                 message,
-                retry_after_seconds: retryAfter
+                retry_after_seconds: Math.ceil(result.retryAfterMs / 1000)
             });
         }
-
-        res.set('X-RateLimit-Limit', maxRequests);
-        res.set('X-RateLimit-Remaining', Math.max(0, maxRequests - record.count));
         next();
     };
 }
 
 // Pre-configured limiters
-const loginLimiter = createRateLimiter({ windowMs: 900000, maxRequests: 10, message: 'Too many login attempts. Try again in 15 minutes.' });
-const registerLimiter = createRateLimiter({ windowMs: 3600000, maxRequests: 10, message: 'Too many registration attempts. Try again later.' });
-const generalLimiter = createRateLimiter({ windowMs: 60000, maxRequests: 60, message: 'Too many requests. Slow down.' });
+const loginLimiter = createRateLimiter({ name: 'login', windowMs: 900000, maxRequests: 10, message: 'Too many login attempts. Try again in 15 minutes.' });
+const registerLimiter = createRateLimiter({ name: 'register', windowMs: 3600000, maxRequests: 10, message: 'Too many registration attempts. Try again later.' });
+const generalLimiter = createRateLimiter({ name: 'general', windowMs: 60000, maxRequests: 60, message: 'Too many requests. Slow down.' });
 
 module.exports = { createRateLimiter, loginLimiter, registerLimiter, generalLimiter };
@@ -1,5 +1,6 @@
 const { URL } = require('url');
 const dns = require('dns');
+const net = require('net');
 const { promisify } = require('util');
 
 const dnsResolve = promisify(dns.resolve4);
@@ -14,7 +15,7 @@ const PRIVATE_IP_RANGES = [
     /^0\./,                      // Current network
     /^100\.(6[4-9]|[7-9]\d|1[0-2]\d)\./, // Shared address space
     /^198\.1[89]\./,             // Benchmarking
-    /^::1$/,                     // IPv6 loopback
+    /^::1?$/,                    // IPv6 loopback / unspecified
     /^fc00:/i,                   // IPv6 unique local
     /^fe80:/i,                   // IPv6 link-local
     /^fd/i,                      // IPv6 private
@@ -24,9 +25,39 @@ const PRIVATE_IP_RANGES = [
 const ALLOWED_PROTOCOLS = ['http:', 'https:'];
 
 function isPrivateIP(ip) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs normalize it) is checked
+    // as the IPv4 address it maps to
+    const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(ip);
+    if (dotted) ip = dotted[1];
+    if (hex) {
+        const high = parseInt(hex[1], 16);
+        const low = parseInt(hex[2], 16);
+        ip = [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
     return PRIVATE_IP_RANGES.some(range => range.test(ip));
 }
 
+/**
+ * dns.lookup replacement for outbound requests: fails with ESSRFBLOCKED when the host
+ * resolves to a private address. Checking at connect time (rather than only when a URL
+ * is saved) also stops DNS rebinding.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    if (typeof options === 'function') { callback = options; options = {}; }
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => isPrivateIP(a.address));
+        if (blocked) {
+            const error = new Error(`${hostname} resolves to a private IP address`);
+            error.code = 'ESSRFBLOCKED';
+            return callback(error);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
 /**
  * Validates a URL to prevent SSRF attacks.
  * Checks protocol, hostname, and resolved IP addresses.
@@ -44,17 +75,18 @@ async function validateUrl(fileUrl) {
         return { valid: false, reason: `Protocol not allowed: ${parsed.protocol}. Only HTTP/HTTPS allowed.` };
     }
 
-    // Block localhost variants
-    const hostname = parsed.hostname.toLowerCase();
-    if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1' || hostname === '0.0.0.0') {
+    // Block localhost variants (IPv6 literals come bracketed: [::1])
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '127.0.0.1' || hostname === '::1' || hostname === '0.0.0.0') {
         return { valid: false, reason: 'Localhost URLs are not allowed' };
     }
 
-    // Block IP addresses in private ranges
-    if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname)) {
+    // Block IP addresses in private ranges; literals are not resolved any further
+    if (net.isIP(hostname)) {
         if (isPrivateIP(hostname)) {
             return { valid: false, reason: 'Private IP addresses are not allowed' };
         }
+        return { valid: true, url: parsed.href };
     }
 
     // Resolve hostname and check IPs
@@ -96,4 +128,4 @@ const ssrfProtectionMiddleware = async (req, res, next) => {
     next();
 };
 
-module.exports = { validateUrl, ssrfProtectionMiddleware, isPrivateIP };
+module.exports = { validateUrl, ssrfProtectionMiddleware, isPrivateIP, publicOnlyLookup };
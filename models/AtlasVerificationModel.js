@@ -22,6 +22,7 @@ class AtlasVerificationModel {
                     skipped INT DEFAULT 0,
                     all_documents JSON DEFAULT NULL,
                     verified_documents JSON DEFAULT NULL,
+                    consistency JSON DEFAULT NULL,
                     start_time DATETIME DEFAULT NULL,
                     end_time DATETIME DEFAULT NULL,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -53,6 +54,28 @@ class AtlasVerificationModel {
                 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
             `);
 
+            await conn.query(`
+                CREATE TABLE IF NOT EXISTS atlas_ai_usage (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    appln_id VARCHAR(100) NOT NULL,
+                    document_type_id VARCHAR(100) DEFAULT NULL,
+                    document_label VARCHAR(255) DEFAULT NULL,
+                    provider VARCHAR(50) DEFAULT NULL,
+                    model VARCHAR(100) DEFAULT NULL,
+                    input_tokens INT DEFAULT 0,
+                    output_tokens INT DEFAULT 0,
+                    latency_ms INT DEFAULT NULL,
+                    cost_usd DECIMAL(12,6) DEFAULT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_appln (appln_id),
+                    INDEX idx_created (created_at)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves older tables untouched
+            await conn.query('ALTER TABLE atlas_verification_results ADD COLUMN consistency JSON DEFAULT NULL AFTER verified_documents')
+                .catch(err => { if (err.code !== 'ER_DUP_FIELDNAME') throw err; });
+
             console.log('[AtlasVerification] Database tables initialized');
         } catch (err) {
             console.error('[AtlasVerification] Table init error:', err.message);
@@ -61,6 +84,15 @@ class AtlasVerificationModel {
         }
     }
 
+    /**
+     * JSON columns come back as strings or objects depending on the driver settings
+     */
+    static _parseJson(value) {
+        if (value == null) return null;
+        if (typeof value !== 'string') return value;
+        try { return JSON.parse(value); } catch (e) { return null; }
+    }
+
     // ==================== STUDENT RESULTS ====================
 
     /**
@@ -71,8 +103,8 @@ class AtlasVerificationModel {
         try {
             await conn.query(`
                 INSERT INTO atlas_verification_results
-                    (appln_id, student_name, status, total_docs, uploaded, approved, rejected, errors, skipped, all_documents, verified_documents, start_time, end_time)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    (appln_id, student_name, status, total_docs, uploaded, approved, rejected, errors, skipped, all_documents, verified_documents, consistency, start_time, end_time)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 ON DUPLICATE KEY UPDATE
                     student_name = VALUES(student_name),
                     status = VALUES(status),
@@ -84,6 +116,7 @@ class AtlasVerificationModel {
                     skipped = VALUES(skipped),
                     all_documents = VALUES(all_documents),
                     verified_documents = VALUES(verified_documents),
+                    consistency = VALUES(consistency),
                     start_time = VALUES(start_time),
                     end_time = VALUES(end_time)
             `, [
@@ -98,6 +131,7 @@ class AtlasVerificationModel {
                 0,
                 JSON.stringify(result.allDocuments || []),
                 JSON.stringify(result.documents || []),
+                result.consistency ? JSON.stringify(result.consistency) : null,
                 result.startTime || null,
                 result.endTime || null
             ]);
@@ -125,13 +159,14 @@ class AtlasVerificationModel {
      */
     static async getAllResults() {
         const [rows] = await pool.query(`
-            SELECT appln_id, student_name, status, total_docs, uploaded, approved, rejected, errors, skipped, end_time as verified_at, updated_at, all_documents
+            SELECT appln_id, student_name, status, total_docs, uploaded, approved, rejected, errors, skipped, end_time as verified_at, updated_at, all_documents, consistency
             FROM atlas_verification_results
             ORDER BY updated_at DESC
         `);
         return rows.map(r => {
             let allDocs = [];
             try { allDocs = JSON.parse(r.all_documents) || []; } catch (e) {}
+            const consistency = this._parseJson(r.consistency);
             const requiredDocs = allDocs.filter(d => d.is_required);
             const docsWithConf = allDocs.filter(d => d.confidence && d.confidence > 0);
             const avgConfidence = docsWithConf.length > 0
@@ -152,6 +187,7 @@ class AtlasVerificationModel {
                 requiredUploaded: requiredDocs.filter(d => d.is_uploaded).length,
                 requiredVerified: requiredDocs.filter(d => d.ai_status === 'Verified').length,
                 requiredRejected: requiredDocs.filter(d => d.ai_status === 'reject').length,
+                consistencyConflicts: consistency ? consistency.conflicts.length : 0,
                 verifiedAt: r.verified_at
             };
         });
@@ -186,7 +222,8 @@ class AtlasVerificationModel {
             rejected: r.rejected,
             errors: r.errors,
             allDocuments,
-            documents
+            documents,
+            consistency: this._parseJson(r.consistency)
         };
     }
 
@@ -236,7 +273,8 @@ class AtlasVerificationModel {
                 rejected: r.rejected,
                 errors: r.errors,
                 allDocuments,
-                documents
+                documents,
+                consistency: this._parseJson(r.consistency)
             });
         }
         return map;
@@ -284,6 +322,51 @@ class AtlasVerificationModel {
         }
     }
 
+    /**
+     * Record the token usage and estimated cost of one document verification
+     */
+    static async recordUsage({ applnID, documentTypeId, documentLabel, usage }) {
+        await pool.query(
+            `INSERT INTO atlas_ai_usage
+                (appln_id, document_type_id, document_label, provider, model, input_tokens, output_tokens, latency_ms, cost_usd)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                String(applnID),
+                documentTypeId != null ? String(documentTypeId) : null,
+                documentLabel || null,
+                usage.provider || null,
+                usage.model || null,
+                usage.input_tokens || 0,
+                usage.output_tokens || 0,
+                usage.latency_ms != null ? usage.latency_ms : null,
+                usage.cost_usd != null ? usage.cost_usd : null
+            ]
+        );
+    }
+
+    /**
+     * Totals and per-model breakdown of AI usage, optionally for the current month only
+     */
+    static async getUsageSummary({ monthToDate = false } = {}) {
+        const where = monthToDate ? "WHERE created_at >= DATE_FORMAT(NOW(), '%Y-%m-01')" : '';
+        const [[totals]] = await pool.query(
+            `SELECT COUNT(*) as calls,
+                    COALESCE(SUM(input_tokens), 0) as input_tokens,
+                    COALESCE(SUM(output_tokens), 0) as output_tokens,
+                    COALESCE(SUM(cost_usd), 0) as cost_usd,
+                    AVG(latency_ms) as avg_latency_ms
+             FROM atlas_ai_usage ${where}`
+        );
+        const [byModel] = await pool.query(
+            `SELECT provider, model, COUNT(*) as calls,
+                    SUM(input_tokens) as input_tokens, SUM(output_tokens) as output_tokens,
+                    COALESCE(SUM(cost_usd), 0) as cost_usd
+             FROM atlas_ai_usage ${where}
+             GROUP BY provider, model ORDER BY cost_usd DESC`
+        );
+        return { totals, by_model: byModel };
+    }
+
     /**
      * Get recent runs
      */
@@ -0,0 +1,80 @@
+const pool = require('../config/database');
+
+/**
+ * Exact (SHA-256) and perceptual (64-bit dHash) fingerprints of every downloaded document,
+ * shared by the v1 API and the Atlas scheduler for reused-document detection.
+ * `scope` keeps tenants apart ('atlas' or 'v1:<userId>'); `owner_ref` identifies the
+ * applicant (applnID or client_reference_id); `document_ref` the document itself and
+ * `document_number` its extracted roll/certificate/ID number.
+ */
+class DocumentFingerprintModel {
+
+    static async initTables() {
+        try {
+            await pool.query(`
+                CREATE TABLE IF NOT EXISTS document_fingerprints (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    scope VARCHAR(100) NOT NULL,
+                    owner_ref VARCHAR(255) DEFAULT NULL,
+                    document_ref VARCHAR(255) NOT NULL,
+                    document_label VARCHAR(255) DEFAULT NULL,
+                    person_name VARCHAR(255) DEFAULT NULL,
+                    document_number VARCHAR(100) DEFAULT NULL,
+                    sha256 CHAR(64) NOT NULL,
+                    phash BIGINT UNSIGNED DEFAULT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    UNIQUE KEY idx_scope_document (scope, document_ref),
+                    INDEX idx_scope_sha (scope, sha256)
+                ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+            `);
+
+            // Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves older tables untouched
+            await pool.query('ALTER TABLE document_fingerprints ADD COLUMN document_number VARCHAR(100) DEFAULT NULL AFTER person_name')
+                .catch(err => { if (err.code !== 'ER_DUP_FIELDNAME') throw err; });
+        } catch (err) {
+            console.error('[DocumentFingerprint] Table init error:', err.message);
+        }
+    }
+
+    /**
+     * Save or refresh the fingerprint of one document (re-verification replaces it)
+     */
+    static async record({ scope, ownerRef, documentRef, documentLabel, personName, documentNumber, sha256, phash }) {
+        await pool.query(`
+            INSERT INTO document_fingerprints
+                (scope, owner_ref, document_ref, document_label, person_name, document_number, sha256, phash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, CAST(? AS UNSIGNED))
+            ON DUPLICATE KEY UPDATE
+                owner_ref = VALUES(owner_ref),
+                document_label = VALUES(document_label),
+                person_name = VALUES(person_name),
+                document_number = VALUES(document_number),
+                sha256 = VALUES(sha256),
+                phash = VALUES(phash)
+        `, [scope, ownerRef || null, documentRef, documentLabel || null, personName || null, documentNumber || null, sha256, phash]);
+    }
+
+    /**
+     * Other documents in the scope with the same bytes or a perceptual hash within maxDistance bits
+     * (perceptual matches are candidates; the caller confirms them on document_number).
+     * `phash` is a decimal string (or null to match on the exact hash only).
+     */
+    static async findMatches({ scope, documentRef, sha256, phash, maxDistance, limit = 100 }) {
+        const distance = phash != null ? 'BIT_COUNT(phash ^ CAST(? AS UNSIGNED))' : 'NULL';
+        const params = phash != null ? [phash, scope, documentRef, sha256, phash, maxDistance] : [scope, documentRef, sha256];
+
+        const [rows] = await pool.query(`
+            SELECT owner_ref, document_ref, document_label, person_name, document_number, sha256, created_at,
+                   ${distance} AS distance
+            FROM document_fingerprints
+            WHERE scope = ? AND document_ref != ?
+              AND (sha256 = ?${phash != null ? ' OR (phash IS NOT NULL AND BIT_COUNT(phash ^ CAST(? AS UNSIGNED)) <= ?)' : ''})
+            ORDER BY created_at DESC
+            LIMIT ?
+        `, [...params, limit]);
+        return rows;
+    }
+}
+
+module.exports = DocumentFingerprintModel;
@@ -0,0 +1,114 @@
+const pool = require('../../config/database');
+
+const MONTH_START = "DATE_FORMAT(NOW(), '%Y-%m-01')";
+
+/**
+ * Ledger of AI calls made for v1 verification requests: tokens, model, latency and
+ * estimated cost. One row per call, so reprocessed requests are counted each time.
+ */
+class V1AiUsageModel {
+    static async record({ userId, apiKeyId, verificationRequestId, documentType, usage }) {
+        await pool.query(
+            `INSERT INTO v1_ai_usage
+                (user_id, api_key_id, verification_request_id, document_type, provider, model,
+                 input_tokens, output_tokens, latency_ms, cost_usd, cached)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId,
+                apiKeyId || null,
+                verificationRequestId || null,
+                documentType || null,
+                usage.provider || null,
+                usage.model || null,
+                usage.input_tokens || 0,
+                usage.output_tokens || 0,
+                usage.latency_ms != null ? usage.latency_ms : null,
+                usage.cost_usd != null ? usage.cost_usd : null,
+                usage.cached ? 1 : 0
+            ]
+        );
+    }
+
+    /**
+     * Estimated spend of a user since the start of the current calendar month
+     */
+    static async getMonthToDateCost(userId) {
+        const [[row]] = await pool.query(
+            `SELECT COALESCE(SUM(cost_usd), 0) as cost_usd FROM v1_ai_usage
+             WHERE user_id = ? AND created_at >= ${MONTH_START}`,
+            [userId]
+        );
+        return parseFloat(row.cost_usd);
+    }
+
+    /**
+     * Totals plus breakdowns by model and API key, optionally for one user and/or the current month
+     */
+    static async getSummary({ userId, monthToDate = false } = {}) {
+        const conditions = [];
+        const params = [];
+        if (userId) { conditions.push('u.user_id = ?'); params.push(userId); }
+        if (monthToDate) conditions.push(`u.created_at >= ${MONTH_START}`);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [[totals]] = await pool.query(
+            `SELECT COUNT(*) as calls,
+                    COALESCE(SUM(u.cached), 0) as cache_hits,
+                    COALESCE(SUM(u.input_tokens), 0) as input_tokens,
+                    COALESCE(SUM(u.output_tokens), 0) as output_tokens,
+                    COALESCE(SUM(u.cost_usd), 0) as cost_usd,
+                    AVG(CASE WHEN u.cached = 0 THEN u.latency_ms END) as avg_latency_ms
+             FROM v1_ai_usage u ${where}`,
+            params
+        );
+        const [byModel] = await pool.query(
+            `SELECT u.provider, u.model, COUNT(*) as calls,
+                    SUM(u.input_tokens) as input_tokens, SUM(u.output_tokens) as output_tokens,
+                    COALESCE(SUM(u.cost_usd), 0) as cost_usd, AVG(u.latency_ms) as avg_latency_ms
+             FROM v1_ai_usage u ${where ? where + ' AND' : 'WHERE'} u.cached = 0
+             GROUP BY u.provider, u.model ORDER BY cost_usd DESC`,
+            params
+        );
+        const [byApiKey] = await pool.query(
+            `SELECT u.api_key_id, k.name as api_key_name, COUNT(*) as calls,
+                    SUM(u.input_tokens) as input_tokens, SUM(u.output_tokens) as output_tokens,
+                    COALESCE(SUM(u.cost_usd), 0) as cost_usd
+             FROM v1_ai_usage u LEFT JOIN v1_api_keys k ON u.api_key_id = k.id ${where}
+             GROUP BY u.api_key_id, k.name ORDER BY cost_usd DESC`,
+            params
+        );
+
+        return {
+            totals: {
+                calls: totals.calls,
+                cache_hits: parseInt(totals.cache_hits),
+                input_tokens: parseInt(totals.input_tokens),
+                output_tokens: parseInt(totals.output_tokens),
+                cost_usd: parseFloat(totals.cost_usd),
+                avg_latency_ms: totals.avg_latency_ms ? Math.round(totals.avg_latency_ms) : null
+            },
+            by_model: byModel,
+            by_api_key: byApiKey
+        };
+    }
+
+    /**
+     * Spend per user (admin analytics), highest first
+     */
+    static async getByUser({ monthToDate = false, limit = 20 } = {}) {
+        const [rows] = await pool.query(
+            `SELECT u.user_id, usr.name as user_name, usr.email as user_email, usr.monthly_budget_usd,
+                    COUNT(*) as calls,
+                    SUM(u.input_tokens) as input_tokens, SUM(u.output_tokens) as output_tokens,
+                    COALESCE(SUM(u.cost_usd), 0) as cost_usd
+             FROM v1_ai_usage u JOIN v1_users usr ON u.user_id = usr.id
+             ${monthToDate ? `WHERE u.created_at >= ${MONTH_START}` : ''}
+             GROUP BY u.user_id, usr.name, usr.email, usr.monthly_budget_usd
+             ORDER BY cost_usd DESC LIMIT ?`,
+            [limit]
+        );
+        return rows;
+    }
+}
+
+module.exports = V1AiUsageModel;
@@ -1,9 +1,78 @@
 const pool = require('../../config/database');
 const crypto = require('crypto');
 
+// Only the first characters of a key ("vk_" + 8 hex) are stored in clear: they find the
+// row and identify the key in lists. The full key is kept as a salted SHA-256 hash, which
+// is enough for 256-bit random secrets and cheap enough to check on every request.
+const KEY_PREFIX_LENGTH = 11;
+const SCOPES = ['verify:write', 'results:read', 'webhooks:manage', 'document_types:manage'];
+// oauth_client rows hold a client secret ("vcs_...") exchanged at /v1/oauth/token for
+// short-lived access tokens; the secret itself is never accepted as a bearer credential
+const CREDENTIAL_TYPES = ['api_key', 'oauth_client'];
+// Everything but the hashes and salts
+const KEY_COLUMNS = 'id, user_id, credential_type, client_id, key_prefix, scopes, ip_allowlist, name, rate_limit, burst_limit, status, last_used_at, expires_at, rotated_from_id, replaced_by_id, rotated_at, previous_secret_expires_at, created_at';
+
+// Key row plus the owner fields authentication needs
+const AUTH_SELECT = `SELECT k.*, u.name as user_name, u.email as user_email, u.role as user_role, u.is_active as user_active,
+                    u.monthly_budget_usd as user_monthly_budget_usd, u.ip_allowlist as user_ip_allowlist
+             FROM v1_api_keys k
+             JOIN v1_users u ON k.user_id = u.id`;
+
 class V1ApiKeyModel {
-    static generateApiKey() {
-        return 'vk_' + crypto.randomBytes(32).toString('hex');
+    static generateApiKey(credentialType = 'api_key') {
+        return (credentialType === 'oauth_client' ? 'vcs_' : 'vk_') + crypto.randomBytes(32).toString('hex');
+    }
+
+    static keyPrefix(apiKey) {
+        return apiKey.substring(0, KEY_PREFIX_LENGTH);
+    }
+
+    static hashKey(apiKey, salt) {
+        return crypto.createHash('sha256').update(salt + apiKey).digest('hex');
+    }
+
+    /**
+     * Check a requested scope list; returns an error message or null
+     */
+    static validateScopes(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return `scopes must be a non-empty array of: ${SCOPES.join(', ')}`;
+        }
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            return `Unknown scope(s): ${unknown.join(', ')}. Valid: ${SCOPES.join(', ')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Constant-time check of a secret against a row's salted hash
+     */
+    static _secretMatches(row, secret) {
+        const expected = Buffer.from(row.key_hash, 'hex');
+        const actual = Buffer.from(this.hashKey(secret, row.key_salt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Drop the hashes and salts from an authentication row
+     */
+    static _stripSecrets(row) {
+        delete row.key_hash;
+        delete row.key_salt;
+        delete row.previous_key_hash;
+        delete row.previous_key_salt;
+        return row;
+    }
+
+    static _parse(row) {
+        if (!row) return null;
+        row.scopes = typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes;
+        row.ip_allowlist = typeof row.ip_allowlist === 'string' ? JSON.parse(row.ip_allowlist) : row.ip_allowlist;
+        if (row.user_ip_allowlist !== undefined) {
+            row.user_ip_allowlist = typeof row.user_ip_allowlist === 'string' ? JSON.parse(row.user_ip_allowlist) : row.user_ip_allowlist;
+        }
+        return row;
     }
 
     static getDefaultExpiry() {
@@ -12,136 +81,276 @@ class V1ApiKeyModel {
         return expiry;
     }
 
-    static async create({ userId, name = 'Default', rateLimit = 1000, burstLimit = 50, expiresAt = undefined }) {
+    /**
+     * Create a key. The plaintext api_key is only returned here; it cannot be recovered later.
+     * For an oauth_client, api_key is the client secret and client_id is generated alongside.
+     */
+    static async create({ userId, credentialType = 'api_key', name = 'Default', rateLimit = 1000, burstLimit = 50, expiresAt = undefined, scopes = SCOPES, ipAllowlist = null, rotatedFromId = null }, conn = pool) {
         if (expiresAt === undefined) {
             expiresAt = this.getDefaultExpiry();
         }
-        const apiKey = this.generateApiKey();
-        const [result] = await pool.query(
-            'INSERT INTO v1_api_keys (user_id, api_key, name, rate_limit, burst_limit, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
-            [userId, apiKey, name, rateLimit, burstLimit, expiresAt]
+        const apiKey = this.generateApiKey(credentialType);
+        const clientId = credentialType === 'oauth_client' ? 'vc_' + crypto.randomBytes(12).toString('hex') : null;
+        const salt = crypto.randomBytes(16).toString('hex');
+        const keyPrefix = this.keyPrefix(apiKey);
+        const [result] = await conn.query(
+            `INSERT INTO v1_api_keys (user_id, credential_type, client_id, key_prefix, key_hash, key_salt, scopes, ip_allowlist, name, rate_limit, burst_limit, expires_at, rotated_from_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, credentialType, clientId, keyPrefix, this.hashKey(apiKey, salt), salt, JSON.stringify(scopes), ipAllowlist ? JSON.stringify(ipAllowlist) : null, name, rateLimit, burstLimit, expiresAt, rotatedFromId]
         );
-        return { id: result.insertId, api_key: apiKey };
+        return { id: result.insertId, api_key: apiKey, client_id: clientId, credential_type: credentialType, key_prefix: keyPrefix, scopes, expires_at: expiresAt };
+    }
+
+    /**
+     * Issue a successor for a user's active key with the same name, scopes, limits and IP allowlist.
+     * The old key keeps working for overlapHours (never longer than it would have anyway)
+     * and then expires. An oauth_client keeps its row and client_id and only gets a new
+     * secret; the old secret is accepted for the overlap. Returns { state, ... }:
+     * - 'rotated': { successor, previous_expires_at }
+     * - 'already_rotated': the key has a successor already ({ key })
+     * - 'not_found': no such active key for the user
+     */
+    static async rotate(id, userId, { overlapHours, expiresAt }) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            const [rows] = await conn.query(
+                `SELECT ${KEY_COLUMNS} FROM v1_api_keys
+                 WHERE id = ? AND user_id = ? AND status = 'active' AND (expires_at IS NULL OR expires_at > NOW())
+                 FOR UPDATE`,
+                [id, userId]
+            );
+            const key = this._parse(rows[0]);
+            if (!key) {
+                await conn.rollback();
+                return { state: 'not_found' };
+            }
+            if (key.replaced_by_id) {
+                await conn.rollback();
+                return { state: 'already_rotated', key };
+            }
+
+            const overlapEnd = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+            const previousExpiresAt = key.expires_at && new Date(key.expires_at) < overlapEnd
+                ? new Date(key.expires_at)
+                : overlapEnd;
+
+            if (key.credential_type === 'oauth_client') {
+                const successor = await this._rotateClientSecret(key, { previousExpiresAt, keepPrevious: overlapHours > 0, expiresAt }, conn);
+                await conn.commit();
+                return { state: 'rotated', successor, previous_expires_at: overlapHours > 0 ? previousExpiresAt : null };
+            }
+
+            const successor = await this.create({
+                userId,
+                credentialType: key.credential_type,
+                name: key.name,
+                rateLimit: key.rate_limit,
+                burstLimit: key.burst_limit,
+                expiresAt,
+                scopes: key.scopes || SCOPES,
+                ipAllowlist: key.ip_allowlist,
+                rotatedFromId: key.id
+            }, conn);
+
+            await conn.query(
+                'UPDATE v1_api_keys SET replaced_by_id = ?, rotated_at = NOW(), expires_at = ? WHERE id = ?',
+                [successor.id, previousExpiresAt, key.id]
+            );
+
+            await conn.commit();
+            return { state: 'rotated', successor, previous_expires_at: previousExpiresAt };
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Give a locked oauth_client row a new secret in place. MySQL applies SET left to right,
+     * so the previous_* columns take the old hash and salt before they are replaced.
+     * The new expiry gets its own warning, hence expiry_notified_at is cleared.
+     */
+    static async _rotateClientSecret(key, { previousExpiresAt, keepPrevious, expiresAt }, conn) {
+        const secret = this.generateApiKey(key.credential_type);
+        const salt = crypto.randomBytes(16).toString('hex');
+        const keyPrefix = this.keyPrefix(secret);
+        await conn.query(
+            `UPDATE v1_api_keys
+             SET previous_key_hash = ${keepPrevious ? 'key_hash' : 'NULL'},
+                 previous_key_salt = ${keepPrevious ? 'key_salt' : 'NULL'},
+                 previous_secret_expires_at = ?,
+                 key_prefix = ?, key_hash = ?, key_salt = ?,
+                 expires_at = ?, rotated_at = NOW(), expiry_notified_at = NULL
+             WHERE id = ?`,
+            [keepPrevious ? previousExpiresAt : null, keyPrefix, this.hashKey(secret, salt), salt, expiresAt, key.id]
+        );
+        return { id: key.id, api_key: secret, client_id: key.client_id, credential_type: key.credential_type, key_prefix: keyPrefix, scopes: key.scopes || SCOPES, expires_at: expiresAt };
     }
 
     static async findByKey(apiKey) {
+        if (typeof apiKey !== 'string' || apiKey.length <= KEY_PREFIX_LENGTH) return null;
         const [rows] = await pool.query(
-            `SELECT k.*, u.name as user_name, u.email as user_email, u.role as user_role, u.is_active as user_active
-             FROM v1_api_keys k
-             JOIN v1_users u ON k.user_id = u.id
-             WHERE k.api_key = ? AND k.status = 'active'`,
-            [apiKey]
+            `${AUTH_SELECT}
+             WHERE k.key_prefix = ? AND k.status = 'active' AND k.credential_type = 'api_key'`,
+            [this.keyPrefix(apiKey)]
         );
-        return rows[0] || null;
+        // Prefixes are short and may collide; the hash decides
+        const match = rows.find(row => this._secretMatches(row, apiKey));
+        if (!match) return null;
+        return this._parse(this._stripSecrets(match));
+    }
+
+    /**
+     * OAuth client by client_id, whatever its status (the token endpoint reports why it
+     * refuses). secret_valid tells whether clientSecret matches the current secret, or the
+     * previous one while a rotation overlap lasts.
+     */
+    static async findByClientId(clientId, clientSecret) {
+        if (typeof clientId !== 'string' || !clientId) return null;
+        const [rows] = await pool.query(
+            `${AUTH_SELECT}
+             WHERE k.client_id = ? AND k.credential_type = 'oauth_client'`,
+            [clientId]
+        );
+        const client = rows[0];
+        if (!client) return null;
+        const previousValid = Boolean(client.previous_key_hash) && new Date(client.previous_secret_expires_at) > new Date();
+        client.secret_valid = typeof clientSecret === 'string' && (
+            this._secretMatches(client, clientSecret) ||
+            (previousValid && this._secretMatches({ key_hash: client.previous_key_hash, key_salt: client.previous_key_salt }, clientSecret))
+        );
+        return this._parse(this._stripSecrets(client));
+    }
+
+    /**
+     * Active OAuth client an access token was issued to, in the same shape as findByKey
+     */
+    static async findActiveClientById(id) {
+        const [rows] = await pool.query(
+            `${AUTH_SELECT}
+             WHERE k.id = ? AND k.status = 'active' AND k.credential_type = 'oauth_client'`,
+            [id]
+        );
+        if (!rows[0]) return null;
+        return this._parse(this._stripSecrets(rows[0]));
+    }
+
+    static async findById(id) {
+        const [rows] = await pool.query(`SELECT ${KEY_COLUMNS} FROM v1_api_keys WHERE id = ?`, [id]);
+        return this._parse(rows[0]);
     }
 
     static async getByUserId(userId) {
         const [rows] = await pool.query(
-            'SELECT id, api_key, name, rate_limit, burst_limit, status, last_used_at, expires_at, created_at FROM v1_api_keys WHERE user_id = ? ORDER BY created_at DESC',
+            `SELECT ${KEY_COLUMNS} FROM v1_api_keys WHERE user_id = ? ORDER BY created_at DESC`,
             [userId]
         );
-        return rows;
+        return rows.map(row => this._parse(row));
     }
 
-    static async revoke(id, userId) {
+    /**
+     * Active keys expiring within `days` whose owner has not been warned yet.
+     * Keys being replaced by a rotation are skipped: their expiry is intended.
+     */
+    static async getExpiringUnnotified(days, limit = 100) {
+        const [rows] = await pool.query(
+            `SELECT ${KEY_COLUMNS} FROM v1_api_keys
+             WHERE status = 'active' AND replaced_by_id IS NULL AND expiry_notified_at IS NULL
+               AND expires_at > NOW() AND expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+             ORDER BY expires_at ASC LIMIT ?`,
+            [days, limit]
+        );
+        return rows.map(row => this._parse(row));
+    }
+
+    /**
+     * Record the expiry warning; false if another node already sent it
+     */
+    static async markExpiryNotified(id) {
         const [result] = await pool.query(
-            'UPDATE v1_api_keys SET status = ? WHERE id = ? AND user_id = ?',
-            ['revoked', id, userId]
+            'UPDATE v1_api_keys SET expiry_notified_at = NOW() WHERE id = ? AND expiry_notified_at IS NULL',
+            [id]
         );
         return result.affectedRows > 0;
     }
 
-    static async updateLastUsed(id) {
-        await pool.query('UPDATE v1_api_keys SET last_used_at = NOW() WHERE id = ?', [id]);
+    /**
+     * Give back a claim from markExpiryNotified so the next poll retries the warning
+     */
+    static async clearExpiryNotified(id) {
+        await pool.query('UPDATE v1_api_keys SET expiry_notified_at = NULL WHERE id = ?', [id]);
     }
 
-    static async getRateLimitStatus(apiKeyId, rateLimit, burstLimit) {
-        const conn = await pool.getConnection();
-        try {
-            const hourStart = new Date();
-            hourStart.setMinutes(0, 0, 0);
-            const [hourRows] = await conn.query(
-                'SELECT COALESCE(SUM(request_count), 0) as count FROM v1_rate_limit_log WHERE api_key_id = ? AND window_start >= ?',
-                [apiKeyId, hourStart]
-            );
-            const hourlyCount = hourRows[0].count;
+    /**
+     * Authenticated requests and submitted documents per day (or hour) over the last `days`,
+     * oldest first. Periods without activity are omitted.
+     */
+    static async getUsageTimeline(id, { days = 30, granularity = 'day' } = {}) {
+        const format = granularity === 'hour' ? '%Y-%m-%d %H:00' : '%Y-%m-%d';
+        const [requests] = await pool.query(
+            `SELECT DATE_FORMAT(window_start, ?) as period, SUM(request_count) as requests
+             FROM v1_rate_limit_log
+             WHERE api_key_id = ? AND window_start >= DATE_SUB(NOW(), INTERVAL ? DAY)
+             GROUP BY period`,
+            [format, id, days]
+        );
+        const [documents] = await pool.query(
+            `SELECT DATE_FORMAT(created_at, ?) as period, COUNT(*) as documents
+             FROM v1_verification_requests
+             WHERE api_key_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+             GROUP BY period`,
+            [format, id, days]
+        );
 
-            const minuteStart = new Date();
-            minuteStart.setSeconds(0, 0);
-            const [minRows] = await conn.query(
-                'SELECT COALESCE(SUM(request_count), 0) as count FROM v1_rate_limit_log WHERE api_key_id = ? AND window_start >= ?',
-                [apiKeyId, minuteStart]
-            );
-            const minuteCount = minRows[0].count;
-
-            const hourReset = new Date();
-            hourReset.setMinutes(0, 0, 0);
-            hourReset.setHours(hourReset.getHours() + 1);
-
-            const minuteReset = new Date();
-            minuteReset.setSeconds(0, 0);
-            minuteReset.setMinutes(minuteReset.getMinutes() + 1);
-
-            return {
-                hourly: {
-                    limit: rateLimit,
-                    used: hourlyCount,
-                    remaining: Math.max(0, rateLimit - hourlyCount),
-                    reset: hourReset.toISOString()
-                },
-                burst: {
-                    limit: burstLimit,
-                    used: minuteCount,
-                    remaining: Math.max(0, burstLimit - minuteCount),
-                    reset: minuteReset.toISOString()
-                }
-            };
-        } finally {
-            conn.release();
+        const timeline = new Map();
+        for (const row of requests) {
+            timeline.set(row.period, { period: row.period, requests: parseInt(row.requests), documents: 0 });
+        }
+        for (const row of documents) {
+            const entry = timeline.get(row.period) || { period: row.period, requests: 0, documents: 0 };
+            entry.documents = row.documents;
+            timeline.set(row.period, entry);
         }
+        return [...timeline.values()].sort((a, b) => a.period.localeCompare(b.period));
     }
 
-    static async checkRateLimit(apiKeyId, rateLimit, burstLimit) {
-        const conn = await pool.getConnection();
-        try {
-            // Check hourly rate limit
-            const hourStart = new Date();
-            hourStart.setMinutes(0, 0, 0);
-            const [hourRows] = await conn.query(
-                'SELECT COALESCE(SUM(request_count), 0) as count FROM v1_rate_limit_log WHERE api_key_id = ? AND window_start >= ?',
-                [apiKeyId, hourStart]
-            );
-            const hourlyCount = hourRows[0].count;
-
-            // Check per-minute burst limit
-            const minuteStart = new Date();
-            minuteStart.setSeconds(0, 0);
-            const [minRows] = await conn.query(
-                'SELECT COALESCE(SUM(request_count), 0) as count FROM v1_rate_limit_log WHERE api_key_id = ? AND window_start >= ?',
-                [apiKeyId, minuteStart]
-            );
-            const minuteCount = minRows[0].count;
-
-            if (hourlyCount >= rateLimit) {
-                return { allowed: false, reason: 'Hourly rate limit exceeded', limit: rateLimit, remaining: 0, reset: 'top of next hour' };
-            }
-            if (minuteCount >= burstLimit) {
-                return { allowed: false, reason: 'Burst rate limit exceeded', limit: burstLimit, remaining: 0, reset: 'next minute' };
-            }
+    static async revoke(id, userId) {
+        const [result] = await pool.query(
+            'UPDATE v1_api_keys SET status = ? WHERE id = ? AND user_id = ?',
+            ['revoked', id, userId]
+        );
+        return result.affectedRows > 0;
+    }
 
-            // Log this request
-            const windowStart = new Date();
-            windowStart.setSeconds(0, 0);
-            await conn.query(
-                'INSERT INTO v1_rate_limit_log (api_key_id, window_start, request_count) VALUES (?, ?, 1) ON DUPLICATE KEY UPDATE request_count = request_count + 1',
-                [apiKeyId, windowStart]
-            );
+    /**
+     * Replace a key's IP allowlist (null lets it be used from anywhere)
+     */
+    static async setIpAllowlist(id, userId, ipAllowlist) {
+        const [result] = await pool.query(
+            'UPDATE v1_api_keys SET ip_allowlist = ? WHERE id = ? AND user_id = ?',
+            [ipAllowlist ? JSON.stringify(ipAllowlist) : null, id, userId]
+        );
+        return result.affectedRows > 0;
+    }
 
-            return { allowed: true, hourly_remaining: rateLimit - hourlyCount - 1, burst_remaining: burstLimit - minuteCount - 1 };
-        } finally {
-            conn.release();
-        }
+    /**
+     * Record when keys were last used: [{ id, lastUsedAt }]. Never moves last_used_at backwards.
+     */
+    static async setLastUsed(entries) {
+        if (entries.length === 0) return;
+        await pool.query(
+            `UPDATE v1_api_keys
+             SET last_used_at = GREATEST(COALESCE(last_used_at, '1970-01-02'), CASE id ${entries.map(() => 'WHEN ? THEN ?').join(' ')} END)
+             WHERE id IN (${entries.map(() => '?').join(', ')})`,
+            [...entries.flatMap(e => [e.id, e.lastUsedAt]), ...entries.map(e => e.id)]
+        );
     }
 }
 
+V1ApiKeyModel.SCOPES = SCOPES;
+V1ApiKeyModel.CREDENTIAL_TYPES = CREDENTIAL_TYPES;
+
 module.exports = V1ApiKeyModel;
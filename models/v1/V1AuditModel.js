@@ -17,6 +17,30 @@ class V1AuditModel {
         return rows;
     }
 
+    /**
+     * A user's entries for one action over the last `days`: { total, recent }
+     */
+    static async getRecentByAction(userId, action, { days = 30, limit = 10 } = {}) {
+        const [[{ total }]] = await pool.query(
+            `SELECT COUNT(*) as total FROM v1_audit_log
+             WHERE user_id = ? AND action = ? AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [userId, action, days]
+        );
+        const [rows] = await pool.query(
+            `SELECT * FROM v1_audit_log
+             WHERE user_id = ? AND action = ? AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+             ORDER BY created_at DESC LIMIT ?`,
+            [userId, action, days, limit]
+        );
+        return {
+            total,
+            recent: rows.map(r => ({
+                ...r,
+                details: typeof r.details === 'string' ? JSON.parse(r.details) : r.details
+            }))
+        };
+    }
+
     static async getAll({ page = 1, limit = 50, userId, action } = {}) {
         let query = 'SELECT a.*, u.name as user_name, u.email as user_email FROM v1_audit_log a LEFT JOIN v1_users u ON a.user_id = u.id WHERE 1=1';
         const params = [];
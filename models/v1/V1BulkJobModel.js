@@ -12,12 +12,12 @@ class V1BulkJobModel {
         return row;
     }
 
-    static async create({ userId, totalDocuments, callbackUrl, metadata }) {
+    static async create({ userId, totalDocuments, callbackUrl, callbackSecret, metadata }) {
         const bulkId = this.generateBulkId();
         const [result] = await pool.query(
-            `INSERT INTO v1_bulk_jobs (bulk_id, user_id, total_documents, callback_url, metadata, status)
-             VALUES (?, ?, ?, ?, ?, 'queued')`,
-            [bulkId, userId, totalDocuments, callbackUrl || null, JSON.stringify(metadata || {})]
+            `INSERT INTO v1_bulk_jobs (bulk_id, user_id, total_documents, callback_url, callback_secret, metadata, status)
+             VALUES (?, ?, ?, ?, ?, ?, 'queued')`,
+            [bulkId, userId, totalDocuments, callbackUrl || null, callbackSecret || null, JSON.stringify(metadata || {})]
         );
         return { id: result.insertId, bulk_id: bulkId };
     }
@@ -47,7 +47,13 @@ class V1BulkJobModel {
         const [[{ total }]] = await pool.query(
             'SELECT COUNT(*) as total FROM v1_bulk_jobs WHERE user_id = ?', [userId]
         );
-        return { jobs: rows.map(r => this._parseJson(r)), total, page, limit };
+        return {
+            jobs: rows.map(r => {
+                delete r.callback_secret;
+                return this._parseJson(r);
+            }),
+            total, page, limit
+        };
     }
 
     static async getItems(bulkJobId) {
@@ -63,7 +69,10 @@ class V1BulkJobModel {
         return rows;
     }
 
-    static async updateProgress(bulkJobId) {
+    /**
+     * Counts and status of a job derived from its linked verification requests, without writing
+     */
+    static async _countProgress(job) {
         // Count statuses from linked verification requests
         const [rows] = await pool.query(
             `SELECT vr.status, COUNT(*) as cnt
@@ -71,7 +80,7 @@ class V1BulkJobModel {
              JOIN v1_verification_requests vr ON bji.verification_request_id = vr.id
              WHERE bji.bulk_job_id = ?
              GROUP BY vr.status`,
-            [bulkJobId]
+            [job.id]
         );
 
         const counts = { verified: 0, rejected: 0, failed: 0 };
@@ -82,24 +91,60 @@ class V1BulkJobModel {
             else if (r.status === 'failed') { counts.failed = r.cnt; completed += r.cnt; }
         }
 
-        const job = await this.findById(bulkJobId);
-        if (!job) return null;
-
         let status = 'processing';
-        let completedAt = null;
-        if (completed >= job.total_documents) {
+        const finished = completed >= job.total_documents;
+        if (finished) {
             status = counts.failed > 0 && counts.failed < job.total_documents ? 'partial' :
                      counts.failed >= job.total_documents ? 'failed' : 'completed';
-            completedAt = new Date();
         }
 
+        return { completed, counts, status, finished };
+    }
+
+    /**
+     * Current progress for status reads. Read-only: the stored progress (and with it the
+     * bulk.progress / bulk.completed events) only moves forward through updateProgress.
+     */
+    static async getProgress(bulkId) {
+        const job = await this.findByBulkId(bulkId);
+        if (!job) return null;
+
+        const { completed, counts, status } = await this._countProgress(job);
+        return { ...job, completed, ...counts, status };
+    }
+
+    static async updateProgress(bulkJobId) {
+        const job = await this.findById(bulkJobId);
+        if (!job) return null;
+
+        const { completed, counts, status, finished } = await this._countProgress(job);
+
         await pool.query(
             `UPDATE v1_bulk_jobs SET completed = ?, verified = ?, rejected = ?, failed = ?,
-             status = ?, completed_at = ? WHERE id = ?`,
-            [completed, counts.verified, counts.rejected, counts.failed, status, completedAt, bulkJobId]
+             status = ?, completed_at = IF(?, completed_at, NULL) WHERE id = ?`,
+            [completed, counts.verified, counts.rejected, counts.failed, status, finished, bulkJobId]
         );
 
-        return { ...job, completed, ...counts, status, completed_at: completedAt };
+        // Only the update that stamps completed_at reports just_completed, so concurrent
+        // finishers announce the completion once
+        let justCompleted = false;
+        if (finished) {
+            const [result] = await pool.query(
+                'UPDATE v1_bulk_jobs SET completed_at = NOW() WHERE id = ? AND completed_at IS NULL',
+                [bulkJobId]
+            );
+            justCompleted = result.affectedRows > 0;
+        }
+
+        return {
+            ...job,
+            previous_completed: job.completed,
+            completed,
+            ...counts,
+            status,
+            completed_at: finished ? (job.completed_at || new Date()) : null,
+            just_completed: justCompleted
+        };
     }
 
     static async setProcessing(bulkJobId) {
@@ -6,12 +6,14 @@ class V1DocumentMasterModel {
         row.allowed_formats = typeof row.allowed_formats === 'string' ? JSON.parse(row.allowed_formats) : row.allowed_formats;
         row.required_fields = typeof row.required_fields === 'string' ? JSON.parse(row.required_fields) : row.required_fields;
         row.validation_rules = typeof row.validation_rules === 'string' ? JSON.parse(row.validation_rules) : row.validation_rules;
+        row.page_rules = typeof row.page_rules === 'string' ? JSON.parse(row.page_rules) : row.page_rules;
+        row.review_bands = typeof row.review_bands === 'string' ? JSON.parse(row.review_bands) : row.review_bands;
         return row;
     }
 
-    static async create({ name, code, allowedFormats, maxSizeMb, requiredFields, validationRules, userId, createdBy }) {
+    static async create({ name, code, allowedFormats, maxSizeMb, requiredFields, validationRules, aiProvider, pageRules, reviewBands, cacheResults, userId, createdBy }) {
         const [result] = await pool.query(
-            'INSERT INTO v1_document_master (name, code, allowed_formats, max_size_mb, required_fields, validation_rules, user_id, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            'INSERT INTO v1_document_master (name, code, allowed_formats, max_size_mb, required_fields, validation_rules, ai_provider, page_rules, review_bands, cache_results, user_id, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
             [
                 name,
                 code,
@@ -19,6 +21,10 @@ class V1DocumentMasterModel {
                 maxSizeMb || 5,
                 JSON.stringify(requiredFields || []),
                 JSON.stringify(validationRules || {}),
+                aiProvider || null,
+                pageRules ? JSON.stringify(pageRules) : null,
+                reviewBands ? JSON.stringify(reviewBands) : null,
+                cacheResults ? 1 : 0,
                 userId || null,
                 createdBy || null
             ]
@@ -98,7 +104,7 @@ class V1DocumentMasterModel {
         return rows.map(row => this._parseJsonFields(row));
     }
 
-    static async update(id, { name, code, allowedFormats, maxSizeMb, requiredFields, validationRules, isActive }) {
+    static async update(id, { name, code, allowedFormats, maxSizeMb, requiredFields, validationRules, aiProvider, pageRules, reviewBands, cacheResults, isActive }) {
         const fields = [];
         const values = [];
         if (name !== undefined) { fields.push('name = ?'); values.push(name); }
@@ -107,8 +113,14 @@ class V1DocumentMasterModel {
         if (maxSizeMb !== undefined) { fields.push('max_size_mb = ?'); values.push(maxSizeMb); }
         if (requiredFields !== undefined) { fields.push('required_fields = ?'); values.push(JSON.stringify(requiredFields)); }
         if (validationRules !== undefined) { fields.push('validation_rules = ?'); values.push(JSON.stringify(validationRules)); }
+        if (aiProvider !== undefined) { fields.push('ai_provider = ?'); values.push(aiProvider || null); }
+        if (pageRules !== undefined) { fields.push('page_rules = ?'); values.push(pageRules ? JSON.stringify(pageRules) : null); }
+        if (reviewBands !== undefined) { fields.push('review_bands = ?'); values.push(reviewBands ? JSON.stringify(reviewBands) : null); }
+        if (cacheResults !== undefined) { fields.push('cache_results = ?'); values.push(cacheResults ? 1 : 0); }
         if (isActive !== undefined) { fields.push('is_active = ?'); values.push(isActive ? 1 : 0); }
         if (fields.length === 0) return false;
+        // Any change to the configuration invalidates results cached under the old version
+        fields.push('version = version + 1');
         values.push(id);
         const [result] = await pool.query(`UPDATE v1_document_master SET ${fields.join(', ')} WHERE id = ?`, values);
         return result.affectedRows > 0;
@@ -0,0 +1,70 @@
+const pool = require('../../config/database');
+
+/**
+ * Stored responses for Idempotency-Key headers, scoped per API key.
+ * A key is reserved ('processing') before the handler runs and completed with the
+ * response it produced; a reservation older than the stale window is treated as
+ * abandoned (the node died mid-request) so the client can try again.
+ */
+class V1IdempotencyModel {
+    /**
+     * Reserve a key for a request. Returns one of:
+     *   { state: 'reserved', id }        - first use; run the handler
+     *   { state: 'replay', record }      - completed earlier with the same request
+     *   { state: 'mismatch' }            - used earlier with a different request
+     *   { state: 'in_progress' }         - the original request is still running
+     */
+    static async reserve({ apiKeyId, key, requestHash, ttlHours, staleMinutes }) {
+        await pool.query(
+            `DELETE FROM v1_idempotency_keys
+             WHERE api_key_id = ? AND idempotency_key = ?
+               AND (expires_at < NOW() OR (status = 'processing' AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)))`,
+            [apiKeyId, key, staleMinutes]
+        );
+
+        const [result] = await pool.query(
+            `INSERT IGNORE INTO v1_idempotency_keys (api_key_id, idempotency_key, request_hash, expires_at)
+             VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+            [apiKeyId, key, requestHash, ttlHours]
+        );
+        if (result.affectedRows > 0) {
+            return { state: 'reserved', id: result.insertId };
+        }
+
+        const [rows] = await pool.query(
+            'SELECT * FROM v1_idempotency_keys WHERE api_key_id = ? AND idempotency_key = ?',
+            [apiKeyId, key]
+        );
+        const record = rows[0];
+        if (!record) {
+            // Removed between the insert and the select; let the caller retry
+            return { state: 'in_progress' };
+        }
+        if (record.request_hash !== requestHash) return { state: 'mismatch' };
+        if (record.status !== 'completed') return { state: 'in_progress' };
+
+        record.response_body = typeof record.response_body === 'string' ? JSON.parse(record.response_body) : record.response_body;
+        return { state: 'replay', record };
+    }
+
+    static async complete(id, responseStatus, responseBody) {
+        await pool.query(
+            "UPDATE v1_idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE id = ?",
+            [responseStatus, JSON.stringify(responseBody), id]
+        );
+    }
+
+    /**
+     * Drop a reservation whose request did not succeed, so the key can be used again
+     */
+    static async release(id) {
+        await pool.query('DELETE FROM v1_idempotency_keys WHERE id = ?', [id]);
+    }
+
+    static async purgeExpired() {
+        const [result] = await pool.query('DELETE FROM v1_idempotency_keys WHERE expires_at < NOW()');
+        return result.affectedRows;
+    }
+}
+
+module.exports = V1IdempotencyModel;
@@ -0,0 +1,226 @@
+const pool = require('../../config/database');
+
+class V1JobModel {
+    static _parseJson(row) {
+        if (!row) return null;
+        if (typeof row.payload === 'string') row.payload = JSON.parse(row.payload);
+        return row;
+    }
+
+    /**
+     * Enqueue a job. If a dedupe key is given and an unfinished job with the same
+     * key already exists, no new row is created and the existing job id is returned.
+     */
+    static async enqueue({ type, payload, dedupeKey = null, priority = 0, maxAttempts = 3, delayMs = 0 }) {
+        const [result] = await pool.query(
+            `INSERT IGNORE INTO v1_jobs (job_type, payload, dedupe_key, priority, max_attempts, run_at)
+             VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+            [type, JSON.stringify(payload || {}), dedupeKey, priority, maxAttempts, Math.ceil(delayMs / 1000)]
+        );
+        if (result.affectedRows > 0) {
+            return { id: result.insertId, created: true };
+        }
+
+        const [rows] = await pool.query('SELECT id FROM v1_jobs WHERE dedupe_key = ?', [dedupeKey]);
+        return { id: rows[0] ? rows[0].id : null, created: false };
+    }
+
+    /**
+     * Atomically claim up to `limit` visible jobs for a worker.
+     * Rows locked by another node's open transaction are skipped, so several
+     * app nodes can poll the same table without double-processing a job.
+     */
+    static async claim(workerId, { types, limit = 1, leaseMs = 300000 } = {}) {
+        if (limit <= 0) return [];
+
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            let query = "SELECT id FROM v1_jobs WHERE status = 'queued' AND run_at <= NOW()";
+            const params = [];
+            if (types && types.length > 0) {
+                query += ' AND job_type IN (?)';
+                params.push(types);
+            }
+            query += ' ORDER BY priority DESC, run_at ASC, id ASC LIMIT ? FOR UPDATE SKIP LOCKED';
+            params.push(limit);
+
+            const [rows] = await conn.query(query, params);
+            if (rows.length === 0) {
+                await conn.commit();
+                return [];
+            }
+
+            const ids = rows.map(r => r.id);
+            const leaseSeconds = Math.ceil(leaseMs / 1000);
+            await conn.query(
+                `UPDATE v1_jobs
+                 SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = NOW(),
+                     heartbeat_at = NOW(), lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                 WHERE id IN (?)`,
+                [workerId, leaseSeconds, ids]
+            );
+            await conn.query(
+                `INSERT INTO v1_job_attempts (job_id, attempt, worker_id, status)
+                 SELECT id, attempts, locked_by, 'running' FROM v1_jobs WHERE id IN (?)`,
+                [ids]
+            );
+
+            const [jobs] = await conn.query('SELECT * FROM v1_jobs WHERE id IN (?) ORDER BY priority DESC, id ASC', [ids]);
+            await conn.commit();
+            return jobs.map(j => this._parseJson(j));
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Extend the lease on a running job. Returns false if the worker no longer owns it.
+     */
+    static async heartbeat(jobId, workerId, leaseMs = 300000) {
+        const [result] = await pool.query(
+            `UPDATE v1_jobs SET heartbeat_at = NOW(), lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+             WHERE id = ? AND locked_by = ? AND status = 'running'`,
+            [Math.ceil(leaseMs / 1000), jobId, workerId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    static async complete(jobId, workerId) {
+        const [result] = await pool.query(
+            `UPDATE v1_jobs SET status = 'completed', dedupe_key = NULL, locked_by = NULL, lease_expires_at = NULL,
+                    completed_at = NOW(), last_error = NULL
+             WHERE id = ? AND locked_by = ? AND status = 'running'`,
+            [jobId, workerId]
+        );
+        if (result.affectedRows > 0) {
+            await this._finishAttempt(jobId, 'succeeded', null);
+        }
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Record a failed attempt. The job is made visible again after `retryDelayMs`,
+     * or moved to the dead-letter state once max_attempts is reached.
+     * Returns the resulting status ('queued' or 'dead'), or null if the lease was lost.
+     */
+    static async fail(jobId, workerId, errorMessage, retryDelayMs = 0) {
+        const job = await this.findById(jobId);
+        if (!job || job.locked_by !== workerId || job.status !== 'running') return null;
+
+        const isDead = job.attempts >= job.max_attempts;
+        if (isDead) {
+            await pool.query(
+                `UPDATE v1_jobs SET status = 'dead', dedupe_key = NULL, locked_by = NULL, lease_expires_at = NULL, last_error = ?
+                 WHERE id = ? AND locked_by = ?`,
+                [errorMessage, jobId, workerId]
+            );
+        } else {
+            await pool.query(
+                `UPDATE v1_jobs SET status = 'queued', locked_by = NULL, lease_expires_at = NULL, last_error = ?,
+                        run_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+                 WHERE id = ? AND locked_by = ?`,
+                [errorMessage, Math.ceil(retryDelayMs / 1000), jobId, workerId]
+            );
+        }
+        await this._finishAttempt(jobId, 'failed', errorMessage);
+        return isDead ? 'dead' : 'queued';
+    }
+
+    /**
+     * Return jobs whose worker stopped heart-beating (crashed or hung node) to the queue,
+     * or to the dead-letter state if they have used up their attempts.
+     * Returns the list of jobs that were dead-lettered so callers can clean up.
+     */
+    static async releaseExpiredLeases() {
+        const [expired] = await pool.query(
+            "SELECT * FROM v1_jobs WHERE status = 'running' AND lease_expires_at < NOW()"
+        );
+        const deadJobs = [];
+
+        for (const job of expired) {
+            const isDead = job.attempts >= job.max_attempts;
+            const [result] = await pool.query(
+                `UPDATE v1_jobs SET status = ?, dedupe_key = IF(? = 'dead', NULL, dedupe_key), locked_by = NULL,
+                        lease_expires_at = NULL, last_error = ?
+                 WHERE id = ? AND status = 'running' AND locked_by = ? AND lease_expires_at < NOW()`,
+                [isDead ? 'dead' : 'queued', isDead ? 'dead' : 'queued', `Lease expired on worker ${job.locked_by}`, job.id, job.locked_by]
+            );
+            if (result.affectedRows === 0) continue;
+
+            await this._finishAttempt(job.id, 'lease_expired', `Lease expired on worker ${job.locked_by}`);
+            if (isDead) deadJobs.push(this._parseJson(job));
+        }
+
+        return { released: expired.length, dead: deadJobs };
+    }
+
+    static async _finishAttempt(jobId, status, error) {
+        await pool.query(
+            `UPDATE v1_job_attempts SET status = ?, error = ?, finished_at = NOW()
+             WHERE job_id = ? AND status = 'running' ORDER BY attempt DESC LIMIT 1`,
+            [status, error, jobId]
+        );
+    }
+
+    static async findById(id) {
+        const [rows] = await pool.query('SELECT * FROM v1_jobs WHERE id = ?', [id]);
+        return this._parseJson(rows[0]) || null;
+    }
+
+    static async getAttempts(jobId) {
+        const [rows] = await pool.query(
+            'SELECT * FROM v1_job_attempts WHERE job_id = ? ORDER BY attempt ASC',
+            [jobId]
+        );
+        return rows;
+    }
+
+    static async getAll({ status, type, page = 1, limit = 50 } = {}) {
+        let query = 'SELECT * FROM v1_jobs WHERE 1=1';
+        const params = [];
+        if (status) { query += ' AND status = ?'; params.push(status); }
+        if (type) { query += ' AND job_type = ?'; params.push(type); }
+        query += ' ORDER BY updated_at DESC LIMIT ? OFFSET ?';
+        params.push(limit, (page - 1) * limit);
+        const [rows] = await pool.query(query, params);
+        return rows.map(r => this._parseJson(r));
+    }
+
+    static async getStats() {
+        const [rows] = await pool.query('SELECT status, COUNT(*) as count FROM v1_jobs GROUP BY status');
+        const stats = { queued: 0, running: 0, completed: 0, dead: 0 };
+        for (const r of rows) stats[r.status] = r.count;
+        return stats;
+    }
+
+    /**
+     * Move a dead-lettered job back to the queue with `extraAttempts` more attempts.
+     * Attempt numbering continues so the history stays intact.
+     */
+    static async retryDead(id, { dedupeKey = null, extraAttempts = 1 } = {}) {
+        const [result] = await pool.query(
+            `UPDATE v1_jobs SET status = 'queued', max_attempts = attempts + ?, run_at = NOW(), last_error = NULL, dedupe_key = ?
+             WHERE id = ? AND status = 'dead'`,
+            [extraAttempts, dedupeKey, id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Remove finished jobs older than the given number of days.
+     */
+    static async purgeCompleted(olderThanDays = 7) {
+        const [result] = await pool.query(
+            "DELETE FROM v1_jobs WHERE status = 'completed' AND completed_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+            [olderThanDays]
+        );
+        return result.affectedRows;
+    }
+}
+
+module.exports = V1JobModel;
@@ -0,0 +1,36 @@
+const pool = require('../../config/database');
+
+class V1NotificationModel {
+    static async create({ userId, type, title, message, data }) {
+        const [result] = await pool.query(
+            'INSERT INTO v1_notifications (user_id, type, title, message, data) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, title, message, JSON.stringify(data || {})]
+        );
+        return result.insertId;
+    }
+
+    static async getByUserId(userId, { unreadOnly = false, limit = 20 } = {}) {
+        let query = 'SELECT * FROM v1_notifications WHERE user_id = ?';
+        if (unreadOnly) query += ' AND is_read = 0';
+        query += ' ORDER BY created_at DESC LIMIT ?';
+        const [rows] = await pool.query(query, [userId, limit]);
+        return rows.map(row => {
+            row.data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+            return row;
+        });
+    }
+
+    static async markRead(id, userId) {
+        const [result] = await pool.query(
+            'UPDATE v1_notifications SET is_read = 1 WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    static async markEmailed(id) {
+        await pool.query('UPDATE v1_notifications SET emailed_at = NOW() WHERE id = ?', [id]);
+    }
+}
+
+module.exports = V1NotificationModel;
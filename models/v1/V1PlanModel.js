@@ -0,0 +1,185 @@
+const pool = require('../../config/database');
+
+/**
+ * Admin-managed plans: monthly document quota, allowed document types, instant access,
+ * bulk size and the highest rate limits any key of the user may have.
+ * Users without a plan_id are on the default plan.
+ */
+class V1PlanModel {
+    static _parse(row) {
+        if (!row) return null;
+        row.allowed_document_types = typeof row.allowed_document_types === 'string'
+            ? JSON.parse(row.allowed_document_types)
+            : row.allowed_document_types;
+        return row;
+    }
+
+    static async create({ code, name, description, monthlyDocumentQuota, allowedDocumentTypes, instantAccess = true, maxBulkSize = 50, rateLimit = 1000, burstLimit = 50, isDefault = false }) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            if (isDefault) await conn.query('UPDATE v1_plans SET is_default = 0');
+            const [result] = await conn.query(
+                `INSERT INTO v1_plans
+                    (code, name, description, monthly_document_quota, allowed_document_types, instant_access, max_bulk_size, rate_limit, burst_limit, is_default)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    code,
+                    name,
+                    description || null,
+                    monthlyDocumentQuota != null ? monthlyDocumentQuota : null,
+                    allowedDocumentTypes ? JSON.stringify(allowedDocumentTypes) : null,
+                    instantAccess ? 1 : 0,
+                    maxBulkSize,
+                    rateLimit,
+                    burstLimit,
+                    isDefault ? 1 : 0
+                ]
+            );
+            await conn.commit();
+            return result.insertId;
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    static async findById(id) {
+        const [rows] = await pool.query('SELECT * FROM v1_plans WHERE id = ?', [id]);
+        return this._parse(rows[0]);
+    }
+
+    static async findByCode(code) {
+        const [rows] = await pool.query('SELECT * FROM v1_plans WHERE code = ?', [code]);
+        return this._parse(rows[0]);
+    }
+
+    static async getDefault() {
+        const [rows] = await pool.query('SELECT * FROM v1_plans WHERE is_default = 1 LIMIT 1');
+        return this._parse(rows[0]);
+    }
+
+    /**
+     * The plan that applies to a user: their assigned plan, else the default plan (or null)
+     */
+    static async findForUser(userId) {
+        const [rows] = await pool.query(
+            `SELECT p.* FROM v1_plans p
+             JOIN v1_users u ON (u.plan_id = p.id OR (u.plan_id IS NULL AND p.is_default = 1))
+             WHERE u.id = ?
+             LIMIT 1`,
+            [userId]
+        );
+        return this._parse(rows[0]);
+    }
+
+    /**
+     * All plans with the number of users on each (unassigned users count towards the default)
+     */
+    static async getAll({ active = false } = {}) {
+        const [rows] = await pool.query(
+            `SELECT p.*,
+                    (SELECT COUNT(*) FROM v1_users u
+                     WHERE u.plan_id = p.id OR (u.plan_id IS NULL AND p.is_default = 1)) as user_count
+             FROM v1_plans p
+             ${active ? 'WHERE p.is_active = 1' : ''}
+             ORDER BY p.is_default DESC, p.name ASC`
+        );
+        return rows.map(row => this._parse(row));
+    }
+
+    static async update(id, { name, description, monthlyDocumentQuota, allowedDocumentTypes, instantAccess, maxBulkSize, rateLimit, burstLimit, isDefault, isActive }) {
+        const fields = [];
+        const values = [];
+        if (name !== undefined) { fields.push('name = ?'); values.push(name); }
+        if (description !== undefined) { fields.push('description = ?'); values.push(description || null); }
+        if (monthlyDocumentQuota !== undefined) { fields.push('monthly_document_quota = ?'); values.push(monthlyDocumentQuota); }
+        if (allowedDocumentTypes !== undefined) { fields.push('allowed_document_types = ?'); values.push(allowedDocumentTypes ? JSON.stringify(allowedDocumentTypes) : null); }
+        if (instantAccess !== undefined) { fields.push('instant_access = ?'); values.push(instantAccess ? 1 : 0); }
+        if (maxBulkSize !== undefined) { fields.push('max_bulk_size = ?'); values.push(maxBulkSize); }
+        if (rateLimit !== undefined) { fields.push('rate_limit = ?'); values.push(rateLimit); }
+        if (burstLimit !== undefined) { fields.push('burst_limit = ?'); values.push(burstLimit); }
+        if (isDefault !== undefined) { fields.push('is_default = ?'); values.push(isDefault ? 1 : 0); }
+        if (isActive !== undefined) { fields.push('is_active = ?'); values.push(isActive ? 1 : 0); }
+        if (fields.length === 0) return false;
+        values.push(id);
+
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            // Only one plan can be the default
+            if (isDefault) await conn.query('UPDATE v1_plans SET is_default = 0 WHERE id != ?', [id]);
+            const [result] = await conn.query(`UPDATE v1_plans SET ${fields.join(', ')} WHERE id = ?`, values);
+            await conn.commit();
+            return result.affectedRows > 0;
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Users explicitly assigned to the plan
+     */
+    static async countUsers(id) {
+        const [[row]] = await pool.query('SELECT COUNT(*) as count FROM v1_users WHERE plan_id = ?', [id]);
+        return row.count;
+    }
+
+    static async delete(id) {
+        const [result] = await pool.query('DELETE FROM v1_plans WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    // ==================== MONTHLY QUOTA ====================
+
+    /**
+     * Atomically take `count` documents from the user's monthly quota. The conditional UPDATE
+     * only succeeds while the month's counter stays within the quota, so concurrent submissions
+     * cannot overshoot it. Returns { reserved, used, period }; `used` includes this reservation
+     * when it succeeded. Pass `period` back to releaseQuota.
+     */
+    static async reserveQuota(userId, count, quota) {
+        const [[{ period }]] = await pool.query(`SELECT DATE_FORMAT(NOW(), '%Y-%m') AS period`);
+
+        const tryReserve = async () => {
+            const [result] = await pool.query(
+                `UPDATE v1_plan_usage SET used = used + ?
+                 WHERE user_id = ? AND period = ? AND used + ? <= ?`,
+                [count, userId, period, count, quota]
+            );
+            return result.affectedRows > 0;
+        };
+
+        let reserved = await tryReserve();
+        if (!reserved) {
+            // First submission of the month: start from the requests already recorded
+            const [inserted] = await pool.query(
+                `INSERT IGNORE INTO v1_plan_usage (user_id, period, used)
+                 SELECT ?, ?, COUNT(*) FROM v1_verification_requests
+                 WHERE user_id = ? AND created_at >= CONCAT(?, '-01')`,
+                [userId, period, userId, period]
+            );
+            if (inserted.affectedRows > 0) reserved = await tryReserve();
+        }
+
+        const [[row]] = await pool.query('SELECT used FROM v1_plan_usage WHERE user_id = ? AND period = ?', [userId, period]);
+        return { reserved, used: row ? row.used : 0, period };
+    }
+
+    /**
+     * Give back documents reserved for a submission that was not accepted
+     */
+    static async releaseQuota(userId, period, count) {
+        await pool.query(
+            'UPDATE v1_plan_usage SET used = GREATEST(used - ?, 0) WHERE user_id = ? AND period = ?',
+            [count, userId, period]
+        );
+    }
+}
+
+module.exports = V1PlanModel;
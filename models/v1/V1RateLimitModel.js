@@ -0,0 +1,60 @@
+const pool = require('../../config/database');
+
+/**
+ * Rate limit persistence:
+ * - v1_rate_limit_counters: live sliding-window buckets for the shared (mysql) store
+ * - v1_rate_limit_log: accepted requests per API key and minute, flushed in batches
+ *   by RateLimitService for usage reporting
+ */
+class V1RateLimitModel {
+    /**
+     * Add `count` (may be negative) to each { bucketKey, windowStart, expiresAt } bucket
+     */
+    static async incrementCounters(rows, count) {
+        if (rows.length === 0) return;
+        await pool.query(
+            `INSERT INTO v1_rate_limit_counters (bucket_key, window_start, count, expires_at)
+             VALUES ${rows.map(() => '(?, ?, ?, ?)').join(', ')}
+             ON DUPLICATE KEY UPDATE count = GREATEST(0, count + VALUES(count))`,
+            rows.flatMap(r => [r.bucketKey, r.windowStart, count, r.expiresAt])
+        );
+    }
+
+    /**
+     * Current and previous bucket counts, as a Map of `${bucketKey}|${windowStart}` -> count
+     */
+    static async getCounters(rows) {
+        const counts = new Map();
+        if (rows.length === 0) return counts;
+        const [found] = await pool.query(
+            `SELECT bucket_key, window_start, count FROM v1_rate_limit_counters
+             WHERE ${rows.map(() => '(bucket_key = ? AND window_start IN (?, ?))').join(' OR ')}`,
+            rows.flatMap(r => [r.bucketKey, r.windowStart, r.previousStart])
+        );
+        for (const row of found) {
+            counts.set(`${row.bucket_key}|${row.window_start}`, Number(row.count));
+        }
+        return counts;
+    }
+
+    static async pruneCounters(limit = 5000) {
+        const [result] = await pool.query('DELETE FROM v1_rate_limit_counters WHERE expires_at < NOW() LIMIT ?', [limit]);
+        return result.affectedRows;
+    }
+
+    /**
+     * Add request counts to the per-minute log: [{ apiKeyId, windowStart, count }].
+     * IGNORE skips keys deleted since the requests were counted instead of failing the batch.
+     */
+    static async addRequestCounts(entries) {
+        if (entries.length === 0) return;
+        await pool.query(
+            `INSERT IGNORE INTO v1_rate_limit_log (api_key_id, window_start, request_count)
+             VALUES ${entries.map(() => '(?, ?, ?)').join(', ')}
+             ON DUPLICATE KEY UPDATE request_count = request_count + VALUES(request_count)`,
+            entries.flatMap(e => [e.apiKeyId, e.windowStart, e.count])
+        );
+    }
+}
+
+module.exports = V1RateLimitModel;
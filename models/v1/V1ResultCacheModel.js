@@ -0,0 +1,55 @@
+const pool = require('../../config/database');
+
+/**
+ * Cached AI results for document types with cache_results enabled.
+ * Rows are looked up by a cache key derived from the user, file hash, document type,
+ * document master version and prompt version (see AIProcessingService.resultCacheKey).
+ */
+class V1ResultCacheModel {
+    static _parse(row) {
+        if (!row) return null;
+        row.ai_result = typeof row.ai_result === 'string' ? JSON.parse(row.ai_result) : row.ai_result;
+        return row;
+    }
+
+    static async findByKey(cacheKey) {
+        const [rows] = await pool.query(
+            'SELECT * FROM v1_result_cache WHERE cache_key = ? AND expires_at > NOW()',
+            [cacheKey]
+        );
+        return this._parse(rows[0]);
+    }
+
+    /**
+     * Store (or replace an expired entry for) a result
+     */
+    static async store({ cacheKey, userId, documentType, fileSha256, documentVersion, promptVersion, aiResult, sourceReferenceId, ttlHours }) {
+        await pool.query(
+            `INSERT INTO v1_result_cache
+                (cache_key, user_id, document_type, file_sha256, document_version, prompt_version, ai_result, source_reference_id, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))
+             ON DUPLICATE KEY UPDATE
+                ai_result = VALUES(ai_result),
+                source_reference_id = VALUES(source_reference_id),
+                hit_count = 0,
+                last_hit_at = NULL,
+                created_at = NOW(),
+                expires_at = VALUES(expires_at)`,
+            [cacheKey, userId, documentType, fileSha256, documentVersion, promptVersion, JSON.stringify(aiResult), sourceReferenceId || null, ttlHours]
+        );
+    }
+
+    static async recordHit(id) {
+        await pool.query(
+            'UPDATE v1_result_cache SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE id = ?',
+            [id]
+        );
+    }
+
+    static async purgeExpired() {
+        const [result] = await pool.query('DELETE FROM v1_result_cache WHERE expires_at < NOW()');
+        return result.affectedRows;
+    }
+}
+
+module.exports = V1ResultCacheModel;
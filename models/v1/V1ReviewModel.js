@@ -0,0 +1,186 @@
+const pool = require('../../config/database');
+
+/**
+ * Human review tasks for verification requests in needs_review.
+ * A task is pending until a reviewer claims it; a claim lapses at claim_expires_at so
+ * abandoned tasks return to the queue. Deciding or reprocessing the request closes it.
+ */
+class V1ReviewModel {
+    static _parseJson(row) {
+        if (!row) return null;
+        row.reasons = typeof row.reasons === 'string' ? JSON.parse(row.reasons) : row.reasons;
+        return row;
+    }
+
+    // Claimable: pending, or claimed by someone whose claim has lapsed
+    static _claimable(alias = '') {
+        return `(${alias}status = 'pending' OR (${alias}status = 'claimed' AND ${alias}claim_expires_at < NOW()))`;
+    }
+
+    static async create(verificationRequestId, reasons) {
+        const [result] = await pool.query(
+            'INSERT INTO v1_review_tasks (verification_request_id, reasons) VALUES (?, ?)',
+            [verificationRequestId, JSON.stringify(reasons || [])]
+        );
+        return result.insertId;
+    }
+
+    static async findById(id) {
+        const [rows] = await pool.query(
+            `SELECT t.*, r.name as reviewer_name, d.name as decided_by_name
+             FROM v1_review_tasks t
+             LEFT JOIN v1_users r ON t.assigned_to = r.id
+             LEFT JOIN v1_users d ON t.decided_by = d.id
+             WHERE t.id = ?`,
+            [id]
+        );
+        return this._parseJson(rows[0]) || null;
+    }
+
+    /**
+     * Latest task for a request (open or closed)
+     */
+    static async findLatestByRequestId(verificationRequestId) {
+        const [rows] = await pool.query(
+            `SELECT t.*, r.name as reviewer_name, d.name as decided_by_name
+             FROM v1_review_tasks t
+             LEFT JOIN v1_users r ON t.assigned_to = r.id
+             LEFT JOIN v1_users d ON t.decided_by = d.id
+             WHERE t.verification_request_id = ?
+             ORDER BY t.id DESC LIMIT 1`,
+            [verificationRequestId]
+        );
+        return this._parseJson(rows[0]) || null;
+    }
+
+    /**
+     * Queue listing. `status` filters on the task status; 'open' means pending or claimed.
+     */
+    static async getQueue({ status = 'open', assignedTo, page = 1, limit = 20 } = {}) {
+        let where = 'WHERE 1=1';
+        const params = [];
+        if (status === 'open') where += " AND t.status IN ('pending', 'claimed')";
+        else if (status) { where += ' AND t.status = ?'; params.push(status); }
+        if (assignedTo) { where += ' AND t.assigned_to = ?'; params.push(assignedTo); }
+
+        const [rows] = await pool.query(
+            `SELECT t.*, r.name as reviewer_name,
+                    vr.system_reference_id, vr.client_reference_id, vr.document_type, vr.confidence, vr.risk_score,
+                    vr.created_at as request_created_at, u.name as user_name, u.email as user_email
+             FROM v1_review_tasks t
+             JOIN v1_verification_requests vr ON t.verification_request_id = vr.id
+             JOIN v1_users u ON vr.user_id = u.id
+             LEFT JOIN v1_users r ON t.assigned_to = r.id
+             ${where}
+             ORDER BY t.created_at ASC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM v1_review_tasks t ${where}`, params);
+
+        return { tasks: rows.map(r => this._parseJson(r)), total, page, limit };
+    }
+
+    static async getCounts() {
+        const [rows] = await pool.query(
+            `SELECT SUM(${this._claimable()}) as available,
+                    SUM(status = 'claimed' AND claim_expires_at >= NOW()) as claimed,
+                    SUM(status = 'decided' AND decided_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)) as decided_24h
+             FROM v1_review_tasks`
+        );
+        return {
+            available: Number(rows[0].available) || 0,
+            claimed: Number(rows[0].claimed) || 0,
+            decided_24h: Number(rows[0].decided_24h) || 0
+        };
+    }
+
+    /**
+     * Claim a specific task. Succeeds if it is claimable or already held by this reviewer
+     * (which extends the claim). Returns true if the reviewer now holds it.
+     */
+    static async claim(id, reviewerId, claimMinutes) {
+        const [result] = await pool.query(
+            `UPDATE v1_review_tasks
+             SET status = 'claimed', assigned_to = ?, claimed_at = NOW(),
+                 claim_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+             WHERE id = ? AND (${this._claimable()} OR (status = 'claimed' AND assigned_to = ?))`,
+            [reviewerId, claimMinutes, id, reviewerId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Claim the oldest claimable task. Returns its id, or null if the queue is empty.
+     */
+    static async claimNext(reviewerId, claimMinutes) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            const [rows] = await conn.query(
+                `SELECT id FROM v1_review_tasks WHERE ${this._claimable()}
+                 ORDER BY created_at ASC, id ASC LIMIT 1 FOR UPDATE SKIP LOCKED`
+            );
+            if (rows.length === 0) {
+                await conn.commit();
+                return null;
+            }
+            await conn.query(
+                `UPDATE v1_review_tasks
+                 SET status = 'claimed', assigned_to = ?, claimed_at = NOW(),
+                     claim_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+                 WHERE id = ?`,
+                [reviewerId, claimMinutes, rows[0].id]
+            );
+            await conn.commit();
+            return rows[0].id;
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Return a claimed task to the queue. Only the holder may release it unless `force`.
+     */
+    static async release(id, reviewerId, { force = false } = {}) {
+        let query = `UPDATE v1_review_tasks
+                     SET status = 'pending', assigned_to = NULL, claimed_at = NULL, claim_expires_at = NULL
+                     WHERE id = ? AND status = 'claimed'`;
+        const params = [id];
+        if (!force) { query += ' AND assigned_to = ?'; params.push(reviewerId); }
+        const [result] = await pool.query(query, params);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Record the decision on an open task. Without `force`, the reviewer must hold an active claim.
+     */
+    static async decide(id, { reviewerId, decision, reason, force = false }) {
+        let query = `UPDATE v1_review_tasks
+                     SET status = 'decided', decision = ?, decision_reason = ?, decided_by = ?, decided_at = NOW()
+                     WHERE id = ?`;
+        const params = [decision, reason, reviewerId, id];
+        if (force) {
+            query += " AND status IN ('pending', 'claimed')";
+        } else {
+            query += " AND status = 'claimed' AND assigned_to = ? AND claim_expires_at >= NOW()";
+            params.push(reviewerId);
+        }
+        const [result] = await pool.query(query, params);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Close any open task of a request (it is being reprocessed)
+     */
+    static async cancelOpenForRequest(verificationRequestId) {
+        await pool.query(
+            "UPDATE v1_review_tasks SET status = 'cancelled' WHERE verification_request_id = ? AND status IN ('pending', 'claimed')",
+            [verificationRequestId]
+        );
+    }
+}
+
+module.exports = V1ReviewModel;
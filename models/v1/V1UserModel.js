@@ -18,9 +18,12 @@ class V1UserModel {
 
     static async findById(id) {
         const [rows] = await pool.query(
-            'SELECT id, name, email, role, is_active, created_at, updated_at FROM v1_users WHERE id = ?',
+            'SELECT id, name, email, role, is_active, monthly_budget_usd, plan_id, ip_allowlist, created_at, updated_at FROM v1_users WHERE id = ?',
             [id]
         );
+        if (rows[0]) {
+            rows[0].ip_allowlist = typeof rows[0].ip_allowlist === 'string' ? JSON.parse(rows[0].ip_allowlist) : rows[0].ip_allowlist;
+        }
         return rows[0] || null;
     }
 
@@ -45,10 +48,41 @@ class V1UserModel {
         return true;
     }
 
+    /**
+     * Set the monthly AI budget in USD (null removes the cap)
+     */
+    static async setMonthlyBudget(id, amount) {
+        const [result] = await pool.query('UPDATE v1_users SET monthly_budget_usd = ? WHERE id = ?', [amount, id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Assign a plan (null puts the user back on the default plan)
+     */
+    static async setPlan(id, planId) {
+        const [result] = await pool.query('UPDATE v1_users SET plan_id = ? WHERE id = ?', [planId, id]);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Replace the IP allowlist that applies to all of the user's keys (null removes it)
+     */
+    static async setIpAllowlist(id, ipAllowlist) {
+        const [result] = await pool.query(
+            'UPDATE v1_users SET ip_allowlist = ? WHERE id = ?',
+            [ipAllowlist ? JSON.stringify(ipAllowlist) : null, id]
+        );
+        return result.affectedRows > 0;
+    }
+
     static async getAll({ page = 1, limit = 20 } = {}) {
         const offset = (page - 1) * limit;
         const [rows] = await pool.query(
-            'SELECT id, name, email, role, is_active, created_at FROM v1_users ORDER BY created_at DESC LIMIT ? OFFSET ?',
+            `SELECT u.id, u.name, u.email, u.role, u.is_active, u.monthly_budget_usd, u.plan_id,
+                    p.code as plan_code, p.name as plan_name, u.created_at
+             FROM v1_users u
+             LEFT JOIN v1_plans p ON (u.plan_id = p.id OR (u.plan_id IS NULL AND p.is_default = 1))
+             ORDER BY u.created_at DESC LIMIT ? OFFSET ?`,
             [limit, offset]
         );
         const [[{ total }]] = await pool.query('SELECT COUNT(*) as total FROM v1_users');
@@ -6,13 +6,13 @@ class V1VerificationRequestModel {
         return 'DOC' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
     }
 
-    static async create({ userId, referenceId, documentType, fileUrl, metadata }) {
+    static async create({ userId, apiKeyId, referenceId, documentType, fileUrl, metadata }) {
         const systemReferenceId = this.generateSystemRefId();
         const [result] = await pool.query(
             `INSERT INTO v1_verification_requests
-             (system_reference_id, client_reference_id, user_id, document_type, file_url, metadata, status)
-             VALUES (?, ?, ?, ?, ?, ?, 'accepted')`,
-            [systemReferenceId, referenceId, userId, documentType, fileUrl, JSON.stringify(metadata || {})]
+             (system_reference_id, client_reference_id, user_id, api_key_id, document_type, file_url, metadata, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'accepted')`,
+            [systemReferenceId, referenceId, userId, apiKeyId || null, documentType, fileUrl, JSON.stringify(metadata || {})]
         );
         return { id: result.insertId, system_reference_id: systemReferenceId };
     }
@@ -42,7 +42,25 @@ class V1VerificationRequestModel {
         return rows[0] || null;
     }
 
-    static async updateStatus(id, { status, confidence, riskScore, extractedData, aiResponse, issues }) {
+    /**
+     * Mark an accepted request as processing under a queue lease token ("<job id>:<attempt>").
+     * With `resume`, a request left in 'processing' by an earlier attempt is taken over; the old
+     * worker's token stops matching, so its writes are fenced off. Returns false if not started.
+     */
+    static async startProcessing(id, processingToken, { resume = false } = {}) {
+        const [result] = await pool.query(
+            `UPDATE v1_verification_requests SET status = 'processing', processing_token = ?
+             WHERE id = ? AND (status = 'accepted' OR (? AND status = 'processing'))`,
+            [processingToken, id, resume]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Update a request. With `processingToken`, only while that lease still owns the request;
+     * returns false when the update was fenced off (or the request does not exist).
+     */
+    static async updateStatus(id, { status, confidence, riskScore, extractedData, aiResponse, issues, processingToken }) {
         const fields = ['status = ?'];
         const values = [status];
 
@@ -56,7 +74,26 @@ class V1VerificationRequestModel {
         }
 
         values.push(id);
-        await pool.query(`UPDATE v1_verification_requests SET ${fields.join(', ')} WHERE id = ?`, values);
+        let where = 'WHERE id = ?';
+        if (processingToken !== undefined) { where += ' AND processing_token = ?'; values.push(processingToken); }
+        const [result] = await pool.query(`UPDATE v1_verification_requests SET ${fields.join(', ')} ${where}`, values);
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Completed requests of the same user that share a client_reference_id (one applicant's documents)
+     */
+    static async getCompletedByClientRef(userId, clientReferenceId, excludeId) {
+        const [rows] = await pool.query(
+            `SELECT id, system_reference_id, document_type, extracted_data FROM v1_verification_requests
+             WHERE user_id = ? AND client_reference_id = ? AND id != ? AND status IN ('verified', 'rejected', 'needs_review')
+             ORDER BY created_at DESC LIMIT 50`,
+            [userId, clientReferenceId, excludeId]
+        );
+        return rows.map(r => ({
+            ...r,
+            extracted_data: typeof r.extracted_data === 'string' ? JSON.parse(r.extracted_data) : r.extracted_data
+        }));
     }
 
     static async getByUserId(userId, { status, page = 1, limit = 20 } = {}) {
@@ -131,6 +168,7 @@ class V1VerificationRequestModel {
                     SUM(CASE WHEN status = 'verified' THEN 1 ELSE 0 END) as verified_count,
                     SUM(CASE WHEN status = 'rejected' THEN 1 ELSE 0 END) as rejected_count,
                     SUM(CASE WHEN status IN ('accepted','processing') THEN 1 ELSE 0 END) as processing_count,
+                    SUM(CASE WHEN status = 'needs_review' THEN 1 ELSE 0 END) as needs_review_count,
                     AVG(CASE WHEN confidence IS NOT NULL THEN confidence END) as avg_confidence
              FROM v1_verification_requests WHERE user_id = ?`,
             [userId]
@@ -142,10 +180,23 @@ class V1VerificationRequestModel {
             verified_count: totals.verified_count || 0,
             rejected_count: totals.rejected_count || 0,
             processing_count: totals.processing_count || 0,
+            needs_review_count: totals.needs_review_count || 0,
             avg_confidence: totals.avg_confidence ? parseFloat(totals.avg_confidence).toFixed(2) : null
         };
     }
 
+    /**
+     * Documents a user submitted since the start of the current calendar month (all keys)
+     */
+    static async countThisMonth(userId) {
+        const [[row]] = await pool.query(
+            `SELECT COUNT(*) as count FROM v1_verification_requests
+             WHERE user_id = ? AND created_at >= DATE_FORMAT(NOW(), '%Y-%m-01')`,
+            [userId]
+        );
+        return row.count;
+    }
+
     static async getAllForAdmin({ status, userId, page = 1, limit = 20 } = {}) {
         let query = `SELECT vr.*, u.name as user_name, u.email as user_email
                      FROM v1_verification_requests vr
@@ -161,7 +212,7 @@ class V1VerificationRequestModel {
 
     static async reprocess(id) {
         await pool.query(
-            "UPDATE v1_verification_requests SET status = 'accepted', confidence = NULL, risk_score = NULL, extracted_data = NULL, ai_response = NULL, issues = NULL, processed_at = NULL WHERE id = ?",
+            "UPDATE v1_verification_requests SET status = 'accepted', confidence = NULL, risk_score = NULL, extracted_data = NULL, ai_response = NULL, issues = NULL, processed_at = NULL, processing_token = NULL WHERE id = ?",
             [id]
         );
     }
@@ -6,71 +6,223 @@ class V1WebhookModel {
         return 'whsec_' + crypto.randomBytes(24).toString('hex');
     }
 
-    static async create({ userId, url, events }) {
+    static _parseJson(row) {
+        if (!row) return null;
+        row.events = typeof row.events === 'string' ? JSON.parse(row.events) : row.events;
+        row.payload_options = typeof row.payload_options === 'string' ? JSON.parse(row.payload_options) : row.payload_options;
+        return row;
+    }
+
+    static async create({ userId, url, events, payloadOptions }) {
         const secret = this.generateSecret();
         const [result] = await pool.query(
-            'INSERT INTO v1_webhooks (user_id, url, secret, events) VALUES (?, ?, ?, ?)',
-            [userId, url, secret, JSON.stringify(events || ['document.verified', 'document.rejected', 'document.failed'])]
+            'INSERT INTO v1_webhooks (user_id, url, secret, events, payload_options) VALUES (?, ?, ?, ?, ?)',
+            [
+                userId, url, secret,
+                JSON.stringify(events || ['document.verified', 'document.rejected', 'document.failed']),
+                payloadOptions ? JSON.stringify(payloadOptions) : null
+            ]
         );
         return { id: result.insertId, secret };
     }
 
     static async findById(id) {
         const [rows] = await pool.query('SELECT * FROM v1_webhooks WHERE id = ?', [id]);
-        if (rows[0]) {
-            rows[0].events = typeof rows[0].events === 'string' ? JSON.parse(rows[0].events) : rows[0].events;
-        }
-        return rows[0] || null;
+        return this._parseJson(rows[0]) || null;
     }
 
     static async getByUserId(userId) {
         const [rows] = await pool.query(
-            'SELECT id, url, events, is_active, failure_count, last_triggered_at, created_at FROM v1_webhooks WHERE user_id = ? ORDER BY created_at DESC',
+            'SELECT id, url, events, payload_options, is_active, failure_count, disabled_at, disabled_reason, previous_secret_expires_at, last_triggered_at, created_at FROM v1_webhooks WHERE user_id = ? ORDER BY created_at DESC',
             [userId]
         );
-        return rows.map(row => {
-            row.events = typeof row.events === 'string' ? JSON.parse(row.events) : row.events;
-            return row;
-        });
+        return rows.map(row => this._parseJson(row));
     }
 
     static async getActiveForEvent(userId, event) {
         const [rows] = await pool.query(
-            "SELECT * FROM v1_webhooks WHERE user_id = ? AND is_active = 1 AND failure_count < 10",
+            "SELECT * FROM v1_webhooks WHERE user_id = ? AND is_active = 1",
             [userId]
         );
-        return rows.filter(row => {
-            const events = typeof row.events === 'string' ? JSON.parse(row.events) : row.events;
-            return events.includes(event);
-        });
+        return rows.map(row => this._parseJson(row)).filter(row => row.events.includes(event));
     }
 
-    static async update(id, userId, { url, events, isActive }) {
+    static async update(id, userId, { url, events, payloadOptions, isActive }) {
         const fields = [];
         const values = [];
         if (url !== undefined) { fields.push('url = ?'); values.push(url); }
         if (events !== undefined) { fields.push('events = ?'); values.push(JSON.stringify(events)); }
+        if (payloadOptions !== undefined) { fields.push('payload_options = ?'); values.push(payloadOptions ? JSON.stringify(payloadOptions) : null); }
         if (isActive !== undefined) { fields.push('is_active = ?'); values.push(isActive ? 1 : 0); }
+        // Re-enabling starts a fresh failure streak
+        if (isActive) fields.push('failure_count = 0', 'disabled_at = NULL', 'disabled_reason = NULL');
         if (fields.length === 0) return false;
         values.push(id, userId);
         const [result] = await pool.query(`UPDATE v1_webhooks SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`, values);
         return result.affectedRows > 0;
     }
 
+    /**
+     * Replace the signing secret. The old one keeps signing deliveries (as a second
+     * signature) for `graceHours` so receivers can switch over without dropping events.
+     */
+    static async rotateSecret(id, userId, graceHours) {
+        const secret = this.generateSecret();
+        const [result] = await pool.query(
+            `UPDATE v1_webhooks
+             SET previous_secret = ${graceHours > 0 ? 'secret' : 'NULL'},
+                 previous_secret_expires_at = ${graceHours > 0 ? 'DATE_ADD(NOW(), INTERVAL ? HOUR)' : 'NULL'},
+                 secret = ?
+             WHERE id = ? AND user_id = ?`,
+            graceHours > 0 ? [graceHours, secret, id, userId] : [secret, id, userId]
+        );
+        if (result.affectedRows === 0) return null;
+        const [rows] = await pool.query('SELECT previous_secret_expires_at FROM v1_webhooks WHERE id = ?', [id]);
+        return { secret, previous_secret_expires_at: rows[0].previous_secret_expires_at };
+    }
+
     static async delete(id, userId) {
         const [result] = await pool.query('DELETE FROM v1_webhooks WHERE id = ? AND user_id = ?', [id, userId]);
         return result.affectedRows > 0;
     }
 
-    static async recordDelivery(webhookId, verificationRequestId, event, payload, responseStatus, responseBody, status) {
+    static _parseDelivery(row) {
+        if (!row) return null;
+        row.payload = typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload;
+        return row;
+    }
+
+    /**
+     * Log a delivery before its first attempt. next_retry_at is set one lease ahead so the
+     * retry worker only picks it up if this node dies before recording the attempt.
+     * Deliveries to a bulk job's callback_url have no webhook and carry `bulkJobId` instead.
+     */
+    static async createDelivery(webhookId, verificationRequestId, event, payload, leaseMs, bulkJobId = null) {
+        const [result] = await pool.query(
+            `INSERT INTO v1_webhook_deliveries (webhook_id, bulk_job_id, verification_request_id, event, payload, status, attempts, next_retry_at)
+             VALUES (?, ?, ?, ?, ?, 'pending', 0, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+            [webhookId, bulkJobId, verificationRequestId, event, JSON.stringify(payload), Math.ceil(leaseMs / 1000)]
+        );
+        return result.insertId;
+    }
+
+    static async findDeliveryById(id) {
+        const [rows] = await pool.query('SELECT * FROM v1_webhook_deliveries WHERE id = ?', [id]);
+        return this._parseDelivery(rows[0]) || null;
+    }
+
+    /**
+     * Record the outcome of one attempt. With `retryDelayMs` the delivery stays pending
+     * until then; otherwise it is final.
+     */
+    static async recordAttempt(id, { responseStatus, responseBody, latencyMs, status, retryDelayMs = null }) {
+        await pool.query(
+            `UPDATE v1_webhook_deliveries
+             SET attempts = attempts + 1, last_attempt_at = NOW(), response_status = ?, response_body = ?, latency_ms = ?, status = ?,
+                 next_retry_at = ${retryDelayMs === null ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)'}
+             WHERE id = ?`,
+            retryDelayMs === null
+                ? [responseStatus, responseBody, latencyMs, status, id]
+                : [responseStatus, responseBody, latencyMs, status, Math.ceil(retryDelayMs / 1000), id]
+        );
+    }
+
+    /**
+     * Delivery history of one webhook, newest first. Payloads are left out; fetch a single
+     * delivery for its payload.
+     */
+    static async getDeliveries(webhookId, { status, page = 1, limit = 20 } = {}) {
+        let where = 'WHERE d.webhook_id = ?';
+        const params = [webhookId];
+        if (status) { where += ' AND d.status = ?'; params.push(status); }
+
+        const [rows] = await pool.query(
+            `SELECT d.id, d.event, d.status, d.response_status, d.response_body, d.latency_ms, d.attempts,
+                    d.next_retry_at, d.last_attempt_at, d.created_at, vr.system_reference_id
+             FROM v1_webhook_deliveries d
+             LEFT JOIN v1_verification_requests vr ON d.verification_request_id = vr.id
+             ${where}
+             ORDER BY d.created_at DESC, d.id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+        const [[{ total }]] = await pool.query(`SELECT COUNT(*) as total FROM v1_webhook_deliveries d ${where}`, params);
+        return { deliveries: rows, total, page, limit };
+    }
+
+    /**
+     * Claim pending deliveries whose retry is due, for active webhooks and bulk callbacks. Claimed rows get
+     * next_retry_at pushed one lease ahead, so other nodes skip them while the attempt runs.
+     */
+    static async claimDueDeliveries(limit, leaseMs) {
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            const [rows] = await conn.query(
+                `SELECT d.id FROM v1_webhook_deliveries d
+                 LEFT JOIN v1_webhooks w ON d.webhook_id = w.id
+                 WHERE d.status = 'pending' AND d.next_retry_at <= NOW() AND (w.is_active = 1 OR d.webhook_id IS NULL)
+                 ORDER BY d.next_retry_at ASC, d.id ASC LIMIT ? FOR UPDATE SKIP LOCKED`,
+                [limit]
+            );
+            if (rows.length === 0) {
+                await conn.commit();
+                return [];
+            }
+
+            const ids = rows.map(r => r.id);
+            await conn.query(
+                'UPDATE v1_webhook_deliveries SET next_retry_at = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id IN (?)',
+                [Math.ceil(leaseMs / 1000), ids]
+            );
+            const [deliveries] = await conn.query('SELECT * FROM v1_webhook_deliveries WHERE id IN (?) ORDER BY id ASC', [ids]);
+            await conn.commit();
+            return deliveries.map(d => this._parseDelivery(d));
+        } catch (err) {
+            await conn.rollback();
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Give up on one pending delivery without attempting it (e.g. it has nowhere to go)
+     */
+    static async failDelivery(id, reason) {
         await pool.query(
-            'INSERT INTO v1_webhook_deliveries (webhook_id, verification_request_id, event, payload, response_status, response_body, status, attempts) VALUES (?, ?, ?, ?, ?, ?, ?, 1)',
-            [webhookId, verificationRequestId, event, JSON.stringify(payload), responseStatus, responseBody, status]
+            "UPDATE v1_webhook_deliveries SET status = 'failed', next_retry_at = NULL, response_body = ? WHERE id = ? AND status = 'pending'",
+            [reason, id]
         );
     }
 
+    /**
+     * Give up on every pending delivery of a webhook (it was disabled)
+     */
+    static async failPendingDeliveries(webhookId, reason) {
+        await pool.query(
+            "UPDATE v1_webhook_deliveries SET status = 'failed', next_retry_at = NULL, response_body = ? WHERE webhook_id = ? AND status = 'pending'",
+            [reason, webhookId]
+        );
+    }
+
+    /**
+     * Count a failed attempt. Returns the new consecutive failure count.
+     */
     static async incrementFailureCount(id) {
         await pool.query('UPDATE v1_webhooks SET failure_count = failure_count + 1 WHERE id = ?', [id]);
+        const [rows] = await pool.query('SELECT failure_count FROM v1_webhooks WHERE id = ?', [id]);
+        return rows[0] ? rows[0].failure_count : 0;
+    }
+
+    /**
+     * Deactivate a webhook after repeated failures. Returns false if it was already inactive.
+     */
+    static async disable(id, reason) {
+        const [result] = await pool.query(
+            'UPDATE v1_webhooks SET is_active = 0, disabled_at = NOW(), disabled_reason = ? WHERE id = ? AND is_active = 1',
+            [reason, id]
+        );
+        return result.affectedRows > 0;
     }
 
     static async resetFailureCount(id) {
@@ -0,0 +1,96 @@
+/**
+ * Webhook signature verification for the Document Verification Platform.
+ *
+ * Copy this file into your Node.js service. It has no dependencies.
+ *
+ * Every delivery carries:
+ *   X-Webhook-Signature-Timestamped: t=1705312245,v1=5257a869...[,v1=...]
+ *   X-Webhook-Delivery-Id: 42          (unchanged across retries - use it to de-duplicate)
+ *
+ * Each v1 value is HMAC-SHA256("<t>.<raw body>") keyed with your webhook secret. There are
+ * two v1 values while a rotated secret is in its grace period; a match on either is valid.
+ *
+ * Usage with Express (the body must be the raw bytes, not re-serialized JSON):
+ *
+ *   const { constructEvent } = require('./v1-webhook-verify');
+ *
+ *   app.post('/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+ *       let event;
+ *       try {
+ *           event = constructEvent(req.body, req.get('X-Webhook-Signature-Timestamped'), process.env.WEBHOOK_SECRET);
+ *       } catch (err) {
+ *           return res.status(400).send(err.message);
+ *       }
+ *       // Skip if req.get('X-Webhook-Delivery-Id') was already processed, then handle `event`
+ *       res.sendStatus(200);
+ *   });
+ */
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+class WebhookVerificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookVerificationError';
+    }
+}
+
+/**
+ * Split "t=...,v1=...,v1=..." into { timestamp, signatures }
+ */
+function parseSignatureHeader(header) {
+    if (typeof header !== 'string' || header.length === 0) {
+        throw new WebhookVerificationError('Missing signature header');
+    }
+    let timestamp = null;
+    const signatures = [];
+    for (const part of header.split(',')) {
+        const [key, value] = part.trim().split('=', 2);
+        if (key === 't') timestamp = parseInt(value, 10);
+        else if (key === 'v1' && value) signatures.push(value);
+    }
+    if (!Number.isInteger(timestamp)) {
+        throw new WebhookVerificationError('Signature header has no timestamp');
+    }
+    if (signatures.length === 0) {
+        throw new WebhookVerificationError('Signature header has no v1 signature');
+    }
+    return { timestamp, signatures };
+}
+
+/**
+ * Check a delivery. Throws WebhookVerificationError unless one signature matches and the
+ * timestamp is within `toleranceSeconds` of now (pass 0 to skip the age check).
+ */
+function verifySignature(rawBody, header, secret, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+
+    const expected = Buffer.from(
+        crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')
+    );
+    const matched = signatures.some(signature => {
+        const candidate = Buffer.from(signature);
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+    });
+    if (!matched) {
+        throw new WebhookVerificationError('No signature matches the payload');
+    }
+
+    if (toleranceSeconds > 0 && Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+        throw new WebhookVerificationError('Timestamp is outside the tolerance window');
+    }
+    return true;
+}
+
+/**
+ * Verify a delivery and return the parsed event
+ */
+function constructEvent(rawBody, header, secret, options) {
+    verifySignature(rawBody, header, secret, options);
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    return JSON.parse(payload);
+}
+
+module.exports = { constructEvent, verifySignature, parseSignatureHeader, WebhookVerificationError };
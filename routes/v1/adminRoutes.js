@@ -5,10 +5,22 @@ const V1DocumentMasterModel = require('../../models/v1/V1DocumentMasterModel');
 const V1VerificationRequestModel = require('../../models/v1/V1VerificationRequestModel');
 const V1UserModel = require('../../models/v1/V1UserModel');
 const V1AuditModel = require('../../models/v1/V1AuditModel');
+const V1JobModel = require('../../models/v1/V1JobModel');
+const V1ReviewModel = require('../../models/v1/V1ReviewModel');
+const V1AiUsageModel = require('../../models/v1/V1AiUsageModel');
+const V1PlanModel = require('../../models/v1/V1PlanModel');
+const AtlasVerificationModel = require('../../models/AtlasVerificationModel');
 const QueueService = require('../../services/v1/QueueService');
+const VerificationProcessor = require('../../services/v1/VerificationProcessor');
+const AIProcessingService = require('../../services/v1/AIProcessingService');
+const RuleEngineService = require('../../services/v1/RuleEngineService');
+const AIProviderRegistry = require('../../services/ai/AIProviderRegistry');
+const PageSelection = require('../../services/ai/PageSelection');
+const RuleDslService = require('../../services/v1/RuleDslService');
 const { generalLimiter } = require('../../middleware/v1/rateLimiter');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'v1-jwt-secret';
+const REVIEW_CLAIM_MINUTES = parseInt(process.env.V1_REVIEW_CLAIM_MINUTES) || 30;
 
 /**
  * Admin JWT auth middleware
@@ -41,12 +53,31 @@ router.use(adminAuth);
 // POST /admin/document - Create document type
 router.post('/document', async (req, res) => {
     try {
-        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules } = req.body;
+        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules, ai_provider, page_rules, review_bands, cache_results } = req.body;
 
         if (!name || !code) {
             return res.status(400).json({ error: 'Bad request', message: 'Name and code are required' });
         }
 
+        if (ai_provider && !AIProviderRegistry.isKnown(ai_provider)) {
+            return res.status(400).json({ error: 'Bad request', message: `Unknown ai_provider: '${ai_provider}'` });
+        }
+
+        const pageRulesError = PageSelection.validateRule(page_rules);
+        if (pageRulesError) {
+            return res.status(400).json({ error: 'Bad request', message: pageRulesError });
+        }
+
+        const rulesCheck = RuleDslService.validate(validation_rules);
+        if (!rulesCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: `Invalid validation_rules: ${rulesCheck.errors.join('; ')}` });
+        }
+
+        const reviewBandsError = RuleEngineService.validateReviewBands(review_bands);
+        if (reviewBandsError) {
+            return res.status(400).json({ error: 'Bad request', message: reviewBandsError });
+        }
+
         // Check for duplicate code
         const existing = await V1DocumentMasterModel.findByCode(code);
         if (existing) {
@@ -60,6 +91,10 @@ router.post('/document', async (req, res) => {
             maxSizeMb: max_size_mb,
             requiredFields: required_fields,
             validationRules: validation_rules,
+            aiProvider: AIProviderRegistry.normalizeName(ai_provider),
+            pageRules: page_rules,
+            reviewBands: review_bands,
+            cacheResults: cache_results,
             createdBy: req.user.userId
         });
 
@@ -92,17 +127,58 @@ router.get('/document', async (req, res) => {
     }
 });
 
+// POST /admin/document/validate-rules - Check validation_rules before saving a document type
+// Optional sample_data (extracted fields) is evaluated against the rules
+router.post('/document/validate-rules', async (req, res) => {
+    try {
+        const { validation_rules, sample_data } = req.body;
+
+        if (sample_data !== undefined && (!sample_data || typeof sample_data !== 'object' || Array.isArray(sample_data))) {
+            return res.status(400).json({ error: 'Bad request', message: 'sample_data must be an object of extracted fields' });
+        }
+
+        const result = RuleDslService.validate(validation_rules);
+        if (sample_data && result.valid) {
+            result.results = RuleDslService.evaluate(validation_rules, sample_data);
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Validate rules error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to validate rules' });
+    }
+});
+
 // PUT /admin/document/:id - Update document type
 router.put('/document/:id', async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules, is_active } = req.body;
+        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules, ai_provider, page_rules, review_bands, cache_results, is_active } = req.body;
 
         const existing = await V1DocumentMasterModel.findById(id);
         if (!existing) {
             return res.status(404).json({ error: 'Not found', message: 'Document type not found' });
         }
 
+        if (ai_provider && !AIProviderRegistry.isKnown(ai_provider)) {
+            return res.status(400).json({ error: 'Bad request', message: `Unknown ai_provider: '${ai_provider}'` });
+        }
+
+        const pageRulesError = PageSelection.validateRule(page_rules);
+        if (pageRulesError) {
+            return res.status(400).json({ error: 'Bad request', message: pageRulesError });
+        }
+
+        const rulesCheck = RuleDslService.validate(validation_rules);
+        if (!rulesCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: `Invalid validation_rules: ${rulesCheck.errors.join('; ')}` });
+        }
+
+        const reviewBandsError = RuleEngineService.validateReviewBands(review_bands);
+        if (reviewBandsError) {
+            return res.status(400).json({ error: 'Bad request', message: reviewBandsError });
+        }
+
         await V1DocumentMasterModel.update(id, {
             name,
             code,
@@ -110,6 +186,11 @@ router.put('/document/:id', async (req, res) => {
             maxSizeMb: max_size_mb,
             requiredFields: required_fields,
             validationRules: validation_rules,
+            // null clears the per-type override; undefined leaves it unchanged
+            aiProvider: ai_provider === undefined ? undefined : AIProviderRegistry.normalizeName(ai_provider),
+            pageRules: page_rules,
+            reviewBands: review_bands,
+            cacheResults: cache_results,
             isActive: is_active
         });
 
@@ -157,6 +238,16 @@ router.delete('/document/:id', async (req, res) => {
     }
 });
 
+// GET /admin/ai-providers - Providers that can be assigned to document types
+router.get('/ai-providers', async (req, res) => {
+    try {
+        res.json({ success: true, data: AIProviderRegistry.getAvailableProviders() });
+    } catch (error) {
+        console.error('List AI providers error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to list AI providers' });
+    }
+});
+
 // ==========================================
 // Admin Monitoring Routes
 // ==========================================
@@ -193,6 +284,20 @@ router.post('/requests/:id/override', async (req, res) => {
             return res.status(404).json({ error: 'Not found', message: 'Verification request not found' });
         }
 
+        // A result waiting for review is decided through the review queue so webhooks fire
+        if (request.status === 'needs_review') {
+            const task = await V1ReviewModel.findLatestByRequestId(id);
+            if (task && ['pending', 'claimed'].includes(task.status)) {
+                await VerificationProcessor.finalizeReview(task, {
+                    reviewerId: req.user.userId,
+                    decision: status,
+                    reason: req.body.reason || 'Admin override',
+                    force: true,
+                    ipAddress: req.ip
+                });
+            }
+        }
+
         await V1VerificationRequestModel.overrideStatus(id, { status, confidence });
 
         await V1AuditModel.log({
@@ -221,6 +326,7 @@ router.post('/requests/:id/reprocess', async (req, res) => {
         }
 
         await V1VerificationRequestModel.reprocess(id);
+        await V1ReviewModel.cancelOpenForRequest(id);
 
         // Add to queue for reprocessing
         await QueueService.addJob('verify_document', { requestId: id });
@@ -240,19 +346,245 @@ router.post('/requests/:id/reprocess', async (req, res) => {
     }
 });
 
+// ==========================================
+// Human Review Queue
+// ==========================================
+
+// GET /admin/reviews - Review queue (status: open | pending | claimed | decided | cancelled, mine=true)
+router.get('/reviews', async (req, res) => {
+    try {
+        const { status, mine, page, limit } = req.query;
+        const [queue, counts] = await Promise.all([
+            V1ReviewModel.getQueue({
+                status: status || 'open',
+                assignedTo: mine === 'true' ? req.user.userId : null,
+                page: parseInt(page) || 1,
+                limit: Math.min(parseInt(limit) || 20, 100)
+            }),
+            V1ReviewModel.getCounts()
+        ]);
+        res.json({ success: true, data: { ...queue, counts } });
+    } catch (error) {
+        console.error('List reviews error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to list review queue' });
+    }
+});
+
+// POST /admin/reviews/claim-next - Claim the oldest unclaimed review task
+router.post('/reviews/claim-next', async (req, res) => {
+    try {
+        const taskId = await V1ReviewModel.claimNext(req.user.userId, REVIEW_CLAIM_MINUTES);
+        if (!taskId) {
+            return res.status(404).json({ error: 'Not found', message: 'No documents are waiting for review' });
+        }
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'review.claimed',
+            resourceType: 'review_task',
+            resourceId: String(taskId),
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await V1ReviewModel.findById(taskId) });
+    } catch (error) {
+        console.error('Claim next review error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to claim review task' });
+    }
+});
+
+// GET /admin/reviews/:id - Review task with the request's extracted data and checks
+router.get('/reviews/:id', async (req, res) => {
+    try {
+        const task = await V1ReviewModel.findById(parseInt(req.params.id));
+        if (!task) {
+            return res.status(404).json({ error: 'Not found', message: 'Review task not found' });
+        }
+
+        const request = await V1VerificationRequestModel.findById(task.verification_request_id);
+        const aiResponse = request.ai_response || {};
+
+        res.json({
+            success: true,
+            data: {
+                task,
+                request: {
+                    id: request.id,
+                    system_reference_id: request.system_reference_id,
+                    client_reference_id: request.client_reference_id,
+                    document_type: request.document_type,
+                    status: request.status,
+                    confidence: request.confidence,
+                    risk_score: request.risk_score,
+                    metadata: request.metadata,
+                    extracted_data: request.extracted_data,
+                    issues: request.issues,
+                    created_at: request.created_at
+                },
+                checks: {
+                    is_genuine: aiResponse.is_genuine !== false,
+                    authenticity_checks: aiResponse.authenticity_checks || {},
+                    fraud_indicators: aiResponse.fraud_indicators || [],
+                    data_consistency: aiResponse.data_consistency || {},
+                    qr_verification: aiResponse.qr_verification || null,
+                    cross_document: aiResponse.cross_document || null,
+                    duplicates: aiResponse.duplicates || [],
+                    field_pages: aiResponse.field_pages || {}
+                },
+                document_url: `/v1/admin/reviews/${task.id}/document`
+            }
+        });
+    } catch (error) {
+        console.error('Get review error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to fetch review task' });
+    }
+});
+
+// GET /admin/reviews/:id/document - The submitted file, for viewing next to the extracted data
+router.get('/reviews/:id/document', async (req, res) => {
+    try {
+        const task = await V1ReviewModel.findById(parseInt(req.params.id));
+        if (!task) {
+            return res.status(404).json({ error: 'Not found', message: 'Review task not found' });
+        }
+
+        const request = await V1VerificationRequestModel.findById(task.verification_request_id);
+        const doc = await AIProcessingService.downloadDocument(request.file_url);
+
+        res.set('Content-Type', doc.contentType || 'application/octet-stream');
+        res.set('Cache-Control', 'private, no-store');
+        res.send(doc.buffer);
+    } catch (error) {
+        console.error('Review document error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to load the submitted document' });
+    }
+});
+
+// POST /admin/reviews/:id/claim - Claim (or extend a claim on) a review task
+router.post('/reviews/:id/claim', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const task = await V1ReviewModel.findById(id);
+        if (!task) {
+            return res.status(404).json({ error: 'Not found', message: 'Review task not found' });
+        }
+
+        const claimed = await V1ReviewModel.claim(id, req.user.userId, REVIEW_CLAIM_MINUTES);
+        if (!claimed) {
+            const message = task.status === 'claimed'
+                ? `Task is claimed by ${task.reviewer_name || 'another reviewer'}`
+                : `Task is already ${task.status}`;
+            return res.status(409).json({ error: 'Conflict', message });
+        }
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'review.claimed',
+            resourceType: 'review_task',
+            resourceId: String(id),
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: await V1ReviewModel.findById(id) });
+    } catch (error) {
+        console.error('Claim review error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to claim review task' });
+    }
+});
+
+// POST /admin/reviews/:id/release - Return a claimed task to the queue (force=true for someone else's claim)
+router.post('/reviews/:id/release', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const task = await V1ReviewModel.findById(id);
+        if (!task) {
+            return res.status(404).json({ error: 'Not found', message: 'Review task not found' });
+        }
+
+        const released = await V1ReviewModel.release(id, req.user.userId, { force: req.body.force === true });
+        if (!released) {
+            return res.status(409).json({ error: 'Conflict', message: 'Task is not claimed by you' });
+        }
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'review.released',
+            resourceType: 'review_task',
+            resourceId: String(id),
+            details: task.assigned_to !== req.user.userId ? { released_from: task.assigned_to } : {},
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Task returned to the queue' });
+    } catch (error) {
+        console.error('Release review error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to release review task' });
+    }
+});
+
+// POST /admin/reviews/:id/decision - Verify or reject a claimed task, with a reason
+router.post('/reviews/:id/decision', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { decision, reason } = req.body;
+
+        if (!['verified', 'rejected'].includes(decision)) {
+            return res.status(400).json({ error: 'Bad request', message: 'Decision must be verified or rejected' });
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ error: 'Bad request', message: 'A reason is required' });
+        }
+
+        const task = await V1ReviewModel.findById(id);
+        if (!task) {
+            return res.status(404).json({ error: 'Not found', message: 'Review task not found' });
+        }
+
+        const updated = await VerificationProcessor.finalizeReview(task, {
+            reviewerId: req.user.userId,
+            decision,
+            reason: reason.trim(),
+            ipAddress: req.ip
+        });
+        if (!updated) {
+            const message = ['decided', 'cancelled'].includes(task.status)
+                ? `Task is already ${task.status}`
+                : 'Claim the task before deciding (your claim may have expired)';
+            return res.status(409).json({ error: 'Conflict', message });
+        }
+
+        res.json({ success: true, message: `Document ${decision}`, data: { status: updated.status, task: await V1ReviewModel.findById(id) } });
+    } catch (error) {
+        console.error('Review decision error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to record decision' });
+    }
+});
+
 // GET /admin/analytics - Dashboard analytics
 router.get('/analytics', async (req, res) => {
     try {
         const stats = await V1VerificationRequestModel.getAdminStats();
         const users = await V1UserModel.getAll({ limit: 100 });
-        const queueStatus = QueueService.getStatus();
+        const queueStatus = await QueueService.getStats();
+
+        // Tokens and estimated AI cost: v1 API (with per-user spend) and Atlas scheduler
+        const aiUsage = {
+            month_to_date: await V1AiUsageModel.getSummary({ monthToDate: true }),
+            all_time: await V1AiUsageModel.getSummary(),
+            top_users_month_to_date: await V1AiUsageModel.getByUser({ monthToDate: true }),
+            atlas: {
+                month_to_date: await AtlasVerificationModel.getUsageSummary({ monthToDate: true }),
+                all_time: await AtlasVerificationModel.getUsageSummary()
+            }
+        };
 
         res.json({
             success: true,
             data: {
                 verification_stats: stats,
                 total_users: users.total,
-                queue: queueStatus
+                queue: queueStatus,
+                ai_usage: aiUsage
             }
         });
     } catch (error) {
@@ -261,6 +593,81 @@ router.get('/analytics', async (req, res) => {
     }
 });
 
+// ==========================================
+// Job Queue Routes
+// ==========================================
+
+// GET /admin/queue - Queue status (this node + cluster-wide job counts)
+router.get('/queue', async (req, res) => {
+    try {
+        const stats = await QueueService.getStats();
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        console.error('Queue status error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to fetch queue status' });
+    }
+});
+
+// GET /admin/queue/jobs - List jobs (e.g. ?status=dead for the dead-letter queue)
+router.get('/queue/jobs', async (req, res) => {
+    try {
+        const { status, type, page, limit } = req.query;
+        const jobs = await V1JobModel.getAll({
+            status,
+            type,
+            page: parseInt(page) || 1,
+            limit: parseInt(limit) || 50
+        });
+        res.json({ success: true, data: jobs });
+    } catch (error) {
+        console.error('List jobs error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to list jobs' });
+    }
+});
+
+// GET /admin/queue/jobs/:id - Job detail with attempt history
+router.get('/queue/jobs/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const job = await V1JobModel.findById(id);
+        if (!job) {
+            return res.status(404).json({ error: 'Not found', message: 'Job not found' });
+        }
+        const attempts = await V1JobModel.getAttempts(id);
+        res.json({ success: true, data: { ...job, attempt_history: attempts } });
+    } catch (error) {
+        console.error('Job detail error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to fetch job' });
+    }
+});
+
+// POST /admin/queue/jobs/:id/retry - Move a dead-lettered job back to the queue
+router.post('/queue/jobs/:id/retry', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const retried = await QueueService.retryJob(id);
+        if (!retried) {
+            return res.status(404).json({ error: 'Not found', message: 'Job not found or not in dead-letter state' });
+        }
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'queue.job_retried',
+            resourceType: 'job',
+            resourceId: String(id),
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Job re-queued' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Conflict', message: 'Another job for the same request is already queued' });
+        }
+        console.error('Retry job error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to retry job' });
+    }
+});
+
 // GET /admin/users - List all users
 router.get('/users', async (req, res) => {
     try {
@@ -276,6 +683,82 @@ router.get('/users', async (req, res) => {
     }
 });
 
+// PUT /admin/users/:id/budget - Set or clear a user's monthly AI budget
+router.put('/users/:id/budget', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { monthly_budget_usd } = req.body;
+
+        if (monthly_budget_usd !== null && (typeof monthly_budget_usd !== 'number' || !(monthly_budget_usd >= 0))) {
+            return res.status(400).json({ error: 'Bad request', message: 'monthly_budget_usd must be a non-negative number, or null for no limit' });
+        }
+
+        const user = await V1UserModel.findById(id);
+        if (!user) {
+            return res.status(404).json({ error: 'Not found', message: 'User not found' });
+        }
+
+        await V1UserModel.setMonthlyBudget(id, monthly_budget_usd);
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'user.budget_updated',
+            resourceType: 'user',
+            resourceId: String(id),
+            details: { previous: user.monthly_budget_usd, monthly_budget_usd },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Budget updated', data: await V1UserModel.findById(id) });
+    } catch (error) {
+        console.error('Update budget error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to update budget' });
+    }
+});
+
+// PUT /admin/users/:id/plan - Assign a plan (plan_id null returns the user to the default plan)
+router.put('/users/:id/plan', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { plan_id } = req.body;
+
+        if (plan_id !== null && !Number.isInteger(plan_id)) {
+            return res.status(400).json({ error: 'Bad request', message: 'plan_id must be a plan id, or null for the default plan' });
+        }
+
+        const user = await V1UserModel.findById(id);
+        if (!user) {
+            return res.status(404).json({ error: 'Not found', message: 'User not found' });
+        }
+
+        if (plan_id !== null) {
+            const plan = await V1PlanModel.findById(plan_id);
+            if (!plan) {
+                return res.status(404).json({ error: 'Not found', message: 'Plan not found' });
+            }
+            if (!plan.is_active) {
+                return res.status(400).json({ error: 'Bad request', message: `Plan '${plan.code}' is inactive` });
+            }
+        }
+
+        await V1UserModel.setPlan(id, plan_id);
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'user.plan_updated',
+            resourceType: 'user',
+            resourceId: String(id),
+            details: { previous: user.plan_id, plan_id },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Plan updated', data: await V1PlanModel.findForUser(id) });
+    } catch (error) {
+        console.error('Update user plan error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to update plan' });
+    }
+});
+
 // GET /admin/audit - View audit logs
 router.get('/audit', async (req, res) => {
     try {
@@ -293,4 +776,177 @@ router.get('/audit', async (req, res) => {
     }
 });
 
+// ==========================================
+// Plan Routes
+// ==========================================
+
+const isLimit = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Check plan fields from a create/update body; returns an error message or null.
+ * Only fields present in the body are checked.
+ */
+function validatePlan(body) {
+    const { monthly_document_quota, allowed_document_types, max_bulk_size, rate_limit, burst_limit } = body;
+    if (monthly_document_quota !== undefined && monthly_document_quota !== null && !isLimit(monthly_document_quota, 0)) {
+        return 'monthly_document_quota must be a non-negative integer, or null for unlimited';
+    }
+    if (allowed_document_types !== undefined && allowed_document_types !== null
+        && (!Array.isArray(allowed_document_types) || !allowed_document_types.every(code => typeof code === 'string' && code))) {
+        return 'allowed_document_types must be an array of document type codes, or null for all types';
+    }
+    if (max_bulk_size !== undefined && !isLimit(max_bulk_size, 1)) {
+        return 'max_bulk_size must be a positive integer';
+    }
+    if (rate_limit !== undefined && !isLimit(rate_limit, 1)) {
+        return 'rate_limit must be a positive integer (requests per hour)';
+    }
+    if (burst_limit !== undefined && !isLimit(burst_limit, 1)) {
+        return 'burst_limit must be a positive integer (requests per minute)';
+    }
+    return null;
+}
+
+// GET /admin/plans - List plans with their user counts
+router.get('/plans', async (req, res) => {
+    try {
+        const plans = await V1PlanModel.getAll({ active: req.query.active === 'true' });
+        res.json({ success: true, data: plans });
+    } catch (error) {
+        console.error('List plans error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to list plans' });
+    }
+});
+
+// POST /admin/plans - Create plan
+router.post('/plans', async (req, res) => {
+    try {
+        const { code, name, description, monthly_document_quota, allowed_document_types, instant_access, max_bulk_size, rate_limit, burst_limit, is_default } = req.body;
+
+        if (!code || !name) {
+            return res.status(400).json({ error: 'Bad request', message: 'Name and code are required' });
+        }
+
+        const validationError = validatePlan(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: 'Bad request', message: validationError });
+        }
+
+        const existing = await V1PlanModel.findByCode(code);
+        if (existing) {
+            return res.status(409).json({ error: 'Conflict', message: `Plan with code '${code}' already exists` });
+        }
+
+        const id = await V1PlanModel.create({
+            code,
+            name,
+            description,
+            monthlyDocumentQuota: monthly_document_quota,
+            allowedDocumentTypes: allowed_document_types,
+            instantAccess: instant_access !== undefined ? !!instant_access : true,
+            maxBulkSize: max_bulk_size,
+            rateLimit: rate_limit,
+            burstLimit: burst_limit,
+            isDefault: !!is_default
+        });
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'plan.created',
+            resourceType: 'plan',
+            resourceId: String(id),
+            details: { code, name },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({ success: true, message: 'Plan created', data: await V1PlanModel.findById(id) });
+    } catch (error) {
+        console.error('Create plan error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to create plan' });
+    }
+});
+
+// PUT /admin/plans/:id - Update plan; changes apply to every user on it immediately
+router.put('/plans/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { name, description, monthly_document_quota, allowed_document_types, instant_access, max_bulk_size, rate_limit, burst_limit, is_default, is_active } = req.body;
+
+        const existing = await V1PlanModel.findById(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Not found', message: 'Plan not found' });
+        }
+
+        const validationError = validatePlan(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: 'Bad request', message: validationError });
+        }
+
+        if (existing.is_default && (is_default === false || is_active === false)) {
+            return res.status(400).json({ error: 'Bad request', message: 'Make another plan the default first' });
+        }
+
+        await V1PlanModel.update(id, {
+            name,
+            description,
+            monthlyDocumentQuota: monthly_document_quota,
+            allowedDocumentTypes: allowed_document_types,
+            instantAccess: instant_access,
+            maxBulkSize: max_bulk_size,
+            rateLimit: rate_limit,
+            burstLimit: burst_limit,
+            isDefault: is_default,
+            isActive: is_active
+        });
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'plan.updated',
+            resourceType: 'plan',
+            resourceId: String(id),
+            details: { code: existing.code, changes: req.body },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Plan updated', data: await V1PlanModel.findById(id) });
+    } catch (error) {
+        console.error('Update plan error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to update plan' });
+    }
+});
+
+// DELETE /admin/plans/:id - Delete a plan no user is assigned to
+router.delete('/plans/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await V1PlanModel.findById(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Not found', message: 'Plan not found' });
+        }
+        if (existing.is_default) {
+            return res.status(409).json({ error: 'Conflict', message: 'The default plan cannot be deleted' });
+        }
+        const users = await V1PlanModel.countUsers(id);
+        if (users > 0) {
+            return res.status(409).json({ error: 'Conflict', message: `Plan is assigned to ${users} user(s). Move them to another plan first.` });
+        }
+
+        await V1PlanModel.delete(id);
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'plan.deleted',
+            resourceType: 'plan',
+            resourceId: String(id),
+            details: { code: existing.code, name: existing.name },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: 'Plan deleted' });
+    } catch (error) {
+        console.error('Delete plan error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to delete plan' });
+    }
+});
+
 module.exports = router;
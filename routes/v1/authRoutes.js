@@ -4,10 +4,15 @@ const jwt = require('jsonwebtoken');
 const V1UserModel = require('../../models/v1/V1UserModel');
 const V1ApiKeyModel = require('../../models/v1/V1ApiKeyModel');
 const V1AuditModel = require('../../models/v1/V1AuditModel');
+const V1PlanModel = require('../../models/v1/V1PlanModel');
+const IpAllowlistService = require('../../services/v1/IpAllowlistService');
 const { loginLimiter, registerLimiter } = require('../../middleware/v1/rateLimiter');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'v1-jwt-secret';
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const KEY_ROTATION_OVERLAP_HOURS = parseInt(process.env.V1_KEY_ROTATION_OVERLAP_HOURS) || 24;
+// Longest a rotated key may stay valid next to its successor
+const MAX_ROTATION_OVERLAP_HOURS = 30 * 24;
 
 /**
  * Middleware: JWT authentication for v1 auth routes
@@ -72,7 +77,9 @@ router.post('/register', registerLimiter, async (req, res) => {
                 user_id: userId,
                 email,
                 role: role === 'admin' ? 'admin' : 'user',
-                api_key: apiKeyResult.api_key
+                api_key: apiKeyResult.api_key,
+                key_prefix: apiKeyResult.key_prefix,
+                scopes: apiKeyResult.scopes
             }
         });
     } catch (error) {
@@ -159,16 +166,27 @@ router.get('/profile', jwtAuth, async (req, res) => {
                     name: user.name,
                     email: user.email,
                     role: user.role,
+                    ip_allowlist: user.ip_allowlist,
                     created_at: user.created_at
                 },
                 api_keys: apiKeys.map(k => ({
                     id: k.id,
                     name: k.name,
-                    api_key: k.api_key.substring(0, 10) + '...',
+                    credential_type: k.credential_type,
+                    client_id: k.client_id,
+                    api_key: k.key_prefix + '...',
+                    key_prefix: k.key_prefix,
+                    scopes: k.scopes || V1ApiKeyModel.SCOPES,
+                    ip_allowlist: k.ip_allowlist,
                     rate_limit: k.rate_limit,
                     burst_limit: k.burst_limit,
                     status: k.status,
                     last_used_at: k.last_used_at,
+                    expires_at: k.expires_at,
+                    rotated_from_id: k.rotated_from_id,
+                    replaced_by_id: k.replaced_by_id,
+                    rotated_at: k.rotated_at,
+                    previous_secret_expires_at: k.previous_secret_expires_at,
                     created_at: k.created_at
                 }))
             }
@@ -184,18 +202,47 @@ router.get('/profile', jwtAuth, async (req, res) => {
 // ==========================================
 router.post('/api/generate', jwtAuth, async (req, res) => {
     try {
-        const { name, rate_limit, burst_limit, expires_in_days } = req.body;
+        const { name, rate_limit, burst_limit, expires_in_days, scopes, ip_allowlist, type = 'api_key' } = req.body;
+
+        if (!V1ApiKeyModel.CREDENTIAL_TYPES.includes(type)) {
+            return res.status(400).json({ error: 'Bad request', message: `type must be one of: ${V1ApiKeyModel.CREDENTIAL_TYPES.join(', ')}` });
+        }
+
+        if (scopes !== undefined) {
+            const scopesError = V1ApiKeyModel.validateScopes(scopes);
+            if (scopesError) {
+                return res.status(400).json({ error: 'Bad request', message: scopesError });
+            }
+        }
+        const keyScopes = scopes ? [...new Set(scopes)] : V1ApiKeyModel.SCOPES;
+
+        const allowlist = ip_allowlist !== undefined ? IpAllowlistService.normalize(ip_allowlist) : { list: null };
+        if (allowlist.error) {
+            return res.status(400).json({ error: 'Bad request', message: allowlist.error });
+        }
 
         const days = parseInt(expires_in_days) || 365; // Default: 1 year
         let expiresAt = new Date();
         expiresAt.setDate(expiresAt.getDate() + days);
 
+        // Keys may ask for lower limits than the plan allows, never higher
+        const plan = await V1PlanModel.findForUser(req.user.userId);
+        let rateLimit = parseInt(rate_limit) || (plan ? plan.rate_limit : 1000);
+        let burstLimit = parseInt(burst_limit) || (plan ? plan.burst_limit : 50);
+        if (plan) {
+            rateLimit = Math.min(rateLimit, plan.rate_limit);
+            burstLimit = Math.min(burstLimit, plan.burst_limit);
+        }
+
         const result = await V1ApiKeyModel.create({
             userId: req.user.userId,
-            name: name || 'API Key',
-            rateLimit: rate_limit || 1000,
-            burstLimit: burst_limit || 50,
-            expiresAt
+            credentialType: type,
+            name: name || (type === 'oauth_client' ? 'OAuth Client' : 'API Key'),
+            rateLimit,
+            burstLimit,
+            expiresAt,
+            scopes: keyScopes,
+            ipAllowlist: allowlist.list
         });
 
         await V1AuditModel.log({
@@ -203,18 +250,27 @@ router.post('/api/generate', jwtAuth, async (req, res) => {
             action: 'api_key.generated',
             resourceType: 'api_key',
             resourceId: String(result.id),
+            details: { credential_type: type, client_id: result.client_id, key_prefix: result.key_prefix, scopes: keyScopes, ip_allowlist: allowlist.list },
             ipAddress: req.ip
         });
 
         res.status(201).json({
             success: true,
-            message: 'API key generated successfully',
+            message: type === 'oauth_client'
+                ? 'OAuth client created. Store the client secret now: it cannot be shown again.'
+                : 'API key generated successfully. Store it now: it cannot be shown again.',
             data: {
                 id: result.id,
-                api_key: result.api_key,
-                name: name || 'API Key',
-                rate_limit: rate_limit || 1000,
-                burst_limit: burst_limit || 50,
+                credential_type: type,
+                ...(type === 'oauth_client'
+                    ? { client_id: result.client_id, client_secret: result.api_key }
+                    : { api_key: result.api_key }),
+                key_prefix: result.key_prefix,
+                scopes: keyScopes,
+                ip_allowlist: allowlist.list,
+                name: name || (type === 'oauth_client' ? 'OAuth Client' : 'API Key'),
+                rate_limit: rateLimit,
+                burst_limit: burstLimit,
                 expires_at: expiresAt
             }
         });
@@ -224,6 +280,170 @@ router.post('/api/generate', jwtAuth, async (req, res) => {
     }
 });
 
+// ==========================================
+// POST /auth/api/rotate/:id - Issue a successor key; the old one stays valid for the overlap
+// (an OAuth client keeps its id and client_id and gets a new secret)
+// ==========================================
+router.post('/api/rotate/:id', jwtAuth, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { overlap_hours, expires_in_days } = req.body;
+
+        const overlapHours = overlap_hours !== undefined ? overlap_hours : KEY_ROTATION_OVERLAP_HOURS;
+        if (typeof overlapHours !== 'number' || !(overlapHours >= 0 && overlapHours <= MAX_ROTATION_OVERLAP_HOURS)) {
+            return res.status(400).json({ error: 'Bad request', message: `overlap_hours must be a number between 0 and ${MAX_ROTATION_OVERLAP_HOURS}` });
+        }
+
+        const days = parseInt(expires_in_days) || 365;
+        const expiresAt = new Date();
+        expiresAt.setDate(expiresAt.getDate() + days);
+
+        const rotation = await V1ApiKeyModel.rotate(id, req.user.userId, { overlapHours, expiresAt });
+        if (rotation.state === 'not_found') {
+            return res.status(404).json({ error: 'Not found', message: 'API key not found, revoked or expired' });
+        }
+        if (rotation.state === 'already_rotated') {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `API key was already rotated; its successor is key ${rotation.key.replaced_by_id}. Rotate that one instead.`,
+                replaced_by_id: rotation.key.replaced_by_id
+            });
+        }
+
+        const { successor } = rotation;
+        const isClient = successor.credential_type === 'oauth_client';
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'api_key.rotated',
+            resourceType: 'api_key',
+            resourceId: String(id),
+            details: isClient
+                ? { client_id: successor.client_id, key_prefix: successor.key_prefix, previous_secret_expires_at: rotation.previous_expires_at }
+                : { successor_id: successor.id, key_prefix: successor.key_prefix, previous_expires_at: rotation.previous_expires_at },
+            ipAddress: req.ip
+        });
+
+        res.status(201).json({
+            success: true,
+            message: isClient
+                ? 'Client secret rotated. Store the new secret now: it cannot be shown again.'
+                : 'API key rotated. Store the new key now: it cannot be shown again.',
+            data: {
+                id: successor.id,
+                credential_type: successor.credential_type,
+                ...(isClient
+                    ? { client_id: successor.client_id, client_secret: successor.api_key }
+                    : { api_key: successor.api_key }),
+                key_prefix: successor.key_prefix,
+                scopes: successor.scopes,
+                expires_at: successor.expires_at,
+                ...(isClient
+                    ? { previous_secret_expires_at: rotation.previous_expires_at }
+                    : { rotated_from_id: id, previous_key_expires_at: rotation.previous_expires_at })
+            }
+        });
+    } catch (error) {
+        console.error('API key rotation error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to rotate API key' });
+    }
+});
+
+// ==========================================
+// GET /auth/api/usage/:id - Requests and documents per day (or hour) for one key
+// ==========================================
+router.get('/api/usage/:id', jwtAuth, async (req, res) => {
+    try {
+        const key = await V1ApiKeyModel.findById(parseInt(req.params.id));
+        if (!key || key.user_id !== req.user.userId) {
+            return res.status(404).json({ error: 'Not found', message: 'API key not found' });
+        }
+
+        const granularity = req.query.granularity === 'hour' ? 'hour' : 'day';
+        const maxDays = granularity === 'hour' ? 7 : 365;
+        const days = Math.min(Math.max(parseInt(req.query.days) || (granularity === 'hour' ? 2 : 30), 1), maxDays);
+        const timeline = await V1ApiKeyModel.getUsageTimeline(key.id, { days, granularity });
+
+        res.json({
+            success: true,
+            data: {
+                id: key.id,
+                name: key.name,
+                key_prefix: key.key_prefix,
+                status: key.status,
+                expires_at: key.expires_at,
+                last_used_at: key.last_used_at,
+                rotated_from_id: key.rotated_from_id,
+                replaced_by_id: key.replaced_by_id,
+                granularity,
+                days,
+                timeline
+            }
+        });
+    } catch (error) {
+        console.error('API key usage error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to fetch API key usage' });
+    }
+});
+
+// ==========================================
+// PUT /auth/api/ip-allowlist/:id - Limit a key to CIDR ranges (null or [] removes the limit)
+// ==========================================
+router.put('/api/ip-allowlist/:id', jwtAuth, async (req, res) => {
+    try {
+        const allowlist = IpAllowlistService.normalize(req.body.ip_allowlist);
+        if (allowlist.error) {
+            return res.status(400).json({ error: 'Bad request', message: allowlist.error });
+        }
+
+        const updated = await V1ApiKeyModel.setIpAllowlist(parseInt(req.params.id), req.user.userId, allowlist.list);
+        if (!updated) {
+            return res.status(404).json({ error: 'Not found', message: 'API key not found' });
+        }
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'api_key.ip_allowlist_updated',
+            resourceType: 'api_key',
+            resourceId: req.params.id,
+            details: { ip_allowlist: allowlist.list },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: { id: parseInt(req.params.id), ip_allowlist: allowlist.list } });
+    } catch (error) {
+        console.error('API key IP allowlist error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to update IP allowlist' });
+    }
+});
+
+// ==========================================
+// PUT /auth/ip-allowlist - CIDR ranges that apply to all of the user's keys
+// ==========================================
+router.put('/ip-allowlist', jwtAuth, async (req, res) => {
+    try {
+        const allowlist = IpAllowlistService.normalize(req.body.ip_allowlist);
+        if (allowlist.error) {
+            return res.status(400).json({ error: 'Bad request', message: allowlist.error });
+        }
+
+        await V1UserModel.setIpAllowlist(req.user.userId, allowlist.list);
+
+        await V1AuditModel.log({
+            userId: req.user.userId,
+            action: 'user.ip_allowlist_updated',
+            resourceType: 'user',
+            resourceId: String(req.user.userId),
+            details: { ip_allowlist: allowlist.list },
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, data: { ip_allowlist: allowlist.list } });
+    } catch (error) {
+        console.error('User IP allowlist error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to update IP allowlist' });
+    }
+});
+
 // ==========================================
 // POST /auth/api/revoke/:id - Revoke an API key
 // ==========================================
@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const { apiKeyAuth } = require('../../middleware/v1/apiKeyAuth');
+const { apiKeyAuth, requireScope } = require('../../middleware/v1/apiKeyAuth');
 const { generalLimiter } = require('../../middleware/v1/rateLimiter');
 const V1VerificationRequestModel = require('../../models/v1/V1VerificationRequestModel');
 const V1ApiKeyModel = require('../../models/v1/V1ApiKeyModel');
 const V1AuditModel = require('../../models/v1/V1AuditModel');
+const V1NotificationModel = require('../../models/v1/V1NotificationModel');
+const V1AiUsageModel = require('../../models/v1/V1AiUsageModel');
 const QueueService = require('../../services/v1/QueueService');
+const RateLimitService = require('../../services/v1/RateLimitService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'v1-jwt-secret';
 
@@ -34,7 +37,7 @@ const adminAuth = (req, res, next) => {
 router.get('/admin', generalLimiter, adminAuth, async (req, res) => {
     try {
         const stats = await V1VerificationRequestModel.getAdminStats();
-        const queueStatus = QueueService.getStatus();
+        const queueStatus = await QueueService.getStats();
 
         // Calculate rejection rate
         const totalCompleted = stats.status_breakdown.reduce((sum, s) => {
@@ -69,11 +72,18 @@ router.get('/admin', generalLimiter, adminAuth, async (req, res) => {
 // ==========================================
 
 // GET /v1/dashboard/user - User dashboard stats
-router.get('/user', apiKeyAuth, async (req, res) => {
+router.get('/user', apiKeyAuth, requireScope('results:read'), async (req, res) => {
     try {
         const stats = await V1VerificationRequestModel.getUserStats(req.apiUser.userId);
         const apiKeys = await V1ApiKeyModel.getByUserId(req.apiUser.userId);
         const recentRequests = await V1VerificationRequestModel.getByUserId(req.apiUser.userId, { limit: 10 });
+        const notifications = await V1NotificationModel.getByUserId(req.apiUser.userId, { unreadOnly: true, limit: 10 });
+        const usageThisMonth = await V1AiUsageModel.getSummary({ userId: req.apiUser.userId, monthToDate: true });
+        const usageAllTime = await V1AiUsageModel.getSummary({ userId: req.apiUser.userId });
+        const budget = req.apiUser.monthlyBudgetUsd;
+        const plan = req.apiUser.plan;
+        const documentsThisMonth = await V1VerificationRequestModel.countThisMonth(req.apiUser.userId);
+        const ipDenials = await V1AuditModel.getRecentByAction(req.apiUser.userId, 'api_key.ip_denied', { days: 30, limit: 10 });
 
         // API usage stats
         const activeKeys = apiKeys.filter(k => k.status === 'active');
@@ -82,10 +92,10 @@ router.get('/user', apiKeyAuth, async (req, res) => {
         const currentKey = apiKeys.find(k => k.id === req.apiUser.apiKeyId);
         let rateLimitStatus = null;
         if (currentKey) {
-            rateLimitStatus = await V1ApiKeyModel.getRateLimitStatus(
+            rateLimitStatus = await RateLimitService.getApiKeyStatus(
                 currentKey.id,
-                currentKey.rate_limit,
-                currentKey.burst_limit
+                plan ? Math.min(currentKey.rate_limit, plan.rate_limit) : currentKey.rate_limit,
+                plan ? Math.min(currentKey.burst_limit, plan.burst_limit) : currentKey.burst_limit
             );
         }
 
@@ -103,7 +113,42 @@ router.get('/user', apiKeyAuth, async (req, res) => {
                     active_keys: activeKeys.length,
                     total_keys: apiKeys.length
                 },
-                rate_limit: rateLimitStatus
+                rate_limit: rateLimitStatus,
+                plan: plan ? {
+                    code: plan.code,
+                    name: plan.name,
+                    monthly_document_quota: plan.monthly_document_quota,
+                    documents_this_month: documentsThisMonth,
+                    remaining_documents: plan.monthly_document_quota !== null
+                        ? Math.max(0, plan.monthly_document_quota - documentsThisMonth)
+                        : null,
+                    allowed_document_types: plan.allowed_document_types,
+                    instant_access: !!plan.instant_access,
+                    max_bulk_size: plan.max_bulk_size,
+                    rate_limit: plan.rate_limit,
+                    burst_limit: plan.burst_limit
+                } : null,
+                ai_usage: {
+                    month_to_date: usageThisMonth,
+                    all_time: usageAllTime.totals,
+                    budget: {
+                        monthly_budget_usd: budget,
+                        spent_usd: usageThisMonth.totals.cost_usd,
+                        remaining_usd: budget !== null ? Math.max(0, budget - usageThisMonth.totals.cost_usd) : null
+                    }
+                },
+                ip_denials: {
+                    last_30_days: ipDenials.total,
+                    recent: ipDenials.recent.map(d => ({
+                        ip: d.ip_address,
+                        api_key_id: d.resource_id ? parseInt(d.resource_id) : null,
+                        key_prefix: d.details.key_prefix,
+                        key_name: d.details.key_name,
+                        blocked_by: d.details.list,
+                        created_at: d.created_at
+                    }))
+                },
+                notifications
             }
         });
     } catch (error) {
@@ -112,4 +157,18 @@ router.get('/user', apiKeyAuth, async (req, res) => {
     }
 });
 
+// POST /v1/dashboard/notifications/:id/read - Dismiss a notification
+router.post('/notifications/:id/read', apiKeyAuth, requireScope('results:read'), async (req, res) => {
+    try {
+        const updated = await V1NotificationModel.markRead(parseInt(req.params.id), req.apiUser.userId);
+        if (!updated) {
+            return res.status(404).json({ error: 'Not found', message: 'Notification not found' });
+        }
+        res.json({ success: true, message: 'Notification dismissed' });
+    } catch (error) {
+        console.error('Dismiss notification error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to dismiss notification' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const router = express.Router();
+const V1ApiKeyModel = require('../../models/v1/V1ApiKeyModel');
+const V1AuditModel = require('../../models/v1/V1AuditModel');
+const OAuthTokenService = require('../../services/v1/OAuthTokenService');
+const IpAllowlistService = require('../../services/v1/IpAllowlistService');
+const { auditIpDenial } = require('../../middleware/v1/apiKeyAuth');
+const { createRateLimiter } = require('../../middleware/v1/rateLimiter');
+
+const tokenLimiter = createRateLimiter({ name: 'oauth_token', windowMs: 60000, maxRequests: 30, message: 'Too many token requests. Reuse access tokens until they expire.' });
+
+/**
+ * Token endpoint error in the RFC 6749 (section 5.2) format OAuth client libraries expect
+ */
+function oauthError(res, status, error, description) {
+    return res.status(status).json({ error, error_description: description });
+}
+
+/**
+ * Client credentials from HTTP Basic auth (preferred) or the request body
+ */
+function readClientCredentials(req) {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Basic ')) {
+        const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) return { basic: true };
+        try {
+            return {
+                basic: true,
+                clientId: decodeURIComponent(decoded.substring(0, separator)),
+                clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+            };
+        } catch (err) {
+            return { basic: true };
+        }
+    }
+    return { basic: false, clientId: req.body.client_id, clientSecret: req.body.client_secret };
+}
+
+function auditDenied(req, client, reason) {
+    return V1AuditModel.log({
+        userId: client.user_id,
+        action: 'oauth.token_denied',
+        resourceType: 'api_key',
+        resourceId: String(client.id),
+        details: { client_id: client.client_id, reason },
+        ipAddress: req.ip
+    });
+}
+
+// ==========================================
+// POST /v1/oauth/token - Client-credentials grant (application/x-www-form-urlencoded or JSON)
+// ==========================================
+router.post('/token', tokenLimiter, async (req, res) => {
+    // Token responses must never be cached
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+        const { grant_type, scope } = req.body;
+        if (!grant_type) {
+            return oauthError(res, 400, 'invalid_request', 'grant_type is required');
+        }
+        if (grant_type !== 'client_credentials') {
+            return oauthError(res, 400, 'unsupported_grant_type', 'Only the client_credentials grant is supported');
+        }
+
+        const { basic, clientId, clientSecret } = readClientCredentials(req);
+        const rejectClient = (description) => {
+            if (basic) res.set('WWW-Authenticate', 'Basic realm="v1-api"');
+            return oauthError(res, 401, 'invalid_client', description);
+        };
+        if (!clientId || !clientSecret) {
+            return rejectClient('Client authentication required: HTTP Basic or client_id and client_secret');
+        }
+
+        const client = await V1ApiKeyModel.findByClientId(clientId, clientSecret);
+        if (!client) {
+            return rejectClient('Invalid client credentials');
+        }
+        if (!client.secret_valid) {
+            await auditDenied(req, client, 'invalid_secret');
+            return rejectClient('Invalid client credentials');
+        }
+        if (client.status !== 'active' || (client.expires_at && new Date(client.expires_at) < new Date())) {
+            await auditDenied(req, client, client.status !== 'active' ? client.status : 'expired');
+            return rejectClient('Client has been revoked or has expired');
+        }
+        if (!client.user_active) {
+            await auditDenied(req, client, 'user_inactive');
+            return rejectClient('User account is deactivated');
+        }
+
+        const deniedBy = !IpAllowlistService.isAllowed(req.ip, client.user_ip_allowlist) ? 'user'
+            : !IpAllowlistService.isAllowed(req.ip, client.ip_allowlist) ? 'key'
+            : null;
+        if (deniedBy) {
+            auditIpDenial(client, req.ip, deniedBy);
+            return oauthError(res, 400, 'unauthorized_client', `Requests from ${req.ip} are not allowed by the ${deniedBy === 'key' ? 'client' : 'account'} IP allowlist`);
+        }
+
+        // Grant the requested subset of the client's scopes, or all of them
+        const clientScopes = client.scopes || V1ApiKeyModel.SCOPES;
+        const requested = typeof scope === 'string' && scope.trim()
+            ? [...new Set(scope.trim().split(/\s+/))]
+            : clientScopes;
+        const notAllowed = requested.filter(s => !clientScopes.includes(s));
+        if (notAllowed.length > 0) {
+            return oauthError(res, 400, 'invalid_scope', `Scope not available to this client: ${notAllowed.join(' ')}`);
+        }
+
+        const { accessToken, expiresIn } = OAuthTokenService.issue(client, requested);
+
+        await V1AuditModel.log({
+            userId: client.user_id,
+            action: 'oauth.token_issued',
+            resourceType: 'api_key',
+            resourceId: String(client.id),
+            details: { client_id: client.client_id, scopes: requested, expires_in: expiresIn },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: expiresIn,
+            scope: requested.join(' ')
+        });
+    } catch (error) {
+        console.error('OAuth token error:', error);
+        res.status(500).json({ error: 'server_error', error_description: 'Failed to issue access token' });
+    }
+});
+
+module.exports = router;
@@ -1,29 +1,103 @@
 const express = require('express');
 const router = express.Router();
-const { apiKeyAuth } = require('../../middleware/v1/apiKeyAuth');
+const { apiKeyAuth, requireScope } = require('../../middleware/v1/apiKeyAuth');
 const { ssrfProtectionMiddleware, validateUrl } = require('../../middleware/v1/ssrfProtection');
+const { documentUpload } = require('../../middleware/v1/documentUpload');
+const { idempotency } = require('../../middleware/v1/idempotency');
+const { enforceBudget } = require('../../middleware/v1/budget');
+const { enforcePlan } = require('../../middleware/v1/plan');
 const V1VerificationRequestModel = require('../../models/v1/V1VerificationRequestModel');
 const V1DocumentMasterModel = require('../../models/v1/V1DocumentMasterModel');
 const V1BulkJobModel = require('../../models/v1/V1BulkJobModel');
 const V1AuditModel = require('../../models/v1/V1AuditModel');
+const V1ReviewModel = require('../../models/v1/V1ReviewModel');
+const V1WebhookModel = require('../../models/v1/V1WebhookModel');
 const QueueService = require('../../services/v1/QueueService');
+const WebhookService = require('../../services/v1/WebhookService');
 const VerificationProcessor = require('../../services/v1/VerificationProcessor');
+const FileStorageService = require('../../services/v1/FileStorageService');
+const PageSelection = require('../../services/ai/PageSelection');
+const RuleEngineService = require('../../services/v1/RuleEngineService');
+const RuleDslService = require('../../services/v1/RuleDslService');
 
 // All routes require API key authentication
 router.use(apiKeyAuth);
 
+/**
+ * Resolve the document source for a single verify request: a multipart "file",
+ * a "file_base64" body field, or a "file_url". Uploaded bytes are checked against
+ * the document type's allowed_formats and max_size_mb, then stored locally.
+ * Returns { fileUrl, source } or { error: { status, body } }.
+ */
+async function resolveDocumentSource(req, documentType, docMaster) {
+    const { file_url, file_base64 } = req.body;
+    const allowedFormats = docMaster.allowed_formats || ['jpg', 'png', 'pdf'];
+
+    const sources = [req.file, file_base64, file_url].filter(Boolean);
+    if (sources.length > 1) {
+        return { error: { status: 400, body: { error: 'Bad request', message: 'Provide only one of file, file_base64 or file_url' } } };
+    }
+
+    let buffer = null;
+    let source = 'url';
+    if (req.file) {
+        buffer = req.file.buffer;
+        source = 'upload';
+    } else if (file_base64) {
+        buffer = FileStorageService.decodeBase64(file_base64);
+        source = 'base64';
+        if (!buffer) {
+            return { error: { status: 400, body: { error: 'Bad request', message: 'file_base64 is not valid base64 data' } } };
+        }
+    }
+
+    if (!buffer) {
+        // Validate file URL format (basic check)
+        const urlExtension = file_url.split('.').pop().split('?')[0].toLowerCase();
+        if (!allowedFormats.includes(urlExtension) && !allowedFormats.includes('*')) {
+            return { error: { status: 400, body: {
+                error: 'Bad request',
+                message: `File format '${urlExtension}' not allowed for ${documentType}. Allowed: ${allowedFormats.join(', ')}`
+            } } };
+        }
+        return { fileUrl: file_url, source };
+    }
+
+    const maxBytes = (docMaster.max_size_mb || 5) * 1024 * 1024;
+    if (buffer.length > maxBytes) {
+        return { error: { status: 400, body: {
+            error: 'Bad request',
+            message: `File too large for ${documentType}: ${(buffer.length / 1024 / 1024).toFixed(2)}MB. Maximum: ${docMaster.max_size_mb || 5}MB`
+        } } };
+    }
+
+    const detected = FileStorageService.detectFormat(buffer);
+    if (!detected) {
+        return { error: { status: 400, body: { error: 'Bad request', message: 'Unrecognised file content. Supported: jpg, png, gif, webp, pdf' } } };
+    }
+    if (!FileStorageService.isFormatAllowed(detected.format, allowedFormats)) {
+        return { error: { status: 400, body: {
+            error: 'Bad request',
+            message: `File format '${detected.format}' not allowed for ${documentType}. Allowed: ${allowedFormats.join(', ')}`
+        } } };
+    }
+
+    const stored = await FileStorageService.store(buffer);
+    return { fileUrl: stored.uri, source, fileHash: stored.hash };
+}
+
 // ==========================================
 // POST /v1/verify - Push document for verification
 // ==========================================
-router.post('/', ssrfProtectionMiddleware, async (req, res) => {
+router.post('/', requireScope('verify:write'), documentUpload, idempotency, enforceBudget, enforcePlan(), ssrfProtectionMiddleware, async (req, res) => {
     try {
-        const { reference_id, document_type, file_url, metadata } = req.body;
+        const { reference_id, document_type, file_url, file_base64, metadata } = req.body;
 
         // Validate required fields
-        if (!document_type || !file_url) {
+        if (!document_type || (!file_url && !file_base64 && !req.file)) {
             return res.status(400).json({
                 error: 'Bad request',
-                message: 'document_type and file_url are required'
+                message: 'document_type and one of file, file_base64 or file_url are required'
             });
         }
 
@@ -36,22 +110,19 @@ router.post('/', ssrfProtectionMiddleware, async (req, res) => {
             });
         }
 
-        // Validate file URL format (basic check)
-        const urlExtension = file_url.split('.').pop().split('?')[0].toLowerCase();
-        const allowedFormats = docMaster.allowed_formats || ['jpg', 'png', 'pdf'];
-        if (!allowedFormats.includes(urlExtension) && !allowedFormats.includes('*')) {
-            return res.status(400).json({
-                error: 'Bad request',
-                message: `File format '${urlExtension}' not allowed for ${document_type}. Allowed: ${allowedFormats.join(', ')}`
-            });
+        // Resolve upload / base64 / URL source and check format and size
+        const document = await resolveDocumentSource(req, document_type, docMaster);
+        if (document.error) {
+            return res.status(document.error.status).json(document.error.body);
         }
 
         // Create verification request
         const result = await V1VerificationRequestModel.create({
             userId: req.apiUser.userId,
+            apiKeyId: req.apiUser.apiKeyId,
             referenceId: reference_id || null,
             documentType: document_type,
-            fileUrl: file_url,
+            fileUrl: document.fileUrl,
             metadata
         });
 
@@ -64,7 +135,7 @@ router.post('/', ssrfProtectionMiddleware, async (req, res) => {
             action: 'verification.submitted',
             resourceType: 'verification_request',
             resourceId: result.system_reference_id,
-            details: { document_type, reference_id },
+            details: { document_type, reference_id, source: document.source },
             ipAddress: req.ip
         });
 
@@ -82,16 +153,16 @@ router.post('/', ssrfProtectionMiddleware, async (req, res) => {
 // ==========================================
 // POST /v1/verify/instant - Submit document and get full verification result in same response
 // ==========================================
-router.post('/instant', ssrfProtectionMiddleware, async (req, res) => {
+router.post('/instant', requireScope('verify:write'), documentUpload, idempotency, enforceBudget, enforcePlan({ instant: true }), ssrfProtectionMiddleware, async (req, res) => {
     const startTime = Date.now();
     try {
-        const { reference_id, document_type, file_url, metadata } = req.body;
+        const { reference_id, document_type, file_url, file_base64, metadata } = req.body;
 
         // Validate required fields
-        if (!document_type || !file_url) {
+        if (!document_type || (!file_url && !file_base64 && !req.file)) {
             return res.status(400).json({
                 error: 'Bad request',
-                message: 'document_type and file_url are required'
+                message: 'document_type and one of file, file_base64 or file_url are required'
             });
         }
 
@@ -104,22 +175,19 @@ router.post('/instant', ssrfProtectionMiddleware, async (req, res) => {
             });
         }
 
-        // Validate file URL format (basic check)
-        const urlExtension = file_url.split('.').pop().split('?')[0].toLowerCase();
-        const allowedFormats = docMaster.allowed_formats || ['jpg', 'png', 'pdf'];
-        if (!allowedFormats.includes(urlExtension) && !allowedFormats.includes('*')) {
-            return res.status(400).json({
-                error: 'Bad request',
-                message: `File format '${urlExtension}' not allowed for ${document_type}. Allowed: ${allowedFormats.join(', ')}`
-            });
+        // Resolve upload / base64 / URL source and check format and size
+        const document = await resolveDocumentSource(req, document_type, docMaster);
+        if (document.error) {
+            return res.status(document.error.status).json(document.error.body);
         }
 
         // Create verification request
         const created = await V1VerificationRequestModel.create({
             userId: req.apiUser.userId,
+            apiKeyId: req.apiUser.apiKeyId,
             referenceId: reference_id || null,
             documentType: document_type,
-            fileUrl: file_url,
+            fileUrl: document.fileUrl,
             metadata
         });
 
@@ -129,7 +197,7 @@ router.post('/instant', ssrfProtectionMiddleware, async (req, res) => {
             action: 'verification.instant_submitted',
             resourceType: 'verification_request',
             resourceId: created.system_reference_id,
-            details: { document_type, reference_id },
+            details: { document_type, reference_id, source: document.source },
             ipAddress: req.ip
         });
 
@@ -153,7 +221,7 @@ router.post('/instant', ssrfProtectionMiddleware, async (req, res) => {
 // ==========================================
 // GET /v1/status/:system_reference_id - Check status
 // ==========================================
-router.get('/status/:system_reference_id', async (req, res) => {
+router.get('/status/:system_reference_id', requireScope('results:read'), async (req, res) => {
     try {
         const request = await V1VerificationRequestModel.findBySystemRefId(req.params.system_reference_id);
         if (!request) {
@@ -182,7 +250,7 @@ router.get('/status/:system_reference_id', async (req, res) => {
 // ==========================================
 // GET /v1/result/:system_reference_id - Fetch full result
 // ==========================================
-router.get('/result/:system_reference_id', async (req, res) => {
+router.get('/result/:system_reference_id', requireScope('results:read'), async (req, res) => {
     try {
         const request = await V1VerificationRequestModel.findBySystemRefId(req.params.system_reference_id);
         if (!request) {
@@ -232,6 +300,38 @@ router.get('/result/:system_reference_id', async (req, res) => {
         result.authenticity_checks = aiResponse.authenticity_checks || {};
         result.fraud_indicators = aiResponse.fraud_indicators || [];
         result.data_consistency = aiResponse.data_consistency || {};
+        if (aiResponse.duplicates && aiResponse.duplicates.length > 0) {
+            result.duplicates = aiResponse.duplicates;
+        }
+        if (aiResponse.cross_document) {
+            result.cross_document = aiResponse.cross_document;
+        }
+        if (aiResponse.qr_verification) {
+            result.qr_verification = aiResponse.qr_verification;
+        }
+        // Reused AI result for a resubmitted identical file
+        if (aiResponse.cache) {
+            result.cache = aiResponse.cache;
+        }
+        // Tokens, model, latency and estimated cost of the latest analysis
+        if (aiResponse.ai_usage) {
+            const { fixture, ...usage } = aiResponse.ai_usage;
+            result.ai_usage = usage;
+        }
+
+        // For PDFs, which pages were analysed and which page each field was read from
+        if (aiResponse.pages) {
+            result.pages = aiResponse.pages;
+            result.field_pages = aiResponse.field_pages || {};
+        }
+
+        // Human review: pending while in needs_review, then the reviewer's decision
+        const review = await V1ReviewModel.findLatestByRequestId(request.id);
+        if (review && review.status !== 'cancelled') {
+            result.review = review.status === 'decided'
+                ? { status: 'decided', decision: review.decision, reason: review.decision_reason, decided_at: review.decided_at }
+                : { status: 'pending', reasons: review.reasons };
+        }
 
         res.json(result);
     } catch (error) {
@@ -243,7 +343,7 @@ router.get('/result/:system_reference_id', async (req, res) => {
 // ==========================================
 // GET /v1/requests - List user's verification requests
 // ==========================================
-router.get('/requests', async (req, res) => {
+router.get('/requests', requireScope('results:read'), async (req, res) => {
     try {
         const { status, page, limit } = req.query;
         const result = await V1VerificationRequestModel.getByUserId(req.apiUser.userId, {
@@ -264,6 +364,9 @@ router.get('/requests', async (req, res) => {
 router.get('/document-types', async (req, res) => {
     try {
         const types = await V1DocumentMasterModel.getAllForUser(req.apiUser.userId, { active: true });
+        const planTypes = req.apiUser.plan && Array.isArray(req.apiUser.plan.allowed_document_types)
+            ? req.apiUser.plan.allowed_document_types.map(code => String(code).toLowerCase())
+            : null;
         res.json({
             success: true,
             data: types.map(t => ({
@@ -275,7 +378,8 @@ router.get('/document-types', async (req, res) => {
                 required_fields: t.required_fields,
                 validation_rules: t.validation_rules,
                 is_global: t.user_id === null,
-                is_own: t.user_id === req.apiUser.userId
+                is_own: t.user_id === req.apiUser.userId,
+                included_in_plan: planTypes ? planTypes.includes(t.code.toLowerCase()) : true
             }))
         });
     } catch (error) {
@@ -287,7 +391,7 @@ router.get('/document-types', async (req, res) => {
 // ==========================================
 // POST /v1/verify/bulk - Bulk document verification
 // ==========================================
-router.post('/bulk', async (req, res) => {
+router.post('/bulk', requireScope('verify:write'), idempotency, enforceBudget, enforcePlan({ bulk: true }), async (req, res) => {
     try {
         const { documents, callback_url, metadata } = req.body;
 
@@ -299,11 +403,12 @@ router.post('/bulk', async (req, res) => {
             });
         }
 
-        if (documents.length > 50) {
-            return res.status(400).json({
-                error: 'Bad request',
-                message: 'Maximum 50 documents per bulk request'
-            });
+        if (callback_url) {
+            // Delivered like a webhook, so it must pass the same checks
+            const callbackError = await WebhookService.validateTarget(callback_url, { requireHttps: true });
+            if (callbackError) {
+                return res.status(400).json({ error: 'Bad request', message: `Invalid callback_url: ${callbackError}` });
+            }
         }
 
         // Validate each document before processing any
@@ -344,11 +449,13 @@ router.post('/bulk', async (req, res) => {
             });
         }
 
-        // Create bulk job
+        // Create bulk job; callback_url deliveries are signed with a secret of their own
+        const callbackSecret = callback_url ? V1WebhookModel.generateSecret() : null;
         const bulkJob = await V1BulkJobModel.create({
             userId: req.apiUser.userId,
             totalDocuments: documents.length,
             callbackUrl: callback_url || null,
+            callbackSecret,
             metadata: metadata || {}
         });
 
@@ -358,6 +465,7 @@ router.post('/bulk', async (req, res) => {
             const doc = documents[i];
             const vr = await V1VerificationRequestModel.create({
                 userId: req.apiUser.userId,
+                apiKeyId: req.apiUser.apiKeyId,
                 referenceId: doc.reference_id || null,
                 documentType: doc.document_type,
                 fileUrl: doc.file_url,
@@ -391,12 +499,16 @@ router.post('/bulk', async (req, res) => {
             ipAddress: req.ip
         });
 
-        res.status(202).json({
+        const response = {
             status: 'accepted',
             bulk_id: bulkJob.bulk_id,
             total_documents: documents.length,
             documents: results
-        });
+        };
+        if (callbackSecret) {
+            response.callback_secret = callbackSecret;
+        }
+        res.status(202).json(response);
     } catch (error) {
         console.error('Bulk verify endpoint error:', error);
         res.status(500).json({ error: 'Internal server error', message: 'Failed to submit bulk verification' });
@@ -406,22 +518,19 @@ router.post('/bulk', async (req, res) => {
 // ==========================================
 // GET /v1/verify/bulk/:bulk_id - Get bulk job status
 // ==========================================
-router.get('/bulk/:bulk_id', async (req, res) => {
+router.get('/bulk/:bulk_id', requireScope('results:read'), async (req, res) => {
     try {
-        const job = await V1BulkJobModel.findByBulkId(req.params.bulk_id);
-        if (!job) {
+        // Counted live, but never written here: the processor records progress as it sends events
+        const updated = await V1BulkJobModel.getProgress(req.params.bulk_id);
+        if (!updated) {
             return res.status(404).json({ error: 'Not found', message: 'Bulk job not found' });
         }
-        if (job.user_id !== req.apiUser.userId && req.apiUser.role !== 'admin') {
+        if (updated.user_id !== req.apiUser.userId && req.apiUser.role !== 'admin') {
             return res.status(403).json({ error: 'Forbidden', message: 'Access denied' });
         }
 
-        // Refresh progress
-        await V1BulkJobModel.updateProgress(job.id);
-        const updated = await V1BulkJobModel.findByBulkId(req.params.bulk_id);
-
         // Get individual items
-        const items = await V1BulkJobModel.getItems(job.id);
+        const items = await V1BulkJobModel.getItems(updated.id);
 
         res.json({
             success: true,
@@ -449,7 +558,7 @@ router.get('/bulk/:bulk_id', async (req, res) => {
 // ==========================================
 // GET /v1/verify/bulk - List user's bulk jobs
 // ==========================================
-router.get('/bulk', async (req, res) => {
+router.get('/bulk', requireScope('results:read'), async (req, res) => {
     try {
         const { page, limit } = req.query;
         const result = await V1BulkJobModel.getByUserId(req.apiUser.userId, {
@@ -468,7 +577,7 @@ router.get('/bulk', async (req, res) => {
 // ==========================================
 
 // GET /v1/verify/my-document-types - List user's own custom document types
-router.get('/my-document-types', async (req, res) => {
+router.get('/my-document-types', requireScope('document_types:manage'), async (req, res) => {
     try {
         const active = req.query.active !== 'false';
         const types = await V1DocumentMasterModel.getByUserId(req.apiUser.userId, { active });
@@ -480,14 +589,29 @@ router.get('/my-document-types', async (req, res) => {
 });
 
 // POST /v1/verify/my-document-types - Create custom document type
-router.post('/my-document-types', async (req, res) => {
+router.post('/my-document-types', requireScope('document_types:manage'), async (req, res) => {
     try {
-        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules } = req.body;
+        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules, page_rules, review_bands, cache_results } = req.body;
 
         if (!name || !code) {
             return res.status(400).json({ error: 'Bad request', message: 'Name and code are required' });
         }
 
+        const pageRulesError = PageSelection.validateRule(page_rules);
+        if (pageRulesError) {
+            return res.status(400).json({ error: 'Bad request', message: pageRulesError });
+        }
+
+        const rulesCheck = RuleDslService.validate(validation_rules);
+        if (!rulesCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: `Invalid validation_rules: ${rulesCheck.errors.join('; ')}` });
+        }
+
+        const reviewBandsError = RuleEngineService.validateReviewBands(review_bands);
+        if (reviewBandsError) {
+            return res.status(400).json({ error: 'Bad request', message: reviewBandsError });
+        }
+
         // Validate code format (lowercase, no spaces)
         if (!/^[a-z0-9_-]+$/.test(code)) {
             return res.status(400).json({ error: 'Bad request', message: 'Code must be lowercase alphanumeric with underscores/hyphens only' });
@@ -506,6 +630,9 @@ router.post('/my-document-types', async (req, res) => {
             maxSizeMb: max_size_mb || 5,
             requiredFields: required_fields || [],
             validationRules: validation_rules || {},
+            pageRules: page_rules,
+            reviewBands: review_bands,
+            cacheResults: cache_results,
             userId: req.apiUser.userId,
             createdBy: req.apiUser.userId
         });
@@ -527,17 +654,54 @@ router.post('/my-document-types', async (req, res) => {
     }
 });
 
+// POST /v1/verify/my-document-types/validate-rules - Check validation_rules before saving a document type
+// Optional sample_data (extracted fields) is evaluated against the rules
+router.post('/my-document-types/validate-rules', requireScope('document_types:manage'), async (req, res) => {
+    try {
+        const { validation_rules, sample_data } = req.body;
+
+        if (sample_data !== undefined && (!sample_data || typeof sample_data !== 'object' || Array.isArray(sample_data))) {
+            return res.status(400).json({ error: 'Bad request', message: 'sample_data must be an object of extracted fields' });
+        }
+
+        const result = RuleDslService.validate(validation_rules);
+        if (sample_data && result.valid) {
+            result.results = RuleDslService.evaluate(validation_rules, sample_data);
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('Validate rules error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to validate rules' });
+    }
+});
+
 // PUT /v1/verify/my-document-types/:id - Update user's own document type
-router.put('/my-document-types/:id', async (req, res) => {
+router.put('/my-document-types/:id', requireScope('document_types:manage'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules, is_active } = req.body;
+        const { name, code, allowed_formats, max_size_mb, required_fields, validation_rules, page_rules, review_bands, cache_results, is_active } = req.body;
 
         const existing = await V1DocumentMasterModel.findById(id);
         if (!existing || existing.user_id !== req.apiUser.userId) {
             return res.status(404).json({ error: 'Not found', message: 'Document type not found or you do not own it' });
         }
 
+        const pageRulesError = PageSelection.validateRule(page_rules);
+        if (pageRulesError) {
+            return res.status(400).json({ error: 'Bad request', message: pageRulesError });
+        }
+
+        const rulesCheck = RuleDslService.validate(validation_rules);
+        if (!rulesCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: `Invalid validation_rules: ${rulesCheck.errors.join('; ')}` });
+        }
+
+        const reviewBandsError = RuleEngineService.validateReviewBands(review_bands);
+        if (reviewBandsError) {
+            return res.status(400).json({ error: 'Bad request', message: reviewBandsError });
+        }
+
         await V1DocumentMasterModel.updateByUser(id, req.apiUser.userId, {
             name,
             code,
@@ -545,6 +709,9 @@ router.put('/my-document-types/:id', async (req, res) => {
             maxSizeMb: max_size_mb,
             requiredFields: required_fields,
             validationRules: validation_rules,
+            pageRules: page_rules,
+            reviewBands: review_bands,
+            cacheResults: cache_results,
             isActive: is_active
         });
 
@@ -566,7 +733,7 @@ router.put('/my-document-types/:id', async (req, res) => {
 });
 
 // DELETE /v1/verify/my-document-types/:id - Delete user's own document type
-router.delete('/my-document-types/:id', async (req, res) => {
+router.delete('/my-document-types/:id', requireScope('document_types:manage'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
         const deleted = await V1DocumentMasterModel.deleteByUser(id, req.apiUser.userId);
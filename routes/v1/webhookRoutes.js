@@ -1,46 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const { apiKeyAuth } = require('../../middleware/v1/apiKeyAuth');
+const { apiKeyAuth, requireScope } = require('../../middleware/v1/apiKeyAuth');
 const V1WebhookModel = require('../../models/v1/V1WebhookModel');
 const V1AuditModel = require('../../models/v1/V1AuditModel');
+const WebhookService = require('../../services/v1/WebhookService');
 
-// All routes require API key authentication
+// All routes require API key authentication with the webhooks:manage scope
 router.use(apiKeyAuth);
+router.use(requireScope('webhooks:manage'));
+
+const VALID_EVENTS = ['document.verified', 'document.rejected', 'document.failed', 'bulk.progress', 'bulk.completed', 'api_key.expiring'];
+const DEFAULT_EVENTS = ['document.verified', 'document.rejected', 'document.failed'];
+
+/**
+ * Returns an error message for unknown event names, or null
+ */
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'events must be a non-empty array';
+    }
+    const invalidEvents = events.filter(e => !VALID_EVENTS.includes(e));
+    if (invalidEvents.length > 0) {
+        return `Invalid events: ${invalidEvents.join(', ')}. Valid events: ${VALID_EVENTS.join(', ')}`;
+    }
+    return null;
+}
 
 // ==========================================
 // POST /v1/webhook/register - Register a webhook
 // ==========================================
 router.post('/register', async (req, res) => {
     try {
-        const { url, events } = req.body;
+        const { url, events, payload_options } = req.body;
 
         if (!url) {
             return res.status(400).json({ error: 'Bad request', message: 'Webhook URL is required' });
         }
 
-        // Basic URL validation
-        try {
-            new URL(url);
-        } catch {
-            return res.status(400).json({ error: 'Bad request', message: 'Invalid webhook URL' });
+        const urlError = await WebhookService.validateTarget(url, { requireHttps: true });
+        if (urlError) {
+            return res.status(400).json({ error: 'Bad request', message: `Invalid webhook URL: ${urlError}` });
         }
 
         // Validate events
-        const validEvents = ['document.verified', 'document.rejected', 'document.failed'];
         if (events) {
-            const invalidEvents = events.filter(e => !validEvents.includes(e));
-            if (invalidEvents.length > 0) {
-                return res.status(400).json({
-                    error: 'Bad request',
-                    message: `Invalid events: ${invalidEvents.join(', ')}. Valid events: ${validEvents.join(', ')}`
-                });
+            const eventsError = validateEvents(events);
+            if (eventsError) {
+                return res.status(400).json({ error: 'Bad request', message: eventsError });
             }
         }
 
+        const payloadOptionsError = WebhookService.validatePayloadOptions(payload_options);
+        if (payloadOptionsError) {
+            return res.status(400).json({ error: 'Bad request', message: payloadOptionsError });
+        }
+
         const result = await V1WebhookModel.create({
             userId: req.apiUser.userId,
             url,
-            events: events || validEvents
+            events: events || DEFAULT_EVENTS,
+            payloadOptions: payload_options
         });
 
         await V1AuditModel.log({
@@ -48,7 +67,7 @@ router.post('/register', async (req, res) => {
             action: 'webhook.registered',
             resourceType: 'webhook',
             resourceId: String(result.id),
-            details: { url, events },
+            details: { url, events, payload_options },
             ipAddress: req.ip
         });
 
@@ -58,7 +77,8 @@ router.post('/register', async (req, res) => {
             data: {
                 id: result.id,
                 url,
-                events: events || validEvents,
+                events: events || DEFAULT_EVENTS,
+                payload_options: payload_options || null,
                 secret: result.secret
             }
         });
@@ -87,14 +107,32 @@ router.get('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const { url, events, is_active } = req.body;
+        const { url, events, payload_options, is_active } = req.body;
 
         const webhook = await V1WebhookModel.findById(id);
         if (!webhook || webhook.user_id !== req.apiUser.userId) {
             return res.status(404).json({ error: 'Not found', message: 'Webhook not found' });
         }
 
-        await V1WebhookModel.update(id, req.apiUser.userId, { url, events, isActive: is_active });
+        if (url !== undefined) {
+            // Re-sending an http URL saved before https was required leaves it as it is
+            const urlError = await WebhookService.validateTarget(url, { requireHttps: url !== webhook.url });
+            if (urlError) {
+                return res.status(400).json({ error: 'Bad request', message: `Invalid webhook URL: ${urlError}` });
+            }
+        }
+        if (events !== undefined) {
+            const eventsError = validateEvents(events);
+            if (eventsError) {
+                return res.status(400).json({ error: 'Bad request', message: eventsError });
+            }
+        }
+        const payloadOptionsError = WebhookService.validatePayloadOptions(payload_options);
+        if (payloadOptionsError) {
+            return res.status(400).json({ error: 'Bad request', message: payloadOptionsError });
+        }
+
+        await V1WebhookModel.update(id, req.apiUser.userId, { url, events, payloadOptions: payload_options, isActive: is_active });
 
         await V1AuditModel.log({
             userId: req.apiUser.userId,
@@ -112,6 +150,191 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+// ==========================================
+// GET /v1/webhook/:id/deliveries - Delivery history
+// ==========================================
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { status } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+        const webhook = await V1WebhookModel.findById(id);
+        if (!webhook || webhook.user_id !== req.apiUser.userId) {
+            return res.status(404).json({ error: 'Not found', message: 'Webhook not found' });
+        }
+        if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+            return res.status(400).json({ error: 'Bad request', message: 'status must be one of: pending, delivered, failed' });
+        }
+
+        const history = await V1WebhookModel.getDeliveries(id, { status, page, limit });
+        res.json({ success: true, data: history });
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to list webhook deliveries' });
+    }
+});
+
+// ==========================================
+// GET /v1/webhook/:id/deliveries/:deliveryId - Single delivery with its payload
+// ==========================================
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const webhook = await V1WebhookModel.findById(id);
+        if (!webhook || webhook.user_id !== req.apiUser.userId) {
+            return res.status(404).json({ error: 'Not found', message: 'Webhook not found' });
+        }
+        const delivery = await V1WebhookModel.findDeliveryById(parseInt(req.params.deliveryId));
+        if (!delivery || delivery.webhook_id !== id) {
+            return res.status(404).json({ error: 'Not found', message: 'Delivery not found' });
+        }
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        console.error('Get webhook delivery error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to get webhook delivery' });
+    }
+});
+
+// ==========================================
+// POST /v1/webhook/:id/test - Send a signed sample event
+// ==========================================
+router.post('/:id/test', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const webhook = await V1WebhookModel.findById(id);
+        if (!webhook || webhook.user_id !== req.apiUser.userId) {
+            return res.status(404).json({ error: 'Not found', message: 'Webhook not found' });
+        }
+        const urlError = await WebhookService.validateTarget(webhook.url);
+        if (urlError) {
+            return res.status(400).json({ error: 'Bad request', message: `Webhook URL is not allowed: ${urlError}. Update it first.` });
+        }
+
+        const result = await WebhookService.sendTest(webhook);
+
+        await V1AuditModel.log({
+            userId: req.apiUser.userId,
+            action: 'webhook.tested',
+            resourceType: 'webhook',
+            resourceId: String(id),
+            details: { delivery_id: result.delivery_id, success: result.success, response_status: result.response_status },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: result.success ? 'Test event delivered' : 'Test event failed',
+            data: {
+                delivery_id: result.delivery_id,
+                delivered: result.success,
+                response_status: result.response_status,
+                latency_ms: result.latency_ms,
+                error: result.success ? null : result.error
+            }
+        });
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to send test event' });
+    }
+});
+
+// ==========================================
+// POST /v1/webhook/:id/rotate-secret - Issue a new signing secret
+// ==========================================
+router.post('/:id/rotate-secret', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const graceHours = req.body.grace_period_hours !== undefined ? Number(req.body.grace_period_hours) : 24;
+        if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > 168) {
+            return res.status(400).json({ error: 'Bad request', message: 'grace_period_hours must be an integer between 0 and 168' });
+        }
+
+        const webhook = await V1WebhookModel.findById(id);
+        if (!webhook || webhook.user_id !== req.apiUser.userId) {
+            return res.status(404).json({ error: 'Not found', message: 'Webhook not found' });
+        }
+
+        const rotated = await V1WebhookModel.rotateSecret(id, req.apiUser.userId, graceHours);
+
+        await V1AuditModel.log({
+            userId: req.apiUser.userId,
+            action: 'webhook.secret_rotated',
+            resourceType: 'webhook',
+            resourceId: String(id),
+            details: { grace_period_hours: graceHours },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: graceHours > 0
+                ? `Secret rotated. The previous secret stays valid for ${graceHours} hour(s).`
+                : 'Secret rotated. The previous secret is no longer valid.',
+            data: {
+                id,
+                secret: rotated.secret,
+                previous_secret_expires_at: rotated.previous_secret_expires_at
+            }
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to rotate webhook secret' });
+    }
+});
+
+// ==========================================
+// POST /v1/webhook/:id/deliveries/:deliveryId/redeliver - Resend a delivery now
+// ==========================================
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const deliveryId = parseInt(req.params.deliveryId);
+
+        const webhook = await V1WebhookModel.findById(id);
+        if (!webhook || webhook.user_id !== req.apiUser.userId) {
+            return res.status(404).json({ error: 'Not found', message: 'Webhook not found' });
+        }
+        const delivery = await V1WebhookModel.findDeliveryById(deliveryId);
+        if (!delivery || delivery.webhook_id !== id) {
+            return res.status(404).json({ error: 'Not found', message: 'Delivery not found' });
+        }
+        const urlError = await WebhookService.validateTarget(webhook.url);
+        if (urlError) {
+            return res.status(400).json({ error: 'Bad request', message: `Webhook URL is not allowed: ${urlError}. Update it first.` });
+        }
+
+        // One immediate attempt with the original payload; a failure does not schedule retries
+        const result = await WebhookService.attempt(webhook, delivery, { retry: false });
+
+        await V1AuditModel.log({
+            userId: req.apiUser.userId,
+            action: 'webhook.redelivered',
+            resourceType: 'webhook',
+            resourceId: String(id),
+            details: { delivery_id: deliveryId, success: result.success, response_status: result.response_status },
+            ipAddress: req.ip
+        });
+
+        res.json({
+            success: true,
+            message: result.success ? 'Delivery succeeded' : 'Delivery failed',
+            data: {
+                delivery_id: deliveryId,
+                delivered: result.success,
+                response_status: result.response_status,
+                latency_ms: result.latency_ms,
+                error: result.success ? null : result.error,
+                attempts: delivery.attempts + 1
+            }
+        });
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({ error: 'Internal server error', message: 'Failed to redeliver webhook' });
+    }
+});
+
 // ==========================================
 // DELETE /v1/webhook/:id - Delete webhook
 // ==========================================
@@ -13,7 +13,15 @@ app.set('trust proxy', 1);
 
 // ===================== MIDDLEWARE =====================
 app.use(cors());
-app.use(express.json());
+// POST /v1/verify and /v1/verify/instant parse their own JSON after API key auth,
+// with a larger limit for inline file_base64 documents (see documentUpload)
+const DOCUMENT_UPLOAD_PATHS = ['/v1/verify', '/v1/verify/instant'];
+const jsonParser = express.json();
+app.use((req, res, next) => {
+    const routePath = req.path.toLowerCase().replace(/\/+$/, '');
+    if (req.method === 'POST' && DOCUMENT_UPLOAD_PATHS.includes(routePath)) return next();
+    jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 app.use(session({
@@ -39,28 +47,31 @@ app.use('/api/student-dashboard', require('./routes/studentDashboardRoutes'));
 
 // ===================== V1 API ROUTES (Document Verification Platform) =====================
 app.use('/v1/auth', require('./routes/v1/authRoutes'));
+app.use('/v1/oauth', require('./routes/v1/oauthRoutes'));
 app.use('/v1/admin', require('./routes/v1/adminRoutes'));
 app.use('/v1/verify', require('./routes/v1/verifyRoutes'));
 app.use('/v1/webhook', require('./routes/v1/webhookRoutes'));
 app.use('/v1/dashboard', require('./routes/v1/dashboardRoutes'));
 
 // V1 convenience aliases (status, result, rate-limit at top level)
-const { apiKeyAuth } = require('./middleware/v1/apiKeyAuth');
+const { apiKeyAuth, requireScope } = require('./middleware/v1/apiKeyAuth');
 const V1VerificationRequestModel = require('./models/v1/V1VerificationRequestModel');
 const V1ApiKeyModel = require('./models/v1/V1ApiKeyModel');
+const RateLimitService = require('./services/v1/RateLimitService');
 
 // GET /v1/rate-limit - Check current rate limit usage (does not count against limits)
 app.get('/v1/rate-limit', apiKeyAuth, async (req, res) => {
     try {
-        const keyData = await V1ApiKeyModel.findByKey(req.headers.authorization.split(' ')[1]);
+        const keyData = await V1ApiKeyModel.findById(req.apiUser.apiKeyId);
         if (!keyData) {
             return res.status(401).json({ error: 'Unauthorized', message: 'Invalid API key' });
         }
 
-        const status = await V1ApiKeyModel.getRateLimitStatus(
+        const plan = req.apiUser.plan;
+        const status = await RateLimitService.getApiKeyStatus(
             keyData.id,
-            keyData.rate_limit,
-            keyData.burst_limit
+            plan ? Math.min(keyData.rate_limit, plan.rate_limit) : keyData.rate_limit,
+            plan ? Math.min(keyData.burst_limit, plan.burst_limit) : keyData.burst_limit
         );
 
         res.json({
@@ -74,7 +85,7 @@ app.get('/v1/rate-limit', apiKeyAuth, async (req, res) => {
     }
 });
 
-app.get('/v1/status/:system_reference_id', apiKeyAuth, async (req, res) => {
+app.get('/v1/status/:system_reference_id', apiKeyAuth, requireScope('results:read'), async (req, res) => {
     try {
         const request = await V1VerificationRequestModel.findBySystemRefId(req.params.system_reference_id);
         if (!request) return res.status(404).json({ error: 'Not found', message: 'Verification request not found' });
@@ -94,7 +105,7 @@ app.get('/v1/status/:system_reference_id', apiKeyAuth, async (req, res) => {
     }
 });
 
-app.get('/v1/result/:system_reference_id', apiKeyAuth, async (req, res) => {
+app.get('/v1/result/:system_reference_id', apiKeyAuth, requireScope('results:read'), async (req, res) => {
     try {
         const request = await V1VerificationRequestModel.findBySystemRefId(req.params.system_reference_id);
         if (!request) return res.status(404).json({ error: 'Not found', message: 'Verification request not found' });
@@ -133,6 +144,7 @@ app.get('/v1/result/:system_reference_id', apiKeyAuth, async (req, res) => {
             logical_checks_passed: (aiResponse.data_consistency || {}).logical_checks_passed !== false,
             details: (aiResponse.data_consistency || {}).details || null
         };
+        if (aiResponse.cache) result.cache = aiResponse.cache;
         res.json(result);
     } catch (error) {
         res.status(500).json({ error: 'Internal server error' });
@@ -201,10 +213,26 @@ app.listen(PORT, () => {
     // Initialize V1 Document Verification Queue
     const QueueService = require('./services/v1/QueueService');
     const VerificationProcessor = require('./services/v1/VerificationProcessor');
-    QueueService.onJob('verify_document', async (data) => {
-        await VerificationProcessor.process(data.requestId);
+    QueueService.onJob('verify_document', async (data, job) => {
+        // A retry may find the request still marked 'processing' by the previous attempt; the
+        // job id and attempt fence it, so that attempt's worker can no longer write results
+        await VerificationProcessor.process(data.requestId, {
+            processingToken: `${job.id}:${job.attempts}`,
+            resume: job.attempts > 1
+        });
+    }, {
+        onDead: (data, job, reason) => VerificationProcessor.markFailed(data.requestId, reason)
     });
     QueueService.startPolling();
+
+    // Redeliver failed webhooks with backoff
+    require('./services/v1/WebhookRetryWorker').startPolling();
+
+    // Persist per-key request counts for usage reporting
+    RateLimitService.startFlushing();
+
+    // Warn owners of API keys that are about to expire
+    require('./services/v1/ApiKeyExpiryWorker').startPolling();
     console.log('  V1 API: http://localhost:' + PORT + '/v1');
 });
 
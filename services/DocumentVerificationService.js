@@ -1,23 +1,14 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const OpenAI = require('openai');
-const sharp = require('sharp');
-
-const MAX_IMAGE_BYTES = 4.5 * 1024 * 1024; // 4.5MB to stay safely under 5MB API limit
+const AIProviderRegistry = require('./ai/AIProviderRegistry');
+const DocumentPreparer = require('./ai/DocumentPreparer');
+const ResponseParser = require('./ai/ResponseParser');
+const CostEstimator = require('./ai/CostEstimator');
 
 class DocumentVerificationService {
 
     constructor() {
-        this.provider = process.env.AI_PROVIDER || 'claude'; // 'claude' or 'openai'
-
-        if (this.provider === 'claude') {
-            this.claude = new Anthropic.default({
-                apiKey: process.env.ANTHROPIC_API_KEY
-            });
-        } else {
-            this.openai = new OpenAI.default({
-                apiKey: process.env.OPENAI_API_KEY
-            });
-        }
+        // Default provider: 'claude' (anthropic), 'openai' or 'mock'.
+        // AI_PROVIDER_OVERRIDES can route individual document labels/categories elsewhere.
+        this.provider = process.env.AI_PROVIDER || 'claude';
     }
 
     getSystemPrompt() {
@@ -81,210 +72,22 @@ Be strict but fair. Only approve if reasonably confident the document is correct
         return prompt;
     }
 
-    /**
-     * Detect media type from file buffer magic bytes, filename, and content-type header.
-     * Checks magic bytes first for reliability, then falls back to content-type and extension.
-     */
-    getMediaType(filename, contentType, fileBuffer) {
-        // Check magic bytes first (most reliable)
-        if (fileBuffer && fileBuffer.length >= 5) {
-            const header = fileBuffer.slice(0, 5).toString('ascii');
-            if (header.startsWith('%PDF')) return 'application/pdf';
-
-            // Check binary signatures
-            const hex = fileBuffer.slice(0, 4).toString('hex');
-            if (hex === 'ffd8ffe0' || hex === 'ffd8ffe1' || hex === 'ffd8ffdb' || hex.startsWith('ffd8ff')) return 'image/jpeg';
-            if (hex === '89504e47') return 'image/png';
-            if (hex === '47494638') return 'image/gif';
-            if (hex === '52494646') {
-                // RIFF - could be WebP
-                if (fileBuffer.length >= 12) {
-                    const webp = fileBuffer.slice(8, 12).toString('ascii');
-                    if (webp === 'WEBP') return 'image/webp';
-                }
-            }
-        }
-
-        // Check content-type header
-        if (contentType && contentType !== 'application/octet-stream') {
-            if (contentType.includes('pdf')) return 'application/pdf';
-            if (contentType.includes('jpeg') || contentType.includes('jpg')) return 'image/jpeg';
-            if (contentType.includes('png')) return 'image/png';
-            if (contentType.includes('gif')) return 'image/gif';
-            if (contentType.includes('webp')) return 'image/webp';
-        }
-
-        // Fallback: file extension
-        const ext = (filename || '').split('.').pop().toLowerCase();
-        const extMap = {
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'gif': 'image/gif',
-            'webp': 'image/webp',
-            'pdf': 'application/pdf'
-        };
-
-        return extMap[ext] || 'image/jpeg';
-    }
-
-    /**
-     * Compress an image buffer if it exceeds the max size.
-     * Returns { buffer, mediaType } with the (possibly compressed) result.
-     */
-    async compressImage(fileBuffer, mediaType) {
-        // Skip PDFs — they use the document block, not image block
-        if (mediaType === 'application/pdf') {
-            return { buffer: fileBuffer, mediaType };
-        }
-
-        // If already under limit, return as-is
-        if (fileBuffer.length <= MAX_IMAGE_BYTES) {
-            return { buffer: fileBuffer, mediaType };
-        }
-
-        console.log(`[Verification] Image too large (${(fileBuffer.length / 1024 / 1024).toFixed(1)}MB), compressing...`);
-
-        // Try progressive quality reduction
-        const qualities = [85, 70, 55, 40];
-        let compressed = fileBuffer;
-
-        for (const quality of qualities) {
-            compressed = await sharp(fileBuffer)
-                .resize({ width: 2400, height: 2400, fit: 'inside', withoutEnlargement: true })
-                .jpeg({ quality, mozjpeg: true })
-                .toBuffer();
-
-            console.log(`[Verification] Compressed to ${(compressed.length / 1024 / 1024).toFixed(1)}MB at quality=${quality}`);
-
-            if (compressed.length <= MAX_IMAGE_BYTES) {
-                return { buffer: compressed, mediaType: 'image/jpeg' };
-            }
-        }
-
-        // Final fallback: aggressive resize
-        compressed = await sharp(fileBuffer)
-            .resize({ width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true })
-            .jpeg({ quality: 35, mozjpeg: true })
-            .toBuffer();
-
-        console.log(`[Verification] Final compression: ${(compressed.length / 1024 / 1024).toFixed(1)}MB`);
-        return { buffer: compressed, mediaType: 'image/jpeg' };
-    }
-
-    async verifyWithClaude(fileBuffer, document) {
-        // Detect media type using magic bytes
-        let mediaType = this.getMediaType(document.filename, document.contentType, fileBuffer);
-
-        // Compress images if needed (PDFs pass through unchanged)
-        const compressed = await this.compressImage(fileBuffer, mediaType);
-        fileBuffer = compressed.buffer;
-        mediaType = compressed.mediaType;
-
-        const base64Data = fileBuffer.toString('base64');
-        const userPrompt = this.buildDocumentPrompt(document);
-
-        const contentBlocks = [];
-
-        if (mediaType === 'application/pdf') {
-            // Claude natively supports PDF via document block
-            contentBlocks.push({
-                type: 'document',
-                source: {
-                    type: 'base64',
-                    media_type: 'application/pdf',
-                    data: base64Data
-                }
-            });
-        } else {
-            contentBlocks.push({
-                type: 'image',
-                source: {
-                    type: 'base64',
-                    media_type: mediaType,
-                    data: base64Data
-                }
-            });
-        }
-
-        contentBlocks.push({ type: 'text', text: userPrompt });
-
-        const response = await this.claude.messages.create({
-            model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514',
-            max_tokens: 2048,
-            system: this.getSystemPrompt(),
-            messages: [{ role: 'user', content: contentBlocks }]
-        });
-
-        const text = response.content[0].text;
-        return this.parseAIResponse(text);
-    }
-
-    async verifyWithOpenAI(fileBuffer, document) {
-        // Detect media type using magic bytes
-        let mediaType = this.getMediaType(document.filename, document.contentType, fileBuffer);
-
-        const base64Data = fileBuffer.toString('base64');
-        const userPrompt = this.buildDocumentPrompt(document);
-        const contentParts = [];
-
-        if (mediaType === 'application/pdf') {
-            // GPT-4o supports PDFs natively via file content type
-            console.log(`[Verification] Sending PDF to OpenAI (${(fileBuffer.length / 1024 / 1024).toFixed(1)}MB)`);
-            contentParts.push({
-                type: 'file',
-                file: {
-                    filename: document.filename || 'document.pdf',
-                    file_data: `data:application/pdf;base64,${base64Data}`
-                }
-            });
-        } else {
-            // Compress images if needed
-            const compressed = await this.compressImage(fileBuffer, mediaType);
-            const compressedBase64 = compressed.buffer.toString('base64');
-            contentParts.push({
-                type: 'image_url',
-                image_url: {
-                    url: `data:${compressed.mediaType};base64,${compressedBase64}`,
-                    detail: 'high'
-                }
-            });
-        }
-
-        contentParts.push({ type: 'text', text: userPrompt });
-
-        const response = await this.openai.chat.completions.create({
-            model: process.env.OPENAI_MODEL || 'gpt-4o',
-            max_tokens: 2048,
-            messages: [
-                { role: 'system', content: this.getSystemPrompt() },
-                { role: 'user', content: contentParts }
-            ]
-        });
-
-        const text = response.choices[0].message.content;
-        return this.parseAIResponse(text);
-    }
-
     parseAIResponse(text) {
         try {
-            let cleaned = text.trim();
-            if (cleaned.startsWith('```')) {
-                cleaned = cleaned.replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
-            }
-            const result = JSON.parse(cleaned);
+            const result = ResponseParser.parseJson(text);
             return {
                 status: result.status || 'reject',
                 confidence: result.confidence || 0,
                 remark: result.remark || 'Unable to determine',
                 issues: result.issues || [],
-                extracted_data: result.extracted_data || {}
+                extracted_data: result.extracted_data || {},
+                ...(result.field_pages && { field_pages: result.field_pages })
             };
         } catch (e) {
             return {
                 status: 'reject',
                 confidence: 0,
-                remark: `AI response parsing failed: ${text.substring(0, 200)}`,
+                remark: `AI response parsing failed: ${(text || '').substring(0, 200)}`,
                 issues: ['Could not parse AI verification response'],
                 extracted_data: {}
             };
@@ -292,11 +95,40 @@ Be strict but fair. Only approve if reasonably confident the document is correct
     }
 
     async verify(fileBuffer, document) {
-        if (this.provider === 'claude') {
-            return this.verifyWithClaude(fileBuffer, document);
-        } else {
-            return this.verifyWithOpenAI(fileBuffer, document);
-        }
+        const provider = AIProviderRegistry.resolve({
+            documentTypes: [document.document_label, document.document_type_name],
+            defaultProvider: this.provider
+        });
+
+        // Detect media type using magic bytes, rasterise PDF pages and compress images if needed
+        const prepared = await DocumentPreparer.prepare(fileBuffer, {
+            filename: document.filename,
+            contentType: document.contentType,
+            documentType: document.document_type_name
+        });
+
+        const response = await provider.complete({
+            systemPrompt: this.getSystemPrompt(),
+            userPrompt: this.buildDocumentPrompt(document) + DocumentPreparer.describePages(prepared),
+            document: prepared,
+            maxTokens: 2048,
+            context: {
+                responseSchema: 'atlas',
+                documentType: document.document_type_name,
+                documentLabel: document.document_label
+            }
+        });
+
+        const result = this.parseAIResponse(response.text);
+        result.ai_usage = {
+            provider: response.provider,
+            model: response.model,
+            input_tokens: response.usage.input_tokens,
+            output_tokens: response.usage.output_tokens,
+            latency_ms: response.latency_ms,
+            cost_usd: CostEstimator.estimate(response.model, response.usage.input_tokens, response.usage.output_tokens)
+        };
+        return result;
     }
 }
 
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const PdfRenderer = require('./ai/PdfRenderer');
+const DocumentPreparer = require('./ai/DocumentPreparer');
+const PersonConsistencyService = require('./PersonConsistencyService');
+const DocumentFingerprintModel = require('../models/DocumentFingerprintModel');
+
+const MAX_DISTANCE = parseInt(process.env.DUPLICATE_PHASH_MAX_DISTANCE) || 5;
+
+// Extracted fields that identify the document itself (not its holder), most specific first
+const DOCUMENT_NUMBER_FIELDS = [
+    'roll_number', 'roll_no', 'seat_number', 'enrollment_number', 'registration_number', 'certificate_number',
+    'aadhaar_number', 'pan_number', 'passport_number', 'license_number', 'voter_id_number', 'gstin',
+    'account_number', 'id_number', 'document_number'
+];
+
+/**
+ * DuplicateDocumentService
+ * Detects the same document image being reused for a different person. Every downloaded
+ * file gets a SHA-256 (identical bytes) and a 64-bit difference hash of its first page
+ * (survives re-encoding, resizing and re-scanning at similar framing); both are stored
+ * and compared against earlier documents in the same scope. Forms printed from one template
+ * (marksheets of the same board and year) share the perceptual hash, so a near-identical
+ * image only counts as reuse when both documents carry the same extracted document number.
+ */
+class DuplicateDocumentService {
+
+    /**
+     * 64-bit dHash: 9x8 greyscale thumbnail, one bit per horizontally adjacent pixel pair.
+     * Returned as a decimal string (fits BIGINT UNSIGNED), or null for near-uniform images,
+     * whose hashes would match every other blank page.
+     */
+    static async _differenceHash(imageBuffer) {
+        const { data } = await sharp(imageBuffer)
+            .rotate()
+            .greyscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        let hash = 0n;
+        let bitsSet = 0;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const brighter = data[row * 9 + col] > data[row * 9 + col + 1];
+                hash = (hash << 1n) | (brighter ? 1n : 0n);
+                if (brighter) bitsSet++;
+            }
+        }
+        if (bitsSet < 8 || bitsSet > 56) return null;
+        return hash.toString();
+    }
+
+    /**
+     * Exact and perceptual fingerprint of a downloaded file.
+     * PDFs are hashed perceptually on their first rendered page when a renderer is available.
+     * Returns { sha256, phash } (phash may be null).
+     */
+    static async fingerprint(buffer) {
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        let phash = null;
+        try {
+            let image = buffer;
+            if (DocumentPreparer.detectMediaType(buffer) === 'application/pdf') {
+                image = (await PdfRenderer.isAvailable()) ? await PdfRenderer.renderPage(buffer, 1) : null;
+            }
+            if (image) phash = await this._differenceHash(image);
+        } catch (err) {
+            console.error('[DuplicateDocumentService] Perceptual hash failed:', err.message);
+        }
+
+        return { sha256, phash };
+    }
+
+    /**
+     * Normalised identifier of the document (roll number, certificate or ID number) from its
+     * extracted data, or null when none was read.
+     */
+    static documentNumber(extractedData) {
+        const data = extractedData || {};
+        for (const field of DOCUMENT_NUMBER_FIELDS) {
+            const value = data[field];
+            if (value == null || typeof value === 'object') continue;
+            const normalised = String(value).replace(/[\s\-\/.]/g, '').toUpperCase();
+            if (normalised) return normalised.slice(0, 100);
+        }
+        return null;
+    }
+
+    /**
+     * A perceptual match is the same document only when both sides were read with the same
+     * document number; without one, a shared template is indistinguishable from reuse.
+     */
+    static _isSameDocument(fingerprint, documentNumber, match) {
+        if (match.sha256 === fingerprint.sha256) return true;
+        return !!(documentNumber && match.document_number && documentNumber === match.document_number);
+    }
+
+    /**
+     * Same applicant when the owner matches; otherwise decided by the holder names when both
+     * are known (a parent's document shared by siblings carries the same parent name).
+     */
+    static _isDifferentPerson({ ownerRef, personName }, match) {
+        if (ownerRef && match.owner_ref && String(ownerRef) === String(match.owner_ref)) return false;
+        if (personName && match.person_name) return !PersonConsistencyService.namesMatch(personName, match.person_name);
+        return !!(ownerRef && match.owner_ref);
+    }
+
+    /**
+     * Look up earlier documents with the same file, or a near-identical image with the same
+     * document number, then record this one.
+     * Returns { duplicates: [{ match, distance, owner_ref, document_ref, document_label, person_name, first_seen }], issues }
+     * listing only matches that belong to a different person.
+     */
+    static async checkAndRecord({ scope, ownerRef, documentRef, documentLabel, personName, documentNumber, fingerprint }) {
+        if (!fingerprint || !fingerprint.sha256) return { duplicates: [], issues: [] };
+
+        const matches = await DocumentFingerprintModel.findMatches({
+            scope,
+            documentRef,
+            sha256: fingerprint.sha256,
+            phash: fingerprint.phash,
+            maxDistance: MAX_DISTANCE
+        });
+
+        const duplicates = matches
+            .filter(m => this._isSameDocument(fingerprint, documentNumber, m))
+            .filter(m => this._isDifferentPerson({ ownerRef, personName }, m))
+            .map(m => ({
+                match: m.sha256 === fingerprint.sha256 ? 'exact' : 'near',
+                distance: m.sha256 === fingerprint.sha256 ? 0 : Number(m.distance),
+                owner_ref: m.owner_ref,
+                document_ref: m.document_ref,
+                document_label: m.document_label,
+                person_name: m.person_name,
+                first_seen: m.created_at
+            }));
+
+        const issues = duplicates.map(d =>
+            `Reused document: ${d.match === 'exact' ? 'identical file' : 'near-identical image with the same document number'} already submitted for ` +
+            `${d.owner_ref ? `applicant ${d.owner_ref}` : 'another applicant'} (${d.document_ref}${d.person_name ? `, name "${d.person_name}"` : ''})`
+        );
+
+        await DocumentFingerprintModel.record({
+            scope,
+            ownerRef,
+            documentRef,
+            documentLabel,
+            personName,
+            documentNumber,
+            sha256: fingerprint.sha256,
+            phash: fingerprint.phash
+        });
+
+        return { duplicates, issues };
+    }
+}
+
+module.exports = DuplicateDocumentService;
@@ -0,0 +1,229 @@
+const DataValidationService = require('./v1/DataValidationService');
+
+// Honorifics and relation markers that never carry identity
+const NAME_NOISE = new Set(['MR', 'MRS', 'MS', 'MISS', 'DR', 'SHRI', 'SRI', 'SMT', 'KUM', 'KUMARI', 'SO', 'DO', 'WO', 'CO']);
+
+// Abbreviated forms that stand for a full name token
+const NAME_ABBREVIATIONS = {
+    MOHD: 'MOHAMMED', MD: 'MOHAMMED', MOHAMMAD: 'MOHAMMED', MUHAMMAD: 'MOHAMMED', MUHAMMED: 'MOHAMMED', MOHAMAD: 'MOHAMMED'
+};
+
+// Spelling variants common when Indian names are transliterated into Latin script
+const TRANSLITERATIONS = [
+    [/AA/g, 'A'], [/EE/g, 'I'], [/OO/g, 'U'], [/OU/g, 'U'],
+    [/PH/g, 'F'], [/KH/g, 'K'], [/GH/g, 'G'], [/CH/g, 'C'], [/JH/g, 'J'],
+    [/TH/g, 'T'], [/DH/g, 'D'], [/BH/g, 'B'], [/SH/g, 'S'],
+    [/W/g, 'V'], [/Z/g, 'J'], [/Q/g, 'K'], [/CK/g, 'K'], [/X/g, 'KS'],
+    [/Y$/, 'I'], [/(.)\1+/g, '$1'], [/(.{3,})A$/, '$1']
+];
+
+const FIELD_ALIASES = {
+    name: ['name', 'full_name', 'holder_name', 'student_name', 'candidate_name', 'applicant_name'],
+    dob: ['dob', 'date_of_birth', 'birth_date'],
+    father_name: ['father_name', 'fathers_name', 'father'],
+    mother_name: ['mother_name', 'mothers_name', 'mother']
+};
+
+// ID numbers: explicit field names, plus the generic id_number on a document of that type
+const ID_FIELDS = {
+    aadhaar: { fields: ['aadhaar_number', 'aadhar_number', 'uid'], typePattern: /aadha?ar/i },
+    pan: { fields: ['pan_number', 'pan'], typePattern: /\bpan\b/i },
+    passport: { fields: ['passport_number', 'passport_no'], typePattern: /passport/i }
+};
+
+/**
+ * PersonConsistencyService
+ * Person-level checks across every document of one applicant: compares name, DOB,
+ * parent names and ID numbers between documents, tolerating initials, dropped middle
+ * names and common transliteration variants. Used by the Atlas scheduler (documents of
+ * one applnID) and the v1 pipeline (requests sharing a client_reference_id).
+ */
+class PersonConsistencyService {
+
+    // ==================== NAME MATCHING ====================
+
+    static _nameTokens(value) {
+        return String(value || '')
+            .toUpperCase()
+            .replace(/[^A-Z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(t => t && !NAME_NOISE.has(t))
+            .map(t => NAME_ABBREVIATIONS[t] || t);
+    }
+
+    static _phoneticKey(token) {
+        return TRANSLITERATIONS.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), token);
+    }
+
+    static _levenshtein(a, b) {
+        const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = prev[0];
+            prev[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const temp = prev[j];
+                prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = temp;
+            }
+        }
+        return prev[b.length];
+    }
+
+    static _tokensMatch(a, b) {
+        if (a === b) return true;
+        // Initials: "R" matches "RAVI"
+        if (a.length === 1 || b.length === 1) return a[0] === b[0];
+        const keyA = this._phoneticKey(a);
+        const keyB = this._phoneticKey(b);
+        if (keyA === keyB) return true;
+        // One typo is tolerated on longer names
+        return Math.min(keyA.length, keyB.length) >= 5 && this._levenshtein(keyA, keyB) <= 1;
+    }
+
+    /**
+     * True if two names plausibly belong to the same person.
+     * Token order is ignored (surname first or last), the shorter name may omit middle names,
+     * and at least one full (non-initial) token must match.
+     */
+    static namesMatch(nameA, nameB) {
+        const a = this._nameTokens(nameA);
+        const b = this._nameTokens(nameB);
+        if (a.length === 0 || b.length === 0) return true;
+
+        // "RAVIKUMAR" vs "RAVI KUMAR"
+        if (this._phoneticKey(a.join('')) === this._phoneticKey(b.join(''))) return true;
+
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        const unused = [...longer];
+        let fullMatches = 0;
+
+        // Full tokens first so initials cannot steal the token a full name needs
+        const ordered = [...shorter].sort((x, y) => y.length - x.length);
+        for (const token of ordered) {
+            const idx = unused.findIndex(candidate => this._tokensMatch(token, candidate));
+            if (idx < 0) return false;
+            if (token.length > 1 && unused[idx].length > 1) fullMatches++;
+            unused.splice(idx, 1);
+        }
+        return fullMatches > 0;
+    }
+
+    // ==================== IDENTITY EXTRACTION ====================
+
+    static _pick(data, names) {
+        for (const name of names) {
+            const value = data[name];
+            if (value != null && typeof value !== 'object' && String(value).trim() !== '') return String(value).trim();
+        }
+        return null;
+    }
+
+    /**
+     * Pull the identity fields out of one document's extracted data.
+     * Documents labelled as a parent's (e.g. "Father's Aadhaar") contribute their holder
+     * name as that parent's name and nothing else.
+     * Returns { name, dob, father_name, mother_name, ids: { aadhaar, pan, passport } }
+     */
+    static extractIdentity(extractedData, documentType = '') {
+        const data = extractedData || {};
+        const identity = { name: null, dob: null, father_name: null, mother_name: null, ids: {} };
+
+        const relation = /father/i.test(documentType) ? 'father_name'
+            : /mother/i.test(documentType) ? 'mother_name'
+                : /parent|guardian/i.test(documentType) ? 'guardian' : null;
+        if (relation) {
+            if (relation !== 'guardian') identity[relation] = this._pick(data, FIELD_ALIASES.name);
+            return identity;
+        }
+
+        identity.name = this._pick(data, FIELD_ALIASES.name);
+        identity.dob = this._pick(data, FIELD_ALIASES.dob);
+        identity.father_name = this._pick(data, FIELD_ALIASES.father_name);
+        identity.mother_name = this._pick(data, FIELD_ALIASES.mother_name);
+
+        Object.entries(ID_FIELDS).forEach(([kind, { fields, typePattern }]) => {
+            let value = this._pick(data, fields);
+            if (!value && typePattern.test(documentType)) value = this._pick(data, ['id_number', 'document_number']);
+            if (value) identity.ids[kind] = value.replace(/[\s-]/g, '').toUpperCase();
+        });
+
+        return identity;
+    }
+
+    // ==================== COMPARISON ====================
+
+    static _datesMatch(a, b) {
+        const yearOnly = v => /^\d{4}$/.test(v);
+        const dateA = DataValidationService._parseDate(a);
+        const dateB = DataValidationService._parseDate(b);
+        if (!dateA || !dateB) return true; // unparseable dates are reported by per-document validation
+        if (yearOnly(a) || yearOnly(b)) return dateA.getFullYear() === dateB.getFullYear();
+        return dateA.getFullYear() === dateB.getFullYear() &&
+            dateA.getMonth() === dateB.getMonth() &&
+            dateA.getDate() === dateB.getDate();
+    }
+
+    static _idsMatch(a, b) {
+        // Masked Aadhaar (XXXXXXXX1234) can only be compared on the visible digits
+        if (/X/.test(a) || /X/.test(b)) return a.slice(-4) === b.slice(-4);
+        return a === b;
+    }
+
+    /**
+     * Compare identity fields across documents.
+     * `documents` is [{ reference, label, documentType, extractedData }]; `reference` identifies
+     * the document in conflict reports (a document_type_id or system_reference_id).
+     * Returns { consistent, checked_documents, conflicts: [{ field, message, values: [{ reference, label, value, group }] }] }
+     * where values in the same group agree with each other.
+     */
+    static check(documents) {
+        const entries = (documents || [])
+            .filter(d => d && d.extractedData && typeof d.extractedData === 'object')
+            .map(d => ({
+                reference: d.reference,
+                label: d.label || d.documentType || String(d.reference),
+                identity: this.extractIdentity(d.extractedData, `${d.documentType || ''} ${d.label || ''}`)
+            }));
+
+        const comparators = {
+            name: (a, b) => this.namesMatch(a, b),
+            father_name: (a, b) => this.namesMatch(a, b),
+            mother_name: (a, b) => this.namesMatch(a, b),
+            dob: (a, b) => this._datesMatch(a, b)
+        };
+        Object.keys(ID_FIELDS).forEach(kind => { comparators[`${kind}_number`] = (a, b) => this._idsMatch(a, b); });
+
+        const conflicts = [];
+        Object.entries(comparators).forEach(([field, matches]) => {
+            const idKind = field.endsWith('_number') ? field.replace('_number', '') : null;
+            const values = entries
+                .map(e => ({ reference: e.reference, label: e.label, value: idKind ? e.identity.ids[idKind] : e.identity[field] }))
+                .filter(v => v.value);
+            if (values.length < 2) return;
+
+            // Group values that match the first value of an existing group
+            const groups = [];
+            values.forEach(v => {
+                const group = groups.find(g => matches(g[0].value, v.value));
+                if (group) group.push(v);
+                else groups.push([v]);
+            });
+            if (groups.length < 2) return;
+
+            const shown = groups.map(g => `"${g[0].value}" (${g.map(v => v.label).join(', ')})`).join(' vs ');
+            conflicts.push({
+                field,
+                message: `${field.replace(/_/g, ' ')} differs across documents: ${shown}`,
+                values: groups.flatMap((g, group) => g.map(v => ({ ...v, group })))
+            });
+        });
+
+        return {
+            consistent: conflicts.length === 0,
+            checked_documents: entries.length,
+            conflicts
+        };
+    }
+}
+
+module.exports = PersonConsistencyService;
@@ -2,6 +2,9 @@ const cron = require('node-cron');
 const AtlasApiClient = require('./AtlasApiClient');
 const DocumentVerificationService = require('./DocumentVerificationService');
 const AtlasVerificationModel = require('../models/AtlasVerificationModel');
+const DocumentFingerprintModel = require('../models/DocumentFingerprintModel');
+const PersonConsistencyService = require('./PersonConsistencyService');
+const DuplicateDocumentService = require('./DuplicateDocumentService');
 
 class VerificationScheduler {
 
@@ -156,10 +159,97 @@ class VerificationScheduler {
                 document_type_name: doc.document_type_name,
                 document_description: doc.document_description
             });
+            result.fingerprint = await DuplicateDocumentService.fingerprint(buffer);
             return result;
         }, `Verify ${doc.document_label}`);
     }
 
+    // ===================== REUSED DOCUMENT DETECTION =====================
+
+    /**
+     * Record a verified document's fingerprint and return earlier near-duplicates that belong
+     * to a different applicant. Matches are also appended to verification.issues.
+     */
+    async checkDuplicates(applnID, studentName, doc, verification) {
+        if (!verification.fingerprint) return [];
+        try {
+            const holderName = PersonConsistencyService.extractIdentity(verification.extracted_data, `${doc.document_type_name || ''} ${doc.document_label || ''}`).name;
+            const { duplicates, issues } = await DuplicateDocumentService.checkAndRecord({
+                scope: 'atlas',
+                ownerRef: String(applnID),
+                documentRef: `${applnID}:${doc.document_type_id}`,
+                documentLabel: doc.document_label,
+                personName: holderName || (studentName && String(studentName) !== String(applnID) ? studentName : null),
+                documentNumber: DuplicateDocumentService.documentNumber(verification.extracted_data),
+                fingerprint: verification.fingerprint
+            });
+            if (duplicates.length > 0) {
+                verification.issues = [...(verification.issues || []), ...issues];
+                this.log('warn', `${applnID} - ${doc.document_label}: reused document`, {
+                    matches: duplicates.map(d => d.document_ref)
+                });
+            }
+            return duplicates;
+        } catch (err) {
+            this.log('error', `${applnID} - ${doc.document_label}: duplicate check failed`, { error: err.message });
+            return [];
+        }
+    }
+
+    // ===================== AI USAGE =====================
+
+    /**
+     * Record tokens and estimated cost of a document's AI call. Failures are logged only.
+     */
+    async recordUsage(applnID, doc, verification) {
+        if (!verification.ai_usage) return;
+        try {
+            await AtlasVerificationModel.recordUsage({
+                applnID,
+                documentTypeId: doc.document_type_id,
+                documentLabel: doc.document_label,
+                usage: verification.ai_usage
+            });
+        } catch (err) {
+            this.log('error', `${applnID} - ${doc.document_label}: failed to record AI usage`, { error: err.message });
+        }
+    }
+
+    // ===================== CROSS-DOCUMENT CONSISTENCY =====================
+
+    /**
+     * Compare name, DOB, parent names and ID numbers across the student's verified documents
+     * (and the name on the application) and record any conflicts on the student result.
+     */
+    applyConsistency(studentResult) {
+        const documents = (studentResult.documents || [])
+            .filter(d => d.ai_status && d.ai_status !== 'error')
+            .map(d => ({
+                reference: d.document_type_id,
+                label: d.document_label,
+                documentType: d.document_type_name,
+                extractedData: d.extracted_data
+            }));
+
+        if (documents.length === 0) {
+            studentResult.consistency = null;
+            return;
+        }
+
+        if (studentResult.studentName && String(studentResult.studentName) !== String(studentResult.applnID)) {
+            documents.push({ reference: 'application', label: 'Application', extractedData: { name: studentResult.studentName } });
+        }
+
+        const check = PersonConsistencyService.check(documents);
+        studentResult.consistency = { ...check, checked_at: new Date().toISOString() };
+
+        if (!check.consistent) {
+            this.log('warn', `Student ${studentResult.applnID}: ${check.conflicts.length} cross-document conflict(s)`, {
+                fields: check.conflicts.map(c => c.field)
+            });
+        }
+    }
+
     // ===================== SINGLE STUDENT PROCESSING =====================
 
     async processStudent(applnID, studentName, { forceRecheck = false } = {}) {
@@ -207,6 +297,7 @@ class VerificationScheduler {
                     this.log('warn', `Student ${applnID}: Could not load existing results: ${e.message}`);
                 }
 
+                this.applyConsistency(studentResult);
                 this.studentResults.set(String(applnID), studentResult);
                 try { await AtlasVerificationModel.upsertStudentResult(studentResult); } catch (e) {}
                 return studentResult;
@@ -312,6 +403,7 @@ class VerificationScheduler {
                     studentResult.status = studentResult.errors > 0 ? 'partial' : 'completed';
                     studentResult.endTime = new Date().toISOString();
                     this.log('info', `Student ${applnID}: All docs already verified, nothing to recheck`);
+                    this.applyConsistency(studentResult);
                     this.studentResults.set(String(applnID), studentResult);
                     try { await AtlasVerificationModel.upsertStudentResult(studentResult); } catch (e) {}
                     return studentResult;
@@ -345,6 +437,7 @@ class VerificationScheduler {
                     this.log('warn', `Student ${applnID}: Could not load existing results: ${e.message}`);
                 }
 
+                this.applyConsistency(studentResult);
                 this.studentResults.set(String(applnID), studentResult);
                 try { await AtlasVerificationModel.upsertStudentResult(studentResult); } catch (e) {}
                 return studentResult;
@@ -379,6 +472,8 @@ class VerificationScheduler {
                         }
 
                         const aiStatus = verification.status === 'approve' ? 'Verified' : 'reject';
+                        const duplicates = await this.checkDuplicates(applnID, studentName, doc, verification);
+                        await this.recordUsage(applnID, doc, verification);
 
                         statusUpdates.push({
                             document_type_id: doc.document_type_id,
@@ -396,7 +491,11 @@ class VerificationScheduler {
                             confidence: verification.confidence,
                             remark: verification.remark,
                             issues: verification.issues,
-                            extracted_data: verification.extracted_data
+                            extracted_data: verification.extracted_data,
+                            ...(verification.field_pages && { field_pages: verification.field_pages }),
+                            ...(verification.fingerprint && { sha256: verification.fingerprint.sha256 }),
+                            ...(verification.ai_usage && { ai_usage: verification.ai_usage }),
+                            ...(duplicates.length > 0 && { duplicates })
                         };
 
                         // Dedup: replace if doc already exists, otherwise push
@@ -509,6 +608,7 @@ class VerificationScheduler {
         studentResult.endTime = new Date().toISOString();
 
         // Persist to student results store (in-memory)
+        this.applyConsistency(studentResult);
         this.studentResults.set(String(applnID), studentResult);
 
         // Persist to database
@@ -721,6 +821,8 @@ class VerificationScheduler {
             }
 
             const aiStatus = verification.status === 'approve' ? 'Verified' : 'reject';
+            const duplicates = await this.checkDuplicates(applnID, existing.studentName, docEntry, verification);
+            await this.recordUsage(applnID, docEntry, verification);
 
             // Update in allDocuments
             const allDocIdx = existing.allDocuments.findIndex(d => String(d.document_type_id) === String(documentTypeId));
@@ -744,7 +846,11 @@ class VerificationScheduler {
                 confidence: verification.confidence,
                 remark: verification.remark,
                 issues: verification.issues,
-                extracted_data: verification.extracted_data
+                extracted_data: verification.extracted_data,
+                ...(verification.field_pages && { field_pages: verification.field_pages }),
+                ...(verification.fingerprint && { sha256: verification.fingerprint.sha256 }),
+                ...(verification.ai_usage && { ai_usage: verification.ai_usage }),
+                ...(duplicates.length > 0 && { duplicates })
             };
             if (verDocIdx >= 0) {
                 existing.documents[verDocIdx] = docResult;
@@ -764,6 +870,8 @@ class VerificationScheduler {
             existing.errors = errors;
             existing.status = errors > 0 ? 'partial' : 'completed';
 
+            this.applyConsistency(existing);
+
             // Persist updated result to DB
             await AtlasVerificationModel.upsertStudentResult(existing);
 
@@ -1379,6 +1487,7 @@ class VerificationScheduler {
         // Initialize DB tables and load cached results
         try {
             await AtlasVerificationModel.initTables();
+            await DocumentFingerprintModel.initTables();
             this.studentResults = await AtlasVerificationModel.loadAllIntoMap();
             const runs = await AtlasVerificationModel.getRecentRuns(this.maxRuns);
             this.runs = runs;
@@ -0,0 +1,110 @@
+const OpenAIProvider = require('./OpenAIProvider');
+const AnthropicProvider = require('./AnthropicProvider');
+const MockProvider = require('./MockProvider');
+const RecordingProvider = require('./RecordingProvider');
+
+const PROVIDER_CLASSES = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    mock: MockProvider
+};
+
+// Accepted spellings for provider names (AI_PROVIDER historically used 'claude')
+const ALIASES = {
+    claude: 'anthropic'
+};
+
+/**
+ * Provider registry shared by AIProcessingService (v1 API) and
+ * DocumentVerificationService (Atlas scheduler).
+ *
+ * Every provider implements complete({ systemPrompt, userPrompt, document, maxTokens, temperature, context })
+ * where document comes from DocumentPreparer.prepare(), and resolves to
+ * { text, provider, model, usage: { input_tokens, output_tokens }, latency_ms }.
+ *
+ * With AI_FIXTURES_RECORD=true, real providers are wrapped in RecordingProvider.
+ *
+ * Provider selection per document type (first match wins):
+ *   1. explicit provider (e.g. v1_document_master.ai_provider)
+ *   2. AI_PROVIDER_OVERRIDES entry for the document type, e.g. "passport:anthropic,marksheet_10:openai"
+ *   3. the pipeline default passed by the caller
+ */
+class AIProviderRegistry {
+    constructor() {
+        this.instances = {};
+        this.recording = process.env.AI_FIXTURES_RECORD === 'true';
+        this.overrides = this._parseOverrides(process.env.AI_PROVIDER_OVERRIDES);
+    }
+
+    _parseOverrides(value) {
+        const overrides = {};
+        (value || '').split(',').forEach(entry => {
+            const idx = entry.lastIndexOf(':');
+            if (idx <= 0) return;
+            const key = entry.substring(0, idx).trim().toLowerCase();
+            const provider = this.normalizeName(entry.substring(idx + 1));
+            if (key && provider) overrides[key] = provider;
+        });
+        return overrides;
+    }
+
+    /**
+     * Normalise a provider name. Returns null for unknown names.
+     */
+    normalizeName(name) {
+        if (!name) return null;
+        const key = String(name).trim().toLowerCase();
+        const resolved = ALIASES[key] || key;
+        return PROVIDER_CLASSES[resolved] ? resolved : null;
+    }
+
+    isKnown(name) {
+        return !!this.normalizeName(name);
+    }
+
+    getAvailableProviders() {
+        return Object.keys(PROVIDER_CLASSES).map(name => ({
+            name,
+            configured: this.get(name).isConfigured()
+        }));
+    }
+
+    /**
+     * Get a provider instance by name (created lazily, one per process)
+     */
+    get(name) {
+        const resolved = this.normalizeName(name);
+        if (!resolved) {
+            throw new Error(`Unknown AI provider: '${name}'. Available: ${Object.keys(PROVIDER_CLASSES).join(', ')}`);
+        }
+        if (!this.instances[resolved]) {
+            const provider = new PROVIDER_CLASSES[resolved]();
+            // Record mode: capture real responses as fixtures for the mock provider
+            this.instances[resolved] = this.recording && resolved !== 'mock'
+                ? new RecordingProvider(provider)
+                : provider;
+        }
+        return this.instances[resolved];
+    }
+
+    /**
+     * Pick the provider for a document type.
+     * documentTypes may be a single key or a list (e.g. Atlas label and category).
+     */
+    resolve({ explicit, documentTypes, defaultProvider }) {
+        const explicitName = this.normalizeName(explicit);
+        if (explicitName) return this.get(explicitName);
+
+        const keys = (Array.isArray(documentTypes) ? documentTypes : [documentTypes])
+            .filter(Boolean)
+            .map(k => String(k).trim().toLowerCase());
+        for (const key of keys) {
+            if (this.overrides[key]) return this.get(this.overrides[key]);
+        }
+
+        return this.get(defaultProvider);
+    }
+}
+
+// Singleton
+module.exports = new AIProviderRegistry();
@@ -0,0 +1,77 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Anthropic Messages API provider (image and native PDF document blocks).
+ */
+class AnthropicProvider {
+    constructor() {
+        this.name = 'anthropic';
+        this.model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
+        this.client = null;
+        if (process.env.ANTHROPIC_API_KEY) {
+            this.client = new Anthropic.default({ apiKey: process.env.ANTHROPIC_API_KEY });
+        }
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * Send a prepared document with prompts. Returns { text, provider, model, usage, latency_ms }
+     */
+    async complete({ systemPrompt, userPrompt, document, maxTokens = 4096, temperature }) {
+        if (!this.client) {
+            throw new Error('Anthropic client not initialized. Set ANTHROPIC_API_KEY environment variable.');
+        }
+
+        const contentBlocks = [];
+        if (document.pages) {
+            // Rasterised PDF: one labelled image per selected page
+            document.pages.forEach(page => {
+                contentBlocks.push({ type: 'text', text: `Page ${page.page}` });
+                contentBlocks.push({
+                    type: 'image',
+                    source: { type: 'base64', media_type: page.mediaType, data: page.base64 }
+                });
+            });
+        } else {
+            contentBlocks.push({
+                type: document.mediaType === 'application/pdf' ? 'document' : 'image',
+                source: {
+                    type: 'base64',
+                    media_type: document.mediaType,
+                    data: document.base64
+                }
+            });
+        }
+        contentBlocks.push({ type: 'text', text: userPrompt });
+
+        const startTime = Date.now();
+        const response = await this.client.messages.create({
+            model: this.model,
+            max_tokens: maxTokens,
+            ...(temperature !== undefined && { temperature }),
+            system: systemPrompt,
+            messages: [{ role: 'user', content: contentBlocks }]
+        });
+
+        const text = (response.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return {
+            text,
+            provider: this.name,
+            model: response.model || this.model,
+            usage: {
+                input_tokens: response.usage?.input_tokens || 0,
+                output_tokens: response.usage?.output_tokens || 0
+            },
+            latency_ms: Date.now() - startTime
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,62 @@
+// USD per 1M tokens [input, output]. Model names returned by providers often carry a
+// date suffix (gpt-4o-2024-08-06), so lookups fall back to the longest matching prefix.
+const DEFAULT_PRICING = {
+    'gpt-4o': [2.5, 10],
+    'gpt-4o-mini': [0.15, 0.6],
+    'gpt-4.1': [2, 8],
+    'gpt-4.1-mini': [0.4, 1.6],
+    'claude-sonnet-4': [3, 15],
+    'claude-opus-4': [15, 75],
+    'claude-3-5-sonnet': [3, 15],
+    'claude-3-5-haiku': [0.8, 4],
+    'mock': [0, 0]
+};
+
+/**
+ * Estimated cost of a provider call from its token usage.
+ * AI_MODEL_PRICING adds or overrides prices, e.g. "gpt-4o:2.5/10,my-finetune:3/12"
+ * (USD per 1M input/output tokens). Unknown models have no estimate (null).
+ */
+class CostEstimator {
+    constructor() {
+        this.pricing = { ...DEFAULT_PRICING, ...this._parsePricing(process.env.AI_MODEL_PRICING) };
+    }
+
+    _parsePricing(value) {
+        const pricing = {};
+        (value || '').split(',').forEach(entry => {
+            const idx = entry.lastIndexOf(':');
+            if (idx <= 0) return;
+            const model = entry.substring(0, idx).trim().toLowerCase();
+            const [input, output] = entry.substring(idx + 1).split('/').map(v => parseFloat(v));
+            if (model && Number.isFinite(input) && Number.isFinite(output)) pricing[model] = [input, output];
+        });
+        return pricing;
+    }
+
+    /**
+     * [input, output] price per 1M tokens, or null
+     */
+    priceFor(model) {
+        if (!model) return null;
+        const name = String(model).toLowerCase();
+        if (this.pricing[name]) return this.pricing[name];
+        const prefix = Object.keys(this.pricing)
+            .filter(key => name.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.pricing[prefix] : null;
+    }
+
+    /**
+     * Estimated USD cost, rounded to 6 decimals, or null when the model has no price
+     */
+    estimate(model, inputTokens, outputTokens) {
+        const price = this.priceFor(model);
+        if (!price) return null;
+        const cost = ((inputTokens || 0) * price[0] + (outputTokens || 0) * price[1]) / 1e6;
+        return Math.round(cost * 1e6) / 1e6;
+    }
+}
+
+// Singleton
+module.exports = new CostEstimator();
@@ -0,0 +1,174 @@
+const sharp = require('sharp');
+const PdfRenderer = require('./PdfRenderer');
+const PageSelection = require('./PageSelection');
+
+const MAX_IMAGE_BYTES = 4.5 * 1024 * 1024; // 4.5MB to stay safely under the 5MB provider image limit
+const MAX_PAGE_PX = parseInt(process.env.PDF_PAGE_MAX_PX) || 2000;
+
+const EXTENSION_MEDIA_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    pdf: 'application/pdf'
+};
+
+/**
+ * Shared document preparation for every AI provider: media type detection,
+ * PDF page rendering and image compression, so the v1 API and the Atlas
+ * scheduler send the same bytes regardless of which provider handles the call.
+ */
+class DocumentPreparer {
+    /**
+     * Detect media type from file buffer magic bytes, content-type header and filename/URL.
+     * Magic bytes are checked first for reliability.
+     */
+    static detectMediaType(fileBuffer, { filename, contentType } = {}) {
+        if (fileBuffer && fileBuffer.length >= 5) {
+            if (fileBuffer.slice(0, 5).toString('ascii').startsWith('%PDF')) return 'application/pdf';
+
+            const hex = fileBuffer.slice(0, 4).toString('hex');
+            if (hex.startsWith('ffd8ff')) return 'image/jpeg';
+            if (hex === '89504e47') return 'image/png';
+            if (hex === '47494638') return 'image/gif';
+            if (hex === '52494646' && fileBuffer.length >= 12 && fileBuffer.slice(8, 12).toString('ascii') === 'WEBP') {
+                return 'image/webp';
+            }
+        }
+
+        if (contentType && contentType !== 'application/octet-stream') {
+            if (contentType.includes('pdf')) return 'application/pdf';
+            if (contentType.includes('jpeg') || contentType.includes('jpg')) return 'image/jpeg';
+            if (contentType.includes('png')) return 'image/png';
+            if (contentType.includes('gif')) return 'image/gif';
+            if (contentType.includes('webp')) return 'image/webp';
+        }
+
+        const ext = (filename || '').split('.').pop().split('?')[0].toLowerCase();
+        return EXTENSION_MEDIA_TYPES[ext] || 'image/jpeg';
+    }
+
+    /**
+     * Compress an image buffer if it exceeds the max size.
+     * Returns { buffer, mediaType } with the (possibly compressed) result. PDFs pass through unchanged.
+     */
+    static async compressImage(fileBuffer, mediaType) {
+        if (mediaType === 'application/pdf' || fileBuffer.length <= MAX_IMAGE_BYTES) {
+            return { buffer: fileBuffer, mediaType };
+        }
+
+        console.log(`[DocumentPreparer] Image too large (${(fileBuffer.length / 1024 / 1024).toFixed(1)}MB), compressing...`);
+
+        // Try progressive quality reduction
+        const qualities = [85, 70, 55, 40];
+        let compressed = fileBuffer;
+
+        for (const quality of qualities) {
+            compressed = await sharp(fileBuffer)
+                .resize({ width: 2400, height: 2400, fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality, mozjpeg: true })
+                .toBuffer();
+
+            if (compressed.length <= MAX_IMAGE_BYTES) {
+                console.log(`[DocumentPreparer] Compressed to ${(compressed.length / 1024 / 1024).toFixed(1)}MB at quality=${quality}`);
+                return { buffer: compressed, mediaType: 'image/jpeg' };
+            }
+        }
+
+        // Final fallback: aggressive resize
+        compressed = await sharp(fileBuffer)
+            .resize({ width: 1600, height: 1600, fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 35, mozjpeg: true })
+            .toBuffer();
+
+        console.log(`[DocumentPreparer] Final compression: ${(compressed.length / 1024 / 1024).toFixed(1)}MB`);
+        return { buffer: compressed, mediaType: 'image/jpeg' };
+    }
+
+    /**
+     * Rasterise the selected pages of a PDF, downscaling oversized pages.
+     * Returns { pageCount, pages: [{ page, buffer, base64, mediaType }] } or null if no renderer is available.
+     */
+    static async renderPdfPages(pdfBuffer, pageRule) {
+        if (!(await PdfRenderer.isAvailable())) return null;
+
+        const pageCount = await PdfRenderer.getPageCount(pdfBuffer);
+        const selected = PageSelection.select(pageRule, pageCount);
+
+        const pages = [];
+        for (const pageNumber of selected) {
+            const rendered = await PdfRenderer.renderPage(pdfBuffer, pageNumber);
+            if (!rendered) break; // past the last page when the count was unknown
+
+            const resized = await sharp(rendered)
+                .resize({ width: MAX_PAGE_PX, height: MAX_PAGE_PX, fit: 'inside', withoutEnlargement: true })
+                .jpeg({ quality: 85, mozjpeg: true })
+                .toBuffer();
+            const { buffer, mediaType } = await this.compressImage(resized, 'image/jpeg');
+            pages.push({ page: pageNumber, buffer, base64: buffer.toString('base64'), mediaType });
+        }
+
+        if (pages.length === 0) return null;
+        return { pageCount: pageCount || pages.length, pages };
+    }
+
+    /**
+     * Detect, compress and base64-encode a document for a provider call.
+     * PDFs are rasterised page-by-page per the document type's page rule when a renderer
+     * is available; providers then send `pages` instead of the whole file.
+     * Returns { buffer, base64, mediaType, filename, pages, pageCount }
+     */
+    static async prepare(fileBuffer, { filename, contentType, documentType, pageRules } = {}) {
+        const detected = this.detectMediaType(fileBuffer, { filename, contentType });
+        const name = filename || (detected === 'application/pdf' ? 'document.pdf' : 'document');
+
+        if (detected === 'application/pdf') {
+            const rule = PageSelection.resolveRule(documentType, pageRules);
+            let rendered = null;
+            try {
+                rendered = await this.renderPdfPages(fileBuffer, rule);
+            } catch (err) {
+                console.error('[DocumentPreparer] PDF rendering failed, sending PDF as-is:', err.message);
+            }
+
+            if (rendered) {
+                return {
+                    buffer: fileBuffer,
+                    base64: null,
+                    mediaType: detected,
+                    filename: name,
+                    pages: rendered.pages,
+                    pageCount: rendered.pageCount
+                };
+            }
+        }
+
+        const { buffer, mediaType } = await this.compressImage(fileBuffer, detected);
+        return {
+            buffer,
+            base64: buffer.toString('base64'),
+            mediaType,
+            filename: name,
+            pages: null,
+            pageCount: mediaType === 'application/pdf' ? null : 1
+        };
+    }
+
+    /**
+     * Prompt text telling the model how pages are labelled and asking for per-field page numbers.
+     * Empty for single images.
+     */
+    static describePages(document) {
+        if (document.mediaType !== 'application/pdf') return '';
+
+        const intro = document.pages
+            ? `The document is a PDF with ${document.pageCount} page(s). Pages ${document.pages.map(p => p.page).join(', ')} are attached as images, each preceded by a "Page N" label.`
+            : 'The document is a multi-page PDF; use its own page numbering.';
+
+        return `\n\nPAGES:\n${intro}
+Also return "field_pages": an object mapping each extracted field name to the page number it was read from (e.g. {"name": 1, "percentage": 2}).`;
+    }
+}
+
+module.exports = DocumentPreparer;
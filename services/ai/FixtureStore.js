@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Canned AI responses on disk, used by MockProvider (replay) and RecordingProvider (record).
+ *
+ * Layout under AI_FIXTURES_DIR (default: ./fixtures/ai), per response schema ('v1' or 'atlas'):
+ *   <schema>/by-hash/<sha256 of document bytes>.json   - exact document
+ *   <schema>/by-type/<document type>.json              - any document of that type
+ *
+ * A fixture is either the raw AI JSON object, or a recorded wrapper
+ * { provider, model, document_type, usage, response_text, recorded_at }.
+ */
+class FixtureStore {
+    constructor() {
+        this.baseDir = path.resolve(process.env.AI_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures', 'ai'));
+    }
+
+    /**
+     * SHA-256 of the document bytes sent to the provider
+     */
+    hashDocument(document) {
+        const buffer = document?.buffer || Buffer.from(document?.base64 || '', 'base64');
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    _key(value) {
+        return String(value).trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+    }
+
+    _read(filePath) {
+        if (!fs.existsSync(filePath)) return null;
+        const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (typeof fixture.response_text === 'string') {
+            return {
+                text: fixture.response_text,
+                model: fixture.model || null,
+                usage: fixture.usage || null,
+                source: path.relative(this.baseDir, filePath)
+            };
+        }
+        return {
+            text: JSON.stringify(fixture),
+            model: null,
+            usage: null,
+            source: path.relative(this.baseDir, filePath)
+        };
+    }
+
+    /**
+     * Find a fixture for a document: by file hash first, then by each document type key.
+     * Returns { text, model, usage, source } or null.
+     */
+    find(schema, hash, documentTypes = []) {
+        const schemaDir = path.join(this.baseDir, this._key(schema || 'v1'));
+        if (hash) {
+            const byHash = this._read(path.join(schemaDir, 'by-hash', `${hash}.json`));
+            if (byHash) return byHash;
+        }
+        for (const type of documentTypes.filter(Boolean)) {
+            const byType = this._read(path.join(schemaDir, 'by-type', `${this._key(type)}.json`));
+            if (byType) return byType;
+        }
+        return null;
+    }
+
+    /**
+     * Record a real provider response under <schema>/by-hash/<hash>.json
+     */
+    async record(schema, hash, { provider, model, documentType, usage, text }) {
+        const dir = path.join(this.baseDir, this._key(schema || 'v1'), 'by-hash');
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fixture = {
+            provider,
+            model,
+            document_type: documentType || null,
+            usage: usage || null,
+            response_text: text,
+            recorded_at: new Date().toISOString()
+        };
+        await fs.promises.writeFile(path.join(dir, `${hash}.json`), JSON.stringify(fixture, null, 2));
+        return path.relative(this.baseDir, path.join(dir, `${hash}.json`));
+    }
+}
+
+// Singleton
+module.exports = new FixtureStore();
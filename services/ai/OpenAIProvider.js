@@ -0,0 +1,81 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI chat completions provider (vision + native PDF file input).
+ */
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.model = process.env.OPENAI_MODEL || 'gpt-4o';
+        this.client = null;
+        if (process.env.OPENAI_API_KEY) {
+            this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        }
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    /**
+     * Send a prepared document with prompts. Returns { text, provider, model, usage, latency_ms }
+     */
+    async complete({ systemPrompt, userPrompt, document, maxTokens = 4096, temperature }) {
+        if (!this.client) {
+            throw new Error('OpenAI client not initialized. Set OPENAI_API_KEY environment variable.');
+        }
+
+        const content = [];
+        if (document.pages) {
+            // Rasterised PDF: one labelled image per selected page
+            document.pages.forEach(page => {
+                content.push({ type: 'text', text: `Page ${page.page}` });
+                content.push({
+                    type: 'image_url',
+                    image_url: { url: `data:${page.mediaType};base64,${page.base64}`, detail: 'high' }
+                });
+            });
+        } else if (document.mediaType === 'application/pdf') {
+            content.push({
+                type: 'file',
+                file: {
+                    filename: document.filename || 'document.pdf',
+                    file_data: `data:application/pdf;base64,${document.base64}`
+                }
+            });
+        } else {
+            content.push({
+                type: 'image_url',
+                image_url: {
+                    url: `data:${document.mediaType};base64,${document.base64}`,
+                    detail: 'high'
+                }
+            });
+        }
+        content.push({ type: 'text', text: userPrompt });
+
+        const startTime = Date.now();
+        const response = await this.client.chat.completions.create({
+            model: this.model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content }
+            ],
+            max_tokens: maxTokens,
+            ...(temperature !== undefined && { temperature })
+        });
+
+        return {
+            text: response.choices[0]?.message?.content || '',
+            provider: this.name,
+            model: response.model || this.model,
+            usage: {
+                input_tokens: response.usage?.prompt_tokens || 0,
+                output_tokens: response.usage?.completion_tokens || 0
+            },
+            latency_ms: Date.now() - startTime
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,98 @@
+const DEFAULT_MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 5;
+// Highest page number (and max_pages) a rule may name; rules are tenant-supplied
+const MAX_PAGE_NUMBER = 500;
+
+/**
+ * Which PDF pages to send for each document type.
+ * pages: 'all' | 'first' | 'last' | [1, 2] | '1-3,5'; max_pages caps the result.
+ * v1_document_master.page_rules overrides these per document type.
+ */
+const DEFAULT_RULES = {
+    aadhaar: { pages: [1, 2] },          // front / back
+    pan: { pages: 'first' },
+    passport: { pages: [1, 2] },         // bio page + address page
+    driving_license: { pages: [1, 2] },
+    voter_id: { pages: [1, 2] },
+    bank_statement: { pages: 'all', max_pages: 3 },
+    utility_bill: { pages: 'first' },
+    marksheet_10: { pages: 'all', max_pages: 4 },
+    marksheet_12: { pages: 'all', max_pages: 4 },
+    graduation_cert: { pages: [1, 2] }
+};
+
+class PageSelection {
+    /**
+     * Rule for a document type: explicit override, then built-in default, then all pages.
+     */
+    static resolveRule(documentType, override) {
+        if (override && typeof override === 'object' && override.pages !== undefined) {
+            return override;
+        }
+        const key = documentType ? String(documentType).trim().toLowerCase() : null;
+        return DEFAULT_RULES[key] || { pages: 'all' };
+    }
+
+    /**
+     * Validate a page rule. Returns an error message or null.
+     */
+    static validateRule(rule) {
+        if (rule === null || rule === undefined) return null;
+        if (typeof rule !== 'object' || Array.isArray(rule)) return 'page_rules must be an object like {"pages": "all", "max_pages": 3}';
+
+        const { pages, max_pages: maxPages } = rule;
+        if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGE_NUMBER)) {
+            return `page_rules.max_pages must be an integer between 1 and ${MAX_PAGE_NUMBER}`;
+        }
+        if (['all', 'first', 'last'].includes(pages)) return null;
+
+        const validPage = p => Number.isInteger(p) && p >= 1 && p <= MAX_PAGE_NUMBER;
+        if (Array.isArray(pages) && pages.length > 0 && pages.length <= MAX_PAGE_NUMBER && pages.every(validPage)) return null;
+        if (typeof pages === 'string') {
+            const compact = pages.replace(/\s+/g, '');
+            if (/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(compact) &&
+                compact.split(/[,-]/).every(n => validPage(parseInt(n, 10)))) {
+                return null;
+            }
+        }
+        return `page_rules.pages must be "all", "first", "last", an array of page numbers or a range string like "1-3,5" (pages 1-${MAX_PAGE_NUMBER})`;
+    }
+
+    /**
+     * Resolve a rule to 1-based page numbers. pageCount may be null when it cannot be read,
+     * in which case open-ended selections ('all', 'last') fall back to the first max_pages pages.
+     */
+    static select(rule, pageCount) {
+        const maxPages = rule.max_pages || DEFAULT_MAX_PAGES;
+        let pages;
+
+        if (rule.pages === 'first') {
+            pages = [1];
+        } else if (rule.pages === 'last') {
+            pages = pageCount ? [pageCount] : [1];
+        } else if (rule.pages === 'all') {
+            const total = Math.min(pageCount || maxPages, maxPages);
+            pages = Array.from({ length: total }, (_, i) => i + 1);
+        } else if (Array.isArray(rule.pages)) {
+            pages = rule.pages;
+        } else {
+            // Rules stored before page numbers were capped may name huge ranges: clamp each
+            // range to the document (or to max_pages when the page count is unknown)
+            const last = pageCount || maxPages;
+            pages = [];
+            for (const part of String(rule.pages).replace(/\s+/g, '').split(',')) {
+                const [start, end] = part.split('-').map(n => parseInt(n, 10));
+                for (let p = start; p <= Math.min(end || start, last) && pages.length < maxPages; p++) pages.push(p);
+                if (pages.length >= maxPages) break;
+            }
+        }
+
+        pages = [...new Set(pages)]
+            .filter(p => p >= 1 && (!pageCount || p <= pageCount))
+            .sort((a, b) => a - b);
+
+        // Always send at least the first page
+        return (pages.length ? pages : [1]).slice(0, maxPages);
+    }
+}
+
+module.exports = PageSelection;
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+const RENDER_DPI = parseInt(process.env.PDF_RENDER_DPI) || 150;
+const RENDER_TIMEOUT_MS = 60000;
+
+/**
+ * Renders PDF pages to PNG locally.
+ *
+ * Uses sharp when its libvips build includes PDF support (a global libvips with
+ * poppler/pdfium); otherwise falls back to poppler's pdftoppm (PDFTOPPM_PATH or PATH).
+ * When neither is available, isAvailable() is false and callers send the PDF as-is.
+ */
+class PdfRenderer {
+    constructor() {
+        this.engine = undefined; // resolved lazily: 'sharp' | 'pdftoppm' | null
+        this.pdftoppmPath = process.env.PDFTOPPM_PATH || 'pdftoppm';
+    }
+
+    async _detectEngine() {
+        if (this.engine !== undefined) return this.engine;
+
+        if (sharp.format.pdf?.input?.buffer) {
+            this.engine = 'sharp';
+        } else {
+            this.engine = await new Promise(resolve => {
+                execFile(this.pdftoppmPath, ['-v'], { timeout: 5000 }, err => {
+                    resolve(err && err.code === 'ENOENT' ? null : 'pdftoppm');
+                });
+            });
+        }
+
+        if (!this.engine) {
+            console.warn('[PdfRenderer] No PDF rasteriser available (sharp without PDF support, pdftoppm not found); PDFs will be sent whole');
+        }
+        return this.engine;
+    }
+
+    async isAvailable() {
+        return !!(await this._detectEngine());
+    }
+
+    /**
+     * Best-effort page count. Returns null if it cannot be determined.
+     */
+    async getPageCount(buffer) {
+        if ((await this._detectEngine()) === 'sharp') {
+            try {
+                const meta = await sharp(buffer).metadata();
+                if (meta.pages) return meta.pages;
+            } catch (err) {
+                // Fall back to scanning the file
+            }
+        }
+
+        // Page objects are usually visible in the raw file; compressed object streams hide them
+        const text = buffer.toString('latin1');
+        const pageObjects = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+        if (pageObjects > 0) return pageObjects;
+
+        const counts = [...text.matchAll(/\/Type\s*\/Pages[\s\S]{0,200}?\/Count\s+(\d+)/g)].map(m => parseInt(m[1]));
+        return counts.length ? Math.max(...counts) : null;
+    }
+
+    /**
+     * Render one 1-based page to a PNG buffer. Returns null if the page does not exist.
+     */
+    async renderPage(buffer, pageNumber) {
+        const engine = await this._detectEngine();
+        if (engine === 'sharp') {
+            try {
+                return await sharp(buffer, { page: pageNumber - 1, density: RENDER_DPI }).png().toBuffer();
+            } catch (err) {
+                return null;
+            }
+        }
+        if (engine === 'pdftoppm') {
+            return this._renderWithPdftoppm(buffer, pageNumber);
+        }
+        throw new Error('No PDF renderer available');
+    }
+
+    async _renderWithPdftoppm(buffer, pageNumber) {
+        const base = path.join(os.tmpdir(), `pdf-${crypto.randomBytes(8).toString('hex')}`);
+        const inputPath = `${base}.pdf`;
+        await fs.promises.writeFile(inputPath, buffer);
+
+        try {
+            await new Promise((resolve, reject) => {
+                execFile(this.pdftoppmPath, [
+                    '-f', String(pageNumber), '-l', String(pageNumber),
+                    '-r', String(RENDER_DPI), '-png', '-singlefile',
+                    inputPath, base
+                ], { timeout: RENDER_TIMEOUT_MS }, err => (err ? reject(err) : resolve()));
+            });
+            return await fs.promises.readFile(`${base}.png`);
+        } catch (err) {
+            // pdftoppm exits non-zero for pages beyond the end of the document
+            return null;
+        } finally {
+            await fs.promises.unlink(inputPath).catch(() => {});
+            await fs.promises.unlink(`${base}.png`).catch(() => {});
+        }
+    }
+}
+
+// Singleton
+module.exports = new PdfRenderer();
@@ -0,0 +1,40 @@
+const FixtureStore = require('./FixtureStore');
+
+/**
+ * Wraps a real provider and saves each response as a by-hash fixture
+ * (enabled with AI_FIXTURES_RECORD=true), so the mock provider can replay it offline.
+ */
+class RecordingProvider {
+    constructor(inner) {
+        this.inner = inner;
+        this.name = inner.name;
+        this.model = inner.model;
+    }
+
+    isConfigured() {
+        return this.inner.isConfigured();
+    }
+
+    async complete(request) {
+        const response = await this.inner.complete(request);
+
+        try {
+            const hash = FixtureStore.hashDocument(request.document);
+            const file = await FixtureStore.record(request.context?.responseSchema, hash, {
+                provider: response.provider,
+                model: response.model,
+                documentType: request.context?.documentType,
+                usage: response.usage,
+                text: response.text
+            });
+            console.log(`[RecordingProvider] Recorded ${response.provider} response to ${file}`);
+        } catch (err) {
+            // Recording must never break a live verification
+            console.error('[RecordingProvider] Failed to record fixture:', err.message);
+        }
+
+        return response;
+    }
+}
+
+module.exports = RecordingProvider;
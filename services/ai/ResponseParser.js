@@ -0,0 +1,41 @@
+/**
+ * Single parser for provider responses. Models are asked for bare JSON but
+ * sometimes wrap it in markdown code fences or surrounding prose.
+ */
+class ResponseParser {
+    /**
+     * Parse a JSON object from AI response text. Throws if no JSON object can be recovered.
+     */
+    static parseJson(text) {
+        if (!text || !text.trim()) throw new Error('Empty AI response');
+
+        const trimmed = text.trim();
+
+        // Try direct parse
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            // Try extracting from code fences
+            const fenceMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+            if (fenceMatch) {
+                try {
+                    return JSON.parse(fenceMatch[1].trim());
+                } catch (err) {
+                    // Fall through to object search
+                }
+            }
+            // Try finding JSON object
+            const objMatch = trimmed.match(/\{[\s\S]*\}/);
+            if (objMatch) {
+                try {
+                    return JSON.parse(objMatch[0]);
+                } catch (err) {
+                    // Fall through to error
+                }
+            }
+            throw new Error('Failed to parse AI response as JSON');
+        }
+    }
+}
+
+module.exports = ResponseParser;
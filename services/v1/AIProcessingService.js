@@ -1,23 +1,33 @@
-const OpenAI = require('openai');
 const axios = require('axios');
+const crypto = require('crypto');
 const { validateUrl } = require('../../middleware/v1/ssrfProtection');
+const FileStorageService = require('./FileStorageService');
+const AadhaarQrService = require('./AadhaarQrService');
+const RuleDslService = require('./RuleDslService');
+const DuplicateDocumentService = require('../DuplicateDocumentService');
+const AIProviderRegistry = require('../ai/AIProviderRegistry');
+const DocumentPreparer = require('../ai/DocumentPreparer');
+const ResponseParser = require('../ai/ResponseParser');
+const CostEstimator = require('../ai/CostEstimator');
+const V1ResultCacheModel = require('../../models/v1/V1ResultCacheModel');
+
+// Bump whenever getSystemPrompt / buildExtractionPrompt change meaning, so cached results
+// produced by the old prompts are no longer reused
+const PROMPT_VERSION = '2';
+const RESULT_CACHE_TTL_HOURS = parseInt(process.env.V1_RESULT_CACHE_TTL_HOURS) || 168;
+const RESULT_CACHE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
 /**
- * AI Processing Service using OpenAI Vision API.
+ * AI Processing Service for the v1 API.
  * Handles document fetching, analysis, structured extraction, and scoring.
+ * The vision model is chosen per document type through AIProviderRegistry.
  */
 class AIProcessingService {
     constructor() {
-        this.openai = null;
-        this.model = process.env.OPENAI_MODEL || 'gpt-4o';
-        this._initClient();
-    }
-
-    _initClient() {
-        const apiKey = process.env.OPENAI_API_KEY;
-        if (apiKey) {
-            this.openai = new OpenAI({ apiKey });
-        }
+        // Provider used when neither the document type nor AI_PROVIDER_OVERRIDES picks one
+        this.defaultProvider = process.env.V1_AI_PROVIDER || 'openai';
+        this.promptVersion = PROMPT_VERSION;
+        this._lastCachePurge = 0;
     }
 
     /**
@@ -131,6 +141,11 @@ You MUST respond in valid JSON format only. No markdown, no extra text.`;
                 name: 'Graduation Certificate',
                 description: 'University degree/graduation certificate with degree name (B.A., B.Sc., B.Tech, etc.), university name, student name, and year of passing',
                 confusable_with: ['marksheet_12']
+            },
+            gst_certificate: {
+                name: 'GST Registration Certificate',
+                description: 'Indian GST registration certificate (Form GST REG-06) issued by the GST Network, showing the 15-character GSTIN, legal name, trade name, and date of liability/registration',
+                confusable_with: []
             }
         };
     }
@@ -194,10 +209,18 @@ Do NOT assume the document matches just because it looks like a marksheet or cer
         if (documentType.startsWith('marksheet_') && !fieldsToExtract.includes('exam_name')) {
             fieldsToExtract.push('exam_name');
         }
+        // Passports: the MRZ is parsed and cross-checked server-side
+        if (documentType === 'passport') {
+            ['mrz_line_1', 'mrz_line_2'].forEach(f => {
+                if (!fieldsToExtract.includes(f)) fieldsToExtract.push(f);
+            });
+        }
         if (fieldsToExtract && fieldsToExtract.length > 0) {
             fieldsToExtract.forEach(field => {
                 if (field === 'exam_class') {
                     prompt += `- exam_class (IMPORTANT: Extract the exact class/standard, e.g. "10th", "12th", "Class X", "Class XII")\n`;
+                } else if (field === 'mrz_line_1' || field === 'mrz_line_2') {
+                    prompt += `- ${field} (IMPORTANT: Transcribe the ${field === 'mrz_line_1' ? 'first' : 'second'} machine-readable zone line exactly, all 44 characters including '<' fillers, no spaces)\n`;
                 } else if (field === 'exam_name') {
                     prompt += `- exam_name (IMPORTANT: Extract the full exam name, e.g. "Secondary School Certificate", "Higher Secondary Certificate")\n`;
                 } else {
@@ -216,10 +239,11 @@ Do NOT assume the document matches just because it looks like a marksheet or cer
             prompt += `\nCompare the extracted data against the metadata above and note any mismatches.\n`;
         }
 
-        if (validationRules && Object.keys(validationRules).length > 0) {
+        const ruleLines = RuleDslService.describe(validationRules);
+        if (ruleLines.length > 0) {
             prompt += `\nValidation rules to check:\n`;
-            Object.entries(validationRules).forEach(([field, rule]) => {
-                prompt += `- ${field}: must match pattern ${rule}\n`;
+            ruleLines.forEach(line => {
+                prompt += `- ${line}\n`;
             });
         }
 
@@ -272,34 +296,15 @@ IMPORTANT RULES:
         return prompt;
     }
 
-    /**
-     * Detect media type from response headers or URL
-     */
-    getMediaType(contentType, url) {
-        if (contentType) {
-            if (contentType.includes('pdf')) return 'application/pdf';
-            if (contentType.includes('png')) return 'image/png';
-            if (contentType.includes('gif')) return 'image/gif';
-            if (contentType.includes('webp')) return 'image/webp';
-            if (contentType.includes('jpeg') || contentType.includes('jpg')) return 'image/jpeg';
-        }
-        // Fallback to URL extension
-        const ext = url.split('.').pop().split('?')[0].toLowerCase();
-        const extMap = {
-            pdf: 'application/pdf',
-            png: 'image/png',
-            jpg: 'image/jpeg',
-            jpeg: 'image/jpeg',
-            gif: 'image/gif',
-            webp: 'image/webp'
-        };
-        return extMap[ext] || 'image/jpeg';
-    }
-
     /**
      * Download a document from URL with SSRF protection
      */
     async downloadDocument(fileUrl) {
+        // Directly uploaded documents are read from the local content-addressed store
+        if (FileStorageService.isLocalUri(fileUrl)) {
+            return FileStorageService.read(fileUrl);
+        }
+
         // Validate URL for SSRF
         const urlCheck = await validateUrl(fileUrl);
         if (!urlCheck.valid) {
@@ -323,94 +328,153 @@ IMPORTANT RULES:
     }
 
     /**
-     * Process document through OpenAI Vision API
+     * Send the prepared document to the selected provider and parse its JSON reply
      */
-    async processWithOpenAI(base64Data, mediaType, systemPrompt, userPrompt) {
-        if (!this.openai) {
-            throw new Error('OpenAI client not initialized. Set OPENAI_API_KEY environment variable.');
-        }
-
-        const content = [];
-
-        if (mediaType === 'application/pdf') {
-            // For PDFs, use file input
-            content.push({
-                type: 'file',
-                file: {
-                    filename: 'document.pdf',
-                    file_data: `data:application/pdf;base64,${base64Data}`
-                }
-            });
-        } else {
-            // For images, use image_url
-            content.push({
-                type: 'image_url',
-                image_url: {
-                    url: `data:${mediaType};base64,${base64Data}`,
-                    detail: 'high'
-                }
-            });
-        }
+    async processWithProvider(provider, document, systemPrompt, userPrompt, context) {
+        const response = await provider.complete({
+            systemPrompt,
+            userPrompt,
+            document,
+            maxTokens: 4096,
+            temperature: 0.1,
+            context
+        });
 
-        content.push({ type: 'text', text: userPrompt });
+        return {
+            result: ResponseParser.parseJson(response.text),
+            usage: {
+                provider: response.provider,
+                model: response.model,
+                input_tokens: response.usage.input_tokens,
+                output_tokens: response.usage.output_tokens,
+                latency_ms: response.latency_ms,
+                cost_usd: CostEstimator.estimate(response.model, response.usage.input_tokens, response.usage.output_tokens),
+                fixture: response.fixture || null
+            }
+        };
+    }
 
-        const response = await this.openai.chat.completions.create({
-            model: this.model,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                { role: 'user', content }
-            ],
-            max_tokens: 4096,
-            temperature: 0.1
+    /**
+     * Keep only page numbers for extracted fields that point at a page we actually sent.
+     * Returns null for single-image documents.
+     */
+    normalizeFieldPages(fieldPages, extractedData, document) {
+        if (document.mediaType !== 'application/pdf') return null;
+        if (!fieldPages || typeof fieldPages !== 'object') return {};
+
+        const sentPages = document.pages ? document.pages.map(p => p.page) : null;
+        const normalized = {};
+        Object.entries(fieldPages).forEach(([field, page]) => {
+            const pageNumber = parseInt(page);
+            if (!extractedData || !(field in extractedData) || !pageNumber) return;
+            if (sentPages && !sentPages.includes(pageNumber)) return;
+            normalized[field] = pageNumber;
         });
+        return normalized;
+    }
 
-        const text = response.choices[0]?.message?.content;
-        return this.parseAIResponse(text);
+    /**
+     * Result cache key: the same bytes, checked as the same version of a document type with
+     * the same prompts, by the same user
+     */
+    resultCacheKey({ userId, fileSha256, documentType, documentVersion }) {
+        return crypto.createHash('sha256')
+            .update([userId, fileSha256, documentType, documentVersion, this.promptVersion].join('|'))
+            .digest('hex');
     }
 
     /**
-     * Parse JSON from AI response, handling markdown code fences
+     * Look up a cached result. Cache errors are logged and treated as a miss.
      */
-    parseAIResponse(text) {
-        if (!text) throw new Error('Empty AI response');
+    async _readResultCache(cacheKey) {
+        try {
+            const entry = await V1ResultCacheModel.findByKey(cacheKey);
+            if (entry) await V1ResultCacheModel.recordHit(entry.id);
+            return entry;
+        } catch (error) {
+            console.error('[AIProcessingService] Result cache read failed:', error.message);
+            return null;
+        }
+    }
 
-        // Try direct parse
+    async _writeResultCache(entry) {
         try {
-            return JSON.parse(text);
-        } catch (e) {
-            // Try extracting from code fences
-            const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[1].trim());
+            await V1ResultCacheModel.store({ ...entry, promptVersion: this.promptVersion, ttlHours: RESULT_CACHE_TTL_HOURS });
+            if (Date.now() - this._lastCachePurge > RESULT_CACHE_PURGE_INTERVAL_MS) {
+                this._lastCachePurge = Date.now();
+                await V1ResultCacheModel.purgeExpired();
             }
-            // Try finding JSON object
-            const objMatch = text.match(/\{[\s\S]*\}/);
-            if (objMatch) {
-                return JSON.parse(objMatch[0]);
-            }
-            throw new Error('Failed to parse AI response as JSON');
+        } catch (error) {
+            console.error('[AIProcessingService] Result cache write failed:', error.message);
         }
     }
 
     /**
-     * Main verification entry point
+     * Main verification entry point.
+     * With `cache` ({ userId, documentVersion, sourceReferenceId }) an earlier result for the
+     * same file is reused instead of calling the model. Cacheable calls leave the client's
+     * metadata out of the prompt, so status, scores and issues never depend on one applicant's
+     * metadata; the caller compares metadata server-side (DataValidationService) on every run.
      */
-    async verify({ fileUrl, documentType, requiredFields, validationRules, metadata }) {
+    async verify({ fileUrl, documentType, requiredFields, validationRules, metadata, aiProvider, pageRules, cache }) {
         // Download document
         const doc = await this.downloadDocument(fileUrl);
 
-        // Detect media type
-        const mediaType = this.getMediaType(doc.contentType, fileUrl);
+        // Exact + perceptual hashes of the original bytes for reused-document detection
+        const fingerprint = await DuplicateDocumentService.fingerprint(doc.buffer);
+
+        let cacheKey = null;
+        if (cache) {
+            cacheKey = this.resultCacheKey({
+                userId: cache.userId,
+                fileSha256: fingerprint.sha256,
+                documentType,
+                documentVersion: cache.documentVersion
+            });
+            const entry = await this._readResultCache(cacheKey);
+            if (entry) {
+                return {
+                    ...entry.ai_result,
+                    metadata_match: {},
+                    file_fingerprint: fingerprint,
+                    ai_usage: { provider: null, model: null, input_tokens: 0, output_tokens: 0, latency_ms: 0, cost_usd: 0, cached: true },
+                    cache: {
+                        hit: true,
+                        source_reference_id: entry.source_reference_id,
+                        cached_at: entry.created_at,
+                        document_version: entry.document_version,
+                        prompt_version: entry.prompt_version
+                    }
+                };
+            }
+        }
 
-        // Convert to base64
-        const base64Data = doc.buffer.toString('base64');
+        // Detect media type, rasterise selected PDF pages and compress oversized images
+        const document = await DocumentPreparer.prepare(doc.buffer, {
+            filename: fileUrl,
+            contentType: doc.contentType,
+            documentType,
+            pageRules
+        });
 
         // Build prompts
+        const promptMetadata = cache ? {} : metadata;
         const systemPrompt = this.getSystemPrompt();
-        const userPrompt = this.buildExtractionPrompt(documentType, requiredFields, validationRules, metadata);
-
-        // Process with OpenAI
-        const result = await this.processWithOpenAI(base64Data, mediaType, systemPrompt, userPrompt);
+        const userPrompt = this.buildExtractionPrompt(documentType, requiredFields, validationRules, promptMetadata)
+            + DocumentPreparer.describePages(document);
+
+        // Process with the provider configured for this document type
+        const provider = AIProviderRegistry.resolve({
+            explicit: aiProvider,
+            documentTypes: documentType,
+            defaultProvider: this.defaultProvider
+        });
+        const { result, usage } = await this.processWithProvider(provider, document, systemPrompt, userPrompt, {
+            responseSchema: 'v1',
+            documentType,
+            requiredFields,
+            metadata: promptMetadata
+        });
 
         // If AI detected wrong document type, force rejection
         const isWrongDoc = result.document_type_match === false;
@@ -439,7 +503,20 @@ IMPORTANT RULES:
             finalRiskScore = Math.max(finalRiskScore, 0.8);
         }
 
-        return {
+        // Aadhaar: decode and verify the UIDAI Secure QR locally, independent of the model's opinion
+        let qrVerification = null;
+        if (documentType === 'aadhaar' && !isWrongDoc) {
+            const images = document.pages
+                ? document.pages.map(p => p.buffer)
+                : (document.mediaType === 'application/pdf' ? [] : [doc.buffer]);
+            try {
+                qrVerification = await AadhaarQrService.verify(images, result.extracted_data);
+            } catch (err) {
+                console.error('[AIProcessingService] Aadhaar QR verification failed:', err.message);
+            }
+        }
+
+        const verification = {
             status: finalStatus,
             confidence: finalConfidence,
             risk_score: finalRiskScore,
@@ -453,8 +530,34 @@ IMPORTANT RULES:
             expected_document_type: result.expected_document_type || documentType,
             document_type_mismatch_reason: result.document_type_mismatch_reason || '',
             is_genuine: isWrongDoc ? false : (result.is_genuine !== false),
-            authenticity_checks: result.authenticity_checks || {},
-            data_consistency: result.data_consistency || {}
+            authenticity_checks: qrVerification
+                ? { ...(result.authenticity_checks || {}), qr_verified: qrVerification.qr_verified }
+                : (result.authenticity_checks || {}),
+            qr_verification: qrVerification,
+            data_consistency: result.data_consistency || {},
+            field_pages: this.normalizeFieldPages(result.field_pages, result.extracted_data, document),
+            pages: document.mediaType === 'application/pdf'
+                ? { total: document.pageCount, analyzed: document.pages ? document.pages.map(p => p.page) : 'all' }
+                : null,
+        };
+
+        if (cacheKey) {
+            await this._writeResultCache({
+                cacheKey,
+                userId: cache.userId,
+                documentType,
+                fileSha256: fingerprint.sha256,
+                documentVersion: cache.documentVersion,
+                aiResult: verification,
+                sourceReferenceId: cache.sourceReferenceId
+            });
+        }
+
+        return {
+            ...verification,
+            file_fingerprint: fingerprint,
+            ai_usage: usage,
+            cache: cacheKey ? { hit: false } : null
         };
     }
 }
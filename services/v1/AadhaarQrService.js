@@ -0,0 +1,303 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const jsQR = require('jsqr');
+const DataValidationService = require('./DataValidationService');
+
+const FIELD_DELIMITER = 255;
+const SIGNATURE_BYTES = 256;
+const SCAN_MAX_PX = 2000;
+
+// Text fields of the UIDAI Secure QR, in order (V2 prefixes 'V2' and appends the mobile last-4)
+const SECURE_FIELDS_V1 = [
+    'email_mobile_indicator', 'reference_id', 'name', 'dob', 'gender', 'care_of', 'district',
+    'landmark', 'house', 'location', 'pincode', 'post_office', 'state', 'street', 'sub_district', 'vtc'
+];
+const SECURE_FIELDS_V2 = ['version', ...SECURE_FIELDS_V1, 'mobile_last_4'];
+
+/**
+ * Aadhaar QR verification.
+ * Locates and decodes the QR code on an Aadhaar image locally, verifies the UIDAI
+ * Secure QR signature against the public key at UIDAI_PUBLIC_KEY_PATH and compares
+ * the signed name/DOB/gender/last-4 with what the AI extracted. Older unsigned XML
+ * QR codes are decoded and compared but can never be verified.
+ */
+class AadhaarQrService {
+    constructor() {
+        this.keyPath = process.env.UIDAI_PUBLIC_KEY_PATH || null;
+        this.publicKey = undefined; // loaded lazily: KeyObject | null
+    }
+
+    /**
+     * Load the UIDAI signing key. Accepts an X.509 certificate (PEM or DER, as UIDAI publishes it)
+     * or a bare SPKI public key. Returns null if not configured or unreadable.
+     */
+    _loadPublicKey() {
+        if (this.publicKey !== undefined) return this.publicKey;
+        this.publicKey = null;
+        if (!this.keyPath) return null;
+
+        try {
+            const raw = fs.readFileSync(this.keyPath);
+            try {
+                this.publicKey = new crypto.X509Certificate(raw).publicKey;
+            } catch (certErr) {
+                this.publicKey = raw.toString('latin1').includes('-----BEGIN')
+                    ? crypto.createPublicKey(raw)
+                    : crypto.createPublicKey({ key: raw, format: 'der', type: 'spki' });
+            }
+        } catch (err) {
+            console.error(`[AadhaarQrService] Could not load UIDAI public key from ${this.keyPath}:`, err.message);
+        }
+        return this.publicKey;
+    }
+
+    /**
+     * Find and decode a QR code in an image buffer.
+     * Tries the whole image, then the right and bottom halves (where Aadhaar prints the QR) enlarged.
+     * Returns the raw QR text or null.
+     */
+    async scanImage(buffer) {
+        const meta = await sharp(buffer).metadata();
+        if (!meta.width || !meta.height) return null;
+
+        const { width, height } = meta;
+        const attempts = [
+            null,
+            { left: Math.floor(width / 2), top: 0, width: Math.ceil(width / 2), height },
+            { left: 0, top: Math.floor(height / 2), width, height: Math.ceil(height / 2) }
+        ];
+
+        for (const region of attempts) {
+            let image = sharp(buffer).rotate();
+            if (region) image = image.extract(region);
+            const { data, info } = await image
+                .resize({ width: SCAN_MAX_PX, height: SCAN_MAX_PX, fit: 'inside', withoutEnlargement: !region })
+                .ensureAlpha()
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            const code = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), info.width, info.height, {
+                inversionAttempts: 'dontInvert'
+            });
+            if (code && code.data) return code.data;
+        }
+        return null;
+    }
+
+    /**
+     * Decode QR text into Aadhaar fields.
+     * Secure QR: a big decimal integer whose bytes are a gzip stream of 0xFF-delimited fields,
+     * a JPEG2000 photo, optional email/mobile hashes and a 256-byte RSA-SHA256 signature.
+     * Returns { type, fields, signedData, signature } or null if the text is not an Aadhaar QR.
+     */
+    parse(text) {
+        const trimmed = String(text || '').trim();
+
+        if (/^\d{100,}$/.test(trimmed)) {
+            let hex = BigInt(trimmed).toString(16);
+            if (hex.length % 2) hex = '0' + hex;
+
+            let bytes;
+            try {
+                bytes = zlib.unzipSync(Buffer.from(hex, 'hex'));
+            } catch (err) {
+                return null;
+            }
+            if (bytes.length <= SIGNATURE_BYTES) return null;
+
+            const isV2 = bytes[0] === 0x56 && bytes[1] === 0x32 && bytes[2] === FIELD_DELIMITER; // "V2"
+            const names = isV2 ? SECURE_FIELDS_V2 : SECURE_FIELDS_V1;
+
+            const fields = {};
+            let start = 0;
+            for (const name of names) {
+                const end = bytes.indexOf(FIELD_DELIMITER, start);
+                if (end < 0) return null;
+                fields[name] = bytes.slice(start, end).toString('latin1').trim();
+                start = end + 1;
+            }
+
+            return {
+                type: isV2 ? 'secure_v2' : 'secure_v1',
+                fields: {
+                    name: fields.name,
+                    dob: fields.dob,
+                    gender: fields.gender,
+                    aadhaar_last_4: (fields.reference_id || '').substring(0, 4),
+                    pincode: fields.pincode || null,
+                    state: fields.state || null
+                },
+                signedData: bytes.slice(0, bytes.length - SIGNATURE_BYTES),
+                signature: bytes.slice(bytes.length - SIGNATURE_BYTES)
+            };
+        }
+
+        // Pre-2018 cards: plain XML attributes, no signature
+        if (trimmed.includes('PrintLetterBarcodeData')) {
+            const attr = name => {
+                const match = trimmed.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+                return match ? match[1].trim() : null;
+            };
+            const uid = (attr('uid') || '').replace(/\D/g, '');
+            return {
+                type: 'legacy_xml',
+                fields: {
+                    name: attr('name'),
+                    dob: attr('dob') || attr('yob'),
+                    gender: attr('gender'),
+                    aadhaar_last_4: uid ? uid.slice(-4) : null,
+                    pincode: attr('pc'),
+                    state: attr('state')
+                },
+                signedData: null,
+                signature: null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Verify a Secure QR signature. Returns true/false, or null when no UIDAI key is configured.
+     */
+    verifySignature(signedData, signature) {
+        const key = this._loadPublicKey();
+        if (!key) return null;
+        try {
+            return crypto.verify('RSA-SHA256', signedData, key, signature);
+        } catch (err) {
+            console.error('[AadhaarQrService] Signature verification error:', err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Compare QR fields with AI-extracted data. Only fields present on both sides are compared.
+     * Returns [{ field, qr, extracted }]
+     */
+    compare(qrFields, extractedData) {
+        const mismatches = [];
+        const data = extractedData || {};
+        const pick = (...names) => {
+            for (const name of names) {
+                if (data[name] != null && String(data[name]).trim() !== '') return String(data[name]).trim();
+            }
+            return null;
+        };
+
+        // Name: every token of the shorter name must appear in the longer one
+        const name = pick('name', 'full_name', 'holder_name');
+        if (name && qrFields.name) {
+            const tokens = v => v.toUpperCase().replace(/[^A-Z\s]/g, ' ').split(/\s+/).filter(Boolean);
+            const a = tokens(name);
+            const b = tokens(qrFields.name);
+            const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+            if (shorter.length > 0 && !shorter.every(t => longer.includes(t))) {
+                mismatches.push({ field: 'name', qr: qrFields.name, extracted: name });
+            }
+        }
+
+        // DOB: full date, or year of birth on cards that only print the year
+        const dob = pick('dob', 'date_of_birth', 'birth_date', 'year_of_birth', 'yob');
+        if (dob && qrFields.dob) {
+            const yearOnly = v => /^\d{4}$/.test(v);
+            const qrDate = DataValidationService._parseDate(qrFields.dob);
+            const extractedDate = DataValidationService._parseDate(dob);
+            let same = !qrDate || !extractedDate;
+            if (!same) {
+                same = yearOnly(qrFields.dob) || yearOnly(dob)
+                    ? qrDate.getFullYear() === extractedDate.getFullYear()
+                    : qrDate.getTime() === extractedDate.getTime();
+            }
+            if (!same) mismatches.push({ field: 'dob', qr: qrFields.dob, extracted: dob });
+        }
+
+        // Gender: M/F/T against Male/Female/Transgender
+        const gender = pick('gender', 'sex');
+        if (gender && qrFields.gender) {
+            if (gender.toUpperCase().charAt(0) !== qrFields.gender.toUpperCase().charAt(0)) {
+                mismatches.push({ field: 'gender', qr: qrFields.gender, extracted: gender });
+            }
+        }
+
+        // Last 4 digits of the Aadhaar number
+        const number = pick('aadhaar_number', 'id_number', 'uid');
+        const digits = number ? number.replace(/\D/g, '') : '';
+        if (digits.length >= 4 && qrFields.aadhaar_last_4) {
+            if (digits.slice(-4) !== qrFields.aadhaar_last_4) {
+                mismatches.push({ field: 'aadhaar_last_4', qr: qrFields.aadhaar_last_4, extracted: number });
+            }
+        }
+
+        return mismatches;
+    }
+
+    /**
+     * Full check for one document. `images` are the image buffers to scan (rendered pages for PDFs).
+     * Returns { qr_verified, status, qr_type, signature_valid, decoded, mismatches, issues }
+     * where qr_verified is true (signed and matching), false (forged, altered or contradicting)
+     * or null (nothing conclusive: no QR found, unsigned legacy QR or no UIDAI key configured).
+     */
+    async verify(images, extractedData) {
+        const result = {
+            qr_verified: null,
+            status: 'not_found',
+            qr_type: null,
+            signature_valid: null,
+            decoded: null,
+            mismatches: [],
+            issues: []
+        };
+
+        let text = null;
+        for (const image of images || []) {
+            try {
+                text = await this.scanImage(image);
+            } catch (err) {
+                console.error('[AadhaarQrService] QR scan failed:', err.message);
+            }
+            if (text) break;
+        }
+        if (!text) return result;
+
+        const parsed = this.parse(text);
+        if (!parsed) {
+            result.qr_verified = false;
+            result.status = 'unrecognised';
+            result.issues.push('QR code on the Aadhaar card is not a UIDAI Aadhaar QR code');
+            return result;
+        }
+
+        result.qr_type = parsed.type;
+        result.decoded = parsed.fields;
+        result.mismatches = this.compare(parsed.fields, extractedData);
+        result.mismatches.forEach(m => {
+            result.issues.push(`Aadhaar QR mismatch on ${m.field}: QR has "${m.qr}" but document shows "${m.extracted}"`);
+        });
+
+        if (parsed.signature) {
+            result.signature_valid = this.verifySignature(parsed.signedData, parsed.signature);
+        }
+
+        if (result.signature_valid === false) {
+            result.qr_verified = false;
+            result.status = 'signature_invalid';
+            result.issues.unshift('Aadhaar Secure QR signature is invalid: QR data was not signed by UIDAI');
+        } else if (result.mismatches.length > 0) {
+            result.qr_verified = false;
+            result.status = 'mismatch';
+        } else if (result.signature_valid === true) {
+            result.qr_verified = true;
+            result.status = 'verified';
+        } else {
+            result.status = parsed.signature ? 'signature_unchecked' : 'unsigned';
+        }
+
+        return result;
+    }
+}
+
+// Singleton
+module.exports = new AadhaarQrService();
@@ -0,0 +1,91 @@
+const V1ApiKeyModel = require('../../models/v1/V1ApiKeyModel');
+const NotificationService = require('./NotificationService');
+const WebhookService = require('./WebhookService');
+
+/**
+ * Background warning about API keys that are about to expire.
+ * Keys expiring within V1_KEY_EXPIRY_NOTICE_DAYS get one dashboard/email notification
+ * and an api_key.expiring webhook event. Keys replaced by a rotation are skipped.
+ * markExpiryNotified claims each key, so several app nodes can run the worker safely;
+ * a failed notification gives the claim back and is retried on the next poll.
+ */
+class ApiKeyExpiryWorker {
+    constructor() {
+        this.isRunning = false;
+        this.pollInterval = null;
+        this.pollIntervalMs = parseInt(process.env.V1_KEY_EXPIRY_POLL_MS) || 60 * 60 * 1000;
+        this.noticeDays = parseInt(process.env.V1_KEY_EXPIRY_NOTICE_DAYS) || 14;
+        this._polling = false;
+    }
+
+    async _poll() {
+        if (this._polling) return;
+        this._polling = true;
+        try {
+            const keys = await V1ApiKeyModel.getExpiringUnnotified(this.noticeDays);
+            for (const key of keys) {
+                let claimed = false;
+                try {
+                    claimed = await V1ApiKeyModel.markExpiryNotified(key.id);
+                    if (!claimed) continue;
+                    await this._notify(key);
+                } catch (error) {
+                    console.error(`[ApiKeyExpiryWorker] Notice for key ${key.id} failed:`, error.message);
+                    if (claimed) {
+                        await V1ApiKeyModel.clearExpiryNotified(key.id).catch(err =>
+                            console.error(`[ApiKeyExpiryWorker] Releasing key ${key.id} failed:`, err.message));
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('[ApiKeyExpiryWorker] Polling error:', error.message);
+        } finally {
+            this._polling = false;
+        }
+    }
+
+    /**
+     * Throws unless the notification was stored. The webhook comes after it and only logs
+     * its errors, so a retry never repeats a notification the owner already has.
+     */
+    async _notify(key) {
+        const expiresAt = new Date(key.expires_at);
+        const daysRemaining = Math.max(0, Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+        const notificationId = await NotificationService.notify(key.user_id, {
+            type: 'api_key_expiring',
+            title: `API key "${key.name}" expires in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`,
+            message: `The API key "${key.name}" (${key.key_prefix}...) expires on ${expiresAt.toISOString().substring(0, 10)}. ` +
+                'Rotate it to get a replacement; the old key keeps working during the overlap so you can switch without downtime.',
+            data: { api_key_id: key.id, key_prefix: key.key_prefix, expires_at: key.expires_at }
+        });
+        if (!notificationId) {
+            throw new Error('expiry notification could not be stored');
+        }
+        try {
+            await WebhookService.triggerApiKey(key, 'api_key.expiring', { days_remaining: daysRemaining });
+        } catch (error) {
+            console.error(`[ApiKeyExpiryWorker] api_key.expiring webhook for key ${key.id} failed:`, error.message);
+        }
+    }
+
+    startPolling() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        console.log(`[ApiKeyExpiryWorker] Started polling every ${this.pollIntervalMs}ms`);
+        this.pollInterval = setInterval(() => this._poll(), this.pollIntervalMs);
+        this._poll();
+    }
+
+    stopPolling() {
+        this.isRunning = false;
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+        console.log('[ApiKeyExpiryWorker] Stopped polling');
+    }
+}
+
+// Singleton
+module.exports = new ApiKeyExpiryWorker();
@@ -1,3 +1,6 @@
+const IdChecksumService = require('./IdChecksumService');
+const MrzService = require('./MrzService');
+
 /**
  * DataValidationService
  * Performs deterministic, server-side validation of extracted document data.
@@ -8,7 +11,10 @@ class DataValidationService {
 
     /**
      * Known ID format patterns for Indian documents.
-     * Each entry: { pattern: RegExp, description: string }
+     * Each entry: { fields, pattern, description, check(value, extractedData) }
+     * check() returns null when valid, or { reason, message } where reason is one of
+     * invalid_format | invalid_prefix | invalid_holder_type | invalid_state_code |
+     * checksum_failed
      */
     static ID_FORMATS = {
         aadhaar: {
@@ -16,33 +22,43 @@ class DataValidationService {
             pattern: /^\d{4}\s?\d{4}\s?\d{4}$/,
             normalized: /^\d{12}$/,
             description: '12-digit numeric (XXXX XXXX XXXX)',
-            validate(value) {
+            check(value) {
                 const cleaned = String(value).replace(/\s+/g, '');
-                if (!/^\d{12}$/.test(cleaned)) return false;
+                if (!/^\d{12}$/.test(cleaned)) return { reason: 'invalid_format' };
                 // Aadhaar cannot start with 0 or 1
-                if (cleaned[0] === '0' || cleaned[0] === '1') return false;
-                // Verhoeff checksum (simplified - check digit is last digit)
-                return true;
+                if (cleaned[0] === '0' || cleaned[0] === '1') {
+                    return { reason: 'invalid_prefix', message: 'Aadhaar numbers never start with 0 or 1' };
+                }
+                // Last digit is a Verhoeff check digit
+                if (!IdChecksumService.verhoeffValid(cleaned)) {
+                    return { reason: 'checksum_failed', message: 'Verhoeff checksum does not match' };
+                }
+                return null;
             }
         },
         pan: {
             fields: ['pan_number', 'pan_no', 'pan', 'id_number'],
             pattern: /^[A-Z]{5}\d{4}[A-Z]$/,
             description: '10-char alphanumeric (ABCDE1234F)',
-            validate(value) {
+            check(value) {
                 const cleaned = String(value).replace(/\s+/g, '').toUpperCase();
                 // PAN format: AAAAA9999A
+                if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(cleaned)) return { reason: 'invalid_format' };
                 // 4th char indicates holder type: C=Company, P=Person, H=HUF, F=Firm, etc.
-                return /^[A-Z]{3}[ABCFGHLJPT][A-Z]\d{4}[A-Z]$/.test(cleaned);
+                if (!/^[ABCFGHLJPT]$/.test(cleaned[3])) {
+                    return { reason: 'invalid_holder_type', message: `'${cleaned[3]}' is not a valid PAN holder type (4th character)` };
+                }
+                return null;
             }
         },
         passport: {
             fields: ['passport_number', 'passport_no', 'id_number'],
             pattern: /^[A-Z]\d{7}$/,
             description: 'Letter followed by 7 digits (A1234567)',
-            validate(value) {
+            check(value, extractedData) {
                 const cleaned = String(value).replace(/\s+/g, '').toUpperCase();
-                return /^[A-Z]\d{7}$/.test(cleaned);
+                // Passport numbers carry no check digit themselves; the MRZ's are checked by validateMrz
+                return /^[A-Z]\d{7}$/.test(cleaned) ? null : { reason: 'invalid_format' };
             }
         },
         driving_license: {
@@ -50,23 +66,59 @@ class DataValidationService {
             // Format: SS-DDYYYYNNNNNNN (state code, RTO, year, serial)
             pattern: /^[A-Z]{2}[\s-]?\d{2}[\s-]?\d{4,13}$/,
             description: 'State code + RTO code + year + serial',
-            validate(value) {
+            check(value) {
                 const cleaned = String(value).replace(/[\s-]+/g, '').toUpperCase();
                 // Minimum: 2 letters + 2 digits + 4 digits = 8 chars
-                return /^[A-Z]{2}\d{2}\d{4,13}$/.test(cleaned) && cleaned.length >= 8 && cleaned.length <= 17;
+                const valid = /^[A-Z]{2}\d{2}\d{4,13}$/.test(cleaned) && cleaned.length >= 8 && cleaned.length <= 17;
+                return valid ? null : { reason: 'invalid_format' };
             }
         },
         voter_id: {
             fields: ['voter_id', 'epic_number', 'epic_no', 'id_number'],
             pattern: /^[A-Z]{3}\d{7}$/,
             description: '3 letters followed by 7 digits (ABC1234567)',
-            validate(value) {
+            check(value) {
                 const cleaned = String(value).replace(/\s+/g, '').toUpperCase();
-                return /^[A-Z]{3}\d{7}$/.test(cleaned);
+                return /^[A-Z]{3}\d{7}$/.test(cleaned) ? null : { reason: 'invalid_format' };
+            }
+        },
+        gst_certificate: {
+            fields: ['gstin', 'gst_number', 'gst_no', 'gstin_number', 'id_number'],
+            pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+            description: '15-char GSTIN (22ABCDE1234F1Z5)',
+            check(value) {
+                const cleaned = String(value).replace(/\s+/g, '').toUpperCase();
+                if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(cleaned)) return { reason: 'invalid_format' };
+                // State code 01-38, or 97 (other territory) / 99 (centre jurisdiction)
+                const state = parseInt(cleaned.substring(0, 2));
+                if (!((state >= 1 && state <= 38) || state === 97 || state === 99)) {
+                    return { reason: 'invalid_state_code', message: `'${cleaned.substring(0, 2)}' is not a valid GST state code` };
+                }
+                if (IdChecksumService.gstinCheckChar(cleaned.substring(0, 14)) !== cleaned[14]) {
+                    return { reason: 'checksum_failed', message: 'GSTIN check character does not match' };
+                }
+                return null;
             }
         }
     };
 
+    /**
+     * ICAO nationality codes and the spellings an AI typically extracts for them
+     */
+    static NATIONALITY_NAMES = {
+        IND: ['INDIAN', 'INDIA'],
+        USA: ['AMERICAN', 'UNITED STATES', 'UNITED STATES OF AMERICA', 'US'],
+        GBR: ['BRITISH', 'BRITISH CITIZEN', 'UNITED KINGDOM', 'UK'],
+        NPL: ['NEPALESE', 'NEPALI', 'NEPAL'],
+        BGD: ['BANGLADESHI', 'BANGLADESH'],
+        LKA: ['SRI LANKAN', 'SRI LANKA'],
+        PAK: ['PAKISTANI', 'PAKISTAN'],
+        CAN: ['CANADIAN', 'CANADA'],
+        AUS: ['AUSTRALIAN', 'AUSTRALIA'],
+        ARE: ['EMIRATI', 'UNITED ARAB EMIRATES', 'UAE'],
+        UTO: ['UTOPIAN', 'UTOPIA'] // ICAO specimen passports
+    };
+
     /**
      * Known date field names used across document types
      */
@@ -130,6 +182,14 @@ class DataValidationService {
             failedChecks.push('data_inconsistent');
         }
 
+        // 5. Passport MRZ vs visually extracted fields
+        const mrzResult = this.validateMrz(documentType, extractedData);
+        results.mrz = mrzResult;
+        if (!mrzResult.valid) {
+            issues.push(...mrzResult.issues);
+            failedChecks.push('mrz_mismatch');
+        }
+
         const passed = failedChecks.length === 0;
 
         return {
@@ -140,10 +200,15 @@ class DataValidationService {
             summary: {
                 dates_valid: dateResult.valid,
                 id_format_valid: idResult.valid,
+                id_format_reason: idResult.reason || null,
                 logical_checks_passed: logicalResult.valid,
                 data_consistent: consistencyResult.valid,
-                total_checks: 4,
-                checks_passed: [dateResult, idResult, logicalResult, consistencyResult].filter(r => r.valid).length,
+                mrz_consistent: mrzResult.valid,
+                mrz_mismatches: mrzResult.mismatches,
+                mrz_readable: mrzResult.readable,
+                mrz_read_errors: mrzResult.read_errors,
+                total_checks: 5,
+                checks_passed: [dateResult, idResult, logicalResult, consistencyResult, mrzResult].filter(r => r.valid).length,
                 details: issues.length > 0 ? issues.join('; ') : 'All validation checks passed'
             }
         };
@@ -444,29 +509,142 @@ class DataValidationService {
 
         if (!idFieldKey || !idValue) {
             // No ID field found - check if it's a required field type
-            const isIdDoc = ['aadhaar', 'pan', 'passport', 'driving_license', 'voter_id'].includes(documentType);
+            const isIdDoc = ['aadhaar', 'pan', 'passport', 'driving_license', 'voter_id', 'gst_certificate'].includes(documentType);
             if (isIdDoc) {
                 issues.push(`No ID number found in extracted data for ${documentType}`);
-                return { valid: false, checked_fields: {}, issues };
+                return { valid: false, checked_fields: {}, reason: 'missing', issues };
             }
             return { valid: true, checked_fields: {}, issues: [], message: 'No ID field found to validate' };
         }
 
-        // Validate the format
-        const isValid = formatDef.validate(idValue);
+        // Validate the format and check digits
+        const failure = formatDef.check(idValue, extractedData);
         checkedFields[idFieldKey] = {
             value: idValue,
-            valid: isValid,
-            expected_format: formatDef.description
+            valid: !failure,
+            expected_format: formatDef.description,
+            ...(failure && { reason: failure.reason })
         };
 
-        if (!isValid) {
-            issues.push(`ID number '${idValue}' in field '${idFieldKey}' does not match expected ${documentType} format (${formatDef.description})`);
+        if (failure) {
+            if (failure.reason === 'invalid_format') {
+                issues.push(`ID number '${idValue}' in field '${idFieldKey}' does not match expected ${documentType} format (${formatDef.description})${failure.message ? `: ${failure.message}` : ''}`);
+            } else {
+                issues.push(`ID number '${idValue}' in field '${idFieldKey}' failed ${documentType} validation (${failure.reason}): ${failure.message}`);
+            }
         }
 
         return {
             valid: issues.length === 0,
             checked_fields: checkedFields,
+            reason: failure ? failure.reason : null,
+            issues
+        };
+    }
+
+    // ==================== MRZ CROSS-CHECK ====================
+
+    /**
+     * Parse a passport MRZ and compare it with the fields the AI read from the visual zone.
+     * Only field mismatches make the check fail. A failed check digit or malformed line is
+     * far more often a transcription slip than a forgery, so it is reported as `read_errors`
+     * (readable: false) and the affected fields are left out of the comparison.
+     * Returns { valid, readable, read_errors, parsed, mismatches: [{ field, mrz, extracted }], issues }
+     */
+    static validateMrz(documentType, extractedData) {
+        const lines = documentType === 'passport' ? MrzService.findLines(extractedData) : null;
+        if (!lines) {
+            return { valid: true, readable: null, read_errors: [], parsed: null, mismatches: [], issues: [], message: 'No MRZ to cross-check' };
+        }
+
+        const parsed = MrzService.parseTd3(lines[0], lines[1]);
+        const readErrors = parsed.errors.map(e => `Passport ${e}`);
+        const issues = [];
+        const mismatches = [];
+        const mrz = { ...parsed.fields };
+        // A field whose own check digit fails was misread: do not compare it
+        Object.entries(parsed.check_digits).forEach(([field, ok]) => {
+            if (!ok) delete mrz[field];
+        });
+
+        const addMismatch = (field, mrzValue, extracted) => {
+            mismatches.push({ field, mrz: mrzValue, extracted });
+            issues.push(`MRZ mismatch on ${field}: MRZ has "${mrzValue}" but document shows "${extracted}"`);
+        };
+        const findField = (...names) => {
+            for (const name of names) {
+                if (extractedData[name] != null && String(extractedData[name]).trim() !== '') return String(extractedData[name]).trim();
+            }
+            return null;
+        };
+
+        // Passport number
+        const number = findField('passport_number', 'passport_no');
+        if (number && mrz.passport_number && number.replace(/\s+/g, '').toUpperCase() !== mrz.passport_number) {
+            addMismatch('passport_number', mrz.passport_number, number);
+        }
+
+        // Nationality: code or a known spelling of it
+        const nationality = findField('nationality', 'nationality_code');
+        if (nationality && mrz.nationality) {
+            const upper = nationality.toUpperCase();
+            const known = this.NATIONALITY_NAMES[mrz.nationality];
+            const matches = upper === mrz.nationality || (known && known.includes(upper));
+            // Only flag when we know the spellings for this code (or the extracted value is itself a code)
+            if (!matches && (known || /^[A-Z]{3}$/.test(upper))) {
+                addMismatch('nationality', mrz.nationality, nationality);
+            }
+        }
+
+        // Dates
+        const sameDay = (a, b) => a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+        const formatDate = d => `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+        [['dob', ['dob', 'date_of_birth', 'birth_date']], ['expiry_date', ['expiry_date', 'date_of_expiry', 'valid_until']]].forEach(([field, names]) => {
+            const value = findField(...names);
+            const extractedDate = value ? this._parseDate(value) : null;
+            if (extractedDate && mrz[field] && !sameDay(extractedDate, mrz[field])) {
+                addMismatch(field, formatDate(mrz[field]), value);
+            }
+        });
+
+        // Sex
+        const sex = findField('sex', 'gender');
+        if (sex && mrz.sex) {
+            const normalized = sex.toUpperCase().charAt(0);
+            if (['M', 'F', 'X'].includes(normalized) && normalized !== mrz.sex) {
+                addMismatch('sex', mrz.sex, sex);
+            }
+        }
+
+        // Name: every MRZ name token must appear on the visual zone (MRZ names may be truncated)
+        if (mrz.surname !== undefined) {
+            const visualName = findField('name', 'full_name') ||
+                [findField('given_name', 'given_names'), findField('surname')].filter(Boolean).join(' ');
+            if (visualName) {
+                const visualTokens = visualName.toUpperCase().replace(/[^A-Z\s]/g, ' ').split(/\s+/).filter(Boolean);
+                // Surname first: truncation only ever cuts the end of line 1 (the last given name)
+                const mrzTokens = `${mrz.surname} ${mrz.given_names}`.split(/\s+/).filter(Boolean);
+                const missing = mrzTokens.filter((token, i) => {
+                    const isLast = i === mrzTokens.length - 1;
+                    return !visualTokens.some(v => v === token || (isLast && v.startsWith(token)));
+                });
+                if (mrzTokens.length > 0 && missing.length > 0) {
+                    addMismatch('name', `${mrz.given_names} ${mrz.surname}`.trim(), visualName);
+                }
+            }
+        }
+
+        return {
+            valid: mismatches.length === 0,
+            readable: readErrors.length === 0,
+            read_errors: readErrors,
+            parsed: {
+                ...parsed.fields,
+                dob: parsed.fields.dob ? formatDate(parsed.fields.dob) : null,
+                expiry_date: parsed.fields.expiry_date ? formatDate(parsed.fields.expiry_date) : null
+            },
+            check_digits: parsed.check_digits,
+            mismatches,
             issues
         };
     }
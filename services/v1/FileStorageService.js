@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCAL_SCHEME = 'local://';
+
+/**
+ * Local content-addressed file store for directly uploaded documents.
+ * Files are stored once per SHA-256 hash under V1_STORAGE_DIR and referenced
+ * from v1_verification_requests.file_url as local://<hash>.<ext>, so the
+ * verification pipeline can load them the same way it downloads a URL.
+ */
+class FileStorageService {
+    constructor() {
+        this.baseDir = path.resolve(process.env.V1_STORAGE_DIR || path.join(__dirname, '..', '..', 'storage', 'v1'));
+    }
+
+    /**
+     * Detect the real file format from magic bytes.
+     * Returns { format, mediaType } or null if unrecognised.
+     */
+    detectFormat(buffer) {
+        if (!buffer || buffer.length < 4) return null;
+
+        if (buffer.slice(0, 4).toString('ascii') === '%PDF') return { format: 'pdf', mediaType: 'application/pdf' };
+
+        const hex = buffer.slice(0, 4).toString('hex');
+        if (hex.startsWith('ffd8ff')) return { format: 'jpg', mediaType: 'image/jpeg' };
+        if (hex === '89504e47') return { format: 'png', mediaType: 'image/png' };
+        if (hex === '47494638') return { format: 'gif', mediaType: 'image/gif' };
+        if (hex === '52494646' && buffer.length >= 12 && buffer.slice(8, 12).toString('ascii') === 'WEBP') {
+            return { format: 'webp', mediaType: 'image/webp' };
+        }
+        return null;
+    }
+
+    /**
+     * Check a format against a document type's allowed_formats list ('jpeg' and 'jpg' are equivalent)
+     */
+    isFormatAllowed(format, allowedFormats) {
+        const allowed = (allowedFormats || ['jpg', 'png', 'pdf']).map(f => String(f).toLowerCase());
+        if (allowed.includes('*')) return true;
+        if (format === 'jpg') return allowed.includes('jpg') || allowed.includes('jpeg');
+        return allowed.includes(format);
+    }
+
+    /**
+     * Decode a base64 string or data URI into a Buffer. Returns null if it is not valid base64.
+     */
+    decodeBase64(value) {
+        if (typeof value !== 'string' || !value) return null;
+        const data = value.replace(/^data:[^;,]+;base64,/, '').replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) return null;
+        const buffer = Buffer.from(data, 'base64');
+        return buffer.length > 0 ? buffer : null;
+    }
+
+    _pathFor(hash, format) {
+        return path.join(this.baseDir, hash.substring(0, 2), hash.substring(2, 4), `${hash}.${format}`);
+    }
+
+    /**
+     * Store a buffer. Identical content is written only once.
+     * Returns { hash, format, mediaType, size, uri }
+     */
+    async store(buffer) {
+        const detected = this.detectFormat(buffer);
+        if (!detected) {
+            throw new Error('Unsupported or unrecognised file content');
+        }
+
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const filePath = this._pathFor(hash, detected.format);
+
+        if (!fs.existsSync(filePath)) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            // Write to a temp name then rename so readers never see a partial file
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, buffer);
+            await fs.promises.rename(tmpPath, filePath);
+        }
+
+        return {
+            hash,
+            format: detected.format,
+            mediaType: detected.mediaType,
+            size: buffer.length,
+            uri: `${LOCAL_SCHEME}${hash}.${detected.format}`
+        };
+    }
+
+    isLocalUri(fileUrl) {
+        return typeof fileUrl === 'string' && fileUrl.startsWith(LOCAL_SCHEME);
+    }
+
+    /**
+     * Read a stored file by its local:// URI.
+     * Returns { buffer, contentType, size } like a downloaded document.
+     */
+    async read(uri) {
+        const match = String(uri).substring(LOCAL_SCHEME.length).match(/^([a-f0-9]{64})\.([a-z]+)$/);
+        if (!match) {
+            throw new Error(`Invalid local file reference: ${uri}`);
+        }
+
+        const buffer = await fs.promises.readFile(this._pathFor(match[1], match[2]));
+        const detected = this.detectFormat(buffer);
+        return {
+            buffer,
+            contentType: detected ? detected.mediaType : 'application/octet-stream',
+            size: buffer.length
+        };
+    }
+}
+
+// Singleton
+module.exports = new FileStorageService();
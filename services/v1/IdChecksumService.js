@@ -0,0 +1,88 @@
+/**
+ * IdChecksumService
+ * Check-digit algorithms for identity numbers: Verhoeff (Aadhaar),
+ * ICAO 9303 MRZ check digits (passports) and the GSTIN mod-36 check character.
+ */
+class IdChecksumService {
+
+    // Verhoeff dihedral group D5 multiplication and permutation tables
+    static VERHOEFF_D = [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+        [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+        [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+        [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+        [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+        [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+        [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+        [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+        [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+    ];
+
+    static VERHOEFF_P = [
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+        [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+        [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+        [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+        [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+        [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+        [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+    ];
+
+    static GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    /**
+     * True if the digit string (check digit last) passes the Verhoeff checksum
+     */
+    static verhoeffValid(digits) {
+        if (!/^\d+$/.test(digits)) return false;
+        let c = 0;
+        const reversed = digits.split('').reverse();
+        for (let i = 0; i < reversed.length; i++) {
+            c = this.VERHOEFF_D[c][this.VERHOEFF_P[i % 8][parseInt(reversed[i])]];
+        }
+        return c === 0;
+    }
+
+    /**
+     * ICAO 9303 check digit: weights 7,3,1; A-Z = 10-35; '<' = 0
+     */
+    static mrzCheckDigit(value) {
+        const weights = [7, 3, 1];
+        let sum = 0;
+        for (let i = 0; i < value.length; i++) {
+            const ch = value[i];
+            let v;
+            if (ch >= '0' && ch <= '9') v = ch.charCodeAt(0) - 48;
+            else if (ch >= 'A' && ch <= 'Z') v = ch.charCodeAt(0) - 55;
+            else v = 0; // '<' filler
+            sum += v * weights[i % 3];
+        }
+        return String(sum % 10);
+    }
+
+    /**
+     * True if the MRZ field matches its check digit ('<' check digit allowed for empty optional fields)
+     */
+    static mrzFieldValid(value, checkDigit) {
+        if (checkDigit === '<') return /^<*$/.test(value);
+        return this.mrzCheckDigit(value) === checkDigit;
+    }
+
+    /**
+     * Expected GSTIN check character (15th) for the first 14 characters
+     */
+    static gstinCheckChar(first14) {
+        let sum = 0;
+        for (let i = 0; i < 14; i++) {
+            const value = this.GSTIN_CHARSET.indexOf(first14[i]);
+            if (value < 0) return null;
+            const product = value * (i % 2 === 0 ? 1 : 2);
+            sum += Math.floor(product / 36) + (product % 36);
+        }
+        return this.GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+    }
+}
+
+module.exports = IdChecksumService;
@@ -0,0 +1,83 @@
+const net = require('net');
+
+// Entries per allowlist (key or user)
+const MAX_ENTRIES = 50;
+
+/**
+ * IpAllowlistService
+ * CIDR allowlists for API keys and users. Lists are stored as canonical CIDR strings
+ * ("203.0.113.0/24", "2001:db8::/32"); a single address is stored as /32 or /128.
+ * IPv4-mapped IPv6 addresses ("::ffff:203.0.113.5", common behind dual-stack
+ * proxies) are matched as IPv4.
+ */
+class IpAllowlistService {
+    /**
+     * Plain address without IPv4-mapped prefix or zone; null if not an IP
+     */
+    static canonicalIp(ip) {
+        if (typeof ip !== 'string') return null;
+        let addr = ip.trim().replace(/%.*$/, '');
+        const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) addr = mapped[1];
+        return net.isIP(addr) ? addr : null;
+    }
+
+    /**
+     * Parse "addr" or "addr/prefix"; returns { address, prefix, family } or null
+     */
+    static parseCidr(entry) {
+        if (typeof entry !== 'string') return null;
+        const [rawAddress, rawPrefix, extra] = entry.trim().split('/');
+        if (extra !== undefined) return null;
+        const address = this.canonicalIp(rawAddress);
+        if (!address) return null;
+        const family = net.isIP(address) === 4 ? 'ipv4' : 'ipv6';
+        const maxPrefix = family === 'ipv4' ? 32 : 128;
+        if (rawPrefix !== undefined && !/^\d{1,3}$/.test(rawPrefix)) return null;
+        const prefix = rawPrefix === undefined ? maxPrefix : parseInt(rawPrefix);
+        if (prefix > maxPrefix) return null;
+        return { address, prefix, family };
+    }
+
+    /**
+     * Validate a submitted allowlist. null or [] clears it.
+     * Returns { list } (canonical, de-duplicated; null when empty) or { error }
+     */
+    static normalize(entries) {
+        if (entries === null) return { list: null };
+        if (!Array.isArray(entries)) {
+            return { error: 'ip_allowlist must be an array of IP addresses or CIDR ranges, or null' };
+        }
+        if (entries.length > MAX_ENTRIES) {
+            return { error: `ip_allowlist can have at most ${MAX_ENTRIES} entries` };
+        }
+        const list = [];
+        for (const entry of entries) {
+            const cidr = this.parseCidr(entry);
+            if (!cidr) return { error: `Invalid IP address or CIDR range: ${entry}` };
+            const canonical = `${cidr.address}/${cidr.prefix}`;
+            if (!list.includes(canonical)) list.push(canonical);
+        }
+        return { list: list.length > 0 ? list : null };
+    }
+
+    /**
+     * True when the list is empty/unset or the address falls in one of its ranges
+     */
+    static isAllowed(ip, list) {
+        if (!Array.isArray(list) || list.length === 0) return true;
+        const address = this.canonicalIp(ip);
+        if (!address) return false;
+
+        const blockList = new net.BlockList();
+        for (const entry of list) {
+            const cidr = this.parseCidr(entry);
+            if (cidr) blockList.addSubnet(cidr.address, cidr.prefix, cidr.family);
+        }
+        return blockList.check(address, net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+    }
+}
+
+IpAllowlistService.MAX_ENTRIES = MAX_ENTRIES;
+
+module.exports = IpAllowlistService;
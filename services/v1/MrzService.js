@@ -0,0 +1,107 @@
+const IdChecksumService = require('./IdChecksumService');
+
+/**
+ * MrzService
+ * Deterministic parser for TD3 (passport) machine-readable zones:
+ * two lines of 44 characters as defined by ICAO 9303.
+ */
+class MrzService {
+
+    /**
+     * Pull the two MRZ lines out of AI-extracted data.
+     * Accepts mrz_line_1/mrz_line_2 (or mrz_line1/mrz_line2) or a combined mrz field.
+     * Returns [line1, line2] (line1 may be null) or null if no MRZ was extracted.
+     */
+    static findLines(extractedData) {
+        if (!extractedData) return null;
+        const clean = l => String(l).toUpperCase().replace(/\s+/g, '');
+
+        const line2 = extractedData.mrz_line_2 || extractedData.mrz_line2;
+        if (line2) {
+            const line1 = extractedData.mrz_line_1 || extractedData.mrz_line1;
+            return [line1 ? clean(line1) : null, clean(line2)];
+        }
+
+        const combined = extractedData.mrz || extractedData.mrz_code || extractedData.machine_readable_zone;
+        if (!combined) return null;
+        const lines = (Array.isArray(combined) ? combined : String(combined).split(/[\r\n]+/))
+            .map(clean)
+            .filter(Boolean);
+        if (lines.length >= 2) return [lines[0], lines[1]];
+
+        // Single string with both lines run together
+        const joined = lines[0] || '';
+        return joined.length === 88 ? [joined.substring(0, 44), joined.substring(44)] : null;
+    }
+
+    /**
+     * Convert an MRZ YYMMDD date to a Date. Birth dates in the future roll back a century;
+     * expiry dates are always 20YY.
+     */
+    static _parseDate(yymmdd, kind) {
+        if (!/^\d{6}$/.test(yymmdd)) return null;
+        const yy = parseInt(yymmdd.substring(0, 2));
+        const month = parseInt(yymmdd.substring(2, 4));
+        const day = parseInt(yymmdd.substring(4, 6));
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        let year = 2000 + yy;
+        if (kind === 'birth' && year > new Date().getFullYear()) year -= 100;
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Parse and validate a TD3 MRZ.
+     * Returns { valid, fields, check_digits, errors }. Line 1 is optional (name/issuing state);
+     * check digits all live on line 2.
+     */
+    static parseTd3(line1, line2) {
+        const errors = [];
+
+        if (!line2 || line2.length !== 44 || !/^[A-Z0-9<]+$/.test(line2)) {
+            return { valid: false, fields: {}, check_digits: {}, errors: ['MRZ line 2 is not a 44-character TD3 line'] };
+        }
+
+        const fields = {
+            passport_number: line2.substring(0, 9).replace(/<+$/g, ''),
+            nationality: line2.substring(10, 13).replace(/</g, ''),
+            dob: this._parseDate(line2.substring(13, 19), 'birth'),
+            sex: line2[20] === '<' ? null : line2[20],
+            expiry_date: this._parseDate(line2.substring(21, 27), 'expiry'),
+            personal_number: line2.substring(28, 42).replace(/<+$/g, '') || null
+        };
+
+        const checkDigits = {
+            passport_number: IdChecksumService.mrzFieldValid(line2.substring(0, 9), line2[9]),
+            dob: IdChecksumService.mrzFieldValid(line2.substring(13, 19), line2[19]),
+            expiry_date: IdChecksumService.mrzFieldValid(line2.substring(21, 27), line2[27]),
+            personal_number: IdChecksumService.mrzFieldValid(line2.substring(28, 42), line2[42]),
+            composite: IdChecksumService.mrzCheckDigit(
+                line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 43)
+            ) === line2[43]
+        };
+        Object.entries(checkDigits).forEach(([field, ok]) => {
+            if (!ok) errors.push(`MRZ check digit mismatch: ${field}`);
+        });
+
+        if (!fields.dob) errors.push('MRZ date of birth is not a valid date');
+        if (!fields.expiry_date) errors.push('MRZ expiry date is not a valid date');
+        if (fields.sex && !['M', 'F', 'X'].includes(fields.sex)) errors.push(`MRZ sex '${fields.sex}' is not M, F or X`);
+
+        if (line1) {
+            if (line1.length !== 44 || line1[0] !== 'P') {
+                errors.push('MRZ line 1 is not a 44-character TD3 passport line');
+            } else {
+                fields.document_type = line1.substring(0, 2).replace(/</g, '');
+                fields.issuing_country = line1.substring(2, 5).replace(/</g, '');
+                const [surname, given] = line1.substring(5).split('<<');
+                fields.surname = (surname || '').replace(/</g, ' ').trim();
+                fields.given_names = (given || '').replace(/</g, ' ').trim();
+            }
+        }
+
+        return { valid: errors.length === 0, fields, check_digits: checkDigits, errors };
+    }
+}
+
+module.exports = MrzService;
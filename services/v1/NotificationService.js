@@ -0,0 +1,47 @@
+const axios = require('axios');
+const V1NotificationModel = require('../../models/v1/V1NotificationModel');
+const V1UserModel = require('../../models/v1/V1UserModel');
+
+/**
+ * Notification Service
+ * Records account notifications (shown on the user dashboard) and, when an email relay
+ * is configured via V1_NOTIFY_EMAIL_URL, also emails them to the account owner.
+ * The relay receives a JSON POST of { to, subject, text }.
+ */
+class NotificationService {
+    /**
+     * Notify a user. Never throws - a failed notification must not break the caller.
+     */
+    static async notify(userId, { type, title, message, data }) {
+        try {
+            const id = await V1NotificationModel.create({ userId, type, title, message, data });
+            await this._email(id, userId, title, message);
+            return id;
+        } catch (error) {
+            console.error('[NotificationService] Notify error:', error.message);
+            return null;
+        }
+    }
+
+    static async _email(notificationId, userId, subject, text) {
+        const relayUrl = process.env.V1_NOTIFY_EMAIL_URL;
+        if (!relayUrl) return;
+
+        const user = await V1UserModel.findById(userId);
+        if (!user || !user.email) return;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (process.env.V1_NOTIFY_EMAIL_TOKEN) {
+            headers['Authorization'] = 'Bearer ' + process.env.V1_NOTIFY_EMAIL_TOKEN;
+        }
+
+        try {
+            await axios.post(relayUrl, { to: user.email, subject, text }, { headers, timeout: 10000 });
+            await V1NotificationModel.markEmailed(notificationId);
+        } catch (error) {
+            console.error(`[NotificationService] Email to user ${userId} failed:`, error.message);
+        }
+    }
+}
+
+module.exports = NotificationService;
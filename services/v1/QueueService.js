@@ -1,127 +1,201 @@
+const os = require('os');
+const crypto = require('crypto');
+const V1JobModel = require('../../models/v1/V1JobModel');
 const V1VerificationRequestModel = require('../../models/v1/V1VerificationRequestModel');
 
 /**
- * In-memory queue service for processing verification requests.
- * Uses a simple FIFO queue with configurable concurrency.
- * Can be replaced with Redis/Bull for production scalability.
+ * MySQL-backed queue service for processing verification requests.
+ * Jobs live in v1_jobs so queued retries survive restarts, and workers claim rows
+ * with a lease (kept alive by heartbeats) so several app nodes can share the queue.
+ * A job whose worker stops heart-beating becomes visible again once its lease expires;
+ * after max attempts it is moved to the dead-letter state.
  */
 class QueueService {
     constructor() {
-        this.queue = [];
-        this.processing = new Set();
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.processing = new Map(); // jobId -> job currently executing on this node
         this.concurrency = parseInt(process.env.V1_QUEUE_CONCURRENCY) || 3;
+        this.maxAttempts = parseInt(process.env.V1_QUEUE_MAX_ATTEMPTS) || 3;
+        this.leaseMs = parseInt(process.env.V1_QUEUE_LEASE_MS) || 5 * 60 * 1000;
+        this.heartbeatMs = parseInt(process.env.V1_QUEUE_HEARTBEAT_MS) || Math.floor(this.leaseMs / 3);
         this.isRunning = false;
         this.pollInterval = null;
+        this.heartbeatInterval = null;
         this.pollIntervalMs = parseInt(process.env.V1_QUEUE_POLL_MS) || 2000;
         this.handlers = new Map();
+        this.deadHandlers = new Map();
+        this._claiming = false;
     }
 
     /**
-     * Register a handler for a specific job type
+     * Register a handler for a specific job type.
+     * Handlers receive (data, job) where job carries id and attempts; a handler that throws
+     * has the job retried with backoff. `onDead(data, job, reason)` runs once the job is
+     * dead-lettered.
      */
-    onJob(type, handler) {
+    onJob(type, handler, { onDead } = {}) {
         this.handlers.set(type, handler);
+        if (onDead) this.deadHandlers.set(type, onDead);
+    }
+
+    /**
+     * Key used to prevent the same unit of work being queued twice while unfinished
+     */
+    _dedupeKey(type, data) {
+        if (data && data.requestId) return `${type}:${data.requestId}`;
+        return null;
     }
 
     /**
      * Add a job to the queue
      */
-    async addJob(type, data) {
-        const job = {
-            id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    async addJob(type, data, { priority = 0, delayMs = 0 } = {}) {
+        const result = await V1JobModel.enqueue({
             type,
-            data,
-            createdAt: new Date(),
-            attempts: 0,
-            maxAttempts: 3,
-        };
-        this.queue.push(job);
-        this.processNext();
-        return job.id;
+            payload: data,
+            dedupeKey: this._dedupeKey(type, data),
+            priority,
+            maxAttempts: this.maxAttempts,
+            delayMs
+        });
+        // Pick it up right away if this node has free capacity
+        if (this.isRunning) this.processNext();
+        return result.id;
     }
 
     /**
-     * Process the next available job(s) up to concurrency limit
+     * Claim and start jobs up to the local concurrency limit
      */
     async processNext() {
-        while (this.processing.size < this.concurrency && this.queue.length > 0) {
-            const job = this.queue.shift();
-            if (!job) break;
-
-            this.processing.add(job.id);
-            this._executeJob(job).finally(() => {
-                this.processing.delete(job.id);
-                // Check if there are more jobs to process
-                if (this.queue.length > 0) {
-                    this.processNext();
-                }
+        if (this._claiming) return;
+        this._claiming = true;
+        try {
+            const free = this.concurrency - this.processing.size;
+            if (free <= 0) return;
+
+            const jobs = await V1JobModel.claim(this.workerId, {
+                types: [...this.handlers.keys()],
+                limit: free,
+                leaseMs: this.leaseMs
             });
+
+            for (const job of jobs) {
+                this.processing.set(job.id, job);
+                this._executeJob(job).finally(() => {
+                    this.processing.delete(job.id);
+                    if (this.isRunning) this.processNext();
+                });
+            }
+        } catch (error) {
+            console.error('[QueueService] Claim error:', error.message);
+        } finally {
+            this._claiming = false;
         }
     }
 
     async _executeJob(job) {
-        const handler = this.handlers.get(job.type);
+        const handler = this.handlers.get(job.job_type);
         if (!handler) {
-            console.error(`[QueueService] No handler for job type: ${job.type}`);
+            console.error(`[QueueService] No handler for job type: ${job.job_type}`);
+            await V1JobModel.fail(job.id, this.workerId, `No handler for job type: ${job.job_type}`).catch(() => {});
             return;
         }
 
-        job.attempts++;
         try {
-            await handler(job.data);
+            await handler(job.payload, job);
+            const owned = await V1JobModel.complete(job.id, this.workerId);
+            if (!owned) {
+                console.warn(`[QueueService] Job ${job.id} finished after its lease was lost`);
+            }
         } catch (error) {
             console.error(`[QueueService] Job ${job.id} failed (attempt ${job.attempts}):`, error.message);
-            if (job.attempts < job.maxAttempts) {
-                // Re-queue with exponential backoff
+            try {
+                // Exponential backoff before the job becomes visible again
                 const delay = Math.pow(2, job.attempts) * 1000;
-                setTimeout(() => {
-                    this.queue.push(job);
-                    this.processNext();
-                }, delay);
-            } else {
-                console.error(`[QueueService] Job ${job.id} permanently failed after ${job.maxAttempts} attempts`);
-                // Update request status to failed if it's a verification job
-                if (job.data && job.data.requestId) {
-                    try {
-                        await V1VerificationRequestModel.updateStatus(job.data.requestId, {
-                            status: 'failed',
-                            issues: ['Processing failed after maximum retry attempts: ' + error.message]
-                        });
-                    } catch (updateErr) {
-                        console.error('[QueueService] Failed to update request status:', updateErr.message);
-                    }
+                const status = await V1JobModel.fail(job.id, this.workerId, error.message, delay);
+                if (status === 'dead') {
+                    console.error(`[QueueService] Job ${job.id} permanently failed after ${job.attempts} attempts`);
+                    await this._handleDead(job, error.message);
                 }
+            } catch (updateErr) {
+                console.error('[QueueService] Failed to record job failure:', updateErr.message);
             }
         }
     }
 
     /**
-     * Start polling for pending requests in the database
+     * Run the job type's onDead handler for a dead-lettered job
      */
-    startPolling() {
-        if (this.isRunning) return;
-        this.isRunning = true;
-        console.log(`[QueueService] Started polling every ${this.pollIntervalMs}ms`);
+    async _handleDead(job, reason) {
+        const onDead = this.deadHandlers.get(job.job_type);
+        if (!onDead) return;
+        try {
+            await onDead(job.payload, job, reason);
+        } catch (error) {
+            console.error(`[QueueService] Dead-letter handler failed for job ${job.id}:`, error.message);
+        }
+    }
 
-        this.pollInterval = setInterval(async () => {
+    /**
+     * Extend leases for every job this node is still executing
+     */
+    async _heartbeat() {
+        for (const job of this.processing.values()) {
             try {
-                const pending = await V1VerificationRequestModel.getPending(this.concurrency);
-                for (const request of pending) {
-                    // Only queue if not already processing
-                    const isQueued = this.queue.some(j => j.data?.requestId === request.id);
-                    const isProcessing = [...this.processing].some(id => id.includes(request.id));
-                    if (!isQueued && !isProcessing) {
-                        await this.addJob('verify_document', { requestId: request.id });
-                    }
+                const owned = await V1JobModel.heartbeat(job.id, this.workerId, this.leaseMs);
+                if (!owned) {
+                    console.warn(`[QueueService] Lost lease on job ${job.id}`);
                 }
             } catch (error) {
-                console.error('[QueueService] Polling error:', error.message);
+                console.error(`[QueueService] Heartbeat error for job ${job.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * One poll cycle: recover expired leases, enqueue orphaned accepted requests, claim work
+     */
+    async _poll() {
+        try {
+            const { dead } = await V1JobModel.releaseExpiredLeases();
+            for (const job of dead) {
+                console.error(`[QueueService] Job ${job.id} dead-lettered after lease expiry`);
+                await this._handleDead(job, job.last_error || 'Worker lease expired');
+            }
+
+            // Requests accepted without a job (e.g. created before the queue existed) get one here;
+            // the dedupe key makes this a no-op for requests that are already queued.
+            const pending = await V1VerificationRequestModel.getPending(this.concurrency);
+            for (const request of pending) {
+                await V1JobModel.enqueue({
+                    type: 'verify_document',
+                    payload: { requestId: request.id },
+                    dedupeKey: this._dedupeKey('verify_document', { requestId: request.id }),
+                    maxAttempts: this.maxAttempts
+                });
             }
-        }, this.pollIntervalMs);
+
+            await this.processNext();
+        } catch (error) {
+            console.error('[QueueService] Polling error:', error.message);
+        }
     }
 
     /**
-     * Stop polling
+     * Start polling the job table
+     */
+    startPolling() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        console.log(`[QueueService] Worker ${this.workerId} started polling every ${this.pollIntervalMs}ms`);
+
+        this.pollInterval = setInterval(() => this._poll(), this.pollIntervalMs);
+        this.heartbeatInterval = setInterval(() => this._heartbeat(), this.heartbeatMs);
+        this._poll();
+    }
+
+    /**
+     * Stop polling. Jobs already executing finish normally.
      */
     stopPolling() {
         this.isRunning = false;
@@ -129,18 +203,50 @@ class QueueService {
             clearInterval(this.pollInterval);
             this.pollInterval = null;
         }
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
         console.log('[QueueService] Stopped polling');
     }
 
     /**
-     * Get queue status
+     * Move a dead-lettered job back to the queue
+     */
+    async retryJob(jobId) {
+        const job = await V1JobModel.findById(jobId);
+        if (!job || job.status !== 'dead') return false;
+        const retried = await V1JobModel.retryDead(jobId, {
+            dedupeKey: this._dedupeKey(job.job_type, job.payload)
+        });
+        if (retried && job.payload && job.payload.requestId) {
+            await V1VerificationRequestModel.reprocess(job.payload.requestId);
+        }
+        return retried;
+    }
+
+    /**
+     * Get local worker status
      */
     getStatus() {
         return {
+            workerId: this.workerId,
             isRunning: this.isRunning,
-            queueLength: this.queue.length,
             activeJobs: this.processing.size,
-            concurrency: this.concurrency
+            concurrency: this.concurrency,
+            leaseMs: this.leaseMs
+        };
+    }
+
+    /**
+     * Get local worker status plus cluster-wide job counts from the database
+     */
+    async getStats() {
+        const jobs = await V1JobModel.getStats();
+        return {
+            ...this.getStatus(),
+            queueLength: jobs.queued,
+            jobs
         };
     }
 }
@@ -0,0 +1,173 @@
+const V1RateLimitModel = require('../../models/v1/V1RateLimitModel');
+const V1ApiKeyModel = require('../../models/v1/V1ApiKeyModel');
+const { MemoryRateLimitStore, MysqlRateLimitStore } = require('./RateLimitStores');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Unflushed per-minute counts kept while the database is unreachable
+const MAX_PENDING_ENTRIES = 50000;
+
+/**
+ * Rate limiting for API keys (hourly + per-minute burst) and IP-based route limiters.
+ * Checks run against a store (RateLimitStores): in memory by default, or shared through
+ * MySQL with V1_RATE_LIMIT_STORE=mysql when several app nodes must share the limits.
+ * Accepted API key requests are counted in memory and flushed to v1_rate_limit_log (and
+ * last_used_at) once per V1_RATE_LIMIT_FLUSH_MS, so nothing is written per request.
+ * The log feeds the per-key usage timeline.
+ */
+class RateLimitService {
+    constructor() {
+        this.storeType = (process.env.V1_RATE_LIMIT_STORE || 'memory').toLowerCase();
+        this.store = this.storeType === 'mysql'
+            ? new MysqlRateLimitStore()
+            : new MemoryRateLimitStore({ maxKeys: parseInt(process.env.V1_RATE_LIMIT_MAX_KEYS) || 100000 });
+        this.flushIntervalMs = parseInt(process.env.V1_RATE_LIMIT_FLUSH_MS) || 60 * 1000;
+        this.flushInterval = null;
+        this.pending = new Map(); // `${apiKeyId}|${minuteStart}` -> count
+        this.lastUsed = new Map(); // apiKeyId -> Date of the latest accepted request
+        this._flushing = false;
+    }
+
+    /**
+     * Replace the store, e.g. with an adapter for a shared cache (see RateLimitStores for the interface)
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    _keyWindows(rateLimit, burstLimit) {
+        return [
+            { name: 'hourly', limit: rateLimit, windowMs: HOUR_MS },
+            { name: 'burst', limit: burstLimit, windowMs: MINUTE_MS }
+        ];
+    }
+
+    /**
+     * Count one request for an API key. Returns the store result plus the fields
+     * apiKeyAuth reports: reason/limit/reset when rejected, remaining per window.
+     */
+    async consumeApiKey(apiKeyId, rateLimit, burstLimit) {
+        const result = await this.store.consume(`key:${apiKeyId}`, this._keyWindows(rateLimit, burstLimit), 1, { trusted: true });
+        const [hourly, burst] = result.windows;
+        if (result.allowed) {
+            this._record(apiKeyId);
+        } else {
+            const blocking = hourly.retryAfterMs > 0 ? hourly : burst;
+            result.reason = blocking === hourly ? 'Hourly rate limit exceeded' : 'Burst rate limit exceeded';
+            result.limit = blocking.limit;
+            result.retryAfterMs = blocking.retryAfterMs;
+        }
+        result.hourly_remaining = hourly.remaining;
+        result.burst_remaining = burst.remaining;
+        return result;
+    }
+
+    /**
+     * Current usage of an API key without counting a request
+     */
+    async getApiKeyStatus(apiKeyId, rateLimit, burstLimit) {
+        const { windows: [hourly, burst] } = await this.store.peek(`key:${apiKeyId}`, this._keyWindows(rateLimit, burstLimit));
+        const describe = w => ({
+            limit: w.limit,
+            used: w.used,
+            remaining: w.remaining,
+            reset: new Date(Date.now() + w.resetMs).toISOString()
+        });
+        return { hourly: describe(hourly), burst: describe(burst) };
+    }
+
+    /**
+     * Count one request against a named limiter (e.g. login attempts per IP)
+     */
+    async consume(key, limit, windowMs) {
+        const result = await this.store.consume(key, [{ name: 'default', limit, windowMs }]);
+        result.retryAfterMs = result.windows[0].retryAfterMs;
+        return result;
+    }
+
+    /**
+     * RateLimit-Limit/Remaining/Reset (IETF draft fields) for the window closest to its
+     * limit, RateLimit-Policy listing every window, and Retry-After when rejected
+     */
+    setHeaders(res, result) {
+        const tightest = result.windows.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+        res.set('RateLimit-Limit', tightest.limit);
+        res.set('RateLimit-Remaining', tightest.remaining);
+        res.set('RateLimit-Reset', Math.ceil((result.allowed ? tightest.resetMs : result.retryAfterMs) / 1000));
+        res.set('RateLimit-Policy', result.windows.map(w => `${w.limit};w=${w.windowMs / 1000}`).join(', '));
+        if (!result.allowed) res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+    }
+
+    _record(apiKeyId) {
+        this.lastUsed.set(apiKeyId, new Date());
+        const id = `${apiKeyId}|${Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS}`;
+        if (!this.pending.has(id) && this.pending.size >= MAX_PENDING_ENTRIES) return;
+        this.pending.set(id, (this.pending.get(id) || 0) + 1);
+    }
+
+    /**
+     * Write last_used_at and the counted requests to v1_rate_limit_log. Whatever was not
+     * written is kept for the next flush.
+     */
+    async flush() {
+        if (this._flushing || (this.pending.size === 0 && this.lastUsed.size === 0)) return;
+        this._flushing = true;
+        const batch = this.pending;
+        const lastUsed = this.lastUsed;
+        this.pending = new Map();
+        this.lastUsed = new Map();
+        const entries = [...batch];
+        let written = 0;
+        try {
+            const keys = [...lastUsed].map(([id, lastUsedAt]) => ({ id, lastUsedAt }));
+            for (let i = 0; i < keys.length; i += 500) {
+                await V1ApiKeyModel.setLastUsed(keys.slice(i, i + 500));
+            }
+
+            for (; written < entries.length; written += 500) {
+                await V1RateLimitModel.addRequestCounts(entries.slice(written, written + 500).map(([id, count]) => {
+                    const [apiKeyId, minuteStart] = id.split('|');
+                    return { apiKeyId: parseInt(apiKeyId), windowStart: new Date(parseInt(minuteStart)), count };
+                }));
+            }
+        } catch (error) {
+            console.error('[RateLimitService] Flush error:', error.message);
+            // last_used_at never moves backwards, so re-sending it is harmless
+            for (const [id, at] of lastUsed) {
+                if (!this.lastUsed.has(id)) this.lastUsed.set(id, at);
+            }
+            for (const [id, count] of entries.slice(written)) {
+                if (this.pending.size >= MAX_PENDING_ENTRIES && !this.pending.has(id)) break;
+                this.pending.set(id, (this.pending.get(id) || 0) + count);
+            }
+        } finally {
+            this._flushing = false;
+        }
+    }
+
+    async _tick() {
+        await this.flush();
+        try {
+            await this.store.prune();
+        } catch (error) {
+            console.error('[RateLimitService] Prune error:', error.message);
+        }
+    }
+
+    startFlushing() {
+        if (this.flushInterval) return;
+        console.log(`[RateLimitService] Using ${this.storeType} store, flushing usage every ${this.flushIntervalMs}ms`);
+        this.flushInterval = setInterval(() => this._tick(), this.flushIntervalMs);
+    }
+
+    async stopFlushing() {
+        if (this.flushInterval) {
+            clearInterval(this.flushInterval);
+            this.flushInterval = null;
+        }
+        await this.flush();
+    }
+}
+
+// Singleton
+module.exports = new RateLimitService();
@@ -0,0 +1,205 @@
+const V1RateLimitModel = require('../../models/v1/V1RateLimitModel');
+
+/**
+ * Rate limit stores. Both use a sliding-window counter: each window keeps the count of
+ * the current fixed bucket and the previous one, and the usage estimate weights the
+ * previous bucket by how much of it still overlaps the sliding window. That is O(1)
+ * memory per key and window and smooths out the burst a fixed window allows at its edge.
+ *
+ * A store implements:
+ *   consume(key, windows, cost, { trusted })
+ *                                -> { allowed, windows: [result] }  (counts only if allowed;
+ *                                   trusted keys, e.g. authenticated API keys, must never be
+ *                                   refused for lack of room)
+ *   peek(key, windows)           -> { allowed, windows: [result] }
+ *   prune()                      -> drop expired state (called periodically)
+ * where windows is [{ name, limit, windowMs }] and each result is
+ * { name, limit, windowMs, used, remaining, resetMs, retryAfterMs }.
+ */
+
+function bucketStart(windowMs, now) {
+    return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Usage of one window given the current/previous bucket counts (before this request).
+ * used/remaining exclude the request; settle() adds it once every window admits it.
+ */
+function evaluateWindow({ name, limit, windowMs }, current, previous, now, cost) {
+    const elapsed = now - bucketStart(windowMs, now);
+    const weight = 1 - elapsed / windowMs;
+    const used = previous * weight + current;
+    const allowed = used + cost <= limit;
+
+    let retryAfterMs = 0;
+    if (!allowed) {
+        if (current + cost <= limit) {
+            // The previous bucket's share decays enough later in this bucket
+            retryAfterMs = windowMs * (1 - (limit - current - cost) / previous) - elapsed;
+        } else {
+            // Wait for the next bucket, then for this bucket's share (as "previous") to decay
+            const decay = current > 0 ? windowMs * (1 - (limit - cost) / current) : 0;
+            retryAfterMs = (windowMs - elapsed) + Math.max(0, decay);
+        }
+        retryAfterMs = Math.max(1000, Math.ceil(retryAfterMs));
+    }
+
+    return {
+        name,
+        limit,
+        windowMs,
+        used,
+        remaining: limit - used,
+        resetMs: windowMs - elapsed,
+        retryAfterMs
+    };
+}
+
+/**
+ * Combine window results: the request is allowed only if every window admits it
+ */
+function settle(results, cost) {
+    const allowed = results.every(r => r.retryAfterMs === 0);
+    for (const r of results) {
+        const used = allowed ? r.used + cost : r.used;
+        r.used = Math.ceil(used);
+        r.remaining = Math.max(0, Math.floor(r.limit - used));
+    }
+    return { allowed, windows: results };
+}
+
+/**
+ * Per-process store. Suitable for a single node (each node enforces its own counts otherwise).
+ * Entries are dropped only once idle for two windows, so nobody can reset another key's
+ * counter by flooding the store. When maxKeys entries are live, new untrusted keys are
+ * refused until old ones expire; trusted keys are still tracked (their number is bounded
+ * by the keys issued).
+ */
+class MemoryRateLimitStore {
+    constructor({ maxKeys = 100000 } = {}) {
+        this.maxKeys = maxKeys;
+        this.buckets = new Map(); // `${key}|${windowMs}` -> { start, current, previous }
+        this.lastPrunedAt = 0;
+    }
+
+    _bucket(key, windowMs, now) {
+        const id = `${key}|${windowMs}`;
+        const start = bucketStart(windowMs, now);
+        let bucket = this.buckets.get(id);
+        if (!bucket) {
+            bucket = { start, current: 0, previous: 0 };
+            this.buckets.set(id, bucket);
+        } else if (bucket.start !== start) {
+            bucket.previous = bucket.start === start - windowMs ? bucket.current : 0;
+            bucket.current = 0;
+            bucket.start = start;
+        }
+        return bucket;
+    }
+
+    /**
+     * Whether new entries for this key fit; a full store is pruned at most once a second
+     */
+    _hasRoom(key, windows, now) {
+        const missing = windows.filter(w => !this.buckets.has(`${key}|${w.windowMs}`)).length;
+        if (missing === 0 || this.buckets.size + missing <= this.maxKeys) return true;
+        if (now - this.lastPrunedAt >= 1000) {
+            this._pruneExpired(now);
+            this.lastPrunedAt = now;
+        }
+        return this.buckets.size + missing <= this.maxKeys;
+    }
+
+    _pruneExpired(now) {
+        for (const [id, bucket] of this.buckets) {
+            const windowMs = parseInt(id.substring(id.lastIndexOf('|') + 1));
+            if (now - bucket.start >= 2 * windowMs) this.buckets.delete(id);
+        }
+    }
+
+    async consume(key, windows, cost = 1, { trusted = false } = {}) {
+        const now = Date.now();
+        if (!trusted && !this._hasRoom(key, windows, now)) {
+            // Fail closed: an untracked key could not be limited at all
+            return settle(windows.map(w => ({
+                name: w.name,
+                limit: w.limit,
+                windowMs: w.windowMs,
+                used: w.limit,
+                remaining: 0,
+                resetMs: w.windowMs,
+                retryAfterMs: Math.min(w.windowMs, 60 * 1000)
+            })), cost);
+        }
+
+        const buckets = windows.map(w => this._bucket(key, w.windowMs, now));
+        const result = settle(windows.map((w, i) => evaluateWindow(w, buckets[i].current, buckets[i].previous, now, cost)), cost);
+        if (result.allowed) buckets.forEach(bucket => { bucket.current += cost; });
+        return result;
+    }
+
+    async peek(key, windows) {
+        const now = Date.now();
+        const results = windows.map(w => {
+            const bucket = this.buckets.get(`${key}|${w.windowMs}`);
+            const start = bucketStart(w.windowMs, now);
+            const current = bucket && bucket.start === start ? bucket.current : 0;
+            const previous = !bucket ? 0
+                : bucket.start === start ? bucket.previous
+                : bucket.start === start - w.windowMs ? bucket.current
+                : 0;
+            return evaluateWindow(w, current, previous, now, 0);
+        });
+        return settle(results, 0);
+    }
+
+    async prune() {
+        this._pruneExpired(Date.now());
+    }
+}
+
+/**
+ * Store shared by all app nodes through v1_rate_limit_counters. Costs two queries per
+ * check (three when the request is rejected), so only use it when limits must hold
+ * across nodes. Counters are incremented first and handed back when the request is
+ * rejected, so concurrent requests can never overshoot the limit.
+ */
+class MysqlRateLimitStore {
+    _rows(key, windows, now) {
+        return windows.map(w => ({
+            bucketKey: `${key}|${w.windowMs}`,
+            windowStart: bucketStart(w.windowMs, now),
+            previousStart: bucketStart(w.windowMs, now) - w.windowMs,
+            expiresAt: new Date(bucketStart(w.windowMs, now) + 2 * w.windowMs)
+        }));
+    }
+
+    async _evaluate(windows, rows, now, cost, counted) {
+        const counts = await V1RateLimitModel.getCounters(rows);
+        return windows.map((w, i) => {
+            const current = (counts.get(`${rows[i].bucketKey}|${rows[i].windowStart}`) || 0) - counted;
+            const previous = counts.get(`${rows[i].bucketKey}|${rows[i].previousStart}`) || 0;
+            return evaluateWindow(w, current, previous, now, cost);
+        });
+    }
+
+    async consume(key, windows, cost = 1) {
+        const now = Date.now();
+        const rows = this._rows(key, windows, now);
+        await V1RateLimitModel.incrementCounters(rows, cost);
+        const result = settle(await this._evaluate(windows, rows, now, cost, cost), cost);
+        if (!result.allowed) await V1RateLimitModel.incrementCounters(rows, -cost);
+        return result;
+    }
+
+    async peek(key, windows) {
+        const now = Date.now();
+        return settle(await this._evaluate(windows, this._rows(key, windows, now), now, 0, 0), 0);
+    }
+
+    async prune() {
+        await V1RateLimitModel.pruneCounters();
+    }
+}
+
+module.exports = { MemoryRateLimitStore, MysqlRateLimitStore };
@@ -0,0 +1,679 @@
+const DataValidationService = require('./DataValidationService');
+
+/**
+ * RuleDslService
+ * Declarative validation rules stored in v1_document_master.validation_rules.
+ *
+ * validation_rules is an object. Keys other than "rules" are legacy field → regex
+ * patterns; "rules" is a list of rule objects:
+ *
+ *   { "field": "pan_number", "pattern": "^[A-Z]{5}[0-9]{4}[A-Z]$" }
+ *   { "field": "gender", "enum": ["Male", "Female", "Transgender"] }
+ *   { "field": "percentage", "min": 0, "max": 100 }
+ *   { "check": "issue_date + 10y > today", "message": "Passport older than 10 years",
+ *     "severity": "critical" }
+ *   { "when": "category != 'GEN'", "check": "exists(certificate_number)",
+ *     "severity": "warning", "penalty": { "confidence": -15, "risk": 0.2 } }
+ *
+ * Expressions support field names, numbers, 'strings', durations (10y, 6m, 2w, 30d),
+ * today, + - * /, == != < <= > >=, and/or/not (&& || !), in [...], matches '<regex>'
+ * and the functions listed in FUNCTIONS. A rule whose fields are missing or unparseable
+ * is skipped rather than failed; presence is enforced by required_fields.
+ */
+
+const SEVERITIES = {
+    info: { confidence: 0, risk: 0 },
+    warning: { confidence: -5, risk: 0.05 },
+    error: { confidence: -10, risk: 0.1 },
+    critical: { confidence: -25, risk: 0.3 } // also forces rejection
+};
+
+// Penalty applied to legacy field → regex entries (unchanged from the original rule engine)
+const LEGACY_PENALTY = { confidence: -10, risk: 0.1 };
+
+const MISSING = Symbol('missing');
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'matches', 'true', 'false', 'null', 'today']);
+
+class RuleDslService {
+
+    // ==================== TOKENIZER ====================
+
+    static _tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const ch = source[i];
+            if (/\s/.test(ch)) { i++; continue; }
+
+            // Numbers and durations (10y, 6m, 2w, 30d)
+            const num = source.slice(i).match(/^\d+(\.\d+)?([ymwd](?![A-Za-z0-9_]))?/);
+            if (num) {
+                tokens.push(num[2]
+                    ? { type: 'duration', amount: parseFloat(num[0]), unit: num[2], pos: i }
+                    : { type: 'number', value: parseFloat(num[0]), pos: i });
+                i += num[0].length;
+                continue;
+            }
+
+            if (ch === '\'' || ch === '"') {
+                let j = i + 1;
+                let value = '';
+                while (j < source.length && source[j] !== ch) {
+                    // \' and \\ are escapes; any other backslash is kept for regexes
+                    if (source[j] === '\\' && (source[j + 1] === ch || source[j + 1] === '\\')) j++;
+                    value += source[j];
+                    j++;
+                }
+                if (j >= source.length) throw new Error(`Unterminated string at position ${i}`);
+                tokens.push({ type: 'string', value, pos: i });
+                i = j + 1;
+                continue;
+            }
+
+            const ident = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*/);
+            if (ident) {
+                const word = ident[0];
+                tokens.push(KEYWORDS.has(word.toLowerCase())
+                    ? { type: 'keyword', value: word.toLowerCase(), pos: i }
+                    : { type: 'ident', value: word, pos: i });
+                i += word.length;
+                continue;
+            }
+
+            const op = source.slice(i).match(/^(==|!=|<=|>=|&&|\|\||[<>!+\-*/(),[\]])/);
+            if (op) {
+                tokens.push({ type: 'op', value: op[0], pos: i });
+                i += op[0].length;
+                continue;
+            }
+
+            throw new Error(`Unexpected character '${ch}' at position ${i}`);
+        }
+        tokens.push({ type: 'eof', pos: source.length });
+        return tokens;
+    }
+
+    // ==================== PARSER ====================
+
+    /**
+     * Parse an expression into an AST. Throws with the position of the first error.
+     */
+    static parse(source) {
+        if (typeof source !== 'string' || !source.trim()) throw new Error('Expression must be a non-empty string');
+
+        const tokens = this._tokenize(source);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const isOp = (...values) => peek().type === 'op' && values.includes(peek().value);
+        const isKeyword = (...values) => peek().type === 'keyword' && values.includes(peek().value);
+        const describe = t => (t.type === 'eof' ? 'end of expression' : `'${t.value !== undefined ? t.value : t.amount + t.unit}'`);
+        const expect = (value) => {
+            if (!isOp(value)) throw new Error(`Expected '${value}' but found ${describe(peek())} at position ${peek().pos}`);
+            pos++;
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (isOp('||') || isKeyword('or')) {
+                pos++;
+                left = { type: 'logical', op: 'or', left, right: parseAnd() };
+            }
+            return left;
+        };
+        const parseAnd = () => {
+            let left = parseNot();
+            while (isOp('&&') || isKeyword('and')) {
+                pos++;
+                left = { type: 'logical', op: 'and', left, right: parseNot() };
+            }
+            return left;
+        };
+        const parseNot = () => {
+            if (isOp('!') || (isKeyword('not') && !(tokens[pos + 1].type === 'keyword' && tokens[pos + 1].value === 'in'))) {
+                pos++;
+                return { type: 'not', arg: parseNot() };
+            }
+            return parseComparison();
+        };
+        const parseComparison = () => {
+            const left = parseAdditive();
+            if (isOp('==', '!=', '<', '<=', '>', '>=')) {
+                const op = tokens[pos++].value;
+                return { type: 'compare', op, left, right: parseAdditive() };
+            }
+            if (isKeyword('in') || (isKeyword('not') && tokens[pos + 1].type === 'keyword' && tokens[pos + 1].value === 'in')) {
+                const negate = peek().value === 'not';
+                pos += negate ? 2 : 1;
+                const list = parsePrimary();
+                if (list.type !== 'list') throw new Error(`'in' must be followed by a [list] at position ${peek().pos}`);
+                return { type: 'in', negate, left, list };
+            }
+            if (isKeyword('matches')) {
+                pos++;
+                const pattern = peek();
+                if (pattern.type !== 'string') throw new Error(`'matches' must be followed by a 'regex' string at position ${pattern.pos}`);
+                pos++;
+                let regex;
+                try {
+                    regex = new RegExp(pattern.value);
+                } catch (err) {
+                    throw new Error(`Invalid regex in matches: ${err.message}`);
+                }
+                return { type: 'matches', left, regex };
+            }
+            return left;
+        };
+        const parseAdditive = () => {
+            let left = parseMultiplicative();
+            while (isOp('+', '-')) {
+                const op = tokens[pos++].value;
+                left = { type: 'arith', op, left, right: parseMultiplicative() };
+            }
+            return left;
+        };
+        const parseMultiplicative = () => {
+            let left = parseUnary();
+            while (isOp('*', '/')) {
+                const op = tokens[pos++].value;
+                left = { type: 'arith', op, left, right: parseUnary() };
+            }
+            return left;
+        };
+        const parseUnary = () => {
+            if (isOp('-')) {
+                pos++;
+                return { type: 'arith', op: '-', left: { type: 'literal', value: 0 }, right: parseUnary() };
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = peek();
+            pos++;
+            switch (token.type) {
+                case 'number':
+                case 'string':
+                    return { type: 'literal', value: token.value };
+                case 'duration':
+                    return { type: 'duration', amount: token.amount, unit: token.unit };
+                case 'keyword':
+                    if (token.value === 'true') return { type: 'literal', value: true };
+                    if (token.value === 'false') return { type: 'literal', value: false };
+                    if (token.value === 'null') return { type: 'literal', value: null };
+                    if (token.value === 'today') return { type: 'today' };
+                    break;
+                case 'ident':
+                    if (isOp('(')) {
+                        pos++;
+                        const name = token.value.toLowerCase();
+                        if (!Object.prototype.hasOwnProperty.call(this.FUNCTIONS, name)) throw new Error(`Unknown function '${token.value}' at position ${token.pos}`);
+                        const args = [];
+                        if (!isOp(')')) {
+                            args.push(parseOr());
+                            while (isOp(',')) { pos++; args.push(parseOr()); }
+                        }
+                        expect(')');
+                        const [minArgs, maxArgs] = this.FUNCTIONS[name].arity;
+                        if (args.length < minArgs || args.length > maxArgs) {
+                            throw new Error(`${name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs}`} argument(s), got ${args.length}`);
+                        }
+                        return { type: 'call', name, args };
+                    }
+                    return { type: 'field', name: token.value };
+                case 'op':
+                    if (token.value === '(') {
+                        const inner = parseOr();
+                        expect(')');
+                        return inner;
+                    }
+                    if (token.value === '[') {
+                        const items = [];
+                        if (!isOp(']')) {
+                            items.push(parseOr());
+                            while (isOp(',')) { pos++; items.push(parseOr()); }
+                        }
+                        expect(']');
+                        return { type: 'list', items };
+                    }
+                    break;
+                default:
+                    break;
+            }
+            throw new Error(`Unexpected ${describe(token)} at position ${token.pos}`);
+        };
+
+        const ast = parseOr();
+        if (peek().type !== 'eof') throw new Error(`Unexpected ${describe(peek())} at position ${peek().pos}`);
+        return ast;
+    }
+
+    /**
+     * Field names referenced by an AST
+     */
+    static fieldsOf(ast, found = new Set()) {
+        if (!ast || typeof ast !== 'object') return found;
+        if (ast.type === 'field') found.add(ast.name);
+        ['left', 'right', 'arg', 'list'].forEach(k => this.fieldsOf(ast[k], found));
+        (ast.args || []).forEach(a => this.fieldsOf(a, found));
+        (ast.items || []).forEach(a => this.fieldsOf(a, found));
+        return found;
+    }
+
+    // ==================== EVALUATION ====================
+
+    static _toDate(value) {
+        if (value instanceof Date) return value;
+        if (value === MISSING || value == null || typeof value === 'boolean') return null;
+        const parsed = DataValidationService._parseDate(String(value));
+        return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+    }
+
+    static _toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return NaN;
+        const cleaned = value.replace(/[,\s%]/g, '');
+        return /^-?\d+(\.\d+)?$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+    }
+
+    static _addDuration(date, amount, unit, sign) {
+        const result = new Date(date.getTime());
+        const n = amount * sign;
+        if (unit === 'y') result.setFullYear(result.getFullYear() + n);
+        else if (unit === 'm') result.setMonth(result.getMonth() + n);
+        else if (unit === 'w') result.setDate(result.getDate() + n * 7);
+        else result.setDate(result.getDate() + n);
+        return result;
+    }
+
+    /**
+     * Three-way compare with coercion: dates if either side is a date, numbers if both
+     * sides are numeric, otherwise case-insensitive strings. Returns null if incomparable.
+     */
+    static _compareValues(a, b) {
+        if (a instanceof Date || b instanceof Date) {
+            const da = this._toDate(a);
+            const db = this._toDate(b);
+            if (!da || !db) return null;
+            return Math.sign(da.getTime() - db.getTime());
+        }
+        const na = this._toNumber(a);
+        const nb = this._toNumber(b);
+        if (!isNaN(na) && !isNaN(nb)) return Math.sign(na - nb);
+        if (a == null || b == null) return a == b ? 0 : null;
+        // Two date fields (e.g. issue_date < expiry_date) in any format DataValidationService reads
+        const da = this._toDate(a);
+        const db = this._toDate(b);
+        if (da && db) return Math.sign(da.getTime() - db.getTime());
+        return String(a).trim().toLowerCase().localeCompare(String(b).trim().toLowerCase());
+    }
+
+    // Own properties only: extracted data is model output, so "constructor" or "__proto__" must not resolve
+    static _lookup(data, name) {
+        let value = name.split('.').reduce((obj, key) => (
+            obj && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined
+        ), data);
+        if (value === undefined && !name.includes('.')) {
+            const key = Object.keys(data).find(k => k.toLowerCase() === name.toLowerCase());
+            if (key) value = data[key];
+        }
+        if (value == null || (typeof value === 'string' && value.trim() === '')) return MISSING;
+        return value;
+    }
+
+    static _eval(ast, ctx) {
+        switch (ast.type) {
+            case 'literal':
+                return ast.value;
+            case 'today':
+                return new Date(ctx.today.getFullYear(), ctx.today.getMonth(), ctx.today.getDate());
+            case 'duration':
+                return { duration: true, amount: ast.amount, unit: ast.unit };
+            case 'field':
+                return this._lookup(ctx.data, ast.name);
+            case 'list':
+                return ast.items.map(item => this._eval(item, ctx));
+            case 'not': {
+                const value = this._eval(ast.arg, ctx);
+                return value === MISSING ? MISSING : !value;
+            }
+            case 'logical': {
+                const left = this._eval(ast.left, ctx);
+                if (ast.op === 'and' && left === false) return false;
+                if (ast.op === 'or' && left === true) return true;
+                const right = this._eval(ast.right, ctx);
+                if (ast.op === 'and') {
+                    if (right === false) return false;
+                    return left === MISSING || right === MISSING ? MISSING : !!(left && right);
+                }
+                if (right === true) return true;
+                return left === MISSING || right === MISSING ? MISSING : !!(left || right);
+            }
+            case 'compare': {
+                const left = this._eval(ast.left, ctx);
+                const right = this._eval(ast.right, ctx);
+                if (left === MISSING || right === MISSING) return MISSING;
+                const cmp = this._compareValues(left, right);
+                if (cmp === null) return MISSING;
+                switch (ast.op) {
+                    case '==': return cmp === 0;
+                    case '!=': return cmp !== 0;
+                    case '<': return cmp < 0;
+                    case '<=': return cmp <= 0;
+                    case '>': return cmp > 0;
+                    default: return cmp >= 0;
+                }
+            }
+            case 'in': {
+                const left = this._eval(ast.left, ctx);
+                if (left === MISSING) return MISSING;
+                const found = this._eval(ast.list, ctx).some(item => item !== MISSING && this._compareValues(left, item) === 0);
+                return ast.negate ? !found : found;
+            }
+            case 'matches': {
+                const left = this._eval(ast.left, ctx);
+                if (left === MISSING) return MISSING;
+                return ast.regex.test(String(left));
+            }
+            case 'arith': {
+                const left = this._eval(ast.left, ctx);
+                const right = this._eval(ast.right, ctx);
+                if (left === MISSING || right === MISSING) return MISSING;
+
+                // Date arithmetic: date ± duration, date - date (in days)
+                if (right && right.duration) {
+                    const date = this._toDate(left);
+                    if (!date || (ast.op !== '+' && ast.op !== '-')) return MISSING;
+                    return this._addDuration(date, right.amount, right.unit, ast.op === '+' ? 1 : -1);
+                }
+                const bothDates = ast.op === '-' && isNaN(this._toNumber(left)) && this._toDate(left) && this._toDate(right);
+                if (left instanceof Date || right instanceof Date || bothDates) {
+                    const da = this._toDate(left);
+                    const db = this._toDate(right);
+                    if (!da || !db || ast.op !== '-') return MISSING;
+                    return Math.round((da.getTime() - db.getTime()) / 86400000);
+                }
+
+                const a = this._toNumber(left);
+                const b = this._toNumber(right);
+                if (isNaN(a) || isNaN(b)) {
+                    return ast.op === '+' ? `${left}${right}` : MISSING;
+                }
+                if (ast.op === '+') return a + b;
+                if (ast.op === '-') return a - b;
+                if (ast.op === '*') return a * b;
+                return b === 0 ? MISSING : a / b;
+            }
+            case 'call': {
+                const fn = this.FUNCTIONS[ast.name];
+                const args = ast.args.map(a => this._eval(a, ctx));
+                if (!fn.acceptsMissing && args.some(a => a === MISSING)) return MISSING;
+                const result = fn.apply.call(this, args, ctx);
+                return result === null || result === undefined || (typeof result === 'number' && isNaN(result)) ? MISSING : result;
+            }
+            default:
+                throw new Error(`Unknown expression node '${ast.type}'`);
+        }
+    }
+
+    /**
+     * Evaluate an expression (string or AST) against extracted data.
+     * Returns true/false, or null when a referenced field is missing or not comparable.
+     */
+    static evaluateExpression(expression, data, { today = new Date() } = {}) {
+        const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+        const value = this._eval(ast, { data: data || {}, today });
+        return value === MISSING ? null : !!value;
+    }
+
+    // ==================== RULE SETS ====================
+
+    /**
+     * Normalise validation_rules into a flat rule list.
+     * Every entry is compiled independently: invalid ones are reported in `errors`
+     * and left out of `rules`. Returns { rules, errors: [string] }.
+     */
+    static compile(validationRules) {
+        const rules = [];
+        const errors = [];
+        if (validationRules == null) return { rules, errors };
+        if (typeof validationRules !== 'object' || Array.isArray(validationRules)) {
+            return { rules, errors: ['validation_rules must be an object'] };
+        }
+
+        const { rules: list, ...legacy } = validationRules;
+        for (const [key, value] of Object.entries(legacy)) {
+            if (typeof value !== 'string') {
+                errors.push(`Legacy rule '${key}' must be a regex string`);
+                continue;
+            }
+            try {
+                rules.push({ id: key, kind: 'pattern', field: key, pattern: new RegExp(value), source: value, severity: 'error', penalty: LEGACY_PENALTY, legacy: true });
+            } catch (err) {
+                errors.push(`Legacy rule '${key}': invalid regex (${err.message})`);
+            }
+        }
+
+        if (list === undefined) return { rules, errors };
+        if (!Array.isArray(list)) {
+            errors.push('validation_rules.rules must be an array');
+            return { rules, errors };
+        }
+
+        const ids = new Set(rules.map(r => r.id));
+        list.forEach((raw, index) => {
+            const label = raw && raw.id ? `Rule '${raw.id}'` : `Rule #${index + 1}`;
+            try {
+                const rule = this._compileRule(raw, index);
+                if (ids.has(rule.id)) throw new Error(`duplicate id '${rule.id}'`);
+                ids.add(rule.id);
+                rules.push(rule);
+            } catch (err) {
+                errors.push(`${label}: ${err.message}`);
+            }
+        });
+        return { rules, errors };
+    }
+
+    static _compileRule(raw, index) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('must be an object');
+
+        const kinds = ['pattern', 'enum', 'check'].filter(k => raw[k] !== undefined);
+        if (raw.min !== undefined || raw.max !== undefined) kinds.push('range');
+        if (kinds.length !== 1) throw new Error('must define exactly one of pattern, enum, min/max or check');
+        const kind = kinds[0];
+
+        if (kind !== 'check' && (typeof raw.field !== 'string' || !raw.field)) {
+            throw new Error(`'field' is required for ${kind} rules`);
+        }
+
+        const severity = raw.severity || 'error';
+        if (!SEVERITIES[severity]) throw new Error(`severity must be one of ${Object.keys(SEVERITIES).join(', ')}`);
+
+        const penalty = { ...SEVERITIES[severity] };
+        if (raw.penalty !== undefined) {
+            if (!raw.penalty || typeof raw.penalty !== 'object') throw new Error('penalty must be an object { confidence, risk }');
+            if (raw.penalty.confidence !== undefined) {
+                if (typeof raw.penalty.confidence !== 'number' || Math.abs(raw.penalty.confidence) > 100) {
+                    throw new Error('penalty.confidence must be a number between -100 and 100');
+                }
+                penalty.confidence = raw.penalty.confidence;
+            }
+            if (raw.penalty.risk !== undefined) {
+                if (typeof raw.penalty.risk !== 'number' || Math.abs(raw.penalty.risk) > 1) {
+                    throw new Error('penalty.risk must be a number between -1 and 1');
+                }
+                penalty.risk = raw.penalty.risk;
+            }
+        }
+
+        if (raw.message !== undefined && typeof raw.message !== 'string') throw new Error('message must be a string');
+
+        const rule = {
+            id: raw.id ? String(raw.id) : `${raw.field || 'rule'}_${index + 1}`,
+            kind,
+            field: raw.field || null,
+            severity,
+            penalty,
+            message: raw.message || null,
+            when: raw.when !== undefined ? this._parseField('when', raw.when) : null,
+            legacy: false
+        };
+
+        if (kind === 'pattern') {
+            if (typeof raw.pattern !== 'string') throw new Error('pattern must be a regex string');
+            try {
+                rule.pattern = new RegExp(raw.pattern, raw.flags || '');
+            } catch (err) {
+                throw new Error(`invalid pattern (${err.message})`);
+            }
+            rule.source = raw.pattern;
+        } else if (kind === 'enum') {
+            if (!Array.isArray(raw.enum) || raw.enum.length === 0 || raw.enum.some(v => typeof v !== 'string' && typeof v !== 'number')) {
+                throw new Error('enum must be a non-empty array of strings or numbers');
+            }
+            rule.values = raw.enum;
+            rule.caseSensitive = raw.case_sensitive === true;
+        } else if (kind === 'range') {
+            ['min', 'max'].forEach(bound => {
+                if (raw[bound] !== undefined && typeof raw[bound] !== 'number') throw new Error(`${bound} must be a number`);
+            });
+            if (raw.min !== undefined && raw.max !== undefined && raw.min > raw.max) throw new Error('min must not exceed max');
+            rule.min = raw.min;
+            rule.max = raw.max;
+        } else {
+            rule.check = this._parseField('check', raw.check);
+            rule.source = raw.check;
+        }
+        return rule;
+    }
+
+    static _parseField(name, source) {
+        try {
+            return this.parse(source);
+        } catch (err) {
+            throw new Error(`${name}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Check a validation_rules value before it is saved.
+     * Returns { valid, errors: [string], rules: [{ id, kind, field, severity, penalty, fields }] }
+     */
+    static validate(validationRules) {
+        const { rules, errors } = this.compile(validationRules);
+        const summary = rules.map(rule => {
+            const fields = new Set(rule.field ? [rule.field] : []);
+            this.fieldsOf(rule.check, fields);
+            this.fieldsOf(rule.when, fields);
+            return { id: rule.id, kind: rule.kind, field: rule.field, severity: rule.severity, penalty: rule.penalty, fields: [...fields] };
+        });
+
+        return { valid: errors.length === 0, errors, rules: summary };
+    }
+
+    /**
+     * Run every rule against extracted data.
+     * Returns [{ id, kind, field, status: 'passed'|'failed'|'skipped', severity, penalty, message, legacy }]
+     */
+    static evaluate(validationRules, extractedData, { today = new Date() } = {}) {
+        // Rules saved before validation existed may be broken; skip those, run the rest
+        const { rules, errors } = this.compile(validationRules);
+        errors.forEach(err => console.error('[RuleDslService] Invalid validation rule skipped:', err));
+
+        const data = extractedData || {};
+        const ctx = { data, today };
+
+        return rules.map(rule => {
+            const outcome = { id: rule.id, kind: rule.kind, field: rule.field, severity: rule.severity, penalty: rule.penalty, legacy: rule.legacy };
+
+            if (rule.when) {
+                const applies = this._eval(rule.when, ctx);
+                if (applies !== true) return { ...outcome, status: 'skipped', message: 'Condition not met' };
+            }
+
+            let passed;
+            if (rule.kind === 'check') {
+                const value = this._eval(rule.check, ctx);
+                passed = value === MISSING ? null : !!value;
+            } else {
+                const value = this._lookup(data, rule.field);
+                if (value === MISSING) {
+                    passed = null;
+                } else if (rule.kind === 'pattern') {
+                    passed = rule.pattern.test(String(value));
+                } else if (rule.kind === 'enum') {
+                    const normalize = v => (rule.caseSensitive ? String(v).trim() : String(v).trim().toLowerCase());
+                    passed = rule.values.some(v => normalize(v) === normalize(value));
+                } else {
+                    const n = this._toNumber(typeof value === 'number' ? value : String(value));
+                    passed = isNaN(n) ? null : (rule.min === undefined || n >= rule.min) && (rule.max === undefined || n <= rule.max);
+                }
+            }
+
+            if (passed === null) return { ...outcome, status: 'skipped', message: 'Field missing or not comparable' };
+            if (passed) return { ...outcome, status: 'passed', message: null };
+            return { ...outcome, status: 'failed', message: rule.message || this._defaultMessage(rule, data) };
+        });
+    }
+
+    static _defaultMessage(rule, data) {
+        switch (rule.kind) {
+            case 'pattern':
+                return `Field '${rule.field}' does not match expected pattern`;
+            case 'enum':
+                return `Field '${rule.field}' value "${this._lookup(data, rule.field)}" is not one of: ${rule.values.join(', ')}`;
+            case 'range':
+                return `Field '${rule.field}' value "${this._lookup(data, rule.field)}" is outside the allowed range` +
+                    ` (${rule.min !== undefined ? rule.min : '-∞'} to ${rule.max !== undefined ? rule.max : '∞'})`;
+            default:
+                return `Rule '${rule.id}' failed: ${rule.source}`;
+        }
+    }
+
+    /**
+     * One line per rule for the extraction prompt
+     */
+    static describe(validationRules) {
+        return this.compile(validationRules).rules.map(rule => {
+            switch (rule.kind) {
+                case 'pattern': return `${rule.field}: must match pattern ${rule.source}`;
+                case 'enum': return `${rule.field}: one of ${rule.values.join(', ')}`;
+                case 'range': return `${rule.field}: between ${rule.min !== undefined ? rule.min : '-∞'} and ${rule.max !== undefined ? rule.max : '∞'}`;
+                default: return rule.message || rule.source;
+            }
+        });
+    }
+}
+
+// Function table: arity [min, max] and implementation (args already evaluated)
+RuleDslService.FUNCTIONS = {
+    exists: { arity: [1, 1], acceptsMissing: true, apply: ([v]) => v !== MISSING },
+    len: { arity: [1, 1], apply: ([v]) => (Array.isArray(v) ? v.length : String(v).length) },
+    lower: { arity: [1, 1], apply: ([v]) => String(v).toLowerCase() },
+    upper: { arity: [1, 1], apply: ([v]) => String(v).toUpperCase() },
+    trim: { arity: [1, 1], apply: ([v]) => String(v).trim() },
+    digits: { arity: [1, 1], apply: ([v]) => String(v).replace(/\D/g, '') },
+    number: { arity: [1, 1], apply([v]) { return this._toNumber(typeof v === 'number' ? v : String(v)); } },
+    date: { arity: [1, 1], apply([v]) { return this._toDate(v); } },
+    year: { arity: [1, 1], apply([v]) { const d = this._toDate(v); return d ? d.getFullYear() : null; } },
+    age: {
+        // Whole years from a date to today (or to a second date)
+        arity: [1, 2],
+        apply([from, to], ctx) {
+            const start = this._toDate(from);
+            const end = to === undefined ? ctx.today : this._toDate(to);
+            if (!start || !end) return null;
+            let years = end.getFullYear() - start.getFullYear();
+            if (end.getMonth() < start.getMonth() || (end.getMonth() === start.getMonth() && end.getDate() < start.getDate())) years--;
+            return years;
+        }
+    },
+    abs: { arity: [1, 1], apply([v]) { return Math.abs(this._toNumber(typeof v === 'number' ? v : String(v))); } },
+    min: { arity: [2, 2], apply([a, b]) { return Math.min(this._toNumber(typeof a === 'number' ? a : String(a)), this._toNumber(typeof b === 'number' ? b : String(b))); } },
+    max: { arity: [2, 2], apply([a, b]) { return Math.max(this._toNumber(typeof a === 'number' ? a : String(a)), this._toNumber(typeof b === 'number' ? b : String(b))); } },
+    round: { arity: [1, 1], apply([v]) { return Math.round(this._toNumber(typeof v === 'number' ? v : String(v))); } }
+};
+
+RuleDslService.SEVERITIES = SEVERITIES;
+
+module.exports = RuleDslService;
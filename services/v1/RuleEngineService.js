@@ -1,4 +1,5 @@
 const V1DocumentMasterModel = require('../../models/v1/V1DocumentMasterModel');
+const RuleDslService = require('./RuleDslService');
 
 /**
  * Rule Engine Service
@@ -97,32 +98,29 @@ class RuleEngineService {
             }
         }
 
-        // 2. Apply regex validation rules
-        const rules = docMaster.validation_rules || {};
-        for (const [field, pattern] of Object.entries(rules)) {
-            const value = extractedData[field];
-            if (value && typeof pattern === 'string') {
-                try {
-                    const regex = new RegExp(pattern);
-                    if (!regex.test(String(value))) {
-                        issues.push(`Field '${field}' does not match expected pattern`);
-                        confidenceAdjustment -= 10;
-                        riskAdjustment += 0.1;
-                        validationResults[field] = {
-                            ...validationResults[field],
-                            pattern_valid: false,
-                            message: `Does not match pattern: ${pattern}`
-                        };
-                    } else {
-                        validationResults[field] = {
-                            ...validationResults[field],
-                            pattern_valid: true
-                        };
-                    }
-                } catch (err) {
-                    // Invalid regex, skip
-                }
+        // 2. Apply validation rules (legacy field regexes and DSL rules)
+        let criticalRuleFailed = false;
+        const ruleOutcomes = RuleDslService.evaluate(docMaster.validation_rules, extractedData);
+        for (const outcome of ruleOutcomes) {
+            if (outcome.legacy) {
+                // Legacy regex entries keep their original per-field result shape
+                if (outcome.status === 'skipped') continue;
+                validationResults[outcome.field] = {
+                    ...validationResults[outcome.field],
+                    pattern_valid: outcome.status === 'passed',
+                    ...(outcome.status === 'failed' && { message: `Does not match pattern: ${docMaster.validation_rules[outcome.field]}` })
+                };
             }
+            if (outcome.status !== 'failed') continue;
+
+            issues.push(outcome.severity === 'info' ? `Note: ${outcome.message}` : outcome.message);
+            confidenceAdjustment += outcome.penalty.confidence;
+            riskAdjustment += outcome.penalty.risk;
+            if (outcome.severity === 'critical') criticalRuleFailed = true;
+        }
+        const dslOutcomes = ruleOutcomes.filter(o => !o.legacy);
+        if (dslOutcomes.length > 0) {
+            validationResults.rules = dslOutcomes.map(({ legacy, ...o }) => o);
         }
 
         // 3. Check metadata cross-verification
@@ -141,6 +139,13 @@ class RuleEngineService {
             riskAdjustment += 0.2 * aiResult.fraud_indicators.length;
             confidenceAdjustment -= 10 * aiResult.fraud_indicators.length;
         }
+        if (aiResult.duplicates && aiResult.duplicates.length > 0) {
+            validationResults.duplicate = {
+                status: 'failed',
+                message: 'Same document image already submitted for a different applicant',
+                references: aiResult.duplicates.map(d => d.document_ref)
+            };
+        }
 
         // 5. Authenticity checks - is_genuine flag
         let forceReject = false;
@@ -203,9 +208,41 @@ class RuleEngineService {
             validationResults.security_features = { status: 'failed', message: 'Security features missing' };
         }
 
+        // 6b. Aadhaar Secure QR (decoded and signature-checked locally)
+        const qr = aiResult.qr_verification;
+        if (qr) {
+            if (qr.qr_verified === true) {
+                confidenceAdjustment += 5;
+                validationResults.qr_verified = { status: 'passed', message: 'UIDAI-signed QR matches document', qr_type: qr.qr_type };
+            } else if (qr.status === 'signature_invalid') {
+                issues.push('Aadhaar QR signature is invalid: QR code was not issued by UIDAI');
+                confidenceAdjustment -= 40;
+                riskAdjustment += 0.5;
+                forceReject = true;
+                validationResults.qr_verified = { status: 'failed', message: 'QR signature invalid', qr_type: qr.qr_type };
+            } else if (qr.status === 'mismatch') {
+                const fields = (qr.mismatches || []).map(m => m.field);
+                issues.push(`Aadhaar QR data does not match the printed card: ${fields.join(', ')}`);
+                confidenceAdjustment -= 15 * Math.max(fields.length, 1);
+                riskAdjustment += 0.2 * Math.max(fields.length, 1);
+                forceReject = true;
+                validationResults.qr_verified = { status: 'failed', message: 'QR data mismatch', mismatches: qr.mismatches };
+            } else if (qr.status === 'unrecognised') {
+                issues.push('QR code on the card is not a UIDAI Aadhaar QR code');
+                confidenceAdjustment -= 15;
+                riskAdjustment += 0.2;
+                validationResults.qr_verified = { status: 'failed', message: 'Not an Aadhaar QR code' };
+            } else {
+                // not_found / unsigned / signature_unchecked: inconclusive, recorded without penalty
+                validationResults.qr_verified = { status: 'skipped', message: `QR check inconclusive (${qr.status})`, qr_type: qr.qr_type };
+            }
+        }
+
         // 7. Data consistency checks — if ANY check fails, force rejection
         const dataConsistency = aiResult.data_consistency || {};
         let dataValidationFailed = false;
+        // Inconclusive checks: never auto-verified when review bands are configured
+        let forceReview = false;
 
         if (dataConsistency.dates_valid === false) {
             issues.push('Date validation failed: Invalid, inconsistent, or illogical dates detected in document fields');
@@ -215,11 +252,16 @@ class RuleEngineService {
             validationResults.date_consistency = { status: 'failed', message: 'Invalid or inconsistent dates' };
         }
         if (dataConsistency.id_format_valid === false) {
-            issues.push('ID format validation failed: ID number does not match expected pattern for this document type');
+            const reason = dataConsistency.id_format_reason;
+            if (reason && reason !== 'invalid_format') {
+                issues.push(`ID format validation failed: ID number failed check-digit/structure validation (${reason})`);
+            } else {
+                issues.push('ID format validation failed: ID number does not match expected pattern for this document type');
+            }
             confidenceAdjustment -= 25;
             riskAdjustment += 0.3;
             dataValidationFailed = true;
-            validationResults.id_format = { status: 'failed', message: 'ID format mismatch' };
+            validationResults.id_format = { status: 'failed', message: 'ID format mismatch', reason: reason || 'invalid_format' };
         }
         if (dataConsistency.logical_checks_passed === false) {
             const detail = dataConsistency.details || 'Logical inconsistencies found in document data';
@@ -230,6 +272,38 @@ class RuleEngineService {
             validationResults.logical_consistency = { status: 'failed', message: detail };
         }
 
+        const mrzMismatches = dataConsistency.mrz_mismatches || [];
+        if (dataConsistency.mrz_consistent === false && mrzMismatches.length > 0) {
+            // Each field where the MRZ disagrees with the visual zone is a separate tampering signal
+            const fields = mrzMismatches.map(m => m.field);
+            issues.push(`Passport MRZ cross-check failed: ${fields.join(', ')} do not match the printed data`);
+            confidenceAdjustment -= 15 * mrzMismatches.length;
+            riskAdjustment += 0.2 * mrzMismatches.length;
+            dataValidationFailed = true;
+            validationResults.mrz = { status: 'failed', message: 'MRZ does not match visual zone', mismatches: mrzMismatches };
+        }
+        if (dataConsistency.mrz_readable === false) {
+            // Bad check digits or a malformed line: usually a transcription slip, so inconclusive
+            // rather than a rejection; with review bands configured it goes to a human
+            issues.push(`Passport MRZ could not be read reliably: ${(dataConsistency.mrz_read_errors || []).join('; ') || 'unreadable'}`);
+            confidenceAdjustment -= 10;
+            riskAdjustment += 0.1;
+            forceReview = true;
+            validationResults.mrz_read = { status: 'warning', message: 'MRZ unreadable or check digits do not match', errors: dataConsistency.mrz_read_errors || [] };
+        }
+
+        if (dataConsistency.cross_document_consistent === false) {
+            // Flag, but do not force rejection: the conflicting value may be on the other document
+            const fields = dataConsistency.cross_document_conflicts || [];
+            confidenceAdjustment -= 10 * Math.max(fields.length, 1);
+            riskAdjustment += 0.15 * Math.max(fields.length, 1);
+            validationResults.cross_document = {
+                status: 'warning',
+                message: `Conflicts with other documents of this applicant: ${fields.join(', ')}`,
+                fields
+            };
+        }
+
         // Any data validation failure forces rejection
         if (dataValidationFailed) {
             forceReject = true;
@@ -239,13 +313,39 @@ class RuleEngineService {
             };
         }
 
+        // Critical validation rules reject regardless of score
+        if (criticalRuleFailed) {
+            forceReject = true;
+        }
+
         // Calculate final scores
         const finalConfidence = Math.max(0, Math.min(100, aiResult.confidence + confidenceAdjustment));
         const finalRiskScore = Math.max(0, Math.min(1, aiResult.risk_score + riskAdjustment));
 
         // Determine final status
         let finalStatus = aiResult.status;
-        if (forceReject || finalConfidence < 50 || finalRiskScore > 0.7) {
+        let reviewReasons = null;
+        if (docMaster.review_bands) {
+            // Configured bands: everything between the auto-reject and auto-verify thresholds goes to a human
+            const bands = this._resolveReviewBands(docMaster.review_bands);
+            if (forceReject || finalConfidence < bands.confidence[0] || finalRiskScore > bands.risk[1]) {
+                finalStatus = 'rejected';
+            } else if (finalConfidence >= bands.confidence[1] && finalRiskScore < bands.risk[0] && !forceReview) {
+                finalStatus = 'verified';
+            } else {
+                finalStatus = 'needs_review';
+                reviewReasons = [];
+                if (forceReview) {
+                    reviewReasons.push('Passport MRZ could not be read reliably; compare it with the printed data');
+                }
+                if (finalConfidence < bands.confidence[1]) {
+                    reviewReasons.push(`Confidence ${finalConfidence.toFixed(2)}% is within the review band (${bands.confidence[0]}-${bands.confidence[1]}%)`);
+                }
+                if (finalRiskScore >= bands.risk[0]) {
+                    reviewReasons.push(`Risk score ${finalRiskScore.toFixed(4)} is within the review band (${bands.risk[0]}-${bands.risk[1]})`);
+                }
+            }
+        } else if (forceReject || finalConfidence < 50 || finalRiskScore > 0.7) {
             finalStatus = 'rejected';
         } else if (finalConfidence >= 80 && finalRiskScore < 0.2) {
             finalStatus = 'verified';
@@ -253,6 +353,7 @@ class RuleEngineService {
 
         return {
             status: finalStatus,
+            ...(reviewReasons && { review_reasons: reviewReasons }),
             confidence: parseFloat(finalConfidence.toFixed(2)),
             risk_score: parseFloat(finalRiskScore.toFixed(4)),
             issues,
@@ -266,6 +367,42 @@ class RuleEngineService {
             expected_document_type: aiResult.expected_document_type || documentTypeCode
         };
     }
+
+    /**
+     * Review bands with defaults filled in: confidence [reject below, verify at or above]
+     * and risk [verify below, reject above]. Defaults are the automatic thresholds.
+     */
+    _resolveReviewBands(bands) {
+        return {
+            confidence: Array.isArray(bands.confidence) ? bands.confidence : [50, 80],
+            risk: Array.isArray(bands.risk) ? bands.risk : [0.2, 0.7]
+        };
+    }
+
+    /**
+     * Validate a review_bands value before it is saved. Returns an error message or null.
+     */
+    validateReviewBands(bands) {
+        if (bands === undefined || bands === null) return null;
+        if (typeof bands !== 'object' || Array.isArray(bands)) {
+            return 'review_bands must be an object like {"confidence": [50, 80], "risk": [0.2, 0.7]}';
+        }
+        const unknown = Object.keys(bands).filter(k => !['confidence', 'risk'].includes(k));
+        if (unknown.length > 0) return `Unknown review_bands key(s): ${unknown.join(', ')}`;
+        if (Object.keys(bands).length === 0) return 'review_bands must set confidence and/or risk';
+
+        const limits = { confidence: 100, risk: 1 };
+        for (const [key, max] of Object.entries(limits)) {
+            const band = bands[key];
+            if (band === undefined) continue;
+            if (!Array.isArray(band) || band.length !== 2 || band.some(v => typeof v !== 'number' || v < 0 || v > max)) {
+                return `review_bands.${key} must be [low, high] with values between 0 and ${max}`;
+            }
+            if (band[0] > band[1]) return `review_bands.${key}: low must not exceed high`;
+        }
+        return null;
+    }
+
     /**
      * Keyword-based cross-check for similar document types.
      * Even if the AI says "match=true", this catches cases like 12th marksheet
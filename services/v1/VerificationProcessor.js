@@ -5,7 +5,13 @@ const AIProcessingService = require('./AIProcessingService');
 const DataValidationService = require('./DataValidationService');
 const RuleEngineService = require('./RuleEngineService');
 const WebhookService = require('./WebhookService');
+const PersonConsistencyService = require('../PersonConsistencyService');
+const DuplicateDocumentService = require('../DuplicateDocumentService');
 const V1AuditModel = require('../../models/v1/V1AuditModel');
+const V1ReviewModel = require('../../models/v1/V1ReviewModel');
+const V1AiUsageModel = require('../../models/v1/V1AiUsageModel');
+
+const BULK_PROGRESS_STEPS = 10;
 
 /**
  * Verification Processor
@@ -18,136 +24,203 @@ const V1AuditModel = require('../../models/v1/V1AuditModel');
  */
 class VerificationProcessor {
     /**
-     * Process a single verification request
+     * Process a single verification request under a queue lease (`processingToken`, "<job id>:<attempt>").
+     * With `resume`, a request left in 'processing' by an earlier attempt is taken over, and the
+     * earlier worker can no longer write results. Errors are rethrown so the queue retries the job;
+     * the request is only marked failed once the queue gives up (see markFailed).
      */
-    static async process(requestId) {
-        let request;
+    static async process(requestId, { processingToken = `direct:${Date.now()}`, resume = false } = {}) {
         try {
             // 1. Fetch request
-            request = await V1VerificationRequestModel.findById(requestId);
+            const request = await V1VerificationRequestModel.findById(requestId);
             if (!request) {
                 console.error(`[VerificationProcessor] Request ${requestId} not found`);
                 return;
             }
 
-            if (request.status !== 'accepted') {
+            // 2. Mark as processing (claims the request for this lease)
+            const started = await V1VerificationRequestModel.startProcessing(requestId, processingToken, { resume });
+            if (!started) {
                 console.log(`[VerificationProcessor] Request ${requestId} is already ${request.status}, skipping`);
                 return;
             }
 
-            // 2. Mark as processing
-            await V1VerificationRequestModel.updateStatus(requestId, { status: 'processing' });
-
-            // 3. Get document master config (user-specific first, then global)
-            const docMaster = await V1DocumentMasterModel.findByCodeForUser(request.document_type, request.user_id);
-            const requiredFields = docMaster?.required_fields || [];
-            const validationRules = docMaster?.validation_rules || {};
-
-            // 4. Process with AI
-            const metadata = typeof request.metadata === 'string'
-                ? JSON.parse(request.metadata)
-                : (request.metadata || {});
-
-            const aiResult = await AIProcessingService.verify({
-                fileUrl: request.file_url,
-                documentType: request.document_type,
-                requiredFields,
-                validationRules,
-                metadata
-            });
-
-            // 5. Server-side data validation (dates, ID formats, logical checks)
-            const dataValidation = DataValidationService.validate(
-                request.document_type,
-                aiResult.extracted_data,
-                metadata
-            );
-
-            // Merge data validation results into AI result for the rule engine
-            if (!dataValidation.passed) {
-                aiResult.issues = [...(aiResult.issues || []), ...dataValidation.issues];
-                aiResult.data_consistency = {
-                    ...aiResult.data_consistency,
-                    dates_valid: dataValidation.summary.dates_valid,
-                    id_format_valid: dataValidation.summary.id_format_valid,
-                    logical_checks_passed: dataValidation.summary.logical_checks_passed,
-                    details: dataValidation.summary.details
-                };
-            }
-
-            // 6. Apply rule engine (pass userId for user-scoped doc type lookup)
-            const ruleResult = await RuleEngineService.validate(
-                request.document_type,
-                aiResult.extracted_data,
-                aiResult,
-                request.user_id
-            );
-
-            // Attach server-side validation details to rule result
-            ruleResult.data_validation = dataValidation;
-
-            // 7. Update request with results
-            const finalStatus = ruleResult.status === 'verified' ? 'verified' : 'rejected';
+            await this._analyse(request, { processingToken });
+        } catch (error) {
+            console.error(`[VerificationProcessor] Error processing request ${requestId}:`, error.message);
+            // Left in 'processing' for the queue's next attempt, which resumes it
+            throw error;
+        }
+    }
 
-            // Include document type match info in AI response for debugging
-            const enrichedAiResponse = {
-                ...aiResult,
-                document_type_match: aiResult.document_type_match,
-                detected_document_type: aiResult.detected_document_type,
-                expected_document_type: aiResult.expected_document_type
+    /**
+     * Steps 3-10 shared by queued and instant processing, for a request already claimed with
+     * `processingToken`: analyse, apply rules, store the result (only while the token still owns
+     * the request), queue review, audit, notify webhooks and advance bulk progress.
+     * Returns { finalStatus, aiResult, ruleResult, updatedRequest }, or null when another worker
+     * took the request over and this result was discarded.
+     */
+    static async _analyse(request, { processingToken, instant = false }) {
+        // 3. Get document master config (user-specific first, then global)
+        const docMaster = await V1DocumentMasterModel.findByCodeForUser(request.document_type, request.user_id);
+        const requiredFields = docMaster?.required_fields || [];
+        const validationRules = docMaster?.validation_rules || {};
+
+        // 4. Process with AI
+        const metadata = typeof request.metadata === 'string'
+            ? JSON.parse(request.metadata)
+            : (request.metadata || {});
+
+        const aiResult = await AIProcessingService.verify({
+            fileUrl: request.file_url,
+            documentType: request.document_type,
+            requiredFields,
+            validationRules,
+            metadata,
+            aiProvider: docMaster?.ai_provider,
+            pageRules: docMaster?.page_rules,
+            cache: this._resultCacheOptions(request, docMaster)
+        });
+
+        // Tokens, model, latency and estimated cost of the call (for budgets and analytics)
+        await this._recordUsage(request, aiResult);
+
+        // 5. Server-side data validation (dates, ID formats, logical checks)
+        const dataValidation = DataValidationService.validate(
+            request.document_type,
+            aiResult.extracted_data,
+            metadata
+        );
+
+        // Merge data validation results into AI result for the rule engine
+        if (!dataValidation.passed) {
+            aiResult.issues = [...(aiResult.issues || []), ...dataValidation.issues];
+            aiResult.data_consistency = {
+                ...aiResult.data_consistency,
+                dates_valid: dataValidation.summary.dates_valid,
+                id_format_valid: dataValidation.summary.id_format_valid,
+                id_format_reason: dataValidation.summary.id_format_reason,
+                logical_checks_passed: dataValidation.summary.logical_checks_passed,
+                mrz_consistent: dataValidation.summary.mrz_consistent,
+                mrz_mismatches: dataValidation.summary.mrz_mismatches,
+                details: dataValidation.summary.details
             };
-
-            await V1VerificationRequestModel.updateStatus(requestId, {
-                status: finalStatus,
-                confidence: ruleResult.confidence,
-                riskScore: ruleResult.risk_score,
-                extractedData: ruleResult.wrong_document ? {} : aiResult.extracted_data,
-                aiResponse: enrichedAiResponse,
-                issues: ruleResult.issues
-            });
-
-            // 8. Audit log
-            const auditDetails = {
-                status: finalStatus,
-                confidence: ruleResult.confidence,
-                risk_score: ruleResult.risk_score,
-                issues_count: ruleResult.issues.length,
-                is_genuine: ruleResult.is_genuine !== false
+        }
+        // An unreadable MRZ does not fail validation, but the rule engine marks it inconclusive
+        if (dataValidation.summary.mrz_readable === false) {
+            aiResult.data_consistency = {
+                ...aiResult.data_consistency,
+                mrz_readable: false,
+                mrz_read_errors: dataValidation.summary.mrz_read_errors
             };
-            if (ruleResult.wrong_document) {
-                auditDetails.wrong_document = true;
-                auditDetails.detected_type = ruleResult.detected_document_type;
-                auditDetails.expected_type = ruleResult.expected_document_type;
-            }
-            if (ruleResult.is_genuine === false) {
-                auditDetails.fake_document = true;
-                auditDetails.fraud_indicators = ruleResult.fraud_indicators;
-            }
-            if (ruleResult.authenticity_checks?.tampering_detected) {
-                auditDetails.tampering_detected = true;
-            }
-            if (!dataValidation.passed) {
-                auditDetails.data_validation_failed = true;
-                auditDetails.failed_checks = dataValidation.failedChecks;
-                auditDetails.validation_issues = dataValidation.issues;
-            }
+        }
 
-            let auditAction = 'document.processed';
-            if (ruleResult.wrong_document) auditAction = 'document.wrong_type';
-            else if (ruleResult.is_genuine === false) auditAction = 'document.fake_detected';
-            else if (ruleResult.authenticity_checks?.tampering_detected) auditAction = 'document.tampering_detected';
-            else if (!dataValidation.passed) auditAction = 'document.data_validation_failed';
+        // Person-level consistency with the applicant's other documents (same client_reference_id)
+        await this._checkCrossDocument(request, aiResult);
+
+        // Same or near-identical image already submitted for a different applicant
+        await this._checkDuplicates(request, aiResult);
+
+        // 6. Apply rule engine (pass userId for user-scoped doc type lookup)
+        const ruleResult = await RuleEngineService.validate(
+            request.document_type,
+            aiResult.extracted_data,
+            aiResult,
+            request.user_id
+        );
+
+        // Attach server-side validation details to rule result
+        ruleResult.data_validation = dataValidation;
+
+        // 7. Update request with results
+        const finalStatus = ['verified', 'needs_review'].includes(ruleResult.status) ? ruleResult.status : 'rejected';
+
+        // Include document type match info in AI response for debugging
+        const enrichedAiResponse = {
+            ...aiResult,
+            document_type_match: aiResult.document_type_match,
+            detected_document_type: aiResult.detected_document_type,
+            expected_document_type: aiResult.expected_document_type
+        };
+
+        const written = await V1VerificationRequestModel.updateStatus(request.id, {
+            status: finalStatus,
+            confidence: ruleResult.confidence,
+            riskScore: ruleResult.risk_score,
+            extractedData: ruleResult.wrong_document ? {} : aiResult.extracted_data,
+            aiResponse: enrichedAiResponse,
+            issues: ruleResult.issues,
+            processingToken
+        });
+        if (!written) {
+            // Another worker took the request over after this one's lease expired; its result stands
+            console.warn(`[VerificationProcessor] Request ${request.system_reference_id} was taken over by another worker, discarding this result`);
+            return null;
+        }
 
-            await V1AuditModel.log({
-                userId: request.user_id,
-                action: auditAction,
-                resourceType: 'verification_request',
-                resourceId: request.system_reference_id,
-                details: auditDetails
-            });
+        // Borderline result: queue for a human decision
+        if (finalStatus === 'needs_review') {
+            await V1ReviewModel.create(request.id, ruleResult.review_reasons);
+        }
 
-            // 9. Trigger webhooks
-            const updatedRequest = await V1VerificationRequestModel.findBySystemRefId(request.system_reference_id);
+        // 8. Audit log
+        const auditDetails = {
+            status: finalStatus,
+            confidence: ruleResult.confidence,
+            risk_score: ruleResult.risk_score,
+            issues_count: ruleResult.issues.length,
+            is_genuine: ruleResult.is_genuine !== false
+        };
+        if (instant) {
+            auditDetails.instant_verify = true;
+        }
+        if (ruleResult.wrong_document) {
+            auditDetails.wrong_document = true;
+            auditDetails.detected_type = ruleResult.detected_document_type;
+            auditDetails.expected_type = ruleResult.expected_document_type;
+        }
+        if (ruleResult.is_genuine === false) {
+            auditDetails.fake_document = true;
+            auditDetails.fraud_indicators = ruleResult.fraud_indicators;
+        }
+        if (ruleResult.authenticity_checks?.tampering_detected) {
+            auditDetails.tampering_detected = true;
+        }
+        if (aiResult.duplicates && aiResult.duplicates.length > 0) {
+            auditDetails.duplicate_of = aiResult.duplicates.map(d => d.document_ref);
+        }
+        if (ruleResult.review_reasons) {
+            auditDetails.review_reasons = ruleResult.review_reasons;
+        }
+        if (aiResult.cache?.hit) {
+            auditDetails.cache_hit = true;
+            auditDetails.cache_source = aiResult.cache.source_reference_id;
+        }
+        if (!dataValidation.passed) {
+            auditDetails.data_validation_failed = true;
+            auditDetails.failed_checks = dataValidation.failedChecks;
+            auditDetails.validation_issues = dataValidation.issues;
+        }
+
+        let auditAction = 'document.processed';
+        if (ruleResult.wrong_document) auditAction = 'document.wrong_type';
+        else if (ruleResult.is_genuine === false) auditAction = 'document.fake_detected';
+        else if (ruleResult.authenticity_checks?.tampering_detected) auditAction = 'document.tampering_detected';
+        else if (aiResult.duplicates && aiResult.duplicates.length > 0) auditAction = 'document.duplicate_detected';
+        else if (!dataValidation.passed) auditAction = 'document.data_validation_failed';
+        else if (finalStatus === 'needs_review') auditAction = 'document.needs_review';
+
+        await V1AuditModel.log({
+            userId: request.user_id,
+            action: auditAction,
+            resourceType: 'verification_request',
+            resourceId: request.system_reference_id,
+            details: auditDetails
+        });
+
+        // 9. Trigger webhooks (fire-and-forget; results in needs_review notify once a reviewer decides)
+        const updatedRequest = await V1VerificationRequestModel.findBySystemRefId(request.system_reference_id);
+        if (finalStatus !== 'needs_review') {
             const webhookEvent = finalStatus === 'verified' ? 'document.verified' : 'document.rejected';
             WebhookService.trigger(request.user_id, webhookEvent, {
                 ...updatedRequest,
@@ -159,41 +232,46 @@ class VerificationProcessor {
             }).catch(err => {
                 console.error('[VerificationProcessor] Webhook trigger error:', err.message);
             });
+        }
 
-            console.log(`[VerificationProcessor] Request ${request.system_reference_id} completed: ${finalStatus} (confidence: ${ruleResult.confidence}%)`);
+        console.log(`[VerificationProcessor] ${instant ? 'Instant verify' : 'Request'} ${request.system_reference_id} completed: ${finalStatus} (confidence: ${ruleResult.confidence}%)`);
 
-            // 10. If part of a bulk job, update progress
-            await this._updateBulkProgress(requestId);
+        // 10. If part of a bulk job, update progress
+        await this._updateBulkProgress(request.id);
 
-        } catch (error) {
-            console.error(`[VerificationProcessor] Error processing request ${requestId}:`, error.message);
+        return { finalStatus, aiResult: enrichedAiResponse, ruleResult, updatedRequest };
 
-            // Update status to failed
-            try {
-                await V1VerificationRequestModel.updateStatus(requestId, {
-                    status: 'failed',
-                    issues: [error.message]
-                });
+    }
 
-                if (request) {
-                    // Trigger failure webhook
-                    const failedRequest = await V1VerificationRequestModel.findBySystemRefId(request.system_reference_id);
-                    WebhookService.trigger(request.user_id, 'document.failed', failedRequest).catch(() => {});
+    /**
+     * Give up on a request whose job was dead-lettered: mark it failed, notify and count it
+     * towards its bulk job. Requests that already reached a result are left alone.
+     */
+    static async markFailed(requestId, reason) {
+        try {
+            const request = await V1VerificationRequestModel.findById(requestId);
+            if (!request || !['accepted', 'processing'].includes(request.status)) return;
 
-                    await V1AuditModel.log({
-                        userId: request.user_id,
-                        action: 'document.failed',
-                        resourceType: 'verification_request',
-                        resourceId: request.system_reference_id,
-                        details: { error: error.message }
-                    });
+            await V1VerificationRequestModel.updateStatus(requestId, {
+                status: 'failed',
+                issues: ['Processing failed after maximum retry attempts: ' + reason]
+            });
 
-                    // Update bulk progress on failure too
-                    await this._updateBulkProgress(requestId);
-                }
-            } catch (updateErr) {
-                console.error('[VerificationProcessor] Failed to update error status:', updateErr.message);
-            }
+            const failedRequest = await V1VerificationRequestModel.findBySystemRefId(request.system_reference_id);
+            WebhookService.trigger(request.user_id, 'document.failed', failedRequest).catch(() => {});
+
+            await V1AuditModel.log({
+                userId: request.user_id,
+                action: 'document.failed',
+                resourceType: 'verification_request',
+                resourceId: request.system_reference_id,
+                details: { error: reason }
+            });
+
+            // Update bulk progress on failure too
+            await this._updateBulkProgress(requestId);
+        } catch (updateErr) {
+            console.error('[VerificationProcessor] Failed to update error status:', updateErr.message);
         }
     }
 
@@ -210,131 +288,18 @@ class VerificationProcessor {
                 throw new Error(`Request ${requestId} not found`);
             }
 
-            // 2. Mark as processing
-            await V1VerificationRequestModel.updateStatus(requestId, { status: 'processing' });
-
-            // 3. Get document master config (user-specific first, then global)
-            const docMaster = await V1DocumentMasterModel.findByCodeForUser(request.document_type, request.user_id);
-            const requiredFields = docMaster?.required_fields || [];
-            const validationRules = docMaster?.validation_rules || {};
-
-            // 4. Process with AI
-            const metadata = typeof request.metadata === 'string'
-                ? JSON.parse(request.metadata)
-                : (request.metadata || {});
-
-            const aiResult = await AIProcessingService.verify({
-                fileUrl: request.file_url,
-                documentType: request.document_type,
-                requiredFields,
-                validationRules,
-                metadata
-            });
-
-            // 5. Server-side data validation (dates, ID formats, logical checks)
-            const dataValidation = DataValidationService.validate(
-                request.document_type,
-                aiResult.extracted_data,
-                metadata
-            );
-
-            // Merge data validation results into AI result for the rule engine
-            if (!dataValidation.passed) {
-                aiResult.issues = [...(aiResult.issues || []), ...dataValidation.issues];
-                aiResult.data_consistency = {
-                    ...aiResult.data_consistency,
-                    dates_valid: dataValidation.summary.dates_valid,
-                    id_format_valid: dataValidation.summary.id_format_valid,
-                    logical_checks_passed: dataValidation.summary.logical_checks_passed,
-                    details: dataValidation.summary.details
-                };
+            // 2. Mark as processing (claims the request, like a queue lease)
+            const processingToken = `instant:${Date.now()}`;
+            const started = await V1VerificationRequestModel.startProcessing(requestId, processingToken);
+            if (!started) {
+                throw new Error(`Request ${request.system_reference_id} is already ${request.status}`);
             }
 
-            // 6. Apply rule engine (pass userId for user-scoped doc type lookup)
-            const ruleResult = await RuleEngineService.validate(
-                request.document_type,
-                aiResult.extracted_data,
-                aiResult,
-                request.user_id
-            );
-
-            ruleResult.data_validation = dataValidation;
-
-            // 7. Update request with results
-            const finalStatus = ruleResult.status === 'verified' ? 'verified' : 'rejected';
-
-            const enrichedAiResponse = {
-                ...aiResult,
-                document_type_match: aiResult.document_type_match,
-                detected_document_type: aiResult.detected_document_type,
-                expected_document_type: aiResult.expected_document_type
-            };
-
-            await V1VerificationRequestModel.updateStatus(requestId, {
-                status: finalStatus,
-                confidence: ruleResult.confidence,
-                riskScore: ruleResult.risk_score,
-                extractedData: ruleResult.wrong_document ? {} : aiResult.extracted_data,
-                aiResponse: enrichedAiResponse,
-                issues: ruleResult.issues
-            });
-
-            // 8. Audit log
-            const auditDetails = {
-                status: finalStatus,
-                confidence: ruleResult.confidence,
-                risk_score: ruleResult.risk_score,
-                issues_count: ruleResult.issues.length,
-                is_genuine: ruleResult.is_genuine !== false,
-                instant_verify: true
-            };
-            if (ruleResult.wrong_document) {
-                auditDetails.wrong_document = true;
-                auditDetails.detected_type = ruleResult.detected_document_type;
-                auditDetails.expected_type = ruleResult.expected_document_type;
-            }
-            if (ruleResult.is_genuine === false) {
-                auditDetails.fake_document = true;
-                auditDetails.fraud_indicators = ruleResult.fraud_indicators;
-            }
-            if (ruleResult.authenticity_checks?.tampering_detected) {
-                auditDetails.tampering_detected = true;
+            const processed = await this._analyse(request, { processingToken, instant: true });
+            if (!processed) {
+                throw new Error(`Request ${request.system_reference_id} was taken over by another worker`);
             }
-            if (!dataValidation.passed) {
-                auditDetails.data_validation_failed = true;
-                auditDetails.failed_checks = dataValidation.failedChecks;
-                auditDetails.validation_issues = dataValidation.issues;
-            }
-
-            let auditAction = 'document.processed';
-            if (ruleResult.wrong_document) auditAction = 'document.wrong_type';
-            else if (ruleResult.is_genuine === false) auditAction = 'document.fake_detected';
-            else if (ruleResult.authenticity_checks?.tampering_detected) auditAction = 'document.tampering_detected';
-            else if (!dataValidation.passed) auditAction = 'document.data_validation_failed';
-
-            await V1AuditModel.log({
-                userId: request.user_id,
-                action: auditAction,
-                resourceType: 'verification_request',
-                resourceId: request.system_reference_id,
-                details: auditDetails
-            });
-
-            // 9. Trigger webhooks (fire-and-forget)
-            const webhookEvent = finalStatus === 'verified' ? 'document.verified' : 'document.rejected';
-            const updatedRequest = await V1VerificationRequestModel.findBySystemRefId(request.system_reference_id);
-            WebhookService.trigger(request.user_id, webhookEvent, {
-                ...updatedRequest,
-                wrong_document: ruleResult.wrong_document || false,
-                detected_document_type: ruleResult.detected_document_type || null,
-                is_genuine: ruleResult.is_genuine !== false,
-                authenticity_checks: ruleResult.authenticity_checks || {},
-                fraud_indicators: ruleResult.fraud_indicators || []
-            }).catch(err => {
-                console.error('[VerificationProcessor] Webhook trigger error:', err.message);
-            });
-
-            console.log(`[VerificationProcessor] Instant verify ${request.system_reference_id} completed: ${finalStatus} (confidence: ${ruleResult.confidence}%)`);
+            const { finalStatus, aiResult: enrichedAiResponse, ruleResult, updatedRequest } = processed;
 
             // 10. Build and return the full response
             const wrongDocument = enrichedAiResponse.document_type_match === false;
@@ -345,7 +310,7 @@ class VerificationProcessor {
                 status: finalStatus,
                 confidence: ruleResult.confidence,
                 risk_score: ruleResult.risk_score,
-                extracted_data: ruleResult.wrong_document ? {} : aiResult.extracted_data,
+                extracted_data: ruleResult.wrong_document ? {} : enrichedAiResponse.extracted_data,
                 issues: ruleResult.issues,
                 created_at: request.created_at,
                 processed_at: updatedRequest.processed_at
@@ -361,6 +326,29 @@ class VerificationProcessor {
             result.authenticity_checks = enrichedAiResponse.authenticity_checks || {};
             result.fraud_indicators = enrichedAiResponse.fraud_indicators || [];
             result.data_consistency = enrichedAiResponse.data_consistency || {};
+            if (enrichedAiResponse.duplicates && enrichedAiResponse.duplicates.length > 0) {
+                result.duplicates = enrichedAiResponse.duplicates;
+            }
+            if (enrichedAiResponse.cross_document) {
+                result.cross_document = enrichedAiResponse.cross_document;
+            }
+            if (enrichedAiResponse.qr_verification) {
+                result.qr_verification = enrichedAiResponse.qr_verification;
+            }
+            if (enrichedAiResponse.cache) {
+                result.cache = enrichedAiResponse.cache;
+            }
+            if (enrichedAiResponse.ai_usage) {
+                const { fixture, ...usage } = enrichedAiResponse.ai_usage;
+                result.ai_usage = usage;
+            }
+            if (enrichedAiResponse.pages) {
+                result.pages = enrichedAiResponse.pages;
+                result.field_pages = enrichedAiResponse.field_pages || {};
+            }
+            if (finalStatus === 'needs_review') {
+                result.review = { status: 'pending', reasons: ruleResult.review_reasons };
+            }
 
             return result;
 
@@ -397,7 +385,148 @@ class VerificationProcessor {
     }
 
     /**
-     * Check if this request is part of a bulk job and update its progress
+     * Apply a reviewer's decision to a request in needs_review: close the review task, set the
+     * final status, notify webhooks and advance bulk progress. Without `force` the reviewer must
+     * hold the task's claim. Returns the updated request, or null if the task was not decidable.
+     */
+    static async finalizeReview(task, { reviewerId, decision, reason, force = false, ipAddress }) {
+        const decided = await V1ReviewModel.decide(task.id, { reviewerId, decision, reason, force });
+        if (!decided) return null;
+
+        const request = await V1VerificationRequestModel.findById(task.verification_request_id);
+        await V1VerificationRequestModel.overrideStatus(request.id, { status: decision });
+
+        await V1AuditModel.log({
+            userId: reviewerId,
+            action: 'review.decided',
+            resourceType: 'verification_request',
+            resourceId: request.system_reference_id,
+            details: { review_task_id: task.id, decision, reason, confidence: request.confidence, risk_score: request.risk_score },
+            ipAddress
+        });
+
+        const updatedRequest = await V1VerificationRequestModel.findBySystemRefId(request.system_reference_id);
+        const aiResponse = updatedRequest.ai_response || {};
+        WebhookService.trigger(request.user_id, decision === 'verified' ? 'document.verified' : 'document.rejected', {
+            ...updatedRequest,
+            is_genuine: aiResponse.is_genuine !== false,
+            authenticity_checks: aiResponse.authenticity_checks || {},
+            fraud_indicators: aiResponse.fraud_indicators || [],
+            review: { decision, reason, decided_at: new Date().toISOString() }
+        }).catch(err => {
+            console.error('[VerificationProcessor] Webhook trigger error:', err.message);
+        });
+
+        console.log(`[VerificationProcessor] Request ${request.system_reference_id} reviewed: ${decision}`);
+
+        await this._updateBulkProgress(request.id);
+        return updatedRequest;
+    }
+
+    /**
+     * Result cache options for AIProcessingService.verify, when the document type opts in
+     */
+    static _resultCacheOptions(request, docMaster) {
+        if (!docMaster || !docMaster.cache_results) return null;
+        return {
+            userId: request.user_id,
+            documentVersion: docMaster.version,
+            sourceReferenceId: request.system_reference_id
+        };
+    }
+
+    /**
+     * Add the AI call to the usage ledger. Failures are logged and do not fail the request.
+     */
+    static async _recordUsage(request, aiResult) {
+        if (!aiResult.ai_usage) return;
+        try {
+            await V1AiUsageModel.record({
+                userId: request.user_id,
+                apiKeyId: request.api_key_id,
+                verificationRequestId: request.id,
+                documentType: request.document_type,
+                usage: aiResult.ai_usage
+            });
+        } catch (err) {
+            console.error('[VerificationProcessor] Usage recording failed:', err.message);
+        }
+    }
+
+    /**
+     * Record the file's fingerprint and flag it as a fraud indicator when the same file, or a
+     * near-identical image with the same document number, was already submitted (by this API
+     * user) for a different applicant.
+     */
+    static async _checkDuplicates(request, aiResult) {
+        if (!aiResult.file_fingerprint) return;
+
+        try {
+            const { duplicates, issues } = await DuplicateDocumentService.checkAndRecord({
+                scope: `v1:${request.user_id}`,
+                ownerRef: request.client_reference_id,
+                documentRef: request.system_reference_id,
+                documentLabel: request.document_type,
+                personName: PersonConsistencyService.extractIdentity(aiResult.extracted_data, request.document_type).name,
+                documentNumber: DuplicateDocumentService.documentNumber(aiResult.extracted_data),
+                fingerprint: aiResult.file_fingerprint
+            });
+            if (duplicates.length > 0) {
+                aiResult.duplicates = duplicates;
+                aiResult.fraud_indicators = [...(aiResult.fraud_indicators || []), ...issues];
+            }
+        } catch (err) {
+            console.error('[VerificationProcessor] Duplicate check failed:', err.message);
+        }
+    }
+
+    /**
+     * Compare this request's extracted identity (name, DOB, parent names, ID numbers) with
+     * completed requests sharing its client_reference_id. Only conflicts that involve this
+     * document are recorded, on aiResult.cross_document and in data_consistency.
+     */
+    static async _checkCrossDocument(request, aiResult) {
+        if (!request.client_reference_id || aiResult.document_type_match === false) return;
+
+        try {
+            const siblings = await V1VerificationRequestModel.getCompletedByClientRef(
+                request.user_id, request.client_reference_id, request.id
+            );
+            if (siblings.length === 0) return;
+
+            const check = PersonConsistencyService.check([
+                { reference: request.system_reference_id, label: request.document_type, documentType: request.document_type, extractedData: aiResult.extracted_data },
+                ...siblings.map(s => ({
+                    reference: s.system_reference_id,
+                    label: `${s.document_type} (${s.system_reference_id})`,
+                    documentType: s.document_type,
+                    extractedData: s.extracted_data
+                }))
+            ]);
+            const conflicts = check.conflicts.filter(c => c.values.some(v => v.reference === request.system_reference_id));
+
+            aiResult.cross_document = {
+                client_reference_id: request.client_reference_id,
+                compared_requests: siblings.map(s => s.system_reference_id),
+                consistent: conflicts.length === 0,
+                conflicts
+            };
+            if (conflicts.length > 0) {
+                aiResult.issues = [...(aiResult.issues || []), ...conflicts.map(c => `Cross-document conflict: ${c.message}`)];
+                aiResult.data_consistency = {
+                    ...aiResult.data_consistency,
+                    cross_document_consistent: false,
+                    cross_document_conflicts: conflicts.map(c => c.field)
+                };
+            }
+        } catch (err) {
+            console.error('[VerificationProcessor] Cross-document check failed:', err.message);
+        }
+    }
+
+    /**
+     * Check if this request is part of a bulk job, update its progress and emit
+     * bulk.progress / bulk.completed events
      */
     static async _updateBulkProgress(requestId) {
         try {
@@ -407,21 +536,30 @@ class VerificationProcessor {
                 [requestId]
             );
             if (links.length > 0) {
-                const updatedJob = await V1BulkJobModel.updateProgress(links[0].bulk_job_id);
-                if (updatedJob && ['completed', 'partial', 'failed'].includes(updatedJob.status)) {
-                    console.log(`[VerificationProcessor] Bulk job ${updatedJob.bulk_id || links[0].bulk_job_id} finished: ${updatedJob.status}`);
-                    // Trigger bulk completion webhook
-                    const job = await V1BulkJobModel.findById(links[0].bulk_job_id);
-                    if (job) {
-                        WebhookService.trigger(job.user_id, 'bulk.completed', {
-                            bulk_id: job.bulk_id,
-                            status: updatedJob.status,
-                            total: job.total_documents,
-                            verified: updatedJob.verified,
-                            rejected: updatedJob.rejected,
-                            failed: updatedJob.failed
-                        }).catch(() => {});
-                    }
+                const job = await V1BulkJobModel.updateProgress(links[0].bulk_job_id);
+                if (!job) return;
+
+                if (job.just_completed) {
+                    console.log(`[VerificationProcessor] Bulk job ${job.bulk_id} finished: ${job.status}`);
+                    const items = await V1BulkJobModel.getItems(job.id);
+                    WebhookService.triggerBulk(job, 'bulk.completed', {
+                        completed_at: job.completed_at,
+                        documents: items.map(item => ({
+                            item_index: item.item_index,
+                            system_reference_id: item.system_reference_id,
+                            document_type: item.document_type,
+                            status: item.status,
+                            confidence: item.confidence,
+                            risk_score: item.risk_score
+                        }))
+                    }).catch(err => {
+                        console.error('[VerificationProcessor] Bulk webhook error:', err.message);
+                    });
+                } else if (job.status === 'processing' &&
+                           this._bulkProgressStep(job.completed, job.total_documents) > this._bulkProgressStep(job.previous_completed, job.total_documents)) {
+                    WebhookService.triggerBulk(job, 'bulk.progress').catch(err => {
+                        console.error('[VerificationProcessor] Bulk webhook error:', err.message);
+                    });
                 }
             }
         } catch (err) {
@@ -429,6 +567,15 @@ class VerificationProcessor {
             console.error('[VerificationProcessor] Bulk progress update error:', err.message);
         }
     }
+
+    /**
+     * bulk.progress fires each time a job crosses another tenth of its documents
+     * (every document for jobs of 10 or fewer)
+     */
+    static _bulkProgressStep(completed, total) {
+        if (!total) return 0;
+        return Math.floor((completed * BULK_PROGRESS_STEPS) / total);
+    }
 }
 
 module.exports = VerificationProcessor;
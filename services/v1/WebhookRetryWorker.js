@@ -0,0 +1,66 @@
+const V1WebhookModel = require('../../models/v1/V1WebhookModel');
+const WebhookService = require('./WebhookService');
+
+/**
+ * Background redelivery of failed webhooks.
+ * Polls v1_webhook_deliveries (webhooks and bulk job callbacks) for pending rows whose
+ * next_retry_at has passed and makes another attempt through WebhookService, which
+ * schedules the next retry or gives up.
+ * Claims push next_retry_at forward, so several app nodes can run the worker safely.
+ */
+class WebhookRetryWorker {
+    constructor() {
+        this.isRunning = false;
+        this.pollInterval = null;
+        this.pollIntervalMs = parseInt(process.env.V1_WEBHOOK_RETRY_POLL_MS) || 15000;
+        this.batchSize = parseInt(process.env.V1_WEBHOOK_RETRY_BATCH) || 20;
+        this._polling = false;
+    }
+
+    async _poll() {
+        if (this._polling) return;
+        this._polling = true;
+        try {
+            const deliveries = await V1WebhookModel.claimDueDeliveries(this.batchSize, WebhookService.ATTEMPT_LEASE_MS);
+            for (const delivery of deliveries) {
+                try {
+                    const target = await WebhookService.resolveTarget(delivery);
+                    if (!target) {
+                        // Otherwise the claim lease would bring it back forever
+                        await V1WebhookModel.failDelivery(delivery.id, delivery.bulk_job_id
+                            ? 'Not delivered: the bulk job no longer has a callback_url'
+                            : 'Not delivered: the webhook no longer exists');
+                        continue;
+                    }
+                    await WebhookService.attempt(target, delivery);
+                } catch (error) {
+                    console.error(`[WebhookRetryWorker] Retry of delivery ${delivery.id} failed:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('[WebhookRetryWorker] Polling error:', error.message);
+        } finally {
+            this._polling = false;
+        }
+    }
+
+    startPolling() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        console.log(`[WebhookRetryWorker] Started polling every ${this.pollIntervalMs}ms`);
+        this.pollInterval = setInterval(() => this._poll(), this.pollIntervalMs);
+        this._poll();
+    }
+
+    stopPolling() {
+        this.isRunning = false;
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+        console.log('[WebhookRetryWorker] Stopped polling');
+    }
+}
+
+// Singleton
+module.exports = new WebhookRetryWorker();
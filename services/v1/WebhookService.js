@@ -1,14 +1,34 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const V1WebhookModel = require('../../models/v1/V1WebhookModel');
+const V1AuditModel = require('../../models/v1/V1AuditModel');
+const V1BulkJobModel = require('../../models/v1/V1BulkJobModel');
+const NotificationService = require('./NotificationService');
+const { validateUrl, publicOnlyLookup } = require('../../middleware/v1/ssrfProtection');
+
+const MAX_ATTEMPTS = parseInt(process.env.V1_WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.V1_WEBHOOK_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_MS = parseInt(process.env.V1_WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+const DISABLE_THRESHOLD = parseInt(process.env.V1_WEBHOOK_DISABLE_THRESHOLD) || 20;
+// How long an attempt may be in flight before the retry worker treats it as abandoned
+const ATTEMPT_LEASE_MS = 60000;
+// Plain http endpoints are for local development only
+const ALLOW_HTTP = process.env.V1_WEBHOOK_ALLOW_HTTP === 'true';
+
+// Optional sections a webhook can add to document event payloads
+const PAYLOAD_OPTIONS = ['extracted_data', 'issues', 'fraud_indicators', 'wrong_document'];
 
 /**
  * Webhook Service
  * Delivers webhook notifications for verification events with signed payloads.
+ * Every delivery is logged first; failed attempts are retried by WebhookRetryWorker with
+ * exponential backoff until MAX_ATTEMPTS, and a webhook whose consecutive failures reach
+ * DISABLE_THRESHOLD is deactivated and its owner notified.
  */
 class WebhookService {
     /**
      * Sign a webhook payload using HMAC-SHA256
+     * (legacy X-Webhook-Signature; covers the body only)
      */
     static signPayload(payload, secret) {
         const payloadString = typeof payload === 'string' ? payload : JSON.stringify(payload);
@@ -18,6 +38,51 @@ class WebhookService {
             .digest('hex');
     }
 
+    /**
+     * Build the X-Webhook-Signature-Timestamped value: "t=<unix seconds>,v1=<hex>[,v1=<hex>...]".
+     * Each v1 is HMAC-SHA256 of "<t>.<body>" with one of `secrets`, so the timestamp cannot be
+     * altered without breaking the signature and receivers can reject stale (replayed) deliveries.
+     */
+    static signTimestamped(payloadString, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+        const signedContent = `${timestamp}.${payloadString}`;
+        const signatures = secrets.map(secret =>
+            'v1=' + crypto.createHmac('sha256', secret).update(signedContent).digest('hex')
+        );
+        return [`t=${timestamp}`, ...signatures].join(',');
+    }
+
+    /**
+     * Check a webhook or callback URL: it must point to a public host, checked before it is
+     * saved and before every attempt. `requireHttps` applies to URLs being saved, so webhooks
+     * registered over http before the requirement keep being delivered.
+     * Returns an error message, or null if valid.
+     */
+    static async validateTarget(url, { requireHttps = false } = {}) {
+        const check = await validateUrl(url);
+        if (!check.valid) return check.reason;
+        if (requireHttps && !ALLOW_HTTP && new URL(url).protocol !== 'https:') return 'Webhook URLs must use https';
+        return null;
+    }
+
+    /**
+     * Validate a webhook's payload_options. Returns an error message, or null if valid.
+     */
+    static validatePayloadOptions(options) {
+        if (options === undefined || options === null) return null;
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            return 'payload_options must be an object';
+        }
+        for (const [key, value] of Object.entries(options)) {
+            if (!PAYLOAD_OPTIONS.includes(key)) {
+                return `Unknown payload option '${key}'. Valid options: ${PAYLOAD_OPTIONS.join(', ')}`;
+            }
+            if (typeof value !== 'boolean') {
+                return `payload_options.${key} must be true or false`;
+            }
+        }
+        return null;
+    }
+
     /**
      * Trigger webhooks for a verification event
      */
@@ -35,64 +100,280 @@ class WebhookService {
             risk_score: verificationRequest.risk_score,
             timestamp: new Date().toISOString()
         };
+        if (verificationRequest.review) {
+            payload.review = verificationRequest.review;
+        }
 
-        const deliveryPromises = webhooks.map(webhook => this._deliver(webhook, verificationRequest.id, event, payload));
+        const deliveryPromises = webhooks.map(webhook => this._deliver(
+            webhook, verificationRequest.id, event,
+            this._withPayloadOptions(payload, verificationRequest, webhook.payload_options)
+        ));
         await Promise.allSettled(deliveryPromises);
     }
 
     /**
-     * Deliver a single webhook
+     * Add the sections a webhook opted into to a document event payload
      */
-    static async _deliver(webhook, verificationRequestId, event, payload) {
-        const payloadStr = JSON.stringify(payload);
-        const signature = this.signPayload(payloadStr, webhook.secret);
+    static _withPayloadOptions(payload, verificationRequest, options) {
+        if (!options) return payload;
+        const aiResponse = verificationRequest.ai_response || {};
+        const extended = { ...payload };
+
+        if (options.extracted_data) {
+            extended.extracted_data = verificationRequest.extracted_data || {};
+        }
+        if (options.issues) {
+            extended.issues = verificationRequest.issues || [];
+        }
+        if (options.fraud_indicators) {
+            extended.is_genuine = verificationRequest.is_genuine !== undefined
+                ? verificationRequest.is_genuine
+                : aiResponse.is_genuine !== false;
+            extended.fraud_indicators = verificationRequest.fraud_indicators || aiResponse.fraud_indicators || [];
+        }
+        if (options.wrong_document) {
+            const wrongDocument = verificationRequest.wrong_document !== undefined
+                ? verificationRequest.wrong_document
+                : aiResponse.document_type_match === false;
+            extended.wrong_document = Boolean(wrongDocument);
+            if (wrongDocument) {
+                extended.detected_document_type = verificationRequest.detected_document_type || aiResponse.detected_document_type || 'Unknown';
+                extended.expected_document_type = aiResponse.expected_document_type || verificationRequest.document_type;
+            }
+        }
+        return extended;
+    }
+
+    /**
+     * Announce bulk job progress (bulk.progress) or completion (bulk.completed) to the user's
+     * subscribed webhooks and to the job's callback_url
+     */
+    static async triggerBulk(job, event, extra = {}) {
+        const payload = {
+            event,
+            bulk_id: job.bulk_id,
+            status: job.status,
+            total_documents: job.total_documents,
+            completed: job.completed,
+            verified: job.verified,
+            rejected: job.rejected,
+            failed: job.failed,
+            progress_percent: job.total_documents > 0 ? Math.round((job.completed / job.total_documents) * 100) : 0,
+            ...extra,
+            timestamp: new Date().toISOString()
+        };
+
+        const webhooks = await V1WebhookModel.getActiveForEvent(job.user_id, event);
+        const deliveryPromises = webhooks.map(webhook => this._deliver(webhook, null, event, payload));
+        if (job.callback_url && job.callback_secret) {
+            deliveryPromises.push(this._deliver(this.callbackTarget(job), null, event, payload));
+        }
+        await Promise.allSettled(deliveryPromises);
+    }
+
+    /**
+     * Announce an API key event (api_key.expiring) to the key owner's subscribed webhooks
+     */
+    static async triggerApiKey(key, event, extra = {}) {
+        const webhooks = await V1WebhookModel.getActiveForEvent(key.user_id, event);
+        if (webhooks.length === 0) return;
+
+        const payload = {
+            event,
+            api_key: {
+                id: key.id,
+                name: key.name,
+                key_prefix: key.key_prefix,
+                expires_at: key.expires_at
+            },
+            ...extra,
+            timestamp: new Date().toISOString()
+        };
+        await Promise.allSettled(webhooks.map(webhook => this._deliver(webhook, null, event, payload)));
+    }
 
+    /**
+     * Delivery target for a bulk job's callback_url. It has no webhook row (id null), so
+     * failures are retried but never count towards disabling anything.
+     */
+    static callbackTarget(job) {
+        return { id: null, bulk_job_id: job.id, user_id: job.user_id, url: job.callback_url, secret: job.callback_secret };
+    }
+
+    /**
+     * Resolve where a logged delivery goes: its webhook, or its bulk job's callback
+     */
+    static async resolveTarget(delivery) {
+        if (delivery.webhook_id) {
+            return V1WebhookModel.findById(delivery.webhook_id);
+        }
+        if (delivery.bulk_job_id) {
+            const job = await V1BulkJobModel.findById(delivery.bulk_job_id);
+            return job && job.callback_url && job.callback_secret ? this.callbackTarget(job) : null;
+        }
+        return null;
+    }
+
+    /**
+     * Log and attempt a single delivery; failures are left for the retry worker
+     */
+    static async _deliver(webhook, verificationRequestId, event, payload) {
         try {
-            const response = await axios.post(webhook.url, payload, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Webhook-Signature': signature,
-                    'X-Webhook-Event': event,
-                    'X-Webhook-Timestamp': new Date().toISOString(),
-                    'User-Agent': 'DocumentVerificationPlatform/1.0'
-                },
-                timeout: 10000,
-                validateStatus: () => true // Accept any status code
-            });
-
-            const success = response.status >= 200 && response.status < 300;
-            const responseBody = typeof response.data === 'string'
-                ? response.data.substring(0, 1000)
-                : JSON.stringify(response.data).substring(0, 1000);
-
-            await V1WebhookModel.recordDelivery(
-                webhook.id,
-                verificationRequestId,
-                event,
-                payload,
-                response.status,
-                responseBody,
-                success ? 'delivered' : 'failed'
+            const deliveryId = await V1WebhookModel.createDelivery(
+                webhook.id, verificationRequestId, event, payload, ATTEMPT_LEASE_MS, webhook.bulk_job_id || null
             );
+            await this.attempt(webhook, { id: deliveryId, event, payload, attempts: 0 });
+        } catch (error) {
+            console.error(`[WebhookService] Delivery to ${webhook.id ? 'webhook ' + webhook.id : webhook.url} failed:`, error.message);
+        }
+    }
+
+    /**
+     * Backoff before the next attempt: exponential in the attempts made so far, capped,
+     * with equal jitter so endpoints recovering from an outage are not hit in lockstep.
+     */
+    static retryDelay(attempts) {
+        const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Make one HTTP attempt for a logged delivery and record its outcome.
+     * `retry: false` (manual redelivery) makes a failure final instead of scheduling a retry.
+     * Returns { success, response_status, latency_ms, error }.
+     */
+    static async attempt(webhook, delivery, { retry = true } = {}) {
+        const payloadStr = JSON.stringify(delivery.payload);
+        // During a rotation grace period, also sign with the old secret
+        const secrets = [webhook.secret];
+        if (webhook.previous_secret && new Date(webhook.previous_secret_expires_at) > new Date()) {
+            secrets.push(webhook.previous_secret);
+        }
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Signature-Timestamped': this.signTimestamped(payloadStr, secrets),
+            'X-Webhook-Signature': this.signPayload(payloadStr, webhook.secret),
+            'X-Webhook-Delivery-Id': String(delivery.id), // Same on every retry of this delivery
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': new Date().toISOString(),
+            'User-Agent': 'DocumentVerificationPlatform/1.0'
+        };
+        if (secrets.length > 1) {
+            headers['X-Webhook-Signature-Previous'] = this.signPayload(payloadStr, webhook.previous_secret);
+        }
+
+        let responseStatus = null;
+        let responseBody;
+        let success = false;
+        // A blocked target is never contacted (nothing of it is recorded) and is not retried
+        let blocked = false;
+        const startedAt = Date.now();
+        const blockedReason = await this.validateTarget(webhook.url);
+        if (blockedReason) {
+            blocked = true;
+            responseBody = `Blocked: ${blockedReason}`;
+        } else {
+            try {
+                const response = await axios.post(webhook.url, payloadStr, {
+                    headers,
+                    timeout: 10000,
+                    // Re-checked at connect time against DNS rebinding; redirects could lead anywhere
+                    lookup: publicOnlyLookup,
+                    maxRedirects: 0,
+                    validateStatus: () => true // Accept any status code
+                });
 
-            if (success) {
-                await V1WebhookModel.resetFailureCount(webhook.id);
-            } else {
-                await V1WebhookModel.incrementFailureCount(webhook.id);
+                responseStatus = response.status;
+                success = response.status >= 200 && response.status < 300;
+                responseBody = typeof response.data === 'string'
+                    ? response.data.substring(0, 1000)
+                    : JSON.stringify(response.data).substring(0, 1000);
+            } catch (error) {
+                blocked = error.code === 'ESSRFBLOCKED';
+                responseBody = blocked ? `Blocked: ${error.message}` : error.message;
+            }
+        }
+        const latencyMs = Date.now() - startedAt;
+
+        const attempts = delivery.attempts + 1;
+        if (success) {
+            await V1WebhookModel.recordAttempt(delivery.id, { responseStatus, responseBody, latencyMs, status: 'delivered' });
+            if (webhook.id) await V1WebhookModel.resetFailureCount(webhook.id);
+            return { success, response_status: responseStatus, latency_ms: latencyMs, error: null };
+        }
+
+        const willRetry = retry && !blocked && attempts < MAX_ATTEMPTS;
+        await V1WebhookModel.recordAttempt(delivery.id, {
+            responseStatus,
+            responseBody,
+            latencyMs,
+            status: willRetry ? 'pending' : 'failed',
+            retryDelayMs: willRetry ? this.retryDelay(attempts) : null
+        });
+
+        // A blocked target says nothing about the endpoint's health, so it does not count towards disabling
+        if (webhook.id && !blocked) {
+            const failureCount = await V1WebhookModel.incrementFailureCount(webhook.id);
+            if (failureCount >= DISABLE_THRESHOLD) {
+                await this._disable(webhook, failureCount);
             }
-        } catch (error) {
-            await V1WebhookModel.recordDelivery(
-                webhook.id,
-                verificationRequestId,
-                event,
-                payload,
-                null,
-                error.message,
-                'failed'
-            );
-            await V1WebhookModel.incrementFailureCount(webhook.id);
         }
+        return { success, response_status: responseStatus, latency_ms: latencyMs, error: responseBody };
+    }
+
+    /**
+     * Send a signed sample event so a customer can check their endpoint and signature
+     * verification. Logged like any delivery, but never retried.
+     */
+    static async sendTest(webhook) {
+        const payload = {
+            event: 'webhook.test',
+            test: true,
+            webhook_id: webhook.id,
+            reference_id: 'DOCTEST00000000',
+            client_reference_id: 'TEST_REFERENCE',
+            document_type: 'aadhaar',
+            status: 'verified',
+            confidence: 95.5,
+            risk_score: 0.0234,
+            timestamp: new Date().toISOString()
+        };
+        const deliveryId = await V1WebhookModel.createDelivery(webhook.id, null, payload.event, payload, ATTEMPT_LEASE_MS);
+        const result = await this.attempt(webhook, { id: deliveryId, event: payload.event, payload, attempts: 0 }, { retry: false });
+        return { delivery_id: deliveryId, ...result };
+    }
+
+    /**
+     * Deactivate a webhook that keeps failing, drop its queued retries and tell the owner
+     */
+    static async _disable(webhook, failureCount) {
+        const reason = `Disabled after ${failureCount} consecutive failed deliveries`;
+        const disabled = await V1WebhookModel.disable(webhook.id, reason);
+        if (!disabled) return; // Another attempt already disabled it
+
+        await V1WebhookModel.failPendingDeliveries(webhook.id, 'Webhook disabled before this retry ran');
+        await V1AuditModel.log({
+            userId: webhook.user_id,
+            action: 'webhook.disabled',
+            resourceType: 'webhook',
+            resourceId: String(webhook.id),
+            details: { url: webhook.url, failure_count: failureCount },
+            ipAddress: null
+        });
+        await NotificationService.notify(webhook.user_id, {
+            type: 'webhook.disabled',
+            title: 'Webhook disabled',
+            message: `Your webhook ${webhook.url} was disabled after ${failureCount} consecutive failed deliveries. ` +
+                'Fix the endpoint, then re-enable it with PUT /v1/webhook/' + webhook.id + ' {"is_active": true}. ' +
+                'Failed deliveries can be resent with POST /v1/webhook/' + webhook.id + '/deliveries/{delivery_id}/redeliver.',
+            data: { webhook_id: webhook.id, url: webhook.url, failure_count: failureCount }
+        });
+        console.error(`[WebhookService] Webhook ${webhook.id} disabled: ${reason}`);
     }
 }
 
+WebhookService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+WebhookService.PAYLOAD_OPTIONS = PAYLOAD_OPTIONS;
+WebhookService.ATTEMPT_LEASE_MS = ATTEMPT_LEASE_MS;
+
 module.exports = WebhookService;